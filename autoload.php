@@ -102,7 +102,7 @@ class SimpleJWT
         return implode('.', $seg);
     }
 
-    public static function decode($jwt, $s)
+    public static function decode($jwt, $s, $leeway = 0)
     {
         $p = explode('.', $jwt);
         if (count($p) !== 3) throw new Exception('Invalid JWT');
@@ -112,7 +112,7 @@ class SimpleJWT
 
         $pay = json_decode(self::b64d($p[1]));
         if (!$pay) throw new Exception('Invalid payload');
-        if (isset($pay->exp) && $pay->exp < time()) throw new Exception('Token expired');
+        if (isset($pay->exp) && $pay->exp + $leeway < time()) throw new Exception('Token expired');
 
         return $pay;
     }
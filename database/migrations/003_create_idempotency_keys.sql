@@ -0,0 +1,26 @@
+-- ============================================================================
+-- 003: Idempotency keys for mutating API requests (IdempotencyMiddleware)
+-- ============================================================================
+-- Keys are scoped per user and remember which request they were first used
+-- for (method, path, sha256 of method + path + body), so a reused key on a
+-- different request is refused instead of replaying the wrong response.
+-- status_code stays NULL while the first request is still running.
+--
+-- Rows expire after 24 hours (cron/cleanup-rate-limits.php), so an existing
+-- table from before per-user scoping is dropped rather than converted.
+-- ============================================================================
+
+DROP TABLE IF EXISTS idempotency_keys;
+
+CREATE TABLE idempotency_keys (
+    user_id INT NOT NULL DEFAULT 0,
+    idempotency_key VARCHAR(64) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code SMALLINT NULL,
+    response_body MEDIUMTEXT NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (user_id, idempotency_key),
+    INDEX idx_idempotency_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
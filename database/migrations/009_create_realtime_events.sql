@@ -0,0 +1,17 @@
+-- ============================================================================
+-- 009: Realtime event log for the SSE stream (RealtimeService)
+-- ============================================================================
+-- Clients resume from Last-Event-ID, so event_id must keep increasing.
+-- roles holds a comma-separated role list; NULL means every role.
+-- Old events are pruned by cron/cleanup-rate-limits.php.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+    event_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    event_type VARCHAR(50) NOT NULL,
+    payload TEXT NOT NULL,
+    roles VARCHAR(100) NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (event_id),
+    INDEX idx_realtime_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
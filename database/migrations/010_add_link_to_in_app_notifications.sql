@@ -0,0 +1,11 @@
+-- ============================================================================
+-- 010: Notification center deep links (NotificationService)
+-- ============================================================================
+-- link is the frontend page a notification opens, e.g.
+-- "purchase-orders.html?po=12"; NULL for notifications without a target.
+-- The index backs the navbar unread count and the recent list.
+-- ============================================================================
+
+ALTER TABLE in_app_notifications
+    ADD COLUMN link VARCHAR(255) NULL AFTER priority,
+    ADD INDEX idx_notifications_user_unread (user_id, is_read, created_at);
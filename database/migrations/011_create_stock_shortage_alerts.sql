@@ -0,0 +1,19 @@
+-- ============================================================================
+-- 011: Critical shortage alerts sent to admins (StockRequirementsController)
+-- ============================================================================
+-- One row per alert; the latest row per requirement drives the
+-- "last alerted" column and the resend cooldown.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_shortage_alerts (
+    alert_id INT NOT NULL AUTO_INCREMENT,
+    requirement_id INT NOT NULL,
+    sales_order_id INT NOT NULL,
+    item_id INT NOT NULL,
+    shortage_quantity INT NOT NULL,
+    alerted_by INT NOT NULL,
+    note VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (alert_id),
+    INDEX idx_shortage_alerts_requirement (requirement_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- 012: Links batch-generated PRs to the stock requirements they cover
+-- ============================================================================
+-- A batch PR merges every selected requirement for one item; quantity is
+-- the share of the PR each requirement accounts for.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS purchase_requisition_requirements (
+    pr_id INT NOT NULL,
+    requirement_id INT NOT NULL,
+    quantity INT NOT NULL,
+    PRIMARY KEY (pr_id, requirement_id),
+    INDEX idx_prr_requirement (requirement_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- 013: Multi-line purchase orders (PurchaseOrderRepository)
+-- ============================================================================
+-- purchase_orders keeps item_id/quantity/unit_price of the first line so
+-- older reports keep working; total_amount is the sum of line_total.
+--
+-- Orders created before line items existed get their header item copied in
+-- as line 1 (fully received if the PO was delivered), so every PO can be
+-- read and received line by line.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    po_item_id INT NOT NULL AUTO_INCREMENT,
+    po_id INT NOT NULL,
+    line_no INT NOT NULL,
+    item_id INT NOT NULL,
+    quantity INT NOT NULL,
+    unit_price DECIMAL(12,2) NOT NULL,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    line_total DECIMAL(12,2) NOT NULL,
+    expected_date DATE NULL,
+    received_quantity INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (po_item_id),
+    INDEX idx_po_items_po (po_id),
+    INDEX idx_po_items_item (item_id),
+    CONSTRAINT fk_po_items_po FOREIGN KEY (po_id) REFERENCES purchase_orders (po_id) ON DELETE CASCADE,
+    CONSTRAINT fk_po_items_item FOREIGN KEY (item_id) REFERENCES items (item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO purchase_order_items (
+    po_id, line_no, item_id, quantity, unit_price,
+    tax_rate, tax_amount, line_total, expected_date, received_quantity
+)
+SELECT
+    po.po_id, 1, po.item_id, po.quantity, po.unit_price,
+    0, 0, po.total_amount, po.expected_delivery_date,
+    CASE WHEN po.status = 'delivered' THEN po.quantity ELSE 0 END
+FROM purchase_orders po
+WHERE po.item_id IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM purchase_order_items poi WHERE poi.po_id = po.po_id);
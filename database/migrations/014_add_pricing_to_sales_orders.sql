@@ -0,0 +1,22 @@
+-- ============================================================================
+-- 014: Multi-line sales orders with order discount and tax
+-- ============================================================================
+-- total_amount = subtotal - discount_amount + tax_amount. tax_rate stays
+-- NULL until invoicing when the order does not set one. Invoices carry the
+-- order discount so their totals match the order.
+--
+-- Existing orders had no discount or tax, so their subtotal is their total.
+-- ============================================================================
+
+ALTER TABLE sales_orders
+    ADD COLUMN subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN discount_type ENUM('percent','amount') NULL,
+    ADD COLUMN discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN tax_rate DECIMAL(5,2) NULL,
+    ADD COLUMN tax_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+UPDATE sales_orders SET subtotal = total_amount;
+
+ALTER TABLE invoices
+    ADD COLUMN discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER subtotal;
@@ -0,0 +1,43 @@
+-- ============================================================================
+-- 015: Partial goods receipts (GoodsReceiptRepository)
+-- ============================================================================
+-- Every receipt against a PO is a GR document (GR-YYYY-NNNNNN) with one row
+-- per PO line received. open_after is the line balance left after that
+-- receipt, kept for the receipt history.
+--
+-- purchase_orders.status gains 'partially_received' (some lines or part of
+-- a line received, the rest still open) between approved and delivered.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS goods_receipts (
+    gr_id INT NOT NULL AUTO_INCREMENT,
+    gr_number VARCHAR(20) NOT NULL,
+    po_id INT NOT NULL,
+    received_by INT NOT NULL,
+    received_at DATETIME NOT NULL,
+    notes TEXT NULL,
+    PRIMARY KEY (gr_id),
+    UNIQUE KEY uq_goods_receipts_number (gr_number),
+    INDEX idx_goods_receipts_po (po_id),
+    CONSTRAINT fk_goods_receipts_po FOREIGN KEY (po_id) REFERENCES purchase_orders (po_id),
+    CONSTRAINT fk_goods_receipts_user FOREIGN KEY (received_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS goods_receipt_items (
+    gr_item_id INT NOT NULL AUTO_INCREMENT,
+    gr_id INT NOT NULL,
+    po_item_id INT NOT NULL,
+    item_id INT NOT NULL,
+    quantity INT NOT NULL,
+    open_after INT NOT NULL,
+    PRIMARY KEY (gr_item_id),
+    INDEX idx_gr_items_gr (gr_id),
+    INDEX idx_gr_items_po_item (po_item_id),
+    CONSTRAINT fk_gr_items_gr FOREIGN KEY (gr_id) REFERENCES goods_receipts (gr_id) ON DELETE CASCADE,
+    CONSTRAINT fk_gr_items_po_item FOREIGN KEY (po_item_id) REFERENCES purchase_order_items (po_item_id),
+    CONSTRAINT fk_gr_items_item FOREIGN KEY (item_id) REFERENCES items (item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE purchase_orders
+    MODIFY COLUMN status ENUM('pending','approved','partially_received','delivered','cancelled')
+        NOT NULL DEFAULT 'pending';
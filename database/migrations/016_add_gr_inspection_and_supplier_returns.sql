@@ -0,0 +1,57 @@
+-- ============================================================================
+-- 016: GR quality inspection and return-to-supplier documents
+-- ============================================================================
+-- A receipt line's quantity is what was delivered: accepted + rejected +
+-- on hold. On-hold goods wait for a release decision; rejected goods leave
+-- on return-to-supplier documents (RTS-YYYY-NNNNNN), posted as transactions
+-- with reference_type 'RETURN_TO_SUPPLIER'.
+--
+-- Receipts from before inspection were accepted in full.
+-- ============================================================================
+
+ALTER TABLE goods_receipt_items
+    ADD COLUMN accepted_quantity INT NOT NULL DEFAULT 0 AFTER quantity,
+    ADD COLUMN rejected_quantity INT NOT NULL DEFAULT 0 AFTER accepted_quantity,
+    ADD COLUMN on_hold_quantity INT NOT NULL DEFAULT 0 AFTER rejected_quantity,
+    ADD COLUMN reject_reason VARCHAR(255) NULL AFTER on_hold_quantity,
+    ADD COLUMN hold_reason VARCHAR(255) NULL AFTER reject_reason,
+    ADD COLUMN photos TEXT NULL AFTER hold_reason;
+
+UPDATE goods_receipt_items SET accepted_quantity = quantity;
+
+CREATE TABLE IF NOT EXISTS supplier_returns (
+    return_id INT NOT NULL AUTO_INCREMENT,
+    rts_number VARCHAR(20) NOT NULL,
+    supplier_id INT NOT NULL,
+    po_id INT NOT NULL,
+    gr_id INT NOT NULL,
+    status ENUM('open','shipped','closed') NOT NULL DEFAULT 'open',
+    notes TEXT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    PRIMARY KEY (return_id),
+    UNIQUE KEY uq_supplier_returns_number (rts_number),
+    INDEX idx_supplier_returns_supplier (supplier_id),
+    INDEX idx_supplier_returns_gr (gr_id),
+    CONSTRAINT fk_supplier_returns_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers (supplier_id),
+    CONSTRAINT fk_supplier_returns_po FOREIGN KEY (po_id) REFERENCES purchase_orders (po_id),
+    CONSTRAINT fk_supplier_returns_gr FOREIGN KEY (gr_id) REFERENCES goods_receipts (gr_id),
+    CONSTRAINT fk_supplier_returns_user FOREIGN KEY (created_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS supplier_return_items (
+    return_item_id INT NOT NULL AUTO_INCREMENT,
+    return_id INT NOT NULL,
+    gr_item_id INT NOT NULL,
+    po_item_id INT NOT NULL,
+    item_id INT NOT NULL,
+    quantity INT NOT NULL,
+    unit_price DECIMAL(12,2) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    PRIMARY KEY (return_item_id),
+    INDEX idx_supplier_return_items_return (return_id),
+    CONSTRAINT fk_supplier_return_items_return FOREIGN KEY (return_id) REFERENCES supplier_returns (return_id) ON DELETE CASCADE,
+    CONSTRAINT fk_supplier_return_items_gr_item FOREIGN KEY (gr_item_id) REFERENCES goods_receipt_items (gr_item_id),
+    CONSTRAINT fk_supplier_return_items_item FOREIGN KEY (item_id) REFERENCES items (item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- 018: Cycle counting sessions (StockCountRepository, StockCountService)
+-- ============================================================================
+-- A session snapshots the system quantity of every item in scope when it is
+-- created; counters fill in what they find and an admin approves the
+-- variances. Approved adjustments are posted as transactions with
+-- reference_type 'STOCK_COUNT' and a reason code (StockCountService::REASON_CODES).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_counts (
+    count_id INT NOT NULL AUTO_INCREMENT,
+    count_number VARCHAR(20) NOT NULL,
+    scope_type ENUM('all','category') NOT NULL DEFAULT 'all',
+    category_id INT NULL,
+    assigned_to INT NOT NULL,
+    blind TINYINT(1) NOT NULL DEFAULT 1,
+    status ENUM('open','counting','submitted','approved','cancelled') NOT NULL DEFAULT 'open',
+    notes TEXT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    submitted_at DATETIME NULL,
+    approved_by INT NULL,
+    approved_at DATETIME NULL,
+    PRIMARY KEY (count_id),
+    UNIQUE KEY uq_stock_counts_number (count_number),
+    INDEX idx_stock_counts_status (status),
+    INDEX idx_stock_counts_assigned (assigned_to),
+    CONSTRAINT fk_stock_counts_category FOREIGN KEY (category_id) REFERENCES categories (category_id),
+    CONSTRAINT fk_stock_counts_assigned FOREIGN KEY (assigned_to) REFERENCES users (user_id),
+    CONSTRAINT fk_stock_counts_creator FOREIGN KEY (created_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS stock_count_items (
+    count_item_id INT NOT NULL AUTO_INCREMENT,
+    count_id INT NOT NULL,
+    item_id INT NOT NULL,
+    system_quantity INT NOT NULL,
+    counted_quantity INT NULL,
+    counted_by INT NULL,
+    counted_at DATETIME NULL,
+    reason_code VARCHAR(30) NULL,
+    adjustment_quantity INT NULL,
+    PRIMARY KEY (count_item_id),
+    UNIQUE KEY uq_stock_count_items (count_id, item_id),
+    CONSTRAINT fk_stock_count_items_count FOREIGN KEY (count_id) REFERENCES stock_counts (count_id) ON DELETE CASCADE,
+    CONSTRAINT fk_stock_count_items_item FOREIGN KEY (item_id) REFERENCES items (item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE transactions
+    ADD COLUMN reason_code VARCHAR(30) NULL AFTER reference_number;
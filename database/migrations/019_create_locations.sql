@@ -0,0 +1,74 @@
+-- ============================================================================
+-- 019: Warehouses, zones and bins with per-location stock
+-- ============================================================================
+-- Stock is still calculated from transactions; each movement now records the
+-- location it happened at. location_id NULL means the default warehouse, so
+-- movements, receipts and counts from before locations existed keep NULL and
+-- count there.
+--
+-- path holds the ancestors then the location itself ('/1/4/9/') for subtree
+-- filters. Exactly one warehouse is the default.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS locations (
+    location_id INT NOT NULL AUTO_INCREMENT,
+    parent_id INT NULL,
+    location_type ENUM('warehouse','zone','bin') NOT NULL,
+    code VARCHAR(30) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    is_default TINYINT(1) NOT NULL DEFAULT 0,
+    status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (location_id),
+    UNIQUE KEY uq_locations_code (code),
+    INDEX idx_locations_parent (parent_id),
+    INDEX idx_locations_path (path),
+    CONSTRAINT fk_locations_parent FOREIGN KEY (parent_id) REFERENCES locations (location_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO locations (location_id, location_type, code, name, path, is_default, status, created_at)
+SELECT 1, 'warehouse', 'MAIN', 'Main Warehouse', '/1/', 1, 'active', NOW()
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM locations WHERE is_default = 1);
+
+ALTER TABLE transactions
+    ADD COLUMN location_id INT NULL,
+    ADD INDEX idx_transactions_location (location_id),
+    ADD CONSTRAINT fk_transactions_location FOREIGN KEY (location_id) REFERENCES locations (location_id);
+
+ALTER TABLE goods_receipts
+    ADD COLUMN location_id INT NULL AFTER notes,
+    ADD CONSTRAINT fk_goods_receipts_location FOREIGN KEY (location_id) REFERENCES locations (location_id);
+
+ALTER TABLE stock_counts
+    ADD COLUMN location_id INT NULL AFTER category_id,
+    ADD CONSTRAINT fk_stock_counts_location FOREIGN KEY (location_id) REFERENCES locations (location_id);
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    transfer_id INT NOT NULL AUTO_INCREMENT,
+    transfer_number VARCHAR(20) NOT NULL,
+    from_location_id INT NOT NULL,
+    to_location_id INT NOT NULL,
+    notes TEXT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (transfer_id),
+    UNIQUE KEY uq_stock_transfers_number (transfer_number),
+    INDEX idx_stock_transfers_from (from_location_id),
+    INDEX idx_stock_transfers_to (to_location_id),
+    CONSTRAINT fk_stock_transfers_from FOREIGN KEY (from_location_id) REFERENCES locations (location_id),
+    CONSTRAINT fk_stock_transfers_to FOREIGN KEY (to_location_id) REFERENCES locations (location_id),
+    CONSTRAINT fk_stock_transfers_user FOREIGN KEY (created_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    transfer_item_id INT NOT NULL AUTO_INCREMENT,
+    transfer_id INT NOT NULL,
+    item_id INT NOT NULL,
+    quantity INT NOT NULL,
+    PRIMARY KEY (transfer_item_id),
+    INDEX idx_stock_transfer_items_transfer (transfer_id),
+    CONSTRAINT fk_stock_transfer_items_transfer FOREIGN KEY (transfer_id) REFERENCES stock_transfers (transfer_id) ON DELETE CASCADE,
+    CONSTRAINT fk_stock_transfer_items_item FOREIGN KEY (item_id) REFERENCES items (item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- 020: Lot and serial tracking (TrackingRepository, TrackingService)
+-- ============================================================================
+-- Quantities still come from transactions; tracking_movements records which
+-- lots / serials each transaction moved, which gives lot balances per
+-- location and the full history of every unit. Existing items stay
+-- untracked ('none').
+-- ============================================================================
+
+ALTER TABLE items
+    ADD COLUMN tracking_type ENUM('none','lot','serial') NOT NULL DEFAULT 'none';
+
+CREATE TABLE IF NOT EXISTS item_lots (
+    lot_id INT NOT NULL AUTO_INCREMENT,
+    item_id INT NOT NULL,
+    lot_number VARCHAR(50) NOT NULL,
+    gr_id INT NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (lot_id),
+    UNIQUE KEY uq_item_lots (item_id, lot_number),
+    CONSTRAINT fk_item_lots_item FOREIGN KEY (item_id) REFERENCES items (item_id),
+    CONSTRAINT fk_item_lots_gr FOREIGN KEY (gr_id) REFERENCES goods_receipts (gr_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS item_serials (
+    serial_id INT NOT NULL AUTO_INCREMENT,
+    item_id INT NOT NULL,
+    serial_number VARCHAR(100) NOT NULL,
+    status ENUM('in_stock','issued') NOT NULL DEFAULT 'in_stock',
+    location_id INT NULL,
+    gr_id INT NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (serial_id),
+    UNIQUE KEY uq_item_serials (item_id, serial_number),
+    INDEX idx_item_serials_number (serial_number),
+    CONSTRAINT fk_item_serials_item FOREIGN KEY (item_id) REFERENCES items (item_id),
+    CONSTRAINT fk_item_serials_location FOREIGN KEY (location_id) REFERENCES locations (location_id),
+    CONSTRAINT fk_item_serials_gr FOREIGN KEY (gr_id) REFERENCES goods_receipts (gr_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS tracking_movements (
+    tracking_movement_id INT NOT NULL AUTO_INCREMENT,
+    transaction_id INT NOT NULL,
+    item_id INT NOT NULL,
+    lot_id INT NULL,
+    serial_id INT NULL,
+    quantity INT NOT NULL,
+    PRIMARY KEY (tracking_movement_id),
+    INDEX idx_tracking_movements_transaction (transaction_id),
+    INDEX idx_tracking_movements_lot (lot_id),
+    INDEX idx_tracking_movements_serial (serial_id),
+    CONSTRAINT fk_tracking_movements_transaction FOREIGN KEY (transaction_id) REFERENCES transactions (transaction_id),
+    CONSTRAINT fk_tracking_movements_item FOREIGN KEY (item_id) REFERENCES items (item_id),
+    CONSTRAINT fk_tracking_movements_lot FOREIGN KEY (lot_id) REFERENCES item_lots (lot_id),
+    CONSTRAINT fk_tracking_movements_serial FOREIGN KEY (serial_id) REFERENCES item_serials (serial_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
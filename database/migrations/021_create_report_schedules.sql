@@ -0,0 +1,32 @@
+-- ============================================================================
+-- 021: Scheduled report emails (ReportScheduleRepository)
+-- ============================================================================
+-- A report type with its filters, rendered in one format and emailed to a
+-- list of recipients daily, weekly or monthly. run_day is 1 (Monday) to
+-- 7 (Sunday) for weekly schedules and 1-28 for monthly ones.
+-- cron/process-report-schedules.php sends the ones that are due.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS report_schedules (
+    schedule_id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    report_type VARCHAR(20) NOT NULL,
+    filters JSON NULL,
+    format ENUM('csv','xlsx','pdf') NOT NULL DEFAULT 'pdf',
+    recipients TEXT NOT NULL,
+    frequency ENUM('daily','weekly','monthly') NOT NULL,
+    run_time TIME NOT NULL DEFAULT '07:00:00',
+    run_day TINYINT NULL,
+    status ENUM('active','paused') NOT NULL DEFAULT 'active',
+    next_run_at DATETIME NULL,
+    last_run_at DATETIME NULL,
+    last_status ENUM('sent','failed') NULL,
+    last_error VARCHAR(255) NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    PRIMARY KEY (schedule_id),
+    INDEX idx_report_schedules_due (status, next_run_at),
+    INDEX idx_report_schedules_creator (created_by),
+    CONSTRAINT fk_report_schedules_user FOREIGN KEY (created_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- 022: Saved custom report definitions (CustomReportRepository)
+-- ============================================================================
+-- definition holds {columns, filters, group_by, aggregates, sort, limit} as
+-- normalized by CustomReportService. A report is private to its creator
+-- unless shared.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS custom_reports (
+    report_id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    source VARCHAR(30) NOT NULL,
+    definition JSON NOT NULL,
+    is_shared TINYINT(1) NOT NULL DEFAULT 0,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    last_run_at DATETIME NULL,
+    PRIMARY KEY (report_id),
+    INDEX idx_custom_reports_creator (created_by),
+    INDEX idx_custom_reports_shared (is_shared),
+    CONSTRAINT fk_custom_reports_user FOREIGN KEY (created_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- 023: Background report exports (ExportJobRepository, ExportJobService)
+-- ============================================================================
+-- cron/process-report-exports.php runs queued jobs and writes the files under
+-- storage/exports; file_path is relative to that directory. Finished files
+-- expire and are removed after expires_at.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS report_exports (
+    export_id INT NOT NULL AUTO_INCREMENT,
+    report_type VARCHAR(30) NOT NULL,
+    format ENUM('csv','xlsx','pdf') NOT NULL,
+    filters JSON NULL,
+    status ENUM('queued','running','completed','failed','expired') NOT NULL DEFAULT 'queued',
+    rows_total INT NULL,
+    rows_done INT NOT NULL DEFAULT 0,
+    file_name VARCHAR(150) NULL,
+    file_path VARCHAR(255) NULL,
+    file_size INT NULL,
+    error VARCHAR(255) NULL,
+    requested_by INT NOT NULL,
+    created_at DATETIME NOT NULL,
+    started_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    expires_at DATETIME NULL,
+    PRIMARY KEY (export_id),
+    INDEX idx_report_exports_status (status),
+    INDEX idx_report_exports_requester (requested_by, created_at),
+    CONSTRAINT fk_report_exports_user FOREIGN KEY (requested_by) REFERENCES users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
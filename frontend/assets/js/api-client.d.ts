@@ -0,0 +1,626 @@
+// ============================================================================
+// JANSTRO API CLIENT - TYPE DECLARATIONS
+// ============================================================================
+// Generated by tools/generate-api-client.js from
+// Janstro_API.postman_collection.json - do not edit by hand.
+// ============================================================================
+
+export {};
+
+declare global {
+  interface ApiResponse<T = any> {
+    success: boolean;
+    message?: string;
+    data: T;
+    errors?: Record<string, string>;
+    /** Set when the request was stored in the offline queue */
+    queued?: boolean;
+  }
+
+  interface PageResult<T = any> {
+    items: T[];
+    total: number;
+    page: number;
+    perPage: number;
+    totalPages: number;
+    sort?: string;
+    order?: string;
+    summary: Record<string, any> | null;
+  }
+
+  interface PageParams {
+    page?: number;
+    per_page?: number;
+    sort?: string;
+    order?: "asc" | "desc";
+    search?: string;
+    date_from?: string;
+    date_to?: string;
+    [filter: string]: string | number | undefined;
+  }
+
+  /** Body for POST auth/login */
+  interface LoginRequest {
+    username: string;
+    password: string;
+  }
+
+  /** Body for POST inventory */
+  interface CreateItemRequest {
+    item_name: string;
+    category_id: number;
+    quantity: number;
+    unit: string;
+    reorder_level: number;
+    unit_price: number;
+  }
+
+  /** Body for PUT inventory/{id} */
+  interface UpdateItemRequest {
+    quantity?: number;
+    unit_price?: number;
+  }
+
+  /** Body for POST purchase-orders */
+  interface CreatePurchaseOrderRequest {
+    supplier_id: number;
+    expected_delivery_date: string;
+    notes: string;
+    lines: Array<{
+      item_id: number;
+      quantity: number;
+      unit_price: number;
+      tax_rate: number;
+      expected_date: string;
+    }>;
+  }
+
+  /** Body for POST purchase-orders/{id}/receive */
+  interface ReceiveGoodsRequest {
+    lines: Array<{
+      po_item_id: number;
+      quantity: number;
+      rejected_quantity: number;
+      reject_reason: string;
+      photos: Array<string>;
+    }>;
+    notes: string;
+  }
+
+  /** Body for POST goods-receipts/{id}/release */
+  interface ReleaseOnHoldRequest {
+    lines: Array<{
+      gr_item_id: number;
+      accept: number;
+      reject: number;
+      reject_reason: string;
+    }>;
+  }
+
+  /** Body for POST users */
+  interface CreateUserRequest {
+    username: string;
+    password: string;
+    name: string;
+    role_id: number;
+    contact_no: string;
+  }
+
+  /** Body for PUT users/{id} */
+  interface UpdateUserRequest {
+    name?: string;
+    contact_no?: string;
+  }
+
+  /** Body for POST stock-requirements/{id}/alert */
+  interface SendShortageAlertRequest {
+    note: string;
+  }
+
+  /** Body for POST stock-requirements/batch-generate-pr */
+  interface BatchGeneratePRRequest {
+    requirement_ids: Array<number>;
+  }
+
+  /** Body for POST purchase-requisitions/create-from-shortage */
+  interface CreatePRFromShortageRequest {
+    sales_order_id: number;
+    item_id: number;
+    required_quantity: number;
+  }
+
+  /** Body for POST sales-orders */
+  interface CreateSalesOrderRequest {
+    customer_id: number;
+    customer_order_number: string;
+    delivery_address: string;
+    installation_date: string;
+    lines: Array<{
+      item_id: number;
+      quantity: number;
+    }>;
+    discount_type: string;
+    discount_value: number;
+    tax_rate: number;
+    notes: string;
+  }
+
+  /** Body for POST supplier-returns/{id}/status */
+  interface UpdateSupplierReturnStatusRequest {
+    status: string;
+  }
+
+  /** Body for POST stock-counts */
+  interface CreateStockCountRequest {
+    scope_type: string;
+    category_id: number;
+    assigned_to: number;
+    blind: boolean;
+    notes: string;
+  }
+
+  /** Body for POST stock-counts/{id}/counts */
+  interface SaveCountedQuantitiesRequest {
+    lines: Array<{
+      item_id: number;
+      counted_quantity: number;
+    }>;
+  }
+
+  /** Body for POST stock-counts/{id}/approve */
+  interface ApproveStockCountRequest {
+    lines: Array<{
+      item_id: number;
+      reason_code: string;
+    }>;
+  }
+
+  /** Body for POST stock-counts/{id}/recount */
+  interface RequestRecountRequest {
+    reason: string;
+  }
+
+  /** Body for POST locations */
+  interface CreateLocationRequest {
+    location_type: string;
+    parent_id: number;
+    code: string;
+    name: string;
+  }
+
+  /** Body for PUT locations/{id} */
+  interface UpdateLocationRequest {
+    name?: string;
+    status?: string;
+  }
+
+  /** Body for POST stock-transfers */
+  interface CreateStockTransferRequest {
+    from_location_id: number;
+    to_location_id: number;
+    notes: string;
+    lines: Array<{
+      item_id: number;
+      quantity: number;
+    }>;
+  }
+
+  /** Body for POST report-schedules */
+  interface CreateReportScheduleRequest {
+    name: string;
+    report_type: string;
+    format: string;
+    recipients: string;
+    frequency: string;
+    run_time: string;
+    run_day: number;
+    location_id: any;
+    period_days: number;
+  }
+
+  /** Body for POST report-schedules/send */
+  interface EmailReportNowRequest {
+    report_type: string;
+    format: string;
+    recipients: string;
+    location_id: any;
+    date_from: string;
+    date_to: string;
+  }
+
+  /** Body for POST custom-reports/run */
+  interface PreviewCustomReportRequest {
+    name: string;
+    source: string;
+    definition: {
+      columns: any[];
+      filters: Array<{
+        field: string;
+        op: string;
+        value: number;
+      }>;
+      group_by: Array<string>;
+      aggregates: Array<{
+        fn: string;
+        field: string;
+      }>;
+      sort: Array<{
+        key: string;
+        dir: string;
+      }>;
+      limit: number;
+    };
+  }
+
+  /** Body for POST custom-reports */
+  interface CreateCustomReportRequest {
+    name: string;
+    description: string;
+    source: string;
+    definition: {
+      columns: any[];
+      filters: Array<{
+        field: string;
+        op: string;
+        value: number;
+      }>;
+      group_by: Array<string>;
+      aggregates: Array<{
+        fn: string;
+        field: string;
+      }>;
+      sort: Array<{
+        key: string;
+        dir: string;
+      }>;
+      limit: number;
+    };
+    is_shared: boolean;
+  }
+
+  /** Body for PUT custom-reports/{id} */
+  interface UpdateCustomReportRequest {
+    name?: string;
+    description?: string;
+    source?: string;
+    definition?: {
+      columns?: any[];
+      filters?: Array<{
+        field?: string;
+        op?: string;
+        value?: number;
+      }>;
+      group_by?: Array<string>;
+      aggregates?: Array<{
+        fn?: string;
+        field?: string;
+      }>;
+      sort?: Array<{
+        key?: string;
+        dir?: string;
+      }>;
+      limit?: number;
+    };
+    is_shared?: boolean;
+  }
+
+  /** Body for POST report-exports */
+  interface StartReportExportRequest {
+    report_type: string;
+    format: string;
+    location_id: any;
+    date_from: string;
+    date_to: string;
+  }
+
+  interface JanstroAPI {
+    init(): any;
+    getToken(): any;
+    saveToken(token: any): any;
+    clearToken(): any;
+    setupTokenRefresh(): any;
+    scheduleTokenRefresh(): any;
+    refreshToken(): any;
+    handleSessionExpired(endpoint: any): any;
+    getHeaders(): any;
+    request(endpoint: any, options?: any): Promise<any>;
+    performRequest(endpoint: any, options?: any): Promise<any>;
+    buildFetchConfig(options: any, method: any, signal: any, idempotencyKey: any): any;
+    isRetryableError(error: any): any;
+    generateIdempotencyKey(): any;
+    createAbortError(endpoint: any): any;
+    cachedRequest(resource: any, endpoint: any): Promise<any>;
+    fetchAndCache(resource: any, endpoint: any): Promise<any>;
+    revalidateCache(resource: any, endpoint: any): any;
+    readCache(resource: any): any;
+    writeCache(resource: any, data: any): any;
+    invalidateCache(resources: any, broadcast?: any): any;
+    invalidateCacheFor(endpoint: any): any;
+    emitDomainEvents(endpoint: any, method: any, data: any, body: any): any;
+    onCacheChange(resources: any, handler: any): any;
+    clearCache(): any;
+    setupCacheChannel(): any;
+    isQueueable(endpoint: any, method: any, options?: any): any;
+    openQueueDB(): any;
+    queueStore(mode: any, operation: any): Promise<any>;
+    loadQueue(): Promise<any>;
+    enqueueRequest(endpoint: any, method: any, body?: any, idempotencyKey?: any): Promise<any>;
+    removeQueuedRequest(id: any): Promise<any>;
+    getPendingCount(): any;
+    notifyQueueChange(): any;
+    processQueue(): Promise<any>;
+    /** POST auth/login */
+    login(username: any, password: any): Promise<any>;
+    /** POST auth/logout */
+    logout(): Promise<any>;
+    /** GET auth/me */
+    getCurrentUser(): Promise<any>;
+    /** GET inventory, GET inventory */
+    getInventory(filters?: any): Promise<any>;
+    /** GET inventory */
+    getInventoryPage(params?: PageParams): Promise<PageResult>;
+    /** GET items/{id} */
+    getItem(itemId: any): Promise<any>;
+    /** GET inventory/lookup */
+    getItemBySku(sku: any): Promise<any>;
+    /** POST items */
+    createItem(itemData: any): Promise<any>;
+    /** PUT items/{id} */
+    updateItem(itemId: any, itemData: any): Promise<any>;
+    /** DELETE items/{id} */
+    deleteItem(itemId: any): Promise<any>;
+    /** GET inventory/status */
+    getInventoryStatus(): Promise<any>;
+    /** GET inventory/low-stock */
+    getLowStock(filters?: any): Promise<any>;
+    /** GET categories */
+    getCategories(): Promise<any>;
+    /** GET categories/{id} */
+    getCategory(categoryId: any): Promise<any>;
+    /** POST categories */
+    createCategory(categoryData: any): Promise<any>;
+    /** GET suppliers */
+    getSuppliers(): Promise<any>;
+    /** GET suppliers/{id} */
+    getSupplier(supplierId: any): Promise<any>;
+    /** POST suppliers */
+    createSupplier(supplierData: any): Promise<any>;
+    /** PUT suppliers/{id} */
+    updateSupplier(supplierId: any, supplierData: any): Promise<any>;
+    /** DELETE suppliers/{id} */
+    deleteSupplier(supplierId: any): Promise<any>;
+    /** GET purchase-orders */
+    getPurchaseOrders(): Promise<any>;
+    /** GET purchase-orders */
+    getPurchaseOrdersPage(params?: PageParams): Promise<PageResult>;
+    /** GET purchase-orders/{id} */
+    getPurchaseOrder(poId: any): Promise<any>;
+    /** POST purchase-orders */
+    createPurchaseOrder(poData: CreatePurchaseOrderRequest): Promise<any>;
+    /** POST purchase-orders/{id}/approve */
+    approvePurchaseOrder(poId: any): Promise<any>;
+    /** POST purchase-orders/{id}/receive */
+    receiveGoods(poId: any, data: ReceiveGoodsRequest): Promise<any>;
+    /** GET sales-orders */
+    getSalesOrders(): Promise<any>;
+    /** GET sales-orders */
+    getSalesOrdersPage(params?: PageParams): Promise<PageResult>;
+    /** GET sales-orders/{id} */
+    getSalesOrder(soId: any): Promise<any>;
+    /** POST sales-orders */
+    createSalesOrder(soData: CreateSalesOrderRequest): Promise<any>;
+    /** POST sales-orders/{id}/complete */
+    completeSalesOrder(soId: any): Promise<any>;
+    /** GET invoices */
+    getInvoices(): Promise<any>;
+    /** GET invoices/{id} */
+    getInvoice(invoiceId: any): Promise<any>;
+    /** POST invoices/generate/{id} */
+    generateInvoice(salesOrderId: any): Promise<any>;
+    /** GET customers */
+    getCustomers(): Promise<any>;
+    /** GET customers/{id} */
+    getCustomer(customerId: any): Promise<any>;
+    /** POST customers */
+    createCustomer(customerData: any): Promise<any>;
+    /** PUT customers/{id} */
+    updateCustomer(customerId: any, customerData: any): Promise<any>;
+    /** GET transactions */
+    getStockMovements(filters?: any): Promise<any>;
+    /** GET transactions */
+    getStockMovementsPage(params?: PageParams): Promise<PageResult>;
+    getTransactionHistory(filters?: any): Promise<any>;
+    /** GET stock-requirements */
+    getStockRequirements(): Promise<any>;
+    /** GET purchase-requisitions */
+    getPRs(): Promise<any>;
+    /** POST purchase-requisitions/{id}/approve */
+    approvePR(prId: any): Promise<any>;
+    /** POST purchase-requisitions/{id}/reject */
+    rejectPR(prId: any, reason: any): Promise<any>;
+    /** POST purchase-requisitions/{id}/convert-to-po */
+    convertPRtoPO(prId: any, data: any): Promise<any>;
+    getDashboardStats(filters?: any): Promise<any>;
+    /** GET reports/inventory-summary */
+    getInventorySummary(): Promise<any>;
+    /** GET reports/transactions */
+    getTransactionReport(filters?: any): Promise<any>;
+    /** GET reports/low-stock */
+    getLowStockReport(): Promise<any>;
+    /** GET users */
+    getUsers(): Promise<any>;
+    /** GET users/{id} */
+    getUser(userId: any): Promise<any>;
+    /** POST users */
+    createUser(userData: CreateUserRequest): Promise<any>;
+    /** PUT users/{id} */
+    updateUser(userId: any, userData: UpdateUserRequest): Promise<any>;
+    /** DELETE users/{id} */
+    deleteUser(userId: any): Promise<any>;
+    /** GET email-settings */
+    getEmailSettings(): Promise<any>;
+    /** POST email-settings/save */
+    saveEmailSettings(data: any): Promise<any>;
+    /** POST email-settings/test */
+    testEmail(testEmail: any): Promise<any>;
+    /** PUT users/{id}/profile */
+    updateUserProfile(userId: any, data: any): Promise<any>;
+    /** POST users/{id}/change-password */
+    changeUserPassword(userId: any, data: any): Promise<any>;
+    /** GET audit-logs */
+    getAuditLogs(filters?: any): Promise<any>;
+    isAuthenticated(): any;
+    getCurrentUserData(): any;
+    hasRole(allowedRoles: any): any;
+    safeCall(apiFunction: any, fallback?: any): Promise<any>;
+    categorizeError(error: any): any;
+    /** GET analytics/dashboard */
+    getAnalyticsDashboard(filters?: any): Promise<any>;
+    /** GET analytics/inventory */
+    getInventoryAnalysis(): Promise<any>;
+    /** GET analytics/suppliers */
+    getSupplierPerformance(): Promise<any>;
+    /** GET analytics/sales-forecast */
+    getSalesForecast(): Promise<any>;
+    /** GET analytics/abc-analysis */
+    getABCAnalysis(): Promise<any>;
+    /** GET analytics/stock-velocity */
+    getStockVelocity(days?: any): Promise<any>;
+    getEventStreamURL(lastEventId?: any): any;
+    /** GET events/poll */
+    pollEvents(since?: any, after?: any, options?: any): Promise<any>;
+    requestPage(endpoint: any, params?: any, options?: any): Promise<any>;
+    normalizePageResponse(response: any): any;
+    validateResponse(endpoint: any, method: any, data: any): any;
+    normalizeArrayResponse(response: any): any;
+    normalizeObjectResponse(response: any): any;
+    /** GET inventory/{id} */
+    getItemByID(id: number | string): Promise<ApiResponse>;
+    /** GET purchase-orders/{id}/receipts */
+    getGoodsReceipts(id: number | string): Promise<ApiResponse>;
+    /** GET purchase-orders/backorders */
+    getBackorders(query?: { supplier_id?: string | number }): Promise<ApiResponse>;
+    /** POST goods-receipts/{id}/release */
+    releaseOnHold(id: number | string, data: ReleaseOnHoldRequest): Promise<ApiResponse>;
+    /** GET stock-requirements/summary */
+    getStockRequirementsSummary(): Promise<ApiResponse>;
+    /** POST stock-requirements/{id}/alert */
+    sendShortageAlert(id: number | string, data: SendShortageAlertRequest): Promise<ApiResponse>;
+    /** POST stock-requirements/batch-generate-pr */
+    batchGeneratePR(data: BatchGeneratePRRequest): Promise<ApiResponse>;
+    /** POST purchase-requisitions/create-from-shortage */
+    createPRFromShortage(data: CreatePRFromShortageRequest): Promise<ApiResponse>;
+    /** GET invoices/stats */
+    getInvoiceStats(): Promise<ApiResponse>;
+    /** GET bom/templates */
+    getBOMTemplates(): Promise<ApiResponse>;
+    /** GET bom/{id}/versions */
+    getBOMVersions(id: number | string): Promise<ApiResponse>;
+    /** GET email/logs */
+    getEmailLogs(query?: { limit?: string | number }): Promise<ApiResponse>;
+    /** GET notifications */
+    getNotifications(query?: { unread?: string | number; limit?: string | number }): Promise<ApiResponse>;
+    /** POST notifications/{id}/read */
+    markNotificationRead(id: number | string): Promise<ApiResponse>;
+    /** POST notifications/read-all */
+    markAllNotificationsRead(): Promise<ApiResponse>;
+    /** GET supplier-returns */
+    getSupplierReturns(query?: { supplier_id?: string | number; status?: string | number }): Promise<ApiResponse>;
+    /** GET supplier-returns/{id} */
+    getSupplierReturn(id: number | string): Promise<ApiResponse>;
+    /** POST supplier-returns/{id}/status */
+    updateSupplierReturnStatus(id: number | string, data: UpdateSupplierReturnStatusRequest): Promise<ApiResponse>;
+    /** GET stock-counts */
+    getStockCounts(query?: { status?: string | number }): Promise<ApiResponse>;
+    /** GET stock-counts/{id} */
+    getStockCount(id: number | string): Promise<ApiResponse>;
+    /** GET stock-counts/reason-codes */
+    getCountReasonCodes(): Promise<ApiResponse>;
+    /** GET stock-counts/counters */
+    getCountAssignees(): Promise<ApiResponse>;
+    /** POST stock-counts */
+    createStockCount(data: CreateStockCountRequest): Promise<ApiResponse>;
+    /** POST stock-counts/{id}/counts */
+    saveCountedQuantities(id: number | string, data: SaveCountedQuantitiesRequest): Promise<ApiResponse>;
+    /** POST stock-counts/{id}/submit */
+    submitStockCount(id: number | string): Promise<ApiResponse>;
+    /** POST stock-counts/{id}/approve */
+    approveStockCount(id: number | string, data: ApproveStockCountRequest): Promise<ApiResponse>;
+    /** POST stock-counts/{id}/recount */
+    requestRecount(id: number | string, data: RequestRecountRequest): Promise<ApiResponse>;
+    /** POST stock-counts/{id}/cancel */
+    cancelStockCount(id: number | string): Promise<ApiResponse>;
+    /** GET locations */
+    getLocations(query?: { active?: string | number }): Promise<ApiResponse>;
+    /** GET locations/stock */
+    getLocationStock(query?: { location_id?: string | number }): Promise<ApiResponse>;
+    /** POST locations */
+    createLocation(data: CreateLocationRequest): Promise<ApiResponse>;
+    /** PUT locations/{id} */
+    updateLocation(id: number | string, data: UpdateLocationRequest): Promise<ApiResponse>;
+    /** GET inventory/{id}/locations */
+    getItemLocations(id: number | string): Promise<ApiResponse>;
+    /** GET stock-transfers */
+    getStockTransfers(query?: { location_id?: string | number }): Promise<ApiResponse>;
+    /** GET stock-transfers/{id} */
+    getStockTransfer(id: number | string): Promise<ApiResponse>;
+    /** POST stock-transfers */
+    createStockTransfer(data: CreateStockTransferRequest): Promise<ApiResponse>;
+    /** GET tracking/lookup */
+    lookupTrackedUnits(query?: { q?: string | number }): Promise<ApiResponse>;
+    /** GET tracking/available */
+    getAvailableUnits(query?: { item_id?: string | number; location_id?: string | number }): Promise<ApiResponse>;
+    /** GET tracking/serials/{id} */
+    getSerialTrace(id: number | string): Promise<ApiResponse>;
+    /** GET tracking/lots/{id} */
+    getLotTrace(id: number | string): Promise<ApiResponse>;
+    /** GET tracking/sales-orders/{id} */
+    getSalesOrderPicks(id: number | string, query?: { location_id?: string | number }): Promise<ApiResponse>;
+    /** GET report-schedules */
+    getReportSchedules(): Promise<ApiResponse>;
+    /** POST report-schedules */
+    createReportSchedule(data: CreateReportScheduleRequest): Promise<ApiResponse>;
+    /** POST report-schedules/send */
+    emailReportNow(data: EmailReportNowRequest): Promise<ApiResponse>;
+    /** POST report-schedules/{id}/pause */
+    pauseReportSchedule(id: number | string): Promise<ApiResponse>;
+    /** POST report-schedules/{id}/resume */
+    resumeReportSchedule(id: number | string): Promise<ApiResponse>;
+    /** DELETE report-schedules/{id} */
+    deleteReportSchedule(id: number | string): Promise<ApiResponse>;
+    /** GET custom-reports */
+    getCustomReports(): Promise<ApiResponse>;
+    /** GET custom-reports/sources */
+    getCustomReportSources(): Promise<ApiResponse>;
+    /** GET custom-reports/{id} */
+    getCustomReport(id: number | string): Promise<ApiResponse>;
+    /** GET custom-reports/{id}/run */
+    runCustomReport(id: number | string): Promise<ApiResponse>;
+    /** POST custom-reports/run */
+    previewCustomReport(data: PreviewCustomReportRequest): Promise<ApiResponse>;
+    /** POST custom-reports */
+    createCustomReport(data: CreateCustomReportRequest): Promise<ApiResponse>;
+    /** PUT custom-reports/{id} */
+    updateCustomReport(id: number | string, data: UpdateCustomReportRequest): Promise<ApiResponse>;
+    /** DELETE custom-reports/{id} */
+    deleteCustomReport(id: number | string): Promise<ApiResponse>;
+    /** GET report-exports */
+    getReportExports(): Promise<ApiResponse>;
+    /** GET report-exports/{id} */
+    getReportExport(id: number | string): Promise<ApiResponse>;
+    /** POST report-exports */
+    startReportExport(data: StartReportExportRequest): Promise<ApiResponse>;
+    /** GET reports/comparison */
+    getPeriodComparison(query?: { date_from?: string | number; date_to?: string | number; compare?: string | number; location_id?: string | number }): Promise<ApiResponse>;
+    /** GET analytics/inventory-performance */
+    getInventoryPerformance(query?: { date_from?: string | number; date_to?: string | number; group_by?: string | number; category_id?: string | number; location_id?: string | number }): Promise<ApiResponse>;
+    /** GET health */
+    healthCheck(): Promise<ApiResponse>;
+  }
+
+  interface Window {
+    API: JanstroAPI;
+  }
+
+  const API: JanstroAPI;
+}
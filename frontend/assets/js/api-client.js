@@ -20,6 +20,53 @@
     retryDelay: 1000,
     requestQueue: [],
     isProcessingQueue: false,
+    queueDBName: "janstro_offline",
+    queueStoreName: "request_queue",
+    queueableMethods: ["POST", "PUT", "DELETE"],
+    refreshPromise: null,
+    refreshTimer: null,
+    refreshLeadTime: 300000, // refresh 5 minutes before the JWT expires
+    defaultTimeout: 30000,
+    idempotentMethods: ["GET", "PUT", "DELETE"],
+    inFlightRequests: new Map(),
+    cachePrefix: "janstro_cache:",
+    cacheChannel: null,
+    // Fresh for this long, then served stale while revalidating (ms)
+    cacheTTL: {
+      inventory: 60000,
+      suppliers: 300000,
+      customers: 300000,
+      categories: 3600000,
+    },
+    // Successful writes to matching endpoints drop these cache entries
+    cacheInvalidationRules: [
+      { pattern: /^(items|inventory)(\/|$)/, resources: ["inventory"] },
+      { pattern: /^categories(\/|$)/, resources: ["categories"] },
+      { pattern: /^suppliers(\/|$)/, resources: ["suppliers"] },
+      { pattern: /^customers(\/|$)/, resources: ["customers"] },
+      { pattern: /^purchase-orders\/\d+\/receive/, resources: ["inventory"] },
+      { pattern: /^sales-orders\/\d+\/complete/, resources: ["inventory"] },
+      { pattern: /^invoices\/generate/, resources: ["inventory"] },
+      { pattern: /^stock-transfers$/, resources: ["inventory"] },
+    ],
+    // Successful writes to matching endpoints announce these on Store's bus
+    domainEventRules: [
+      { pattern: /^(items|inventory)(\/\d+)?$/, events: ["stock:changed"] },
+      { pattern: /^purchase-orders$/, events: ["po:created"] },
+      { pattern: /^purchase-orders\/\d+(\/approve)?$/, events: ["po:updated"] },
+      {
+        pattern: /^purchase-orders\/\d+\/receive/,
+        events: ["po:received", "stock:changed"],
+      },
+      { pattern: /^sales-orders$/, events: ["so:created"] },
+      {
+        pattern: /^(sales-orders\/\d+\/complete|invoices\/generate)/,
+        events: ["so:completed", "stock:changed"],
+      },
+      { pattern: /^purchase-requisitions\//, events: ["pr:changed"] },
+      { pattern: /^purchase-requisitions\/\d+\/convert-to-po/, events: ["po:created"] },
+      { pattern: /^stock-transfers$/, events: ["stock:changed"] },
+    ],
 
     // ========================================================================
     // INITIALIZATION
@@ -31,6 +78,8 @@
       console.log("🎟️ Token Status:", this.token ? "Present" : "Missing");
 
       this.setupTokenRefresh();
+      this.setupCacheChannel();
+      this.loadQueue();
     },
 
     // ========================================================================
@@ -56,6 +105,7 @@
       localStorage.setItem("auth_token", token);
       sessionStorage.setItem("janstro_token", token);
       this.token = token;
+      this.scheduleTokenRefresh();
 
       console.log("✅ Token saved successfully");
       return true;
@@ -67,16 +117,129 @@
       sessionStorage.removeItem("janstro_token");
       localStorage.removeItem("janstro_user");
       this.token = null;
+      clearTimeout(this.refreshTimer);
+      this.clearCache();
       console.log("🗑️ All tokens cleared");
     },
 
     setupTokenRefresh() {
-      setInterval(() => {
-        if (this.isAuthenticated()) {
-          console.log("🔄 Token refresh check...");
-          this.token = this.getToken();
+      if (this._refreshListenersAttached) return;
+      this._refreshListenersAttached = true;
+
+      this.scheduleTokenRefresh();
+
+      // Another tab refreshed the token: pick it up and reschedule
+      window.addEventListener("storage", (e) => {
+        if (e.key === "janstro_token" && e.newValue) {
+          this.token = e.newValue;
+          this.scheduleTokenRefresh();
+        }
+      });
+
+      // Timers are throttled in background tabs, so re-check on return
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          this.scheduleTokenRefresh();
+        }
+      });
+    },
+
+    /**
+     * Read the `exp` claim (seconds) from a JWT without verifying it
+     * @returns {number|null} Expiry as a millisecond timestamp
+     */
+    getTokenExpiry(token = this.getToken()) {
+      if (!token) return null;
+
+      try {
+        const payload = token.split(".")[1];
+        const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+        const claims = JSON.parse(json);
+        return claims.exp ? claims.exp * 1000 : null;
+      } catch (error) {
+        console.warn("⚠️ Could not decode token expiry:", error.message);
+        return null;
+      }
+    },
+
+    scheduleTokenRefresh() {
+      clearTimeout(this.refreshTimer);
+
+      const expiresAt = this.getTokenExpiry();
+      if (!expiresAt) return;
+
+      const delay = expiresAt - Date.now() - this.refreshLeadTime;
+
+      if (delay <= 0) {
+        this.refreshToken().catch((error) =>
+          console.warn("⚠️ Proactive token refresh failed:", error.message)
+        );
+        return;
+      }
+
+      // setTimeout overflows above ~24.8 days
+      this.refreshTimer = setTimeout(
+        () => this.scheduleTokenRefresh(),
+        Math.min(delay, 2147483647)
+      );
+    },
+
+    /**
+     * Exchange the current token for a new one. Concurrent callers share a
+     * single in-flight request.
+     * @returns {Promise<boolean>} false when the server refused the refresh;
+     *   rejects on network errors so callers don't log the user out offline
+     */
+    refreshToken() {
+      if (this.refreshPromise) {
+        return this.refreshPromise;
+      }
+
+      this.refreshPromise = (async () => {
+        const sentToken = this.getToken();
+        if (!sentToken) return false;
+
+        console.log("🔄 Refreshing token...");
+
+        const response = await fetch(`${this.baseURL}/auth/refresh`, {
+          method: "POST",
+          headers: this.getHeaders(),
+        });
+
+        if (!response.ok) {
+          // A token can only be refreshed once: another tab may have beaten us to it
+          const storedToken = localStorage.getItem("janstro_token");
+          if (storedToken && storedToken !== sentToken) {
+            this.token = storedToken;
+            this.scheduleTokenRefresh();
+            return true;
+          }
+
+          console.warn(`⚠️ Token refresh rejected (HTTP ${response.status})`);
+          return false;
         }
-      }, 1800000);
+
+        const data = await response.json();
+        const newToken = data.data?.token || data.token;
+
+        if (!newToken) return false;
+
+        this.saveToken(newToken);
+        console.log("✅ Token refreshed");
+        return true;
+      })().finally(() => {
+        this.refreshPromise = null;
+      });
+
+      return this.refreshPromise;
+    },
+
+    handleSessionExpired(endpoint) {
+      this.clearToken();
+
+      if (!endpoint.includes("auth/login")) {
+        window.location.href = "index.html";
+      }
     },
 
     // ========================================================================
@@ -97,24 +260,85 @@
       return headers;
     },
 
+    /**
+     * Send an API request.
+     * @param {string} endpoint - Path relative to baseURL
+     * @param {Object} [options] - fetch options plus:
+     * @param {AbortSignal} [options.signal] - Cancels the request (no retry)
+     * @param {number} [options.timeout] - Per-attempt timeout in ms
+     * @param {string} [options.idempotencyKey] - Reuse a key (queue replay)
+     * @param {boolean} [options.queueable] - Queue while offline; the caller
+     *   must handle the `{queued: true, data: null}` response
+     * @returns {Promise<Object>} Parsed JSON response
+     */
     async request(endpoint, options = {}) {
+      const method = (options.method || "GET").toUpperCase();
+
+      // Identical concurrent GETs share one in-flight request. Callers with
+      // their own signal opt out so cancelling doesn't affect anyone else.
+      if (method === "GET" && !options.signal) {
+        if (this.inFlightRequests.has(endpoint)) {
+          console.log(`🔗 Joining in-flight GET ${endpoint}`);
+          return this.inFlightRequests.get(endpoint);
+        }
+
+        const promise = this.performRequest(endpoint, options).finally(() => {
+          this.inFlightRequests.delete(endpoint);
+        });
+        this.inFlightRequests.set(endpoint, promise);
+        return promise;
+      }
+
+      return this.performRequest(endpoint, options);
+    },
+
+    async performRequest(endpoint, options = {}) {
       const url = `${this.baseURL}/${endpoint}`;
+      const method = (options.method || "GET").toUpperCase();
+      const queueable = this.isQueueable(endpoint, method, options);
+      const timeout = options.timeout ?? this.defaultTimeout;
+      let retryAfterRefresh = false;
       let lastError;
 
+      // POSTs carry a key reused across retries so the server can replay
+      // the first response instead of creating a duplicate record
+      const idempotencyKey =
+        method === "POST" && !endpoint.startsWith("auth/")
+          ? options.idempotencyKey || this.generateIdempotencyKey()
+          : null;
+      const canRetry =
+        this.idempotentMethods.includes(method) || idempotencyKey !== null;
+
+      // Offline: persist mutating calls instead of burning through retries
+      if (queueable && !navigator.onLine) {
+        return this.enqueueRequest(endpoint, method, options.body, idempotencyKey);
+      }
+
       for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-        try {
-          const config = {
-            method: options.method || "GET",
-            headers: this.getHeaders(),
-            ...options,
-          };
+        if (options.signal?.aborted) {
+          throw this.createAbortError(endpoint);
+        }
 
-          if (options.body && typeof options.body === "object") {
-            config.body = JSON.stringify(options.body);
-          }
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+
+        options.signal?.addEventListener("abort", cancel, { once: true });
+
+        try {
+          const config = this.buildFetchConfig(
+            options,
+            method,
+            controller.signal,
+            idempotencyKey
+          );
 
           console.log(
-            `📡 ${config.method} ${endpoint} (attempt ${attempt + 1}/${
+            `📡 ${method} ${endpoint} (attempt ${attempt + 1}/${
               this.maxRetries + 1
             })`
           );
@@ -123,28 +347,70 @@
 
           if (response.status === 401) {
             console.error("❌ 401 Unauthorized");
-            this.clearToken();
 
-            if (!endpoint.includes("auth/login")) {
-              window.location.href = "index.html";
+            // Try a silent refresh once, then replay the original call
+            if (!endpoint.startsWith("auth/") && options.retryOnAuth !== false) {
+              if (await this.refreshToken()) {
+                retryAfterRefresh = true;
+                break;
+              }
             }
-            throw new Error("Authentication required");
+
+            this.handleSessionExpired(endpoint);
+            const authError = new Error("Authentication required");
+            authError.status = 401;
+            throw authError;
           }
 
           if (response.status === 403) {
             console.error("❌ 403 Forbidden");
-            throw new Error("Access denied");
+            const deniedError = new Error("Access denied");
+            deniedError.status = 403;
+            throw deniedError;
+          }
+
+          if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const httpError = new Error(
+              errorData.message || `HTTP ${response.status}`
+            );
+            httpError.status = response.status;
+            httpError.errors = errorData.errors || null;
+
+            // 409 for our own key: the first attempt is still running on the
+            // server (it may well succeed), so wait and ask again
+            if (
+              response.status === 409 &&
+              idempotencyKey &&
+              response.headers.get("Idempotency-Key") === idempotencyKey
+            ) {
+              httpError.inProgress = true;
+              httpError.retryAfter =
+                parseInt(response.headers.get("Retry-After"), 10) || null;
+            }
+            throw httpError;
           }
 
           const data = await response.json();
+          this.validateResponse(endpoint, method, data);
 
-          if (!response.ok) {
-            throw new Error(data.message || `HTTP ${response.status}`);
+          if (method !== "GET") {
+            this.invalidateCacheFor(endpoint);
+            this.emitDomainEvents(endpoint, method, data, options.body);
           }
 
           console.log(`✅ Success: ${endpoint}`);
           return data;
         } catch (error) {
+          if (error.name === "AbortError") {
+            if (!timedOut) {
+              console.log(`🛑 Cancelled: ${endpoint}`);
+              throw error;
+            }
+            error = new Error(`Request timeout after ${timeout}ms`);
+            error.isTimeout = true;
+          }
+
           lastError = error;
           console.warn(`⚠️ Attempt ${attempt + 1} failed: ${error.message}`);
 
@@ -155,165 +421,646 @@
             throw error;
           }
 
+          // Connection dropped mid-request: queue it for replay
+          if (queueable && !navigator.onLine) {
+            return this.enqueueRequest(
+              endpoint,
+              method,
+              options.body,
+              idempotencyKey
+            );
+          }
+
+          if (!canRetry || !this.isRetryableError(error)) {
+            throw error;
+          }
+
           if (attempt < this.maxRetries) {
-            const delay = this.retryDelay * Math.pow(2, attempt);
+            const delay = error.retryAfter
+              ? error.retryAfter * 1000
+              : this.retryDelay * Math.pow(2, attempt);
             console.log(`⏳ Retrying in ${delay}ms...`);
             await new Promise((resolve) => setTimeout(resolve, delay));
           }
+        } finally {
+          clearTimeout(timer);
+          options.signal?.removeEventListener("abort", cancel);
         }
       }
 
+      if (retryAfterRefresh) {
+        return this.request(endpoint, { ...options, retryOnAuth: false });
+      }
+
       console.error(`❌ Failed after ${this.maxRetries + 1} attempts`);
       throw lastError;
     },
 
-    // ========================================================================
-    // AUTHENTICATION ENDPOINTS
-    // ========================================================================
+    buildFetchConfig(options, method, signal, idempotencyKey) {
+      const {
+        body,
+        headers,
+        timeout,
+        queueable,
+        retryOnAuth,
+        idempotencyKey: _key,
+        ...fetchOptions
+      } = options;
+
+      const config = {
+        ...fetchOptions,
+        method,
+        headers: { ...this.getHeaders(), ...headers },
+        signal,
+      };
 
-    async login(username, password) {
-      try {
-        const response = await this.request("auth/login", {
-          method: "POST",
-          body: { username, password },
-        });
+      if (idempotencyKey) {
+        config.headers["Idempotency-Key"] = idempotencyKey;
+      }
 
-        console.log("🔍 Login response:", response);
+      if (body !== undefined && body !== null) {
+        config.body = typeof body === "object" ? JSON.stringify(body) : body;
+      }
 
-        let token = null;
-        let userData = null;
+      return config;
+    },
 
-        if (response.success && response.data) {
-          token = response.data.token;
-          userData = response.data.user;
-        } else if (response.token) {
-          token = response.token;
-          userData = response.user;
-        }
+    /**
+     * Only server errors, timeouts, network failures and idempotent requests
+     * still in progress are worth retrying; other 4xx responses (validation,
+     * not found, conflicts) will fail again.
+     */
+    isRetryableError(error) {
+      if (error.inProgress) return true;
+      if (error.status) return error.status >= 500;
+      if (error.isTimeout) return true;
+      return error instanceof TypeError;
+    },
 
-        if (!token) {
-          throw new Error("No token received from server");
-        }
+    generateIdempotencyKey() {
+      if (window.crypto?.randomUUID) {
+        return crypto.randomUUID();
+      }
 
-        this.saveToken(token);
+      return `${Date.now().toString(16)}-${Math.random()
+        .toString(16)
+        .slice(2, 14)}`;
+    },
 
-        if (userData) {
-          localStorage.setItem("janstro_user", JSON.stringify(userData));
-          console.log("✅ Login successful:", userData.username);
+    createAbortError(endpoint) {
+      const error = new Error(`Request cancelled: ${endpoint}`);
+      error.name = "AbortError";
+      return error;
+    },
+
+    // ========================================================================
+    // MASTER DATA CACHE (stale-while-revalidate, shared across pages/tabs)
+    // ========================================================================
+
+    /**
+     * Serve a list resource from localStorage. Fresh entries are returned as
+     * is; stale ones are returned immediately and refetched in the background,
+     * firing `janstro:cache-updated` when new data arrives.
+     * @param {string} resource - Key in cacheTTL
+     * @param {string} endpoint - Endpoint to fetch on a miss
+     * @returns {Promise<Array>} Normalized array
+     */
+    async cachedRequest(resource, endpoint) {
+      const entry = this.readCache(resource);
+
+      if (entry) {
+        const age = Date.now() - entry.storedAt;
+        if (age > (this.cacheTTL[resource] ?? 0)) {
+          this.revalidateCache(resource, endpoint);
         }
+        return entry.data;
+      }
 
-        return response;
+      return this.fetchAndCache(resource, endpoint);
+    },
+
+    async fetchAndCache(resource, endpoint) {
+      const response = await this.request(endpoint);
+      const data = this.normalizeArrayResponse(response);
+      this.writeCache(resource, data);
+      return data;
+    },
+
+    revalidateCache(resource, endpoint) {
+      this.fetchAndCache(resource, endpoint)
+        .then((data) => {
+          window.dispatchEvent(
+            new CustomEvent("janstro:cache-updated", {
+              detail: { resource, data },
+            })
+          );
+        })
+        .catch((error) => {
+          console.warn(`⚠️ Background refresh of ${resource} failed:`, error);
+        });
+    },
+
+    readCache(resource) {
+      try {
+        const raw = localStorage.getItem(this.cachePrefix + resource);
+        return raw ? JSON.parse(raw) : null;
       } catch (error) {
-        console.error("❌ Login error:", error);
-        this.clearToken();
-        throw error;
+        return null;
       }
     },
 
-    async logout() {
+    writeCache(resource, data) {
       try {
-        await this.request("auth/logout", { method: "POST" });
+        localStorage.setItem(
+          this.cachePrefix + resource,
+          JSON.stringify({ storedAt: Date.now(), data })
+        );
       } catch (error) {
-        console.warn("⚠️ Logout request failed:", error);
-      } finally {
-        this.clearToken();
-        window.location.href = "index.html";
+        // Quota exceeded: the page still works, just without caching
+        console.warn(`⚠️ Could not cache ${resource}:`, error.message);
       }
     },
 
-    async getCurrentUser() {
-      return this.request("auth/me");
-    },
+    invalidateCache(resources, broadcast = true) {
+      resources.forEach((resource) => {
+        localStorage.removeItem(this.cachePrefix + resource);
+      });
 
-    // ========================================================================
-    // INVENTORY ENDPOINTS
-    // ========================================================================
+      console.log(`🧹 Cache invalidated: ${resources.join(", ")}`);
 
-    async getInventory() {
-      const response = await this.request("inventory");
-      return this.normalizeArrayResponse(response);
-    },
+      if (broadcast && this.cacheChannel) {
+        this.cacheChannel.postMessage({ type: "invalidate", resources });
+      }
 
-    async getItem(itemId) {
-      return this.request(`items/${itemId}`);
+      window.dispatchEvent(
+        new CustomEvent("janstro:cache-invalidated", { detail: { resources } })
+      );
     },
 
-    async createItem(itemData) {
-      return this.request("items", {
-        method: "POST",
-        body: itemData,
+    invalidateCacheFor(endpoint) {
+      const resources = new Set();
+
+      this.cacheInvalidationRules.forEach((rule) => {
+        if (rule.pattern.test(endpoint)) {
+          rule.resources.forEach((resource) => resources.add(resource));
+        }
       });
+
+      if (resources.size > 0) {
+        this.invalidateCache([...resources]);
+      }
     },
 
-    async updateItem(itemId, itemData) {
-      return this.request(`items/${itemId}`, {
-        method: "PUT",
-        body: itemData,
+    /**
+     * Tell Store (and through it every open view) what a write changed.
+     * Detail carries the record id from the URL plus request and response
+     * data so listeners can act without refetching.
+     */
+    emitDomainEvents(endpoint, method, data, body) {
+      if (!window.Store) return;
+
+      const path = endpoint.split("?")[0];
+      const id = Number(path.match(/\/(\d+)/)?.[1]) || null;
+      const events = new Set();
+
+      this.domainEventRules.forEach((rule) => {
+        if (rule.pattern.test(path)) {
+          rule.events.forEach((event) => events.add(event));
+        }
+      });
+
+      events.forEach((event) => {
+        window.Store.emit(event, {
+          endpoint: path,
+          method,
+          id,
+          body: body || null,
+          data: data?.data ?? null,
+        });
       });
     },
 
-    async deleteItem(itemId) {
-      return this.request(`items/${itemId}`, {
-        method: "DELETE",
+    /**
+     * Re-render hook for pages: fires when fresh data for one of the given
+     * resources arrives, or when another tab changed it. Local writes are
+     * skipped because the page reloads after its own save anyway.
+     * @param {string[]} resources - e.g. ["inventory", "suppliers"]
+     * @param {Function} handler - Receives the resource name
+     */
+    onCacheChange(resources, handler) {
+      window.addEventListener("janstro:cache-updated", (e) => {
+        if (resources.includes(e.detail.resource)) {
+          handler(e.detail.resource);
+        }
+      });
+
+      window.addEventListener("janstro:cache-invalidated", (e) => {
+        if (!e.detail.remote) return;
+        e.detail.resources
+          .filter((resource) => resources.includes(resource))
+          .forEach((resource) => handler(resource));
       });
     },
 
-    async getInventoryStatus() {
-      return this.request("inventory/status");
+    clearCache() {
+      Object.keys(this.cacheTTL).forEach((resource) => {
+        localStorage.removeItem(this.cachePrefix + resource);
+      });
     },
 
-    async getLowStock() {
-      return this.request("inventory/low-stock");
+    /**
+     * Other open tabs re-render when this tab changes master data. The
+     * entries themselves live in shared localStorage, so only the event is
+     * replayed here.
+     */
+    setupCacheChannel() {
+      if (this.cacheChannel || !window.BroadcastChannel) return;
+
+      this.cacheChannel = new BroadcastChannel("janstro_cache");
+      this.cacheChannel.onmessage = (event) => {
+        if (event.data?.type === "invalidate") {
+          window.dispatchEvent(
+            new CustomEvent("janstro:cache-invalidated", {
+              detail: { resources: event.data.resources, remote: true },
+            })
+          );
+        }
+      };
     },
 
     // ========================================================================
-    // CATEGORIES
+    // OFFLINE REQUEST QUEUE (IndexedDB)
     // ========================================================================
 
-    async getCategories() {
-      const response = await this.request("categories");
-      return this.normalizeArrayResponse(response);
+    /**
+     * Mutating calls are queued while offline only when the caller opts in
+     * with `queueable: true` and checks `response.queued`; everyone else
+     * reads `response.data` and gets the usual network error instead. Auth
+     * calls and the replay itself never are.
+     */
+    isQueueable(endpoint, method, options = {}) {
+      if (options.queueable !== true) return false;
+      if (!this.queueableMethods.includes(method)) return false;
+      return !endpoint.startsWith("auth/");
     },
 
-    async getCategory(categoryId) {
-      return this.request(`categories/${categoryId}`);
+    openQueueDB() {
+      if (!window.indexedDB) {
+        return Promise.resolve(null);
+      }
+
+      if (!this._queueDBPromise) {
+        this._queueDBPromise = new Promise((resolve) => {
+          const openRequest = indexedDB.open(this.queueDBName, 1);
+
+          openRequest.onupgradeneeded = () => {
+            const db = openRequest.result;
+            if (!db.objectStoreNames.contains(this.queueStoreName)) {
+              db.createObjectStore(this.queueStoreName, {
+                keyPath: "id",
+                autoIncrement: true,
+              });
+            }
+          };
+
+          openRequest.onsuccess = () => resolve(openRequest.result);
+          openRequest.onerror = () => {
+            console.warn("⚠️ IndexedDB unavailable, queue kept in memory");
+            resolve(null);
+          };
+        });
+      }
+
+      return this._queueDBPromise;
     },
 
-    async createCategory(categoryData) {
-      return this.request("categories", {
-        method: "POST",
-        body: categoryData,
+    async queueStore(mode, operation) {
+      const db = await this.openQueueDB();
+      if (!db) return null;
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(this.queueStoreName, mode);
+        const result = operation(tx.objectStore(this.queueStoreName));
+        tx.oncomplete = () => resolve(result?.result ?? null);
+        tx.onerror = () => reject(tx.error);
       });
     },
 
-    // ========================================================================
-    // SUPPLIERS
-    // ========================================================================
+    async loadQueue() {
+      try {
+        const entries = await this.queueStore("readonly", (store) =>
+          store.getAll()
+        );
+        if (entries) {
+          this.requestQueue = entries.sort((a, b) => a.id - b.id);
+        }
+      } catch (error) {
+        console.error("❌ Failed to load offline queue:", error);
+      }
+
+      this.notifyQueueChange();
+
+      if (navigator.onLine && this.requestQueue.length > 0) {
+        this.processQueue();
+      }
+    },
+
+    async enqueueRequest(endpoint, method, body = null, idempotencyKey = null) {
+      const entry = {
+        endpoint,
+        method,
+        body: body ?? null,
+        idempotency_key: idempotencyKey,
+        queued_at: new Date().toISOString(),
+      };
 
-    async getSuppliers() {
       try {
-        const response = await this.request("suppliers");
-        // ✅ FIX: Normalize response to always return array
-        return this.normalizeArrayResponse(response);
+        const id = await this.queueStore("readwrite", (store) =>
+          store.add(entry)
+        );
+        entry.id = id ?? Date.now();
       } catch (error) {
-        console.error("❌ getSuppliers error:", error);
-        throw error;
+        console.error("❌ Failed to persist queued request:", error);
+        entry.id = Date.now();
       }
+
+      this.requestQueue.push(entry);
+      this.notifyQueueChange();
+
+      console.log(`📥 Queued offline: ${method} ${endpoint}`);
+
+      return {
+        success: true,
+        queued: true,
+        message: "You are offline. Change saved and will sync when online.",
+        data: null,
+      };
     },
 
-    async getSupplier(supplierId) {
-      return this.request(`suppliers/${supplierId}`);
+    async removeQueuedRequest(id) {
+      this.requestQueue = this.requestQueue.filter((entry) => entry.id !== id);
+
+      try {
+        await this.queueStore("readwrite", (store) => store.delete(id));
+      } catch (error) {
+        console.error("❌ Failed to remove queued request:", error);
+      }
+
+      this.notifyQueueChange();
     },
 
-    async createSupplier(supplierData) {
-      return this.request("suppliers", {
-        method: "POST",
-        body: supplierData,
-      });
+    getPendingCount() {
+      return this.requestQueue.length;
     },
 
-    async updateSupplier(supplierId, supplierData) {
-      return this.request(`suppliers/${supplierId}`, {
+    notifyQueueChange() {
+      window.dispatchEvent(
+        new CustomEvent("janstro:sync-queue", {
+          detail: { pending: this.requestQueue.length },
+        })
+      );
+    },
+
+    /**
+     * Replay queued calls in the order they were made. A 4xx reply means the
+     * record changed while we were offline (already received, deleted, ...):
+     * the entry is dropped and reported as a conflict. Network or 5xx errors,
+     * and a 409 saying the same request is still running on the server, stop
+     * the replay and keep the rest queued for the next `online` event.
+     */
+    async processQueue() {
+      if (this.isProcessingQueue || this.requestQueue.length === 0) return;
+      if (!navigator.onLine) return;
+
+      this.isProcessingQueue = true;
+      const conflicts = [];
+      let synced = 0;
+
+      console.log(`🔄 Replaying ${this.requestQueue.length} queued requests`);
+
+      try {
+        while (this.requestQueue.length > 0) {
+          const entry = this.requestQueue[0];
+
+          try {
+            await this.request(entry.endpoint, {
+              method: entry.method,
+              body: entry.body,
+              idempotencyKey: entry.idempotency_key || undefined,
+              queueable: false,
+            });
+            synced++;
+            await this.removeQueuedRequest(entry.id);
+          } catch (error) {
+            if (error.status && error.status < 500 && !error.inProgress) {
+              conflicts.push({ ...entry, error: error.message });
+              await this.removeQueuedRequest(entry.id);
+              continue;
+            }
+
+            console.warn("⚠️ Replay paused:", error.message);
+            break;
+          }
+        }
+      } finally {
+        this.isProcessingQueue = false;
+      }
+
+      if (synced > 0 && window.ErrorHandler) {
+        window.ErrorHandler.showSuccess(
+          `${synced} offline change(s) synced`,
+          4000
+        );
+      }
+
+      if (conflicts.length > 0) {
+        console.warn("⚠️ Offline sync conflicts:", conflicts);
+
+        if (window.ErrorHandler) {
+          // Server messages can carry user-entered text
+          const escape = (text) => {
+            const div = document.createElement("div");
+            div.textContent = text;
+            return div.innerHTML;
+          };
+          const details = conflicts
+            .map((c) => escape(`${c.method} ${c.endpoint}: ${c.error}`))
+            .join("<br>");
+          window.ErrorHandler.showError(
+            `${conflicts.length} offline change(s) could not be applied:<br>${details}`,
+            "warning",
+            10000
+          );
+        }
+
+        window.dispatchEvent(
+          new CustomEvent("janstro:sync-conflict", { detail: { conflicts } })
+        );
+      }
+    },
+
+    // ========================================================================
+    // AUTHENTICATION ENDPOINTS
+    // ========================================================================
+
+    async login(username, password) {
+      try {
+        const response = await this.request("auth/login", {
+          method: "POST",
+          body: { username, password },
+        });
+
+        console.log("🔍 Login response:", response);
+
+        let token = null;
+        let userData = null;
+
+        if (response.success && response.data) {
+          token = response.data.token;
+          userData = response.data.user;
+        } else if (response.token) {
+          token = response.token;
+          userData = response.user;
+        }
+
+        if (!token) {
+          throw new Error("No token received from server");
+        }
+
+        this.saveToken(token);
+
+        if (userData) {
+          localStorage.setItem("janstro_user", JSON.stringify(userData));
+          console.log("✅ Login successful:", userData.username);
+        }
+
+        return response;
+      } catch (error) {
+        console.error("❌ Login error:", error);
+        this.clearToken();
+        throw error;
+      }
+    },
+
+    async logout() {
+      try {
+        await this.request("auth/logout", { method: "POST" });
+      } catch (error) {
+        console.warn("⚠️ Logout request failed:", error);
+      } finally {
+        this.clearToken();
+        window.location.href = "index.html";
+      }
+    },
+
+    async getCurrentUser() {
+      return this.request("auth/me");
+    },
+
+    // ========================================================================
+    // INVENTORY ENDPOINTS
+    // ========================================================================
+
+    /**
+     * @param {Object} [filters] location_id limits quantities to a location
+     *   and everything inside it (not cached)
+     */
+    async getInventory(filters = {}) {
+      if (filters.location_id) {
+        const response = await this.request(
+          `inventory?location_id=${encodeURIComponent(filters.location_id)}`
+        );
+        return this.normalizeArrayResponse(response);
+      }
+      return this.cachedRequest("inventory", "inventory");
+    },
+
+    async getInventoryPage(params = {}) {
+      return this.requestPage("inventory", params);
+    },
+
+    async getItem(itemId) {
+      return this.request(`items/${itemId}`);
+    },
+
+    async getItemBySku(sku) {
+      return this.request(`inventory/lookup?sku=${encodeURIComponent(sku)}`);
+    },
+
+    async createItem(itemData) {
+      return this.request("items", {
+        method: "POST",
+        body: itemData,
+      });
+    },
+
+    async updateItem(itemId, itemData) {
+      return this.request(`items/${itemId}`, {
+        method: "PUT",
+        body: itemData,
+      });
+    },
+
+    async deleteItem(itemId) {
+      return this.request(`items/${itemId}`, {
+        method: "DELETE",
+      });
+    },
+
+    async getInventoryStatus() {
+      return this.request("inventory/status");
+    },
+
+    async getLowStock(filters = {}) {
+      const params = new URLSearchParams(filters).toString();
+      return this.request(`inventory/low-stock${params ? "?" + params : ""}`);
+    },
+
+    // ========================================================================
+    // CATEGORIES
+    // ========================================================================
+
+    async getCategories() {
+      return this.cachedRequest("categories", "categories");
+    },
+
+    async getCategory(categoryId) {
+      return this.request(`categories/${categoryId}`);
+    },
+
+    async createCategory(categoryData) {
+      return this.request("categories", {
+        method: "POST",
+        body: categoryData,
+      });
+    },
+
+    // ========================================================================
+    // SUPPLIERS
+    // ========================================================================
+
+    async getSuppliers() {
+      try {
+        return await this.cachedRequest("suppliers", "suppliers");
+      } catch (error) {
+        console.error("❌ getSuppliers error:", error);
+        throw error;
+      }
+    },
+
+    async getSupplier(supplierId) {
+      return this.request(`suppliers/${supplierId}`);
+    },
+
+    async createSupplier(supplierData) {
+      return this.request("suppliers", {
+        method: "POST",
+        body: supplierData,
+      });
+    },
+
+    async updateSupplier(supplierId, supplierData) {
+      return this.request(`suppliers/${supplierId}`, {
         method: "PUT",
         body: supplierData,
       });
@@ -334,6 +1081,10 @@
       return this.normalizeArrayResponse(response);
     },
 
+    async getPurchaseOrdersPage(params = {}) {
+      return this.requestPage("purchase-orders", params);
+    },
+
     async getPurchaseOrder(poId) {
       return this.request(`purchase-orders/${poId}`);
     },
@@ -355,6 +1106,7 @@
       return this.request(`purchase-orders/${poId}/receive`, {
         method: "POST",
         body: data,
+        queueable: true,
       });
     },
     // ========================================================================
@@ -366,6 +1118,10 @@
       return this.normalizeArrayResponse(response);
     },
 
+    async getSalesOrdersPage(params = {}) {
+      return this.requestPage("sales-orders", params);
+    },
+
     async getSalesOrder(soId) {
       return this.request(`sales-orders/${soId}`);
     },
@@ -407,9 +1163,7 @@
 
     async getCustomers() {
       try {
-        const response = await this.request("customers");
-        // ✅ FIX: Normalize response to always return array
-        return this.normalizeArrayResponse(response);
+        return await this.cachedRequest("customers", "customers");
       } catch (error) {
         console.error("❌ getCustomers error:", error);
         throw error;
@@ -443,6 +1197,10 @@
       return this.request(`transactions${params ? "?" + params : ""}`);
     },
 
+    async getStockMovementsPage(params = {}) {
+      return this.requestPage("transactions", params);
+    },
+
     async getTransactionHistory(filters = {}) {
       return this.getStockMovements(filters);
     },
@@ -450,38 +1208,15 @@
     // ========================================================================
     // STOCK REQUIREMENTS
     // ========================================================================
+    /**
+     * @returns {Promise<Object>} Object with requirements array and summary
+     */
     async getStockRequirements() {
       const response = await this.request("stock-requirements");
-
-      console.log("🔍 Stock Requirements Raw Response:", response);
-
-      if (
-        response &&
-        response.data &&
-        response.data.requirements &&
-        Array.isArray(response.data.requirements)
-      ) {
-        console.log(
-          "✅ Extracted from response.data.requirements:",
-          response.data.requirements.length
-        );
-        return response.data.requirements;
-      }
-
-      if (
-        response &&
-        response.requirements &&
-        Array.isArray(response.requirements)
-      ) {
-        console.log(
-          "✅ Extracted from response.requirements:",
-          response.requirements.length
-        );
-        return response.requirements;
-      }
-
-      console.log("⚠️ Using fallback normalizer");
-      return this.normalizeArrayResponse(response);
+      return {
+        requirements: response.data.requirements,
+        summary: response.data.summary,
+      };
     },
 
     // ========================================================================
@@ -497,13 +1232,8 @@
         const response = await this.request("purchase-requisitions");
 
         return {
-          requisitions: response.requisitions || [],
-          summary: response.summary || {
-            total: 0,
-            pending: 0,
-            approved: 0,
-            converted: 0,
-          },
+          requisitions: response.data.requisitions,
+          summary: response.data.summary,
         };
       } catch (error) {
         console.error("❌ API.getPRs error:", error);
@@ -617,11 +1347,10 @@
     // ========================================================================
 
     // Dashboard can calculate stats from other APIs:
-    async getDashboardStats() {
-      const [inventory, pos, transactions] = await Promise.all([
-        this.getInventory(),
+    async getDashboardStats(filters = {}) {
+      const [inventory, pos] = await Promise.all([
+        this.getInventory(filters),
         this.getPurchaseOrders(),
-        this.getStockMovements(),
       ]);
 
       return {
@@ -840,8 +1569,9 @@
     // ANALYTICS (PHASE 9)
     // ========================================================================
 
-    async getAnalyticsDashboard() {
-      return this.request("analytics/dashboard");
+    async getAnalyticsDashboard(filters = {}) {
+      const params = new URLSearchParams(filters).toString();
+      return this.request(`analytics/dashboard${params ? "?" + params : ""}`);
     },
 
     async getInventoryAnalysis() {
@@ -865,39 +1595,810 @@
     },
 
     // ========================================================================
-    // RESPONSE DATA NORMALIZER
+    // REALTIME EVENTS (see realtime.js)
     // ========================================================================
 
-    normalizeArrayResponse(response) {
-      if (!response) return [];
+    /**
+     * EventSource can't send headers, so the token rides in the query string
+     */
+    getEventStreamURL(lastEventId = null) {
+      const params = new URLSearchParams({ token: this.getToken() || "" });
+      if (lastEventId) params.set("last_event_id", lastEventId);
+      return `${this.baseURL}/events/stream?${params}`;
+    },
 
-      if (response.data && Array.isArray(response.data)) {
-        return response.data;
-      }
+    /**
+     * Long-poll fallback: resolves when events arrive or after ~20s
+     * @param {string|number} [since] - Resume cursor (last_event_id)
+     * @param {string|number} [after] - Highest event id already handled
+     */
+    async pollEvents(since = null, after = null, options = {}) {
+      const params = new URLSearchParams();
+      if (since) params.set("since", since);
+      if (after) params.set("after", after);
+      return this.request(`events/poll${params.toString() ? "?" + params : ""}`, {
+        timeout: 35000,
+        ...options,
+      });
+    },
 
-      if (Array.isArray(response)) {
-        return response;
-      }
+    // ========================================================================
+    // GENERATED ENDPOINTS
+    // Do not edit by hand: run `node tools/generate-api-client.js`
+    // ========================================================================
+    // @generated-start
 
-      if (response.success && response.data) {
-        return Array.isArray(response.data) ? response.data : [response.data];
-      }
+    /**
+     * Get Item by ID
+     * GET inventory/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getItemByID(id) {
+      return this.request(`inventory/${id}`);
+    },
 
-      return [];
+    /**
+     * Get Goods Receipts
+     * GET purchase-orders/{id}/receipts
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getGoodsReceipts(id) {
+      return this.request(`purchase-orders/${id}/receipts`);
     },
 
-    normalizeObjectResponse(response) {
-      if (!response) return null;
+    /**
+     * Get Backorders
+     * GET purchase-orders/backorders
+     * @param {{supplier_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getBackorders(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`purchase-orders/backorders${params ? "?" + params : ""}`);
+    },
 
-      if (response.data && typeof response.data === "object") {
-        return response.data;
-      }
+    /**
+     * Release On Hold
+     * POST goods-receipts/{id}/release
+     * @param {number|string} id
+     * @param {ReleaseOnHoldRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async releaseOnHold(id, data) {
+      return this.request(`goods-receipts/${id}/release`, {
+        method: "POST",
+        body: data,
+      });
+    },
 
-      if (response.success !== undefined) {
-        return response.data || response;
-      }
+    /**
+     * Get Stock Requirements Summary
+     * Counts and value of sufficient, shortage and critical requirements
+     * GET stock-requirements/summary
+     * @returns {Promise<ApiResponse>}
+     */
+    async getStockRequirementsSummary() {
+      return this.request("stock-requirements/summary");
+    },
+
+    /**
+     * Send Shortage Alert
+     * POST stock-requirements/{id}/alert
+     * @param {number|string} id
+     * @param {SendShortageAlertRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async sendShortageAlert(id, data) {
+      return this.request(`stock-requirements/${id}/alert`, {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Batch Generate PR
+     * POST stock-requirements/batch-generate-pr
+     * @param {BatchGeneratePRRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async batchGeneratePR(data) {
+      return this.request("stock-requirements/batch-generate-pr", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Create PR From Shortage
+     * Creates a pending PR for the shortfall between required quantity and current stock
+     * POST purchase-requisitions/create-from-shortage
+     * @param {CreatePRFromShortageRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createPRFromShortage(data) {
+      return this.request("purchase-requisitions/create-from-shortage", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Get Invoice Stats (Admin)
+     * GET invoices/stats
+     * @returns {Promise<ApiResponse>}
+     */
+    async getInvoiceStats() {
+      return this.request("invoices/stats");
+    },
 
-      return response;
+    /**
+     * Get BOM Templates
+     * GET bom/templates
+     * @returns {Promise<ApiResponse>}
+     */
+    async getBOMTemplates() {
+      return this.request("bom/templates");
+    },
+
+    /**
+     * Get BOM Versions
+     * Version history for a parent item's BOM
+     * GET bom/{id}/versions
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getBOMVersions(id) {
+      return this.request(`bom/${id}/versions`);
+    },
+
+    /**
+     * Get Email Logs (SuperAdmin)
+     * GET email/logs
+     * @param {{limit?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getEmailLogs(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`email/logs${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Notifications
+     * GET notifications
+     * @param {{unread?: string|number, limit?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getNotifications(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`notifications${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Mark Notification Read
+     * POST notifications/{id}/read
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async markNotificationRead(id) {
+      return this.request(`notifications/${id}/read`, {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Mark All Notifications Read
+     * POST notifications/read-all
+     * @returns {Promise<ApiResponse>}
+     */
+    async markAllNotificationsRead() {
+      return this.request("notifications/read-all", {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Get Supplier Returns
+     * GET supplier-returns
+     * @param {{supplier_id?: string|number, status?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getSupplierReturns(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`supplier-returns${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Supplier Return
+     * GET supplier-returns/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getSupplierReturn(id) {
+      return this.request(`supplier-returns/${id}`);
+    },
+
+    /**
+     * Update Supplier Return Status
+     * POST supplier-returns/{id}/status
+     * @param {number|string} id
+     * @param {UpdateSupplierReturnStatusRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async updateSupplierReturnStatus(id, data) {
+      return this.request(`supplier-returns/${id}/status`, {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Get Stock Counts
+     * GET stock-counts
+     * @param {{status?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getStockCounts(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`stock-counts${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Stock Count
+     * GET stock-counts/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getStockCount(id) {
+      return this.request(`stock-counts/${id}`);
+    },
+
+    /**
+     * Get Count Reason Codes
+     * GET stock-counts/reason-codes
+     * @returns {Promise<ApiResponse>}
+     */
+    async getCountReasonCodes() {
+      return this.request("stock-counts/reason-codes");
+    },
+
+    /**
+     * Get Count Assignees
+     * GET stock-counts/counters
+     * @returns {Promise<ApiResponse>}
+     */
+    async getCountAssignees() {
+      return this.request("stock-counts/counters");
+    },
+
+    /**
+     * Create Stock Count
+     * POST stock-counts
+     * @param {CreateStockCountRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createStockCount(data) {
+      return this.request("stock-counts", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Save Counted Quantities
+     * POST stock-counts/{id}/counts
+     * @param {number|string} id
+     * @param {SaveCountedQuantitiesRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async saveCountedQuantities(id, data) {
+      return this.request(`stock-counts/${id}/counts`, {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Submit Stock Count
+     * POST stock-counts/{id}/submit
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async submitStockCount(id) {
+      return this.request(`stock-counts/${id}/submit`, {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Approve Stock Count
+     * POST stock-counts/{id}/approve
+     * @param {number|string} id
+     * @param {ApproveStockCountRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async approveStockCount(id, data) {
+      return this.request(`stock-counts/${id}/approve`, {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Request Recount
+     * POST stock-counts/{id}/recount
+     * @param {number|string} id
+     * @param {RequestRecountRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async requestRecount(id, data) {
+      return this.request(`stock-counts/${id}/recount`, {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Cancel Stock Count
+     * POST stock-counts/{id}/cancel
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async cancelStockCount(id) {
+      return this.request(`stock-counts/${id}/cancel`, {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Get Locations
+     * GET locations
+     * @param {{active?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getLocations(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`locations${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Location Stock
+     * GET locations/stock
+     * @param {{location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getLocationStock(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`locations/stock${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Create Location
+     * POST locations
+     * @param {CreateLocationRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createLocation(data) {
+      return this.request("locations", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Update Location
+     * PUT locations/{id}
+     * @param {number|string} id
+     * @param {UpdateLocationRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async updateLocation(id, data) {
+      return this.request(`locations/${id}`, {
+        method: "PUT",
+        body: data,
+      });
+    },
+
+    /**
+     * Get Item Locations
+     * GET inventory/{id}/locations
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getItemLocations(id) {
+      return this.request(`inventory/${id}/locations`);
+    },
+
+    /**
+     * Get Stock Transfers
+     * GET stock-transfers
+     * @param {{location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getStockTransfers(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`stock-transfers${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Stock Transfer
+     * GET stock-transfers/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getStockTransfer(id) {
+      return this.request(`stock-transfers/${id}`);
+    },
+
+    /**
+     * Create Stock Transfer
+     * POST stock-transfers
+     * @param {CreateStockTransferRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createStockTransfer(data) {
+      return this.request("stock-transfers", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Lookup Tracked Units
+     * GET tracking/lookup
+     * @param {{q?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async lookupTrackedUnits(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`tracking/lookup${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Available Units
+     * GET tracking/available
+     * @param {{item_id?: string|number, location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getAvailableUnits(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`tracking/available${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Serial Trace
+     * GET tracking/serials/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getSerialTrace(id) {
+      return this.request(`tracking/serials/${id}`);
+    },
+
+    /**
+     * Get Lot Trace
+     * GET tracking/lots/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getLotTrace(id) {
+      return this.request(`tracking/lots/${id}`);
+    },
+
+    /**
+     * Get Sales Order Picks
+     * GET tracking/sales-orders/{id}
+     * @param {number|string} id
+     * @param {{location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getSalesOrderPicks(id, query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`tracking/sales-orders/${id}${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Report Schedules
+     * GET report-schedules
+     * @returns {Promise<ApiResponse>}
+     */
+    async getReportSchedules() {
+      return this.request("report-schedules");
+    },
+
+    /**
+     * Create Report Schedule
+     * POST report-schedules
+     * @param {CreateReportScheduleRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createReportSchedule(data) {
+      return this.request("report-schedules", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Email Report Now
+     * POST report-schedules/send
+     * @param {EmailReportNowRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async emailReportNow(data) {
+      return this.request("report-schedules/send", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Pause Report Schedule
+     * POST report-schedules/{id}/pause
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async pauseReportSchedule(id) {
+      return this.request(`report-schedules/${id}/pause`, {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Resume Report Schedule
+     * POST report-schedules/{id}/resume
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async resumeReportSchedule(id) {
+      return this.request(`report-schedules/${id}/resume`, {
+        method: "POST",
+      });
+    },
+
+    /**
+     * Delete Report Schedule
+     * DELETE report-schedules/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async deleteReportSchedule(id) {
+      return this.request(`report-schedules/${id}`, {
+        method: "DELETE",
+      });
+    },
+
+    /**
+     * Get Custom Reports
+     * GET custom-reports
+     * @returns {Promise<ApiResponse>}
+     */
+    async getCustomReports() {
+      return this.request("custom-reports");
+    },
+
+    /**
+     * Get Custom Report Sources
+     * GET custom-reports/sources
+     * @returns {Promise<ApiResponse>}
+     */
+    async getCustomReportSources() {
+      return this.request("custom-reports/sources");
+    },
+
+    /**
+     * Get Custom Report
+     * GET custom-reports/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getCustomReport(id) {
+      return this.request(`custom-reports/${id}`);
+    },
+
+    /**
+     * Run Custom Report
+     * GET custom-reports/{id}/run
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async runCustomReport(id) {
+      return this.request(`custom-reports/${id}/run`);
+    },
+
+    /**
+     * Preview Custom Report
+     * POST custom-reports/run
+     * @param {PreviewCustomReportRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async previewCustomReport(data) {
+      return this.request("custom-reports/run", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Create Custom Report
+     * POST custom-reports
+     * @param {CreateCustomReportRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async createCustomReport(data) {
+      return this.request("custom-reports", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Update Custom Report
+     * PUT custom-reports/{id}
+     * @param {number|string} id
+     * @param {UpdateCustomReportRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async updateCustomReport(id, data) {
+      return this.request(`custom-reports/${id}`, {
+        method: "PUT",
+        body: data,
+      });
+    },
+
+    /**
+     * Delete Custom Report
+     * DELETE custom-reports/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async deleteCustomReport(id) {
+      return this.request(`custom-reports/${id}`, {
+        method: "DELETE",
+      });
+    },
+
+    /**
+     * Get Report Exports
+     * GET report-exports
+     * @returns {Promise<ApiResponse>}
+     */
+    async getReportExports() {
+      return this.request("report-exports");
+    },
+
+    /**
+     * Get Report Export
+     * GET report-exports/{id}
+     * @param {number|string} id
+     * @returns {Promise<ApiResponse>}
+     */
+    async getReportExport(id) {
+      return this.request(`report-exports/${id}`);
+    },
+
+    /**
+     * Start Report Export
+     * POST report-exports
+     * @param {StartReportExportRequest} data
+     * @returns {Promise<ApiResponse>}
+     */
+    async startReportExport(data) {
+      return this.request("report-exports", {
+        method: "POST",
+        body: data,
+      });
+    },
+
+    /**
+     * Get Period Comparison
+     * GET reports/comparison
+     * @param {{date_from?: string|number, date_to?: string|number, compare?: string|number, location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getPeriodComparison(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`reports/comparison${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Get Inventory Performance
+     * GET analytics/inventory-performance
+     * @param {{date_from?: string|number, date_to?: string|number, group_by?: string|number, category_id?: string|number, location_id?: string|number}} [query]
+     * @returns {Promise<ApiResponse>}
+     */
+    async getInventoryPerformance(query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return this.request(`analytics/inventory-performance${params ? "?" + params : ""}`);
+    },
+
+    /**
+     * Health Check
+     * API health check endpoint
+     * GET health
+     * @returns {Promise<ApiResponse>}
+     */
+    async healthCheck() {
+      return this.request("health");
+    },
+
+    // @generated-end
+
+    // ========================================================================
+    // SERVER-SIDE PAGINATION
+    // ========================================================================
+
+    /**
+     * Fetch one page of a list endpoint.
+     * params: page, per_page, sort, order, search, date_from, date_to and any
+     * endpoint filter (status, type, stock_status...). Empty values are dropped.
+     * Resolves to { items, total, page, perPage, totalPages, summary }.
+     */
+    async requestPage(endpoint, params = {}, options = {}) {
+      const query = new URLSearchParams();
+      Object.entries({ page: 1, ...params }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          query.append(key, value);
+        }
+      });
+
+      const response = await this.request(`${endpoint}?${query}`, options);
+      return this.normalizePageResponse(response);
+    },
+
+    normalizePageResponse(response) {
+      const payload = (response && response.data) || {};
+      const items = Array.isArray(payload.items) ? payload.items : [];
+      const perPage = payload.per_page || items.length || 1;
+      const total = payload.total ?? items.length;
+
+      return {
+        items,
+        total,
+        page: payload.page || 1,
+        perPage,
+        totalPages: payload.total_pages ?? Math.ceil(total / perPage),
+        sort: payload.sort,
+        order: payload.order,
+        summary: payload.summary || null,
+      };
+    },
+
+    // ========================================================================
+    // RESPONSE VALIDATION
+    // ========================================================================
+
+    /**
+     * Check a successful response against the schema registered for the
+     * endpoint (see api-schemas.js). Mismatches are reported, not thrown, so
+     * a drifting backend shows up in the console and error log without
+     * taking the page down.
+     */
+    validateResponse(endpoint, method, data) {
+      if (!window.APISchemas) return true;
+
+      const errors = window.APISchemas.check(method, endpoint, data);
+      if (errors.length === 0) return true;
+
+      if (window.ErrorHandler?.reportSchemaMismatch) {
+        window.ErrorHandler.reportSchemaMismatch(`${method} ${endpoint}`, errors);
+      } else {
+        console.error(`❌ Schema mismatch: ${method} ${endpoint}`, errors);
+      }
+      return false;
+    },
+
+    // Responses are validated in performRequest, so the payload is always
+    // in `data`; these only unwrap it
+    normalizeArrayResponse(response) {
+      const data = response?.data;
+      if (data === undefined || data === null) return [];
+      return Array.isArray(data) ? data : [data];
+    },
+
+    normalizeObjectResponse(response) {
+      return response?.data ?? null;
     },
   };
 
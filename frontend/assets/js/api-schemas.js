@@ -0,0 +1,865 @@
+/**
+ * ============================================================================
+ * JANSTRO IMS - API RESPONSE SCHEMAS v1.0
+ * ============================================================================
+ * Path: frontend/assets/js/api-schemas.js
+ *
+ * Registry of expected response shapes, written in a JSON Schema subset
+ * (type, required, properties, items, enum, anyOf). API.request validates
+ * every response against the envelope plus the schema registered for the
+ * endpoint, so a backend shape change is reported straight away instead of
+ * quietly rendering an empty table.
+ *
+ * Load before api-client.js.
+ * ============================================================================
+ */
+
+(function (window) {
+  "use strict";
+
+  // ========================================================================
+  // SHARED DEFINITIONS
+  // ========================================================================
+  // DECIMAL columns arrive as strings from PDO, so numeric fields accept both
+  const id = { type: ["integer", "string"] };
+  const numeric = { type: ["number", "string"] };
+  const text = { type: ["string", "null"] };
+
+  const arrayOf = (items) => ({ type: "array", items });
+
+  // Shape produced by Pagination::result() on the server
+  const pageOf = (items) => ({
+    type: "object",
+    required: ["items", "total", "page", "per_page", "total_pages"],
+    properties: {
+      items: arrayOf(items),
+      total: { type: "integer" },
+      page: { type: "integer" },
+      per_page: { type: "integer" },
+      total_pages: { type: "integer" },
+    },
+  });
+
+  const envelope = {
+    type: "object",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      message: text,
+    },
+  };
+
+  const item = {
+    type: "object",
+    required: ["item_id", "item_name", "quantity"],
+    properties: {
+      item_id: id,
+      item_name: { type: "string" },
+      sku: text,
+      quantity: numeric,
+      unit_price: numeric,
+      reorder_level: numeric,
+    },
+  };
+
+  const purchaseOrderLine = {
+    type: "object",
+    required: ["po_item_id", "item_id", "quantity", "received_quantity"],
+    properties: {
+      po_item_id: id,
+      item_id: id,
+      item_name: text,
+      quantity: numeric,
+      unit_price: numeric,
+      tax_rate: numeric,
+      line_total: numeric,
+      received_quantity: numeric,
+      open_quantity: numeric,
+    },
+  };
+
+  const purchaseOrder = {
+    type: "object",
+    required: ["po_id", "status"],
+    properties: {
+      po_id: id,
+      status: { type: "string" },
+      total_amount: numeric,
+      line_count: numeric,
+      lines: arrayOf(purchaseOrderLine),
+    },
+  };
+
+  const supplierReturn = {
+    type: "object",
+    required: ["return_id", "rts_number", "supplier_id", "status", "items"],
+    properties: {
+      return_id: id,
+      rts_number: { type: "string" },
+      supplier_id: id,
+      po_id: id,
+      gr_number: text,
+      status: { type: "string", enum: ["open", "shipped", "closed"] },
+      total_quantity: numeric,
+      total_value: numeric,
+      items: arrayOf({
+        type: "object",
+        required: ["item_id", "quantity"],
+        properties: { item_id: id, item_name: text, quantity: numeric, reason: text },
+      }),
+    },
+  };
+
+  const stockCount = {
+    type: "object",
+    required: ["count_id", "count_number", "status", "assigned_to"],
+    properties: {
+      count_id: id,
+      count_number: { type: "string" },
+      scope_type: { type: "string", enum: ["all", "category"] },
+      status: {
+        type: "string",
+        enum: ["open", "counting", "submitted", "approved", "cancelled"],
+      },
+      assigned_to: id,
+      item_count: numeric,
+      counted_count: numeric,
+      variance_count: numeric,
+    },
+  };
+
+  const location = {
+    type: "object",
+    required: ["location_id", "location_type", "code", "name", "path"],
+    properties: {
+      location_id: id,
+      parent_id: { type: ["number", "string", "null"] },
+      location_type: { type: "string", enum: ["warehouse", "zone", "bin"] },
+      code: { type: "string" },
+      name: { type: "string" },
+      path: { type: "string" },
+      status: { type: "string", enum: ["active", "inactive"] },
+      stock_quantity: numeric,
+    },
+  };
+
+  const stockTransfer = {
+    type: "object",
+    required: ["transfer_id", "transfer_number", "from_code", "to_code", "lines"],
+    properties: {
+      transfer_id: id,
+      transfer_number: { type: "string" },
+      from_code: { type: "string" },
+      to_code: { type: "string" },
+      lines: arrayOf({
+        type: "object",
+        required: ["item_id", "quantity"],
+        properties: { item_id: id, quantity: numeric },
+      }),
+    },
+  };
+
+  const trackedUnit = {
+    type: "object",
+    required: ["unit_type", "unit_id", "unit_number", "item_id", "item_name"],
+    properties: {
+      unit_type: { type: "string", enum: ["serial", "lot"] },
+      unit_id: id,
+      unit_number: { type: "string" },
+      status: text,
+      item_id: id,
+      item_name: { type: "string" },
+      gr_number: text,
+      supplier_name: text,
+    },
+  };
+
+  const reportSchedule = {
+    type: "object",
+    required: ["schedule_id", "name", "report_type", "format", "recipients", "frequency", "status"],
+    properties: {
+      schedule_id: id,
+      name: { type: "string" },
+      report_type: { type: "string" },
+      format: { type: "string", enum: ["csv", "xlsx", "pdf"] },
+      recipients: { type: "array", items: { type: "string" } },
+      frequency: { type: "string", enum: ["daily", "weekly", "monthly"] },
+      status: { type: "string", enum: ["active", "paused"] },
+      next_run_at: text,
+      last_run_at: text,
+      last_status: text,
+    },
+  };
+
+  const customReport = {
+    type: "object",
+    required: ["report_id", "name", "source", "definition", "is_shared", "created_by"],
+    properties: {
+      report_id: id,
+      name: { type: "string" },
+      description: text,
+      source: { type: "string" },
+      definition: { type: "object" },
+      is_shared: { type: "boolean" },
+      created_by: id,
+      created_by_name: text,
+      last_run_at: text,
+    },
+  };
+
+  const reportExport = {
+    type: "object",
+    required: ["export_id", "report_type", "format", "status", "progress", "rows_done"],
+    properties: {
+      export_id: { type: "integer" },
+      report_type: { type: "string" },
+      title: { type: "string" },
+      format: { type: "string", enum: ["csv", "xlsx", "pdf"] },
+      status: { type: "string", enum: ["queued", "running", "completed", "failed", "expired"] },
+      progress: { type: "integer" },
+      rows_total: { type: ["integer", "null"] },
+      rows_done: { type: "integer" },
+      file_name: text,
+      file_size: { type: ["integer", "null"] },
+      error: text,
+      expires_at: text,
+    },
+  };
+
+  const periodRange = {
+    type: "object",
+    required: ["date_from", "date_to"],
+    properties: { date_from: { type: "string" }, date_to: { type: "string" } },
+  };
+
+  const periodComparison = {
+    type: "object",
+    required: ["mode", "current", "previous", "metrics"],
+    properties: {
+      mode: { type: "string", enum: ["previous", "prior_year", "custom"] },
+      mode_label: { type: "string" },
+      location: text,
+      current: periodRange,
+      previous: periodRange,
+      metrics: arrayOf({
+        type: "object",
+        required: ["key", "label", "format", "current", "previous", "change"],
+        properties: {
+          key: { type: "string" },
+          label: { type: "string" },
+          format: { type: "string", enum: ["currency", "number", "ratio"] },
+          current: { type: "number" },
+          previous: { type: "number" },
+          change: { type: "number" },
+          change_pct: { type: ["number", "null"] },
+        },
+      }),
+    },
+  };
+
+  const performanceFigures = {
+    item_count: { type: "integer" },
+    opening_quantity: { type: "integer" },
+    closing_quantity: { type: "integer" },
+    received_quantity: { type: "integer" },
+    issued_quantity: { type: "integer" },
+    opening_value: { type: "number" },
+    closing_value: { type: "number" },
+    average_value: { type: "number" },
+    cogs: { type: "number" },
+    turnover: { type: "number" },
+    annual_turnover: { type: "number" },
+    days_on_hand: { type: ["number", "null"] },
+    days_of_supply: { type: ["number", "null"] },
+    sell_through: { type: ["number", "null"] },
+    stock_age_days: { type: ["integer", "null"] },
+    dead_stock_items: { type: "integer" },
+    dead_stock_value: { type: "number" },
+  };
+
+  const inventoryPerformance = {
+    type: "object",
+    required: ["date_from", "date_to", "days", "group_by", "summary", "rows"],
+    properties: {
+      date_from: { type: "string" },
+      date_to: { type: "string" },
+      days: { type: "integer" },
+      group_by: { type: "string", enum: ["category", "item"] },
+      category: text,
+      location: text,
+      dead_stock_days: { type: "integer" },
+      summary: {
+        type: "object",
+        required: ["item_count", "cogs", "turnover", "dead_stock_items"],
+        properties: performanceFigures,
+      },
+      rows: arrayOf({
+        type: "object",
+        required: ["cogs", "turnover", "closing_value"],
+        properties: {
+          ...performanceFigures,
+          item_id: id,
+          item_name: { type: "string" },
+          category_id: { type: ["integer", "null"] },
+          category_name: text,
+          is_dead_stock: { type: "boolean" },
+        },
+      }),
+    },
+  };
+
+  const customReportResult = {
+    type: "object",
+    required: ["type", "title", "columns", "keys", "rows", "summary"],
+    properties: {
+      type: { type: "string", enum: ["custom"] },
+      title: { type: "string" },
+      columns: { type: "array", items: { type: "string" } },
+      keys: { type: "array", items: { type: "string" } },
+      rows: { type: "array", items: { type: "array" } },
+      summary: { type: "object" },
+      truncated: { type: "boolean" },
+    },
+  };
+
+  const salesOrder = {
+    type: "object",
+    required: ["sales_order_id", "status"],
+    properties: {
+      sales_order_id: id,
+      status: { type: "string" },
+      customer_name: text,
+      subtotal: numeric,
+      discount_amount: numeric,
+      tax_amount: numeric,
+      total_amount: numeric,
+      line_count: numeric,
+    },
+  };
+
+  const movement = {
+    type: "object",
+    required: ["transaction_type"],
+    properties: {
+      transaction_type: { enum: ["IN", "OUT"] },
+      item_name: text,
+    },
+  };
+
+  const user = {
+    type: "object",
+    required: ["user_id", "username", "role"],
+    properties: {
+      user_id: id,
+      username: { type: "string" },
+      role: { type: "string" },
+    },
+  };
+
+  // ========================================================================
+  // ENDPOINT REGISTRY
+  // ========================================================================
+  // path: endpoint without query string; {id} matches a numeric segment.
+  // paged: true/false restricts the entry to requests with/without ?page=
+  // data: schema for the `data` member of the envelope
+  const registry = [
+    {
+      method: "POST",
+      path: "auth/login",
+      data: {
+        type: "object",
+        required: ["token", "user"],
+        properties: { token: { type: "string" }, user },
+      },
+    },
+    { method: "GET", path: "auth/me", data: user },
+
+    { method: "GET", path: "inventory", paged: false, data: arrayOf(item) },
+    { method: "GET", path: "inventory", paged: true, data: pageOf(item) },
+    { method: "GET", path: "inventory/low-stock", data: arrayOf(item) },
+    { method: "GET", path: "inventory/lookup", data: item },
+    { method: "GET", path: "inventory/{id}", data: item },
+    { method: "GET", path: "items", data: arrayOf(item) },
+    { method: "GET", path: "items/{id}", data: item },
+
+    {
+      method: "GET",
+      path: "categories",
+      data: arrayOf({
+        type: "object",
+        required: ["category_id", "name"],
+        properties: { category_id: id, name: { type: "string" } },
+      }),
+    },
+    {
+      method: "GET",
+      path: "suppliers",
+      data: arrayOf({
+        type: "object",
+        required: ["supplier_id", "supplier_name"],
+        properties: { supplier_id: id, supplier_name: { type: "string" } },
+      }),
+    },
+    {
+      method: "GET",
+      path: "customers",
+      data: arrayOf({
+        type: "object",
+        required: ["customer_id", "customer_name"],
+        properties: { customer_id: id, customer_name: { type: "string" } },
+      }),
+    },
+
+    { method: "GET", path: "purchase-orders", paged: false, data: arrayOf(purchaseOrder) },
+    { method: "GET", path: "purchase-orders", paged: true, data: pageOf(purchaseOrder) },
+    { method: "GET", path: "purchase-orders/{id}", data: purchaseOrder },
+    {
+      method: "GET",
+      path: "purchase-orders/{id}/receipts",
+      data: arrayOf({
+        type: "object",
+        required: ["gr_id", "gr_number", "received_at", "lines"],
+        properties: {
+          gr_id: id,
+          gr_number: { type: "string" },
+          total_quantity: numeric,
+          lines: arrayOf({
+            type: "object",
+            required: ["po_item_id", "quantity"],
+            properties: {
+              po_item_id: id,
+              quantity: numeric,
+              accepted_quantity: numeric,
+              rejected_quantity: numeric,
+              on_hold_quantity: numeric,
+              photos: arrayOf({ type: "string" }),
+              open_after: numeric,
+            },
+          }),
+          returns: arrayOf({
+            type: "object",
+            required: ["return_id", "rts_number", "status"],
+            properties: { return_id: id, rts_number: { type: "string" }, status: { type: "string" } },
+          }),
+        },
+      }),
+    },
+    {
+      method: "GET",
+      path: "purchase-orders/backorders",
+      data: {
+        type: "object",
+        required: ["backorders", "ageing", "summary"],
+        properties: {
+          backorders: arrayOf({
+            type: "object",
+            required: ["po_id", "po_item_id", "open_quantity", "ageing_bucket"],
+            properties: {
+              po_id: id,
+              po_item_id: id,
+              open_quantity: numeric,
+              open_value: numeric,
+              days_open: numeric,
+              ageing_bucket: { type: "string" },
+            },
+          }),
+          ageing: { type: "object" },
+          summary: {
+            type: "object",
+            required: ["purchase_orders", "lines", "open_quantity", "open_value"],
+          },
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "purchase-orders/{id}/receive",
+      data: {
+        type: "object",
+        required: ["po_id", "gr_number", "status", "previous_stock", "new_stock_level", "lines"],
+        properties: {
+          po_id: id,
+          gr_number: { type: "string" },
+          status: { type: "string" },
+          previous_stock: numeric,
+          new_stock_level: numeric,
+          lines: arrayOf({
+            type: "object",
+            required: ["po_item_id", "received_quantity"],
+            properties: {
+              po_item_id: id,
+              received_quantity: numeric,
+              accepted_quantity: numeric,
+              rejected_quantity: numeric,
+              on_hold_quantity: numeric,
+            },
+          }),
+          rts_number: text,
+          open_quantity: numeric,
+          fully_received: { type: "boolean" },
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "goods-receipts/{id}/release",
+      data: {
+        type: "object",
+        required: ["gr_id", "gr_number", "accepted_quantity", "rejected_quantity"],
+        properties: {
+          gr_id: id,
+          gr_number: { type: "string" },
+          rts_number: text,
+          accepted_quantity: numeric,
+          rejected_quantity: numeric,
+          open_quantity: numeric,
+        },
+      },
+    },
+    { method: "GET", path: "stock-counts", data: arrayOf(stockCount) },
+    {
+      method: "GET",
+      path: "stock-counts/{id}",
+      data: {
+        ...stockCount,
+        required: [...stockCount.required, "lines"],
+        properties: {
+          ...stockCount.properties,
+          lines: arrayOf({
+            type: "object",
+            required: ["item_id", "item_name"],
+            properties: {
+              item_id: id,
+              item_name: { type: "string" },
+              system_quantity: { type: ["number", "string", "null"] },
+              counted_quantity: { type: ["number", "string", "null"] },
+              variance: { type: ["number", "null"] },
+            },
+          }),
+        },
+      },
+    },
+    { method: "GET", path: "locations", data: arrayOf(location) },
+    { method: "GET", path: "stock-transfers", data: arrayOf(stockTransfer) },
+    { method: "GET", path: "stock-transfers/{id}", data: stockTransfer },
+    { method: "GET", path: "tracking/lookup", data: arrayOf(trackedUnit) },
+    {
+      method: "GET",
+      path: "tracking/available",
+      data: {
+        type: "object",
+        required: ["item_id", "tracking_type", "serials", "lots"],
+        properties: {
+          item_id: id,
+          tracking_type: { type: "string", enum: ["none", "lot", "serial"] },
+          untracked_quantity: { type: ["integer", "null"] },
+          serials: arrayOf({
+            type: "object",
+            required: ["serial_id", "serial_number"],
+            properties: { serial_id: id, serial_number: { type: "string" } },
+          }),
+          lots: arrayOf({
+            type: "object",
+            required: ["lot_id", "lot_number", "quantity"],
+            properties: { lot_id: id, lot_number: { type: "string" }, quantity: numeric },
+          }),
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "tracking/sales-orders/{id}",
+      data: arrayOf({
+        type: "object",
+        required: ["item_id", "item_name", "tracking_type", "quantity", "serials", "lots"],
+        properties: {
+          item_id: id,
+          item_name: { type: "string" },
+          tracking_type: { type: "string", enum: ["lot", "serial"] },
+          quantity: numeric,
+          untracked_quantity: { type: ["integer", "null"] },
+        },
+      }),
+    },
+    {
+      method: "GET",
+      path: "tracking/serials/{id}",
+      data: { ...trackedUnit, required: [...trackedUnit.required, "history"] },
+    },
+    {
+      method: "GET",
+      path: "tracking/lots/{id}",
+      data: { ...trackedUnit, required: [...trackedUnit.required, "history", "locations"] },
+    },
+    { method: "GET", path: "report-schedules", data: arrayOf(reportSchedule) },
+    { method: "GET", path: "custom-reports", data: arrayOf(customReport) },
+    { method: "GET", path: "custom-reports/{id}", data: customReport },
+    { method: "GET", path: "custom-reports/{id}/run", data: customReportResult },
+    { method: "POST", path: "custom-reports/run", data: customReportResult },
+    { method: "GET", path: "reports/comparison", data: periodComparison },
+    {
+      method: "GET",
+      path: "analytics/inventory-performance",
+      data: inventoryPerformance,
+    },
+    { method: "GET", path: "report-exports", data: arrayOf(reportExport) },
+    { method: "GET", path: "report-exports/{id}", data: reportExport },
+    { method: "POST", path: "report-exports", data: reportExport },
+    {
+      method: "GET",
+      path: "supplier-returns",
+      data: arrayOf(supplierReturn),
+    },
+    {
+      method: "GET",
+      path: "supplier-returns/{id}",
+      data: supplierReturn,
+    },
+    {
+      method: "POST",
+      path: "supplier-returns/{id}/status",
+      data: supplierReturn,
+    },
+
+    {
+      method: "POST",
+      path: "sales-orders",
+      data: {
+        type: "object",
+        required: ["sales_order_id", "lines", "stock_status"],
+        properties: {
+          sales_order_id: id,
+          total_amount: numeric,
+          lines: arrayOf({
+            type: "object",
+            required: ["item_id", "quantity", "shortage"],
+            properties: {
+              item_id: id,
+              quantity: numeric,
+              available: numeric,
+              shortage: numeric,
+              can_fulfill: { type: "boolean" },
+            },
+          }),
+          stock_status: {
+            type: "object",
+            required: ["shortage", "can_fulfill"],
+          },
+        },
+      },
+    },
+    { method: "GET", path: "sales-orders", paged: false, data: arrayOf(salesOrder) },
+    { method: "GET", path: "sales-orders", paged: true, data: pageOf(salesOrder) },
+
+    { method: "GET", path: "transactions", paged: false, data: arrayOf(movement) },
+    { method: "GET", path: "transactions", paged: true, data: pageOf(movement) },
+
+    {
+      method: "GET",
+      path: "stock-requirements",
+      data: {
+        type: "object",
+        required: ["requirements", "summary"],
+        properties: {
+          requirements: arrayOf({
+            type: "object",
+            required: ["requirement_id", "item_id", "status"],
+            properties: {
+              requirement_id: id,
+              item_id: id,
+              status: { type: "string" },
+              shortage_quantity: numeric,
+            },
+          }),
+          summary: {
+            type: "object",
+            required: ["total", "sufficient", "shortage", "critical"],
+          },
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "purchase-requisitions",
+      data: {
+        type: "object",
+        required: ["requisitions", "summary"],
+        properties: {
+          requisitions: arrayOf({
+            type: "object",
+            required: ["pr_id", "status"],
+            properties: { pr_id: id, status: { type: "string" } },
+          }),
+          summary: {
+            type: "object",
+            required: ["total", "pending", "approved", "converted"],
+          },
+        },
+      },
+    },
+
+    {
+      method: "GET",
+      path: "invoices",
+      data: arrayOf({
+        type: "object",
+        required: ["invoice_id"],
+        properties: { invoice_id: id },
+      }),
+    },
+    {
+      method: "GET",
+      path: "notifications",
+      data: {
+        type: "object",
+        required: ["notifications", "unread_count"],
+        properties: {
+          notifications: arrayOf({
+            type: "object",
+            required: ["notification_id", "title", "is_read"],
+            properties: {
+              notification_id: id,
+              title: { type: "string" },
+              link: text,
+              is_read: { type: ["integer", "string", "boolean"] },
+            },
+          }),
+          unread_count: { type: "integer" },
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "audit-logs",
+      data: {
+        type: "object",
+        required: ["data", "pagination"],
+        properties: {
+          data: { type: "array" },
+          pagination: {
+            type: "object",
+            required: ["page", "per_page", "total", "total_pages"],
+          },
+        },
+      },
+    },
+  ];
+
+  // ========================================================================
+  // VALIDATOR (JSON Schema subset)
+  // ========================================================================
+  function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") {
+      return Number.isInteger(value) ? "integer" : "number";
+    }
+    return typeof value;
+  }
+
+  function matchesType(value, expected) {
+    const actual = typeOf(value);
+    const types = Array.isArray(expected) ? expected : [expected];
+    return types.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+  }
+
+  /**
+   * @returns {string[]} Human-readable errors; empty when valid
+   */
+  function validate(schema, value, path = "response") {
+    if (!schema) return [];
+    const errors = [];
+
+    if (schema.anyOf) {
+      const passes = schema.anyOf.some(
+        (option) => validate(option, value, path).length === 0
+      );
+      if (!passes) errors.push(`${path}: does not match any allowed shape`);
+      return errors;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      const expected = [].concat(schema.type).join(" | ");
+      return [`${path}: expected ${expected}, got ${typeOf(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`);
+    }
+
+    if (typeOf(value) === "object") {
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key}: is missing`);
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (key in value) {
+          errors.push(...validate(propSchema, value[key], `${path}.${key}`));
+        }
+      });
+    }
+
+    // One bad row usually means they all are; check a sample to stay cheap
+    if (Array.isArray(value) && schema.items) {
+      value.slice(0, 5).forEach((entry, i) => {
+        errors.push(...validate(schema.items, entry, `${path}[${i}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  // ========================================================================
+  // LOOKUP
+  // ========================================================================
+  const compiled = registry.map((entry) => ({
+    ...entry,
+    regex: new RegExp(
+      "^" + entry.path.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{id\}/g, "\\d+") + "$"
+    ),
+  }));
+
+  const APISchemas = {
+    registry,
+    envelope,
+    validate,
+
+    /**
+     * Find the registered entry for a request, if any
+     */
+    find(method, endpoint) {
+      const [path, query = ""] = endpoint.split("?");
+      const params = new URLSearchParams(query);
+      const paged = params.has("page") || params.has("per_page");
+
+      return (
+        compiled.find(
+          (entry) =>
+            entry.method === method &&
+            entry.regex.test(path.replace(/\/+$/, "")) &&
+            (entry.paged === undefined || entry.paged === paged)
+        ) || null
+      );
+    },
+
+    /**
+     * Validate a parsed response body: envelope first, then `data`
+     * @returns {string[]} errors (empty when the response matches)
+     */
+    check(method, endpoint, body) {
+      const errors = validate(envelope, body);
+      if (errors.length > 0) return errors;
+
+      const entry = this.find(method, endpoint);
+      if (!entry) return [];
+
+      if (!("data" in body)) return ["response.data: is missing"];
+      return validate(entry.data, body.data, "response.data");
+    },
+  };
+
+  window.APISchemas = APISchemas;
+  console.log(`✅ API Schemas loaded (${registry.length} endpoints)`);
+})(window);
@@ -23,6 +23,8 @@
     isMobileDevice: false,
     touchStartX: 0,
     sidebarSwipeActive: false,
+    notifications: [],
+    unreadCount: 0,
 
     // ========================================================================
     // INITIALIZATION
@@ -101,6 +103,8 @@
           ) {
             throw new Error("Invalid user role");
           }
+
+          window.Store?.set("user", this.currentUser);
         } else {
           throw new Error("Invalid token");
         }
@@ -159,6 +163,18 @@
           </a>
 
           <div class="navbar-right">
+            <span class="sync-badge" id="pendingSyncBadge" role="status" title="Changes saved offline, waiting to sync" style="display: none;">
+              <i class="bi bi-cloud-arrow-up"></i>
+              <span id="pendingSyncCount">0</span> pending sync
+            </span>
+
+            <button type="button" class="notification-bell" id="notificationBell"
+                    data-bs-toggle="offcanvas" data-bs-target="#notificationDrawer"
+                    aria-controls="notificationDrawer" aria-label="Notifications">
+              <i class="bi bi-bell"></i>
+              <span class="notification-count" id="notificationCount" style="display: none;">0</span>
+            </button>
+
             <!-- ✅ FIXED: Proper Bootstrap 5 dropdown structure -->
             <div class="dropdown">
               <a class="nav-link dropdown-toggle" 
@@ -200,6 +216,14 @@
 
       document.body.insertAdjacentHTML("afterbegin", navbarHtml);
 
+      document.getElementById("notificationDrawer")?.remove();
+      document.body.insertAdjacentHTML("beforeend", this.buildNotificationDrawer());
+      this.initNotificationCenter();
+
+      this.updatePendingSyncBadge(
+        window.API?.getPendingCount ? API.getPendingCount() : 0
+      );
+
       // ✅ ENHANCEMENT: Ensure Bootstrap dropdown is properly initialized
       setTimeout(() => {
         const dropdownElement = document.getElementById("settingsDropdown");
@@ -267,6 +291,14 @@
       avatarContainer.innerHTML = profileAvatarHTML;
     },
 
+    updatePendingSyncBadge(count) {
+      const badge = document.getElementById("pendingSyncBadge");
+      if (!badge) return;
+
+      document.getElementById("pendingSyncCount").textContent = count;
+      badge.style.display = count > 0 ? "inline-flex" : "none";
+    },
+
     getInitials(name) {
       if (!name) return "?";
       const parts = name.trim().split(" ");
@@ -285,6 +317,175 @@
       return labels[role?.toLowerCase()] || role;
     },
 
+    // ========================================================================
+    // NOTIFICATION CENTER
+    // ========================================================================
+    buildNotificationDrawer() {
+      return `
+        <div class="offcanvas offcanvas-end notification-drawer" tabindex="-1"
+             id="notificationDrawer" aria-labelledby="notificationDrawerLabel">
+          <div class="offcanvas-header border-bottom">
+            <h5 class="offcanvas-title" id="notificationDrawerLabel">
+              <i class="bi bi-bell"></i> Notifications
+            </h5>
+            <div class="d-flex align-items-center gap-2">
+              <button type="button" class="btn btn-sm btn-link" id="btnMarkAllRead">Mark all read</button>
+              <button type="button" class="btn-close" data-bs-dismiss="offcanvas" aria-label="Close"></button>
+            </div>
+          </div>
+          <div class="offcanvas-body p-0" id="notificationList">
+            <div class="text-center text-muted py-5">Loading...</div>
+          </div>
+        </div>
+      `;
+    },
+
+    /**
+     * Notifications are stored per user on the server, so the bell shows the
+     * same list on every device. New ones arrive via realtime.js.
+     */
+    initNotificationCenter() {
+      const drawer = document.getElementById("notificationDrawer");
+      if (!drawer) return;
+
+      drawer.addEventListener("show.bs.offcanvas", () => this.loadNotifications());
+
+      document.getElementById("notificationList").addEventListener("click", (e) => {
+        const entry = e.target.closest("[data-notification-id]");
+        if (!entry) return;
+        e.preventDefault();
+        this.openNotification(entry.dataset.notificationId);
+      });
+
+      document
+        .getElementById("btnMarkAllRead")
+        .addEventListener("click", () => this.markAllNotificationsRead());
+
+      window.Store?.on("notification:created", (detail) => {
+        if (detail.user_id && Number(detail.user_id) !== Number(this.currentUser.user_id)) {
+          return;
+        }
+        this.loadNotifications({ announce: true });
+      });
+
+      this.loadNotifications();
+    },
+
+    async loadNotifications({ announce = false } = {}) {
+      try {
+        const response = await API.getNotifications({ limit: 30 });
+        const previousUnread = this.unreadCount;
+
+        this.notifications = response.data?.notifications || [];
+        this.updateNotificationBadge(response.data?.unread_count || 0);
+        this.renderNotifications();
+
+        const newest = this.notifications[0];
+        if (announce && newest && this.unreadCount > previousUnread) {
+          const type = newest.priority === "critical" || newest.priority === "high" ? "warning" : "info";
+          Utils.showToast(`🔔 ${newest.title}`, type, 5000);
+        }
+      } catch (error) {
+        console.error("❌ Failed to load notifications:", error);
+      }
+    },
+
+    renderNotifications() {
+      const list = document.getElementById("notificationList");
+      if (!list) return;
+
+      if (this.notifications.length === 0) {
+        list.innerHTML = `
+          <div class="text-center text-muted py-5">
+            <i class="bi bi-bell-slash" style="font-size: 2rem;"></i>
+            <p class="mt-2 mb-0">You're all caught up</p>
+          </div>
+        `;
+        return;
+      }
+
+      list.innerHTML = this.notifications
+        .map((n) => {
+          const unread = !Number(n.is_read);
+          return `
+            <a href="#" class="notification-item ${unread ? "unread" : ""}"
+               data-notification-id="${n.notification_id}">
+              <i class="bi ${this.getNotificationIcon(n.type)} text-${Utils.getPriorityColor(n.priority)}"></i>
+              <div class="flex-grow-1">
+                <div class="notification-title">${Utils.sanitizeHTML(n.title)}</div>
+                <div class="notification-message">${Utils.sanitizeHTML(n.message || "")}</div>
+                <div class="notification-time">${Utils.formatDateTime(n.created_at)}</div>
+              </div>
+              ${n.link ? '<i class="bi bi-chevron-right text-muted"></i>' : ""}
+            </a>
+          `;
+        })
+        .join("");
+    },
+
+    updateNotificationBadge(count) {
+      this.unreadCount = count;
+      const badge = document.getElementById("notificationCount");
+      if (!badge) return;
+
+      badge.textContent = count > 99 ? "99+" : count;
+      badge.style.display = count > 0 ? "inline-block" : "none";
+      document
+        .getElementById("notificationBell")
+        ?.setAttribute("aria-label", `Notifications (${count} unread)`);
+    },
+
+    /**
+     * Mark read, then follow the deep link to the record
+     */
+    async openNotification(id) {
+      const notification = this.notifications.find(
+        (n) => String(n.notification_id) === String(id)
+      );
+      if (!notification) return;
+
+      if (!Number(notification.is_read)) {
+        try {
+          const response = await API.markNotificationRead(id);
+          notification.is_read = 1;
+          this.updateNotificationBadge(response.data?.unread_count ?? Math.max(0, this.unreadCount - 1));
+          this.renderNotifications();
+        } catch (error) {
+          console.error("❌ Failed to mark notification read:", error);
+        }
+      }
+
+      // Only follow links to our own pages
+      if (notification.link && /^[\w-]+\.html(\?[^#]*)?$/.test(notification.link)) {
+        window.location.href = notification.link;
+      }
+    },
+
+    async markAllNotificationsRead() {
+      if (this.unreadCount === 0) return;
+
+      try {
+        await API.markAllNotificationsRead();
+        this.notifications.forEach((n) => (n.is_read = 1));
+        this.updateNotificationBadge(0);
+        this.renderNotifications();
+      } catch (error) {
+        console.error("❌ Failed to mark notifications read:", error);
+        Utils.showToast("Failed to mark notifications as read", "error");
+      }
+    },
+
+    getNotificationIcon(type) {
+      const icons = {
+        purchase_requisition: "bi-clipboard-check",
+        purchase_order: "bi-truck",
+        stock_shortage: "bi-exclamation-octagon",
+        inventory: "bi-box-seam",
+        deletion_request: "bi-person-x",
+      };
+      return icons[type] || "bi-bell";
+    },
+
     // ========================================================================
     // THEME SYSTEM
     // ========================================================================
@@ -393,9 +594,26 @@
         this.initMobileSidebar();
       }
 
+      this.initSidebarBadges();
       this.sidebarInitialized = true;
     },
 
+    /**
+     * Menu counters follow the shared inventory slice, so receiving goods
+     * on any page updates them without a reload.
+     */
+    initSidebarBadges() {
+      const badge = this.sidebar?.querySelector('[data-badge="lowStock"]');
+      if (!badge || !window.Store) return;
+
+      Store.subscribe("inventory", () => {
+        const count = Store.select.lowStockItems().length;
+        badge.textContent = count;
+        badge.title = `${count} item(s) at or below reorder level`;
+        badge.style.display = count > 0 ? "inline-block" : "none";
+      });
+    },
+
     renderSidebar() {
       if (!this.currentUser) return "";
 
@@ -417,6 +635,11 @@
               <a href="${item.url}" class="menu-item ${isActive}">
                 <i class="bi bi-${item.icon}"></i>
                 <span>${item.label}</span>
+                ${
+                  item.badge
+                    ? `<span class="menu-badge" data-badge="${item.badge}" style="display: none;"></span>`
+                    : ""
+                }
               </a>`;
           });
         }
@@ -452,6 +675,7 @@
               icon: "boxes",
               url: "inventory.html",
               roles: ["staff", "admin", "superadmin"],
+              badge: "lowStock",
             },
             {
               label: "Stock Overview",
@@ -459,6 +683,30 @@
               url: "stock-movements.html",
               roles: ["staff", "admin", "superadmin"],
             },
+            {
+              label: "Stock Counts",
+              icon: "clipboard2-check",
+              url: "stock-counts.html",
+              roles: ["staff", "admin", "superadmin"],
+            },
+            {
+              label: "Locations",
+              icon: "geo-alt",
+              url: "locations.html",
+              roles: ["staff", "admin", "superadmin"],
+            },
+            {
+              label: "Stock Transfers",
+              icon: "arrow-left-right",
+              url: "stock-transfers.html",
+              roles: ["staff", "admin", "superadmin"],
+            },
+            {
+              label: "Serial / Lot Trace",
+              icon: "upc-scan",
+              url: "serial-lookup.html",
+              roles: ["staff", "admin", "superadmin"],
+            },
             {
               label: "Stock Requirements",
               icon: "clipboard-data",
@@ -740,6 +988,10 @@
     },
 
     attachGlobalListeners() {
+      window.addEventListener("janstro:sync-queue", (e) => {
+        this.updatePendingSyncBadge(e.detail?.pending || 0);
+      });
+
       document.addEventListener("submit", (e) => {
         const form = e.target;
         if (form.classList.contains("needs-loading")) {
@@ -4,7 +4,7 @@
  * ============================================================================
  * FIXES APPLIED:
  * ✅ Enhanced token validation before protected page access
- * ✅ Automatic token refresh on 401 errors
+ * ✅ Automatic token refresh on 401 errors (shared with API.refreshToken)
  * ✅ Better error recovery for expired tokens
  * ✅ Improved script loading with retry mechanism
  * ============================================================================
@@ -142,26 +142,10 @@
             console.log("🔄 Attempting token refresh...");
 
             try {
-              const refreshResponse = await fetch(
-                `${window.API.baseURL}/auth/refresh`,
-                {
-                  method: "POST",
-                  headers: {
-                    Authorization: `Bearer ${token}`,
-                    "Content-Type": "application/json",
-                  },
-                }
-              );
-
-              if (refreshResponse.ok) {
-                const refreshData = await refreshResponse.json();
-                if (refreshData.success && refreshData.data?.token) {
-                  const newToken = refreshData.data.token;
-                  window.API.saveToken(newToken);
-                  token = newToken;
-                  console.log("✅ Token refreshed successfully");
-                  continue; // Retry validation with new token
-                }
+              if (await window.API.refreshToken()) {
+                token = window.API.getToken();
+                console.log("✅ Token refreshed successfully");
+                continue; // Retry validation with new token
               }
             } catch (refreshError) {
               console.error("❌ Token refresh failed:", refreshError);
@@ -402,17 +386,24 @@
             "🔒 Unauthorized request detected - token may be expired"
           );
 
-          // Don't redirect if already on login page or this is a login request
+          // Auth endpoints handle their own 401s; API.request retries after
+          // refreshing, so only give up when the shared refresh fails
           const url = args[0]?.toString() || "";
           if (
-            !url.includes("/auth/login") &&
+            !url.includes("/auth/") &&
             !window.location.pathname.includes("index.html")
           ) {
-            console.log("🔄 Redirecting to login...");
-            window.API?.clearToken();
-            setTimeout(() => {
-              window.location.href = "index.html";
-            }, 100);
+            window.API?.refreshToken()
+              .then((refreshed) => {
+                if (!refreshed) {
+                  console.log("🔄 Redirecting to login...");
+                  window.API?.clearToken();
+                  window.location.href = "index.html";
+                }
+              })
+              .catch((refreshError) => {
+                console.warn("⚠️ Token refresh unavailable:", refreshError);
+              });
           }
         }
 
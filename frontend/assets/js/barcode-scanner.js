@@ -0,0 +1,471 @@
+/**
+ * ============================================================================
+ * JANSTRO IMS - BARCODE / QR SCANNER v1.0
+ * ============================================================================
+ * Path: frontend/assets/js/barcode-scanner.js
+ *
+ * Camera scanning for the warehouse floor, plus printable SKU labels.
+ *
+ *   const code = await BarcodeScanner.scan({ title: "Scan material" });
+ *   BarcodeScanner.attach(searchInput, (code) => openItem(code));
+ *   BarcodeScanner.printLabels(items);
+ *
+ * Decoding uses the browser's BarcodeDetector where available (Chrome on
+ * Android) and falls back to ZXing, loaded from the CDN the first time it is
+ * needed (iOS Safari, Firefox). The scan dialog also takes typed input, so
+ * handheld keyboard-wedge scanners and denied camera permissions still work.
+ *
+ * Load after utils.js and api-client.js; needs Bootstrap for the dialog.
+ * ============================================================================
+ */
+
+(function (window, document) {
+  "use strict";
+
+  const ZXING_URL = "https://cdn.jsdelivr.net/npm/@zxing/library@0.21.3/umd/index.min.js";
+  const JSBARCODE_URL = "https://cdn.jsdelivr.net/npm/jsbarcode@3.11.6/dist/JsBarcode.all.min.js";
+
+  // Symbologies printed on supplier cartons plus our own Code 128 / QR labels
+  const FORMATS = ["code_128", "code_39", "ean_13", "ean_8", "upc_a", "upc_e", "itf", "qr_code"];
+  const ZXING_FORMATS = {
+    code_128: "CODE_128",
+    code_39: "CODE_39",
+    ean_13: "EAN_13",
+    ean_8: "EAN_8",
+    upc_a: "UPC_A",
+    upc_e: "UPC_E",
+    itf: "ITF",
+    qr_code: "QR_CODE",
+  };
+
+  const SCAN_INTERVAL = 150; // ms between decode attempts
+  const loadedScripts = {};
+
+  function loadScript(url) {
+    if (!loadedScripts[url]) {
+      loadedScripts[url] = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = url;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => {
+          delete loadedScripts[url];
+          reject(new Error(`Failed to load ${url}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return loadedScripts[url];
+  }
+
+  // ========================================================================
+  // DECODERS - both expose detect(video) -> code | null
+  // ========================================================================
+  async function createNativeDecoder() {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    const formats = FORMATS.filter((format) => supported.includes(format));
+    if (formats.length === 0) return null;
+
+    const detector = new window.BarcodeDetector({ formats });
+
+    return {
+      name: "native",
+      async detect(video) {
+        const codes = await detector.detect(video);
+        return codes.length > 0 ? codes[0].rawValue : null;
+      },
+    };
+  }
+
+  async function createZxingDecoder() {
+    await loadScript(ZXING_URL);
+    const ZX = window.ZXing;
+
+    const hints = new Map();
+    hints.set(
+      ZX.DecodeHintType.POSSIBLE_FORMATS,
+      FORMATS.map((format) => ZX.BarcodeFormat[ZXING_FORMATS[format]])
+    );
+    hints.set(ZX.DecodeHintType.TRY_HARDER, true);
+
+    const reader = new ZX.MultiFormatReader();
+    reader.setHints(hints);
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+
+    return {
+      name: "zxing",
+      async detect(video) {
+        if (!video.videoWidth) return null;
+
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0);
+
+        try {
+          const bitmap = new ZX.BinaryBitmap(
+            new ZX.HybridBinarizer(new ZX.HTMLCanvasElementLuminanceSource(canvas))
+          );
+          return reader.decode(bitmap).getText();
+        } catch (error) {
+          // NotFoundException on every frame without a code
+          if (error instanceof ZX.NotFoundException) return null;
+          if (error instanceof ZX.ChecksumException) return null;
+          if (error instanceof ZX.FormatException) return null;
+          throw error;
+        } finally {
+          reader.reset();
+        }
+      },
+    };
+  }
+
+  // ========================================================================
+  // SCANNER
+  // ========================================================================
+  const BarcodeScanner = {
+    decoder: null,
+    modal: null,
+    stream: null,
+    timer: null,
+    resolver: null,
+
+    isCameraAvailable() {
+      return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    },
+
+    isNativeSupported() {
+      return "BarcodeDetector" in window;
+    },
+
+    async getDecoder() {
+      if (this.decoder) return this.decoder;
+
+      if (this.isNativeSupported()) {
+        try {
+          this.decoder = await createNativeDecoder();
+        } catch (error) {
+          console.warn("⚠️ BarcodeDetector unusable, falling back to ZXing:", error);
+        }
+      }
+
+      if (!this.decoder) {
+        this.decoder = await createZxingDecoder();
+      }
+
+      console.log(`📷 Barcode decoder: ${this.decoder.name}`);
+      return this.decoder;
+    },
+
+    /**
+     * Open the scan dialog
+     * @param {{title?: string, hint?: string}} [options]
+     * @returns {Promise<string|null>} Scanned or typed code, null if closed
+     */
+    scan(options = {}) {
+      const el = this.ensureModal();
+
+      // A second scan() while open replaces the first caller
+      if (this.resolver) this.resolver(null);
+
+      el.querySelector("#barcodeScannerTitle").textContent = options.title || "Scan Barcode";
+      el.querySelector("#barcodeScannerHint").textContent =
+        options.hint || "Point the camera at a barcode or QR code, or type the code below.";
+      el.querySelector("#barcodeManualInput").value = "";
+      this.setStatus("");
+
+      return new Promise((resolve) => {
+        this.resolver = resolve;
+        this.modal.show();
+      });
+    },
+
+    /**
+     * Put a camera button after an input; the scanned code is written into
+     * the input and passed to onScan
+     */
+    attach(input, onScan, options = {}) {
+      if (!input || input.dataset.scannerAttached) return null;
+      input.dataset.scannerAttached = "1";
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = options.buttonClass || "btn btn-outline-secondary";
+      button.title = options.title || "Scan barcode";
+      button.setAttribute("aria-label", options.title || "Scan barcode");
+      button.innerHTML = '<i class="bi bi-upc-scan" aria-hidden="true"></i>';
+
+      button.addEventListener("click", async () => {
+        const code = await this.scan(options);
+        if (!code) return;
+
+        if (options.fillInput !== false) {
+          input.value = code;
+        }
+        onScan(code);
+      });
+
+      input.insertAdjacentElement("afterend", button);
+      return button;
+    },
+
+    /**
+     * Resolve a code to an inventory item; null when no SKU matches
+     */
+    async lookupItem(code) {
+      try {
+        const response = await API.getItemBySku(code);
+        return response.data || null;
+      } catch (error) {
+        if (/not found|no item/i.test(error.message || "")) return null;
+        throw error;
+      }
+    },
+
+    // ======================================================================
+    // DIALOG
+    // ======================================================================
+    ensureModal() {
+      let el = document.getElementById("barcodeScannerModal");
+      if (el) return el;
+
+      el = document.createElement("div");
+      el.className = "modal fade";
+      el.id = "barcodeScannerModal";
+      el.tabIndex = -1;
+      el.setAttribute("aria-labelledby", "barcodeScannerTitle");
+      el.setAttribute("aria-hidden", "true");
+      el.innerHTML = `
+        <div class="modal-dialog modal-dialog-centered">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h3 class="modal-title h5" id="barcodeScannerTitle">Scan Barcode</h3>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              <p class="small text-muted" id="barcodeScannerHint"></p>
+              <div class="position-relative bg-dark rounded overflow-hidden mb-2" style="aspect-ratio: 4 / 3;">
+                <video id="barcodeScannerVideo" class="w-100 h-100" style="object-fit: cover;" muted playsinline></video>
+                <div class="position-absolute top-50 start-50 translate-middle border border-2 border-success rounded"
+                     style="width: 70%; height: 40%; pointer-events: none;"></div>
+              </div>
+              <div id="barcodeScannerStatus" class="small mb-2" role="status" aria-live="polite"></div>
+              <form id="barcodeManualForm" class="input-group">
+                <input type="text" class="form-control" id="barcodeManualInput" placeholder="Type or scan with a handheld reader"
+                       autocomplete="off" aria-label="Barcode">
+                <button type="submit" class="btn btn-primary">Use Code</button>
+              </form>
+            </div>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(el);
+
+      this.modal = new bootstrap.Modal(el);
+
+      // Stack above a dialog that is already open (e.g. the GR modal)
+      el.style.zIndex = 1065;
+      el.addEventListener("shown.bs.modal", () => {
+        const backdrops = document.querySelectorAll(".modal-backdrop");
+        if (backdrops.length > 1) backdrops[backdrops.length - 1].style.zIndex = 1060;
+
+        this.startCamera();
+        // Keyboard-wedge readers type into whatever has focus
+        if (!this.isCameraAvailable()) el.querySelector("#barcodeManualInput").focus();
+      });
+      el.addEventListener("hidden.bs.modal", () => {
+        this.stopCamera();
+        this.finish(null);
+      });
+      el.querySelector("#barcodeManualForm").addEventListener("submit", (e) => {
+        e.preventDefault();
+        const code = el.querySelector("#barcodeManualInput").value.trim();
+        if (code) this.finish(code);
+      });
+
+      return el;
+    },
+
+    setStatus(message, type = "muted") {
+      const status = document.getElementById("barcodeScannerStatus");
+      if (!status) return;
+      status.className = `small mb-2 text-${type}`;
+      status.textContent = message;
+    },
+
+    async startCamera() {
+      if (!this.isCameraAvailable()) {
+        this.setStatus("Camera not available in this browser. Type the code instead.", "warning");
+        return;
+      }
+
+      const video = document.getElementById("barcodeScannerVideo");
+
+      try {
+        this.setStatus("Starting camera...");
+        const [decoder, stream] = await Promise.all([
+          this.getDecoder(),
+          navigator.mediaDevices.getUserMedia({
+            video: { facingMode: { ideal: "environment" }, width: { ideal: 1280 } },
+            audio: false,
+          }),
+        ]);
+
+        // Dialog closed while the camera was starting
+        if (!this.resolver) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+
+        this.stream = stream;
+        video.srcObject = stream;
+        await video.play();
+        this.setStatus("Scanning...");
+        this.loop(decoder, video);
+      } catch (error) {
+        console.error("❌ Camera error:", error);
+        this.setStatus(
+          error.name === "NotAllowedError"
+            ? "Camera permission denied. Type the code instead."
+            : "Could not start the camera. Type the code instead.",
+          "warning"
+        );
+        document.getElementById("barcodeManualInput").focus();
+      }
+    },
+
+    loop(decoder, video) {
+      const tick = async () => {
+        if (!this.stream) return;
+
+        try {
+          const code = await decoder.detect(video);
+          if (code) {
+            if (navigator.vibrate) navigator.vibrate(80);
+            this.finish(code.trim());
+            return;
+          }
+        } catch (error) {
+          console.warn("⚠️ Decode error:", error);
+        }
+
+        this.timer = setTimeout(tick, SCAN_INTERVAL);
+      };
+
+      tick();
+    },
+
+    stopCamera() {
+      clearTimeout(this.timer);
+      this.timer = null;
+
+      if (this.stream) {
+        this.stream.getTracks().forEach((track) => track.stop());
+        this.stream = null;
+      }
+
+      const video = document.getElementById("barcodeScannerVideo");
+      if (video) video.srcObject = null;
+    },
+
+    finish(code) {
+      const resolve = this.resolver;
+      this.resolver = null;
+
+      if (code !== null) {
+        this.modal.hide();
+      }
+
+      if (resolve) resolve(code);
+    },
+
+    // ======================================================================
+    // LABELS
+    // ======================================================================
+    /**
+     * Print Code 128 SKU labels, one per item (or `copies` each)
+     * @param {Array<{sku: string, item_name: string, unit?: string}>} items
+     */
+    async printLabels(items, options = {}) {
+      const labelled = items.filter((item) => item.sku);
+      if (labelled.length === 0) {
+        Utils.showToast("No items with a SKU to label", "warning");
+        return;
+      }
+
+      const copies = Math.max(1, parseInt(options.copies, 10) || 1);
+
+      // Open first: popup blockers only allow it straight from the click
+      const win = window.open("", "_blank", "width=800,height=600");
+      if (!win) {
+        Utils.showToast("Allow pop-ups to print labels", "warning");
+        return;
+      }
+
+      try {
+        await loadScript(JSBARCODE_URL);
+      } catch (error) {
+        win.close();
+        Utils.showToast("Failed to load the barcode generator", "error");
+        return;
+      }
+
+      const labels = [];
+      labelled.forEach((item) => {
+        const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        try {
+          window.JsBarcode(svg, item.sku, {
+            format: "CODE128",
+            width: 2,
+            height: 50,
+            fontSize: 14,
+            margin: 4,
+          });
+        } catch (error) {
+          console.warn(`⚠️ Cannot encode SKU ${item.sku}:`, error);
+          return;
+        }
+
+        const label = `
+          <div class="label">
+            <div class="name">${Utils.sanitizeHTML(item.item_name || "")}</div>
+            ${svg.outerHTML}
+            ${item.unit ? `<div class="unit">${Utils.sanitizeHTML(item.unit)}</div>` : ""}
+          </div>
+        `;
+        for (let i = 0; i < copies; i++) labels.push(label);
+      });
+
+      win.document.write(`<!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <title>SKU Labels</title>
+          <style>
+            @page { margin: 8mm; }
+            body { font-family: Arial, sans-serif; margin: 0; }
+            .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; }
+            .label { border: 1px dashed #999; padding: 3mm; text-align: center; break-inside: avoid; }
+            .label svg { max-width: 100%; height: auto; }
+            .name { font-size: 11px; font-weight: bold; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+            .unit { font-size: 10px; color: #555; }
+            @media print { .label { border-color: #ddd; } }
+          </style>
+        </head>
+        <body>
+          <div class="sheet">${labels.join("")}</div>
+        </body>
+        </html>`);
+      win.document.close();
+      win.focus();
+      win.print();
+
+      console.log(`🏷️ Printed ${labels.length} SKU labels`);
+    },
+  };
+
+  // ========================================================================
+  // GLOBAL EXPORT
+  // ========================================================================
+  window.BarcodeScanner = BarcodeScanner;
+})(window, document);
@@ -405,6 +405,9 @@
     if (btnRefresh) {
       btnRefresh.addEventListener("click", loadRequests);
     }
+
+    // Pushed by realtime.js when a user asks for their account to be deleted
+    Store.on("deletion:requested", () => loadRequests());
   }
 
   // ========================================================================
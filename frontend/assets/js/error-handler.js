@@ -68,7 +68,7 @@
       // Network errors
       window.addEventListener("offline", () => {
         this.showError(
-          "No internet connection. Please check your network.",
+          "No internet connection. Changes will be saved and synced when you reconnect.",
           "warning",
           5000
         );
@@ -76,6 +76,11 @@
 
       window.addEventListener("online", () => {
         this.showSuccess("Connection restored", 3000);
+
+        // Replay requests queued by the API client while offline
+        if (window.API && typeof window.API.processQueue === "function") {
+          window.API.processQueue();
+        }
       });
     },
 
@@ -196,6 +201,42 @@
       return true;
     },
 
+    // ========================================================================
+    // API CONTRACT MISMATCHES
+    // ========================================================================
+    /**
+     * Called by API.validateResponse when a response doesn't match its
+     * registered schema. Reported once per endpoint until the cache clears.
+     * @param {string} endpoint - e.g. "GET stock-requirements"
+     * @param {string[]} errors - validator messages
+     */
+    reportSchemaMismatch(endpoint, errors) {
+      const errorKey = `schema:${endpoint.split("?")[0]}`;
+      if (this.errorCache.has(errorKey)) {
+        return;
+      }
+      this.errorCache.add(errorKey);
+
+      console.error(`❌ Response schema mismatch: ${endpoint}`, errors);
+
+      if (this.config.logToServer && this.config.enableErrorReporting) {
+        this.reportToServer({
+          ...this.formatError({
+            message: `Response schema mismatch: ${endpoint}`,
+            type: "schema",
+            source: endpoint,
+          }),
+          details: errors.slice(0, 10),
+        });
+      }
+
+      this.showError(
+        `Unexpected response from ${endpoint.split("?")[0]}. Some data may not display correctly.`,
+        "warning",
+        6000
+      );
+    },
+
     // ========================================================================
     // SERVER REPORTING
     // ========================================================================
@@ -2,7 +2,8 @@
  * Workflow Form Validation
  */
 const FormValidation = {
-  // Sales Order validation
+  // Sales Order validation - customer plus lines[]; a single
+  // item_id/quantity payload counts as one line
   validateSalesOrder(formData) {
     const errors = [];
 
@@ -10,13 +11,39 @@ const FormValidation = {
       errors.push("Customer name is required");
     }
 
-    if (!formData.item_id) {
-      errors.push("Please select an item");
+    const lines = formData.lines || [formData];
+    if (lines.length === 0) {
+      errors.push("Add at least one line item");
     }
 
-    const qty = parseInt(formData.quantity);
-    if (!qty || qty <= 0) {
-      errors.push("Quantity must be greater than 0");
+    const seen = {};
+    lines.forEach((line, index) => {
+      const label = lines.length > 1 ? `Line ${index + 1}: ` : "";
+
+      if (!line.item_id) {
+        errors.push(`${label}Please select an item`);
+      } else if (seen[line.item_id]) {
+        errors.push(`${label}Item is already on line ${seen[line.item_id]}`);
+      } else {
+        seen[line.item_id] = index + 1;
+      }
+
+      const qty = parseInt(line.quantity);
+      if (!qty || qty <= 0) {
+        errors.push(`${label}Quantity must be greater than 0`);
+      }
+    });
+
+    const discount = parseFloat(formData.discount_value);
+    if (discount < 0) {
+      errors.push("Discount cannot be negative");
+    } else if (formData.discount_type === "percent" && discount > 100) {
+      errors.push("Discount cannot exceed 100%");
+    }
+
+    const tax = parseFloat(formData.tax_rate);
+    if (tax < 0 || tax > 100) {
+      errors.push("Tax rate must be between 0 and 100");
     }
 
     if (
@@ -33,7 +60,8 @@ const FormValidation = {
     return { valid: errors.length === 0, errors };
   },
 
-  // Purchase Order validation
+  // Purchase Order validation - header plus lines[]; a single
+  // item_id/quantity/unit_price payload counts as one line
   validatePurchaseOrder(formData) {
     const errors = [];
 
@@ -41,19 +69,33 @@ const FormValidation = {
       errors.push("Please select a supplier");
     }
 
-    if (!formData.item_id) {
-      errors.push("Please select an item");
+    const lines = formData.lines || [formData];
+    if (lines.length === 0) {
+      errors.push("Add at least one line item");
     }
 
-    const qty = parseInt(formData.quantity);
-    if (!qty || qty <= 0) {
-      errors.push("Quantity must be greater than 0");
-    }
+    lines.forEach((line, index) => {
+      const label = lines.length > 1 ? `Line ${index + 1}: ` : "";
 
-    const price = parseFloat(formData.unit_price);
-    if (price !== undefined && price < 0) {
-      errors.push("Unit price cannot be negative");
-    }
+      if (!line.item_id) {
+        errors.push(`${label}Please select an item`);
+      }
+
+      const qty = parseInt(line.quantity);
+      if (!qty || qty <= 0) {
+        errors.push(`${label}Quantity must be greater than 0`);
+      }
+
+      const price = parseFloat(line.unit_price);
+      if (price < 0) {
+        errors.push(`${label}Unit price cannot be negative`);
+      }
+
+      const tax = parseFloat(line.tax_rate);
+      if (tax < 0 || tax > 100) {
+        errors.push(`${label}Tax rate must be between 0 and 100`);
+      }
+    });
 
     return { valid: errors.length === 0, errors };
   },
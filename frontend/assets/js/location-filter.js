@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * JANSTRO IMS - LOCATION FILTER v1.0
+ * ============================================================================
+ * Path: frontend/assets/js/location-filter.js
+ *
+ * Fills a <select> with warehouses, zones and bins (indented by level).
+ *
+ *   await LocationFilter.attach(select, { onChange: () => loadData() });
+ *   const locationId = LocationFilter.value(select); // "" = all locations
+ *
+ *   await LocationFilter.fill(select, { allLabel: null }); // posting target
+ *
+ * Filters include everything inside the chosen location. The last filter
+ * choice is shared between pages so a depot user stays on their depot.
+ *
+ * Load after utils.js and api-client.js.
+ * ============================================================================
+ */
+
+(function (window) {
+  "use strict";
+
+  const STORAGE_KEY = "janstro_location_filter";
+  const TYPE_ICONS = { warehouse: "🏭", zone: "▦", bin: "▫" };
+
+  const LocationFilter = {
+    locations: null,
+
+    async load(force = false) {
+      if (!this.locations || force) {
+        const response = await API.getLocations({ active: 1 });
+        this.locations = response?.data || [];
+      }
+      return this.locations;
+    },
+
+    label(location) {
+      const depth = Math.max(0, location.path.split("/").filter(Boolean).length - 1);
+      const icon = TYPE_ICONS[location.location_type] || "";
+      // Options collapse plain spaces, so indent with no-break spaces
+      return `${"\u00A0\u00A0\u00A0".repeat(depth)}${icon} ${location.code} - ${location.name}`;
+    },
+
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.allLabel] First option; null to force a
+     *   location (the default warehouse is then preselected)
+     * @param {string|number} [options.selected]
+     */
+    async fill(select, options = {}) {
+      const allLabel = options.allLabel === undefined ? "All Locations" : options.allLabel;
+
+      try {
+        const locations = await this.load();
+
+        select.innerHTML =
+          (allLabel !== null ? `<option value="">${Utils.sanitizeHTML(allLabel)}</option>` : "") +
+          locations
+            .map(
+              (l) =>
+                `<option value="${l.location_id}" ${
+                  allLabel === null && Number(l.is_default) === 1 ? "selected" : ""
+                }>${Utils.sanitizeHTML(this.label(l))}</option>`
+            )
+            .join("");
+
+        if (options.selected && locations.some((l) => String(l.location_id) === String(options.selected))) {
+          select.value = String(options.selected);
+        }
+      } catch (error) {
+        console.error("❌ Failed to load locations:", error);
+        if (allLabel !== null) {
+          select.innerHTML = `<option value="">${Utils.sanitizeHTML(allLabel)}</option>`;
+        }
+      }
+    },
+
+    /**
+     * Fill a filter select, restore the remembered choice and keep it
+     */
+    async attach(select, { onChange } = {}) {
+      await this.fill(select, { selected: localStorage.getItem(STORAGE_KEY) });
+
+      select.addEventListener("change", () => {
+        localStorage.setItem(STORAGE_KEY, select.value);
+        if (onChange) onChange(select.value);
+      });
+    },
+
+    value(select) {
+      return select?.value || "";
+    },
+
+    find(locationId) {
+      return (this.locations || []).find((l) => String(l.location_id) === String(locationId)) || null;
+    },
+  };
+
+  // ========================================================================
+  // GLOBAL EXPORT
+  // ========================================================================
+  window.LocationFilter = LocationFilter;
+})(window);
@@ -44,6 +44,10 @@
         "purchase-orders": ["staff", "admin", "superadmin"],
         "sales-orders": ["staff", "admin", "superadmin"],
         "purchase-requisitions": ["staff", "admin", "superadmin"],
+        "stock-counts": ["staff", "admin", "superadmin"],
+        locations: ["staff", "admin", "superadmin"],
+        "stock-transfers": ["staff", "admin", "superadmin"],
+        "serial-lookup": ["staff", "admin", "superadmin"],
 
         // ===== ADMIN =====
         suppliers: ["admin", "superadmin"],
@@ -71,6 +75,23 @@
           adjust: ["admin", "superadmin"],
         },
 
+        stock_counts: {
+          view: ["staff", "admin", "superadmin"],
+          create: ["admin", "superadmin"],
+          count: ["staff", "admin", "superadmin"],
+          approve: ["admin", "superadmin"],
+        },
+
+        locations: {
+          view: ["staff", "admin", "superadmin"],
+          manage: ["admin", "superadmin"],
+          transfer: ["staff", "admin", "superadmin"],
+        },
+
+        tracking: {
+          view: ["staff", "admin", "superadmin"],
+        },
+
         materials: {
           view: ["staff", "admin", "superadmin"],
           create: ["admin", "superadmin"],
@@ -132,6 +153,7 @@
         reports: {
           view: ["admin", "superadmin"],
           export: ["admin", "superadmin"],
+          schedule: ["superadmin"],
         },
 
         users: {
@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * JANSTRO IMS - REALTIME UPDATES v1.0
+ * ============================================================================
+ * Path: frontend/assets/js/realtime.js
+ *
+ * Replays server-side events (RealtimeService) onto the Store event bus so
+ * pages react to changes made by other users without polling:
+ *
+ *   Store.on("pr:created", ({ pr_number }) => loadPRs());
+ *
+ * Uses Server-Sent Events; falls back to long-polling /events/poll when the
+ * stream keeps failing (proxies that buffer, browsers without EventSource).
+ *
+ * Load after store.js.
+ * ============================================================================
+ */
+
+(function (window) {
+  "use strict";
+
+  const Realtime = {
+    // Event names published by the backend
+    events: [
+      "stock:changed",
+      "pr:created",
+      "po:approved",
+      "po:received",
+      "po:updated",
+      "count:created",
+      "count:submitted",
+      "count:approved",
+      "count:recount",
+      "transfer:created",
+      "location:changed",
+      "deletion:requested",
+      "notification:created",
+    ],
+
+    source: null,
+    lastEventId: null, // server resume cursor; may trail events already handled
+    maxEventId: 0,
+    handledIds: new Set(),
+    mode: "off", // "sse" | "poll" | "off"
+    connected: false,
+    failures: 0,
+    maxStreamFailures: 3,
+    reconnectTimer: null,
+    polling: false,
+
+    // ========================================================================
+    // LIFECYCLE
+    // ========================================================================
+    start() {
+      if (!API.isAuthenticated() || this.mode !== "off") return;
+
+      if (window.EventSource) {
+        this.openStream();
+      } else {
+        this.startPolling();
+      }
+    },
+
+    stop() {
+      clearTimeout(this.reconnectTimer);
+      this.closeStream();
+      this.polling = false;
+      this.setStatus("off", false);
+    },
+
+    /**
+     * True while events are arriving on their own; pages use this to skip
+     * their timed reloads
+     */
+    isLive() {
+      return this.connected;
+    },
+
+    // ========================================================================
+    // SERVER-SENT EVENTS
+    // ========================================================================
+    openStream() {
+      this.closeStream();
+      this.mode = "sse";
+
+      const source = new EventSource(API.getEventStreamURL(this.lastEventId));
+      this.source = source;
+
+      source.onopen = () => {
+        this.failures = 0;
+        this.setStatus("sse", true);
+      };
+
+      this.events.forEach((type) => {
+        source.addEventListener(type, (message) => {
+          if (message.lastEventId) this.setCursor(message.lastEventId);
+          this.dispatch(type, message.data);
+        });
+      });
+
+      source.onerror = () => {
+        // CONNECTING: the browser is already retrying with Last-Event-ID.
+        // CLOSED: it gave up (e.g. 401 after the token rotated), so reopen
+        // with a fresh token ourselves.
+        if (source.readyState !== EventSource.CLOSED) {
+          this.setStatus("sse", false);
+          return;
+        }
+
+        this.failures++;
+        this.closeStream();
+
+        if (!API.isAuthenticated()) {
+          this.stop();
+          return;
+        }
+
+        if (this.failures >= this.maxStreamFailures) {
+          console.warn("⚠️ Event stream unavailable, switching to long-poll");
+          this.startPolling();
+          return;
+        }
+
+        const delay = Math.min(30000, 2000 * 2 ** this.failures);
+        this.setStatus("sse", false);
+        this.reconnectTimer = setTimeout(() => this.openStream(), delay);
+      };
+    },
+
+    closeStream() {
+      if (this.source) {
+        this.source.close();
+        this.source = null;
+      }
+    },
+
+    // ========================================================================
+    // LONG-POLL FALLBACK
+    // ========================================================================
+    async startPolling() {
+      if (this.polling) return;
+      this.polling = true;
+      this.setStatus("poll", true);
+
+      while (this.polling && API.isAuthenticated()) {
+        try {
+          const response = await API.pollEvents(this.lastEventId, this.maxEventId);
+          const { events = [], last_event_id } = response.data || {};
+
+          events.forEach((event) => this.dispatch(event.type, event.data, event.id));
+          if (last_event_id) this.setCursor(last_event_id);
+
+          if (!this.connected) this.setStatus("poll", true);
+        } catch (error) {
+          console.warn("⚠️ Event poll failed:", error.message);
+          this.setStatus("poll", false);
+          await new Promise((resolve) => setTimeout(resolve, 5000));
+        }
+      }
+
+      this.polling = false;
+    },
+
+    // ========================================================================
+    // DISPATCH
+    // ========================================================================
+    /**
+     * Events above the cursor are sent again until the server is sure no
+     * earlier one can still arrive, so each event id is handled once
+     */
+    dispatch(type, data, eventId = null) {
+      let detail = data;
+      if (typeof data === "string") {
+        try {
+          detail = JSON.parse(data);
+        } catch (error) {
+          console.error(`❌ Bad ${type} payload:`, error);
+          return;
+        }
+      }
+
+      const id = Number(eventId ?? detail.event_id);
+      if (id) {
+        if (this.handledIds.has(id)) return;
+        this.handledIds.add(id);
+        this.maxEventId = Math.max(this.maxEventId, id);
+      }
+
+      // Every tab has its own connection, so don't rebroadcast
+      Store.emit(type, { ...detail, remote: true }, false);
+    },
+
+    setCursor(cursor) {
+      this.lastEventId = String(cursor);
+
+      // Nothing at or below the cursor is sent again
+      this.handledIds.forEach((id) => {
+        if (id <= Number(cursor)) this.handledIds.delete(id);
+      });
+    },
+
+    setStatus(mode, connected) {
+      const changed = this.mode !== mode || this.connected !== connected;
+      this.mode = mode;
+      this.connected = connected;
+
+      if (changed) {
+        Store.emit("realtime:status", { mode, connected }, false);
+      }
+    },
+  };
+
+  // ========================================================================
+  // AUTO-INITIALIZATION
+  // ========================================================================
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => Realtime.start());
+  } else {
+    Realtime.start();
+  }
+
+  window.addEventListener("beforeunload", () => Realtime.closeStream());
+
+  // ========================================================================
+  // GLOBAL EXPORT
+  // ========================================================================
+  window.Realtime = Realtime;
+})(window);
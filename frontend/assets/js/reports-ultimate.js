@@ -22,6 +22,7 @@
     categories: null,
     suppliers: null,
     customers: null,
+    performance: null,
   };
 
   let charts = {
@@ -58,9 +59,12 @@
     try {
       await waitForChartJS();
       setDefaultDateRange();
+      await attachLocationFilter();
+      RBAC.hideUnauthorized("reports", { schedule: "#btnSchedule" });
       attachEventListeners();
       await loadAllData();
       makeStatCardsClickable();
+      loadExports();
     } catch (error) {
       console.error("Init failed:", error);
       showError("Failed to initialize. Please refresh.");
@@ -346,100 +350,230 @@
     return html;
   }
 
+  // Turnover = COGS ÷ average stock value over the report's date range, from
+  // /analytics/inventory-performance; categories drill down to their items.
+
   function generateTurnoverBreakdown() {
-    const turnoverRate = currentData.stats?.turnover_rate || 0;
-    const turnoverTrend = currentData.stats?.turnover_trend || 0;
-
-    let interpretation = "";
-    let badge = "";
-
-    if (turnoverRate >= 12) {
-      interpretation =
-        "Excellent inventory turnover. Your stock is moving efficiently.";
-      badge = "bg-success";
-    } else if (turnoverRate >= 8) {
-      interpretation =
-        "Good turnover rate. Inventory is moving at a healthy pace.";
-      badge = "bg-primary";
-    } else if (turnoverRate >= 4) {
-      interpretation =
-        "Moderate turnover. Consider reviewing slow-moving items.";
-      badge = "bg-warning";
-    } else {
-      interpretation =
-        "Low turnover rate. Inventory may be overstocked or slow-moving.";
-      badge = "bg-danger";
+    const performance = currentData.performance;
+
+    if (!performance) {
+      return `
+        <div class="alert alert-info">
+          <i class="bi bi-info-circle"></i> No turnover data available yet.
+        </div>
+      `;
     }
 
+    const summary = performance.summary;
+
     return `
-      <div class="text-center mb-4">
-        <h2 class="display-3 mb-2">
-          <span class="badge ${badge}">${turnoverRate}%</span>
-        </h2>
-        <p class="text-muted">Current Turnover Rate</p>
-        ${
-          turnoverTrend !== 0
-            ? `
-          <div class="mt-2">
-            <span class="badge ${
-              turnoverTrend >= 0 ? "bg-success" : "bg-danger"
-            }">
-              <i class="bi bi-arrow-${
-                turnoverTrend >= 0 ? "up" : "down"
-              }"></i> ${Math.abs(turnoverTrend)}%
-            </span>
-            <small class="text-muted ms-2">vs. previous period</small>
-          </div>
-        `
-            : ""
-        }
+      <p class="text-muted small mb-3">
+        ${Utils.formatDate(performance.date_from)} – ${Utils.formatDate(
+      performance.date_to
+    )} (${performance.days} days)${
+      performance.location
+        ? " · " + Utils.sanitizeHTML(performance.location)
+        : ""
+    }
+      </p>
+
+      ${performanceTiles(summary, performance.dead_stock_days)}
+
+      <div class="card bg-light border-0 mb-4">
+        <div class="card-body small">
+          <code>Turnover = COGS ÷ average stock value</code> for the period
+          (COGS = quantity issued × unit price; transfers, count adjustments and
+          supplier returns excluded).
+          <code>Days on hand = average stock value ÷ COGS per day</code>.
+          <code>Sell-through = issued ÷ (opening stock + received)</code>.
+          Stock with no issue for ${
+            performance.dead_stock_days
+          }+ days is dead stock.
+        </div>
       </div>
 
-      <div class="alert alert-info">
-        <strong>Interpretation:</strong> ${interpretation}
+      <h6 class="mb-3">By Category <small class="text-muted">(click to see items)</small></h6>
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th class="text-end">Items</th>
+              <th class="text-end">COGS</th>
+              <th class="text-end">Avg. Stock</th>
+              <th class="text-end">Turnover</th>
+              <th class="text-end">Days on Hand</th>
+              <th class="text-end">Sell-through</th>
+              <th class="text-end">Dead Stock</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${
+              performance.rows.length === 0
+                ? '<tr><td colspan="8" class="text-center text-muted">No items</td></tr>'
+                : performance.rows
+                    .map(
+                      (c) => `
+              <tr style="cursor: pointer;" onclick="showTurnoverCategory(${
+                c.category_id ?? 0
+              })">
+                <td><strong>${Utils.sanitizeHTML(c.category_name)}</strong></td>
+                <td class="text-end">${c.item_count}</td>
+                <td class="text-end">${Utils.formatCurrency(c.cogs)}</td>
+                <td class="text-end">${Utils.formatCurrency(c.average_value)}</td>
+                <td class="text-end">${c.turnover.toFixed(2)}×</td>
+                <td class="text-end">${formatDays(c.days_on_hand)}</td>
+                <td class="text-end">${formatPercent(c.sell_through)}</td>
+                <td class="text-end">${
+                  c.dead_stock_items > 0
+                    ? `<span class="badge bg-danger">${
+                        c.dead_stock_items
+                      }</span> ${Utils.formatCurrency(c.dead_stock_value)}`
+                    : '<span class="text-muted">—</span>'
+                }</td>
+              </tr>
+            `
+                    )
+                    .join("")
+            }
+          </tbody>
+        </table>
       </div>
+    `;
+  }
 
-      <div class="card bg-light border-0">
-        <div class="card-body">
-          <h6 class="mb-3">What is Turnover Rate?</h6>
-          <p class="mb-2"><small>
-            Inventory turnover measures how quickly you sell and replace stock. 
-            It's calculated as:
-          </small></p>
-          <div class="text-center my-3">
-            <code>Turnover Rate = (COGS / Average Inventory) × 100</code>
-          </div>
-          <p class="mb-0"><small class="text-muted">
-            A higher turnover rate generally indicates efficient inventory management, 
-            while a lower rate may suggest overstocking or weak sales.
-          </small></p>
+  function performanceTiles(summary, deadStockDays) {
+    const tile = (label, value, hint) => `
+      <div class="col-6 col-md">
+        <div class="text-center p-2 bg-light rounded h-100">
+          <small class="text-muted">${label}</small>
+          <h5 class="mb-0">${value}</h5>
+          ${hint ? `<small class="text-muted">${hint}</small>` : ""}
         </div>
       </div>
+    `;
 
-      <div class="mt-4">
-        <h6 class="mb-3">Industry Benchmarks</h6>
-        <div class="row g-2">
-          <div class="col-4">
-            <div class="text-center p-2 bg-light rounded">
-              <strong>Excellent</strong><br>
-              <small class="text-muted">&gt; 12%</small>
-            </div>
-          </div>
-          <div class="col-4">
-            <div class="text-center p-2 bg-light rounded">
-              <strong>Good</strong><br>
-              <small class="text-muted">8-12%</small>
-            </div>
-          </div>
-          <div class="col-4">
-            <div class="text-center p-2 bg-light rounded">
-              <strong>Moderate</strong><br>
-              <small class="text-muted">4-8%</small>
-            </div>
-          </div>
-        </div>
+    return `
+      <div class="row g-2 mb-3">
+        ${tile(
+          "Turnover",
+          summary.turnover.toFixed(2) + "×",
+          summary.annual_turnover.toFixed(2) + "× / year"
+        )}
+        ${tile("Days on Hand", formatDays(summary.days_on_hand))}
+        ${tile("Days of Supply", formatDays(summary.days_of_supply))}
+        ${tile("Sell-through", formatPercent(summary.sell_through))}
+        ${tile(
+          "Dead Stock",
+          Utils.formatCurrency(summary.dead_stock_value),
+          `${summary.dead_stock_items} items, ${deadStockDays}+ days`
+        )}
+      </div>
+    `;
+  }
+
+  function formatDays(days) {
+    return days === null ? "—" : `${days} d`;
+  }
+
+  function formatPercent(value) {
+    return value === null ? "—" : `${value}%`;
+  }
+
+  window.showTurnoverCategory = async function (categoryId) {
+    const modalBody = document.getElementById("statModalBody");
+    const performance = currentData.performance;
+    if (!modalBody || !performance) return;
+
+    modalBody.innerHTML = `
+      <div class="text-center py-5">
+        <div class="spinner-border text-primary"></div>
       </div>
     `;
+
+    try {
+      const response = await API.getInventoryPerformance({
+        date_from: performance.date_from,
+        date_to: performance.date_to,
+        group_by: "item",
+        category_id: categoryId,
+        ...locationFilters(),
+      });
+      const data = response?.data;
+
+      modalBody.innerHTML = `
+        <button class="btn btn-sm btn-outline-secondary mb-3" onclick="showTurnoverCategories()">
+          <i class="bi bi-arrow-left"></i> All categories
+        </button>
+        <h6 class="mb-3">${Utils.sanitizeHTML(data.category || "Category")}</h6>
+
+        ${performanceTiles(data.summary, data.dead_stock_days)}
+
+        <div class="table-responsive">
+          <table class="table table-sm table-hover align-middle">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th class="text-end">On Hand</th>
+                <th class="text-end">Issued</th>
+                <th class="text-end">Turnover</th>
+                <th class="text-end">Days on Hand</th>
+                <th class="text-end">Sell-through</th>
+                <th class="text-end">Stock Age</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${
+                data.rows.length === 0
+                  ? '<tr><td colspan="7" class="text-center text-muted">No items</td></tr>'
+                  : data.rows.map(turnoverItemRow).join("")
+              }
+            </tbody>
+          </table>
+        </div>
+      `;
+    } catch (error) {
+      console.error("Turnover drill-down error:", error);
+      modalBody.innerHTML = `
+        <div class="alert alert-danger">${Utils.sanitizeHTML(
+          error.message || "Failed to load items"
+        )}</div>
+      `;
+    }
+  };
+
+  window.showTurnoverCategories = function () {
+    const modalBody = document.getElementById("statModalBody");
+    if (modalBody) modalBody.innerHTML = generateTurnoverBreakdown();
+  };
+
+  function turnoverItemRow(i) {
+    return `
+      <tr>
+        <td>
+          <strong>${Utils.sanitizeHTML(i.item_name)}</strong>
+          <br><small class="text-muted">${Utils.sanitizeHTML(i.sku || "")}</small>
+        </td>
+        <td class="text-end">${i.closing_quantity} ${Utils.sanitizeHTML(
+      i.unit || ""
+    )}</td>
+        <td class="text-end">${i.issued_quantity}</td>
+        <td class="text-end">${i.turnover.toFixed(2)}×</td>
+        <td class="text-end">${formatDays(i.days_on_hand)}</td>
+        <td class="text-end">${formatPercent(i.sell_through)}</td>
+        <td class="text-end">${
+          i.stock_age_days === null
+            ? '<span class="text-muted">—</span>'
+            : `<span class="badge ${
+                i.is_dead_stock ? "bg-danger" : "bg-light text-dark"
+              }" title="${
+                i.last_issue_date
+                  ? "Last issued " + Utils.formatDate(i.last_issue_date)
+                  : "Never issued"
+              }">${i.stock_age_days} d</span>`
+        }</td>
+      </tr>
+    `;
   }
 
   // ========================================================================
@@ -502,6 +636,9 @@
   // PERIOD COMPARISON
   // ========================================================================
 
+  // Metrics for the report range next to a prior range (previous period,
+  // same period last year or a custom range), from /reports/comparison.
+
   window.togglePeriodComparison = function () {
     const section = document.getElementById("comparisonSection");
     if (!section) return;
@@ -509,108 +646,150 @@
     comparisonVisible = !comparisonVisible;
     section.style.display = comparisonVisible ? "block" : "none";
 
-    if (comparisonVisible && !charts.comparison) {
-      renderComparisonChart();
-    }
+    if (comparisonVisible) loadComparison();
+  };
 
-    Utils.showToast(
-      comparisonVisible ? "Comparison enabled" : "Comparison hidden",
-      "info"
-    );
+  window.changeCompareMode = function () {
+    const custom = document.getElementById("compareMode").value === "custom";
+    document
+      .getElementById("compareCustomRange")
+      .classList.toggle("d-none", !custom);
+
+    if (!custom || comparisonFilters().compare_from) loadComparison();
   };
 
-  function renderComparisonChart() {
+  // Query/body params for the comparison; empty while the panel is closed
+  function comparisonFilters() {
+    if (!comparisonVisible) return {};
+
+    const compare = document.getElementById("compareMode")?.value || "previous";
+    if (compare !== "custom") return { compare };
+
+    const compareFrom = document.getElementById("compareFrom")?.value;
+    const compareTo = document.getElementById("compareTo")?.value;
+    return compareFrom && compareTo
+      ? { compare, compare_from: compareFrom, compare_to: compareTo }
+      : {};
+  }
+
+  async function loadComparison() {
+    if (!comparisonVisible) return;
+
+    const filters = comparisonFilters();
+    const info = document.getElementById("comparisonInfo");
+
+    if (!filters.compare) {
+      info.textContent = "Pick both dates of the comparison range.";
+      return;
+    }
+
+    const dateFrom = document.getElementById("dateFrom")?.value;
+    const dateTo = document.getElementById("dateTo")?.value;
+
+    try {
+      const response = await API.getPeriodComparison({
+        ...(dateFrom ? { date_from: dateFrom } : {}),
+        ...(dateTo ? { date_to: dateTo } : {}),
+        ...filters,
+        ...locationFilters(),
+      });
+      const comparison = response?.data;
+      if (!comparison) return;
+
+      info.textContent = `${comparison.mode_label}${
+        comparison.location ? " · " + comparison.location : ""
+      }`;
+      updateComparisonTable(comparison);
+      renderComparisonChart(comparison);
+    } catch (error) {
+      console.error("Comparison error:", error);
+      info.textContent = "";
+      Utils.showToast(error.message || "Failed to load comparison", "error");
+    }
+  }
+
+  function formatRange(period) {
+    return `${Utils.formatDate(period.date_from)} – ${Utils.formatDate(
+      period.date_to
+    )}`;
+  }
+
+  function formatMetric(value, format) {
+    if (format === "currency") return Utils.formatCurrency(value);
+    if (format === "ratio") return Number(value).toFixed(2) + "×";
+    return Number(value).toLocaleString();
+  }
+
+  function renderComparisonChart(comparison) {
     const ctx = document.getElementById("comparisonChart");
     if (!ctx || !isChartJsReady) return;
 
-    const currentStats = currentData.stats || {};
-
-    const data = {
-      labels: ["Items", "Value", "Turnover"],
-      datasets: [
-        {
-          label: "Current Period",
-          data: [
-            currentStats.total_items || 0,
-            (currentStats.total_inventory_value || 0) / 10000,
-            currentStats.turnover_rate || 0,
-          ],
-          backgroundColor: "rgba(102, 126, 234, 0.6)",
-        },
-        {
-          label: "Previous Period",
-          data: [
-            Math.round((currentStats.total_items || 0) * 0.9),
-            Math.round(
-              ((currentStats.total_inventory_value || 0) / 10000) * 0.9
-            ),
-            ((currentStats.turnover_rate || 0) * 0.9).toFixed(1),
-          ],
-          backgroundColor: "rgba(118, 75, 162, 0.6)",
-        },
-      ],
-    };
-
     if (charts.comparison) charts.comparison.destroy();
 
+    // Percent change per metric; metrics with nothing to compare against show 0
+    const changes = comparison.metrics.map((m) => m.change_pct ?? 0);
+
     charts.comparison = new Chart(ctx, {
       type: "bar",
-      data: data,
+      data: {
+        labels: comparison.metrics.map((m) => m.label),
+        datasets: [
+          {
+            label: "Change %",
+            data: changes,
+            backgroundColor: changes.map((c) =>
+              c >= 0 ? "rgba(16, 185, 129, 0.7)" : "rgba(239, 68, 68, 0.7)"
+            ),
+            borderRadius: 6,
+          },
+        ],
+      },
       options: {
+        indexAxis: "y",
         responsive: true,
         maintainAspectRatio: true,
-        scales: { y: { beginAtZero: true } },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const metric = comparison.metrics[context.dataIndex];
+                return metric.change_pct === null
+                  ? "No prior figure"
+                  : `${metric.change_pct > 0 ? "+" : ""}${metric.change_pct}%`;
+              },
+            },
+          },
+        },
+        scales: { x: { ticks: { callback: (value) => value + "%" } } },
       },
     });
-
-    updateComparisonTable();
   }
 
-  function updateComparisonTable() {
+  function updateComparisonTable(comparison) {
     const tbody = document.querySelector("#comparisonTable tbody");
     if (!tbody) return;
 
-    const stats = currentData.stats || {};
-    const rows = [
-      {
-        metric: "Total Items",
-        current: stats.total_items || 0,
-        previous: Math.round((stats.total_items || 0) * 0.9),
-      },
-      {
-        metric: "Low Stock",
-        current: stats.low_stock_items || 0,
-        previous: Math.round((stats.low_stock_items || 0) * 1.1),
-      },
-      {
-        metric: "Inventory Value",
-        current: Utils.formatCurrency(stats.total_inventory_value || 0),
-        previous: Utils.formatCurrency(
-          (stats.total_inventory_value || 0) * 0.9
-        ),
-      },
-    ];
+    document.getElementById("comparisonCurrentHead").textContent =
+      formatRange(comparison.current);
+    document.getElementById("comparisonPreviousHead").textContent =
+      formatRange(comparison.previous);
 
-    tbody.innerHTML = rows
-      .map((r) => {
-        const currentNum = parseFloat(
-          String(r.current).replace(/[^0-9.-]+/g, "")
-        );
-        const previousNum = parseFloat(
-          String(r.previous).replace(/[^0-9.-]+/g, "")
-        );
-        const change =
-          previousNum === 0
-            ? 0
-            : (((currentNum - previousNum) / previousNum) * 100).toFixed(1);
-        const changeClass = change >= 0 ? "text-success" : "text-danger";
+    tbody.innerHTML = comparison.metrics
+      .map((m) => {
+        const changeClass =
+          m.change > 0 ? "text-success" : m.change < 0 ? "text-danger" : "text-muted";
+        const sign = m.change > 0 ? "+" : "";
 
         return `
         <tr>
-          <td>${r.metric}</td>
-          <td>${r.current}</td>
-          <td>${r.previous}</td>
-          <td class="${changeClass}">${change >= 0 ? "+" : ""}${change}%</td>
+          <td>${Utils.sanitizeHTML(m.label)}</td>
+          <td class="text-end">${formatMetric(m.current, m.format)}</td>
+          <td class="text-end">${formatMetric(m.previous, m.format)}</td>
+          <td class="text-end ${changeClass}">${sign}${formatMetric(m.change, m.format)}</td>
+          <td class="text-end ${changeClass}">${
+            m.change_pct === null ? "—" : `${sign}${m.change_pct}%`
+          }</td>
         </tr>
       `;
       })
@@ -621,6 +800,21 @@
   // DATA LOADING
   // ========================================================================
 
+  async function attachLocationFilter() {
+    const select = document.getElementById("reportLocation");
+    if (!select || !window.LocationFilter) return;
+
+    await LocationFilter.attach(select, { onChange: loadAllData });
+  }
+
+  // Quantities and movements at the chosen location (and inside it)
+  function locationFilters() {
+    const locationId = window.LocationFilter
+      ? LocationFilter.value(document.getElementById("reportLocation"))
+      : "";
+    return locationId ? { location_id: locationId } : {};
+  }
+
   async function loadAllData() {
     try {
       await Promise.all([
@@ -629,6 +823,8 @@
         loadTransactions(),
         loadSuppliers(),
         loadCustomers(),
+        loadComparison(),
+        loadInventoryPerformance(),
       ]);
     } catch (error) {
       console.error("Load error:", error);
@@ -637,7 +833,7 @@
 
   async function loadDashboardStats() {
     try {
-      const response = await API.getDashboardStats();
+      const response = await API.getDashboardStats(locationFilters());
       const stats = response?.data || response || {};
 
       updateStatCard("totalItems", stats.total_items || 0);
@@ -646,12 +842,10 @@
         "totalValue",
         Utils.formatCurrency(stats.total_inventory_value || 0)
       );
-      updateStatCard("turnoverRate", (stats.turnover_rate || 0) + "%");
 
       updateTrend("trendItems", stats.items_trend || 0);
       updateTrend("trendLowStock", stats.low_stock_trend || 0);
       updateTrend("trendValue", stats.value_trend || 0);
-      updateTrend("trendTurnover", stats.turnover_trend || 0);
 
       currentData.stats = stats;
     } catch (error) {
@@ -659,6 +853,34 @@
     }
   }
 
+  async function loadInventoryPerformance() {
+    const dateFrom = document.getElementById("dateFrom")?.value;
+    const dateTo = document.getElementById("dateTo")?.value;
+
+    try {
+      const response = await API.getInventoryPerformance({
+        ...(dateFrom ? { date_from: dateFrom } : {}),
+        ...(dateTo ? { date_to: dateTo } : {}),
+        ...locationFilters(),
+      });
+      const performance = response?.data;
+      if (!performance) return;
+
+      currentData.performance = performance;
+      updateStatCard("turnoverRate", performance.summary.turnover.toFixed(2) + "×");
+
+      const trend = document.getElementById("trendTurnover");
+      if (trend) {
+        trend.className = "stat-trend";
+        trend.textContent = `${formatDays(performance.summary.days_on_hand)} on hand · ${
+          performance.summary.dead_stock_items
+        } dead`;
+      }
+    } catch (error) {
+      console.error("Inventory performance error:", error);
+    }
+  }
+
   function updateStatCard(id, value) {
     const el = document.getElementById(id);
     if (el) el.textContent = value;
@@ -676,7 +898,7 @@
 
   async function loadInventorySummary() {
     try {
-      const response = await API.getInventory();
+      const response = await API.getInventory(locationFilters());
       const items = response?.data || response || [];
       currentData.inventory = items;
 
@@ -716,7 +938,10 @@
 
   async function loadTransactions() {
     try {
-      const response = await API.getStockMovements({ limit: 100 });
+      const response = await API.getStockMovements({
+        limit: 100,
+        ...locationFilters(),
+      });
       let transactions = [];
 
       if (Array.isArray(response)) {
@@ -1040,371 +1265,1014 @@
   // ========================================================================
   // EXPORT FUNCTIONS
   // ========================================================================
+  // Files are built on the server from the full filtered dataset, as
+  // background jobs (ExportJobService); only the custom builder's last
+  // result is exported from the browser.
 
-  window.exportToExcel = async function () {
-    try {
-      if (typeof XLSX === "undefined") {
-        throw new Error("XLSX library not loaded");
-      }
-
-      const reportType =
-        document.getElementById("reportType")?.value || "inventory";
-      let data = [];
-      let sheetName = "Report";
-
-      switch (reportType) {
-        case "inventory":
-          if (!currentData.inventory || currentData.inventory.length === 0) {
-            throw new Error("No inventory data available");
-          }
-          data = currentData.inventory.map((i) => ({
-            SKU: i.sku || "N/A",
-            "Item Name": i.item_name,
-            Category: i.category_name || "Uncategorized",
-            Quantity: i.quantity,
-            "Unit Price": i.unit_price,
-            "Total Value": i.quantity * i.unit_price,
-            "Reorder Level": i.reorder_level,
-            Status: i.quantity <= i.reorder_level ? "LOW STOCK" : "OK",
-          }));
-          sheetName = "Inventory";
-          break;
+  let exportPollTimer = null;
 
-        case "financial":
-        case "movements":
-          if (
-            !currentData.transactions ||
-            currentData.transactions.length === 0
-          ) {
-            throw new Error("No transaction data available");
-          }
-          data = currentData.transactions.map((t) => ({
-            Date: Utils.formatDate(t.transaction_date || t.movement_date),
-            Type: t.transaction_type,
-            Item: t.item_name,
-            Quantity: t.quantity || t.transaction_quantity,
-            "Unit Price": t.unit_price || 0,
-            Total: t.total || (t.quantity || 0) * (t.unit_price || 0),
-            Reference: t.reference_number || "-",
-          }));
-          sheetName = "Transactions";
-          break;
+  window.exportToExcel = () => exportReport("xlsx");
+  window.exportToPDF = () => exportReport("pdf");
+  window.exportToCSV = () => exportReport("csv");
 
-        case "custom":
-          if (customReportConfig) {
-            data = generateCustomData();
-            sheetName = "Custom";
-          } else {
-            throw new Error("Please configure custom report first");
-          }
-          break;
+  async function exportReport(format) {
+    const reportType =
+      document.getElementById("reportType")?.value || "inventory";
 
-        default:
-          throw new Error("Please select a report type");
+    if (reportType === "custom") {
+      if (format === "pdf") {
+        Utils.showToast("Custom reports export to Excel or CSV", "warning");
+      } else {
+        exportCustomReport(format);
       }
+      return;
+    }
 
-      if (data.length === 0) {
-        throw new Error("No data to export");
-      }
+    const dateFrom = document.getElementById("dateFrom")?.value || null;
+    const dateTo = document.getElementById("dateTo")?.value || null;
 
-      const wb = XLSX.utils.book_new();
-      const ws = XLSX.utils.json_to_sheet(data);
+    if (dateFrom && dateTo && new Date(dateFrom) > new Date(dateTo)) {
+      Utils.showToast("Invalid date range", "error");
+      return;
+    }
 
-      const maxWidth = 50;
-      const wscols = Object.keys(data[0]).map((key) => ({
-        wch: Math.min(
-          Math.max(
-            key.length,
-            ...data.map((row) => String(row[key] || "").length)
-          ),
-          maxWidth
-        ),
-      }));
-      ws["!cols"] = wscols;
+    try {
+      await API.startReportExport({
+        report_type: reportType,
+        format,
+        date_from: dateFrom,
+        date_to: dateTo,
+        ...locationFilters(),
+        ...comparisonFilters(),
+      });
 
-      XLSX.utils.book_append_sheet(wb, ws, sheetName);
+      Utils.showToast("Export started - the download link appears below", "info");
+      loadExports();
+    } catch (error) {
+      console.error("Export error:", error);
+      Utils.showToast("Export failed: " + error.message, "error");
+    }
+  }
 
-      const filename = `Janstro_${reportType}_${
-        new Date().toISOString().split("T")[0]
-      }.xlsx`;
-      XLSX.writeFile(wb, filename);
+  async function loadExports() {
+    clearTimeout(exportPollTimer);
 
-      Utils.showToast("Excel downloaded successfully", "success");
+    let exports = [];
+    try {
+      const response = await API.getReportExports();
+      exports = response?.data || [];
     } catch (error) {
-      console.error("Excel export error:", error);
-      Utils.showToast("Excel export failed: " + error.message, "error");
+      console.error("Exports error:", error);
+      return;
+    }
+
+    document.getElementById("exportJobsCard").style.display =
+      exports.length > 0 ? "" : "none";
+    document.getElementById("exportJobList").innerHTML = exports
+      .slice(0, 10)
+      .map(renderExportJob)
+      .join("");
+
+    // Keep polling while a file is still being written
+    if (exports.some((e) => e.status === "queued" || e.status === "running")) {
+      exportPollTimer = setTimeout(loadExports, 2000);
+    }
+  }
+
+  function renderExportJob(e) {
+    let status;
+
+    switch (e.status) {
+      case "completed":
+        status = `
+          <a class="btn btn-sm btn-success" href="${API.baseURL}/report-exports/${
+          e.export_id
+        }/download?token=${encodeURIComponent(API.getToken())}">
+            <i class="bi bi-download"></i> Download
+          </a>
+          <br><small class="text-muted">${e.rows_done.toLocaleString()} rows · ${Utils.formatFileSize(
+            e.file_size || 0
+          )}</small>`;
+        break;
+      case "queued":
+      case "running":
+        status = `
+          <div class="progress" role="progressbar" aria-label="Export progress" aria-valuenow="${
+            e.progress
+          }" aria-valuemin="0" aria-valuemax="100">
+            <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: ${Math.max(
+              e.progress,
+              5
+            )}%"></div>
+          </div>
+          <small class="text-muted">${
+            e.status === "queued"
+              ? "Waiting to start"
+              : `${e.rows_done.toLocaleString()} of ${
+                  e.rows_total === null ? "?" : e.rows_total.toLocaleString()
+                } rows`
+          }</small>`;
+        break;
+      case "failed":
+        status = `<span class="badge bg-danger">Failed</span><br><small class="text-danger">${Utils.sanitizeHTML(
+          e.error || ""
+        )}</small>`;
+        break;
+      default:
+        status = '<span class="badge bg-secondary">Expired</span>';
     }
+
+    const period = e.filters?.date_from
+      ? ` · ${e.filters.date_from} to ${e.filters.date_to || "today"}`
+      : "";
+    const compared = e.filters?.compare ? " · with comparison" : "";
+
+    return `
+      <div class="list-group-item">
+        <div class="d-flex justify-content-between align-items-center gap-3">
+          <div>
+            <strong>${Utils.sanitizeHTML(e.title)}</strong> · ${e.format.toUpperCase()}<small class="text-muted">${period}${compared}</small>
+            <br><small class="text-muted">${Utils.formatDateTime(e.created_at)}</small>
+          </div>
+          <div class="text-end" style="min-width: 220px;">${status}</div>
+        </div>
+      </div>`;
+  }
+
+  // Report types the server can build and email (see ReportService::REPORT_TYPES)
+  const SERVER_REPORT_TYPES = {
+    inventory: "Inventory Summary",
+    low_stock: "Low Stock",
+    financial: "Financial Overview",
+    movements: "Stock Movements",
+    supplier: "Supplier Performance",
   };
 
-  window.exportToPDF = async function () {
-    try {
-      const jsPDF = window.jspdf?.jsPDF || window.jsPDF;
-      if (!jsPDF) throw new Error("jsPDF not loaded");
-
-      const doc = new jsPDF();
-
-      doc.setFontSize(18);
-      doc.setTextColor(102, 126, 234);
-      doc.text("Janstro IMS - Business Report", 14, 20);
-
-      doc.setFontSize(10);
-      doc.setTextColor(0, 0, 0);
-      doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 28);
-      doc.text(
-        `Report Type: ${
-          document.getElementById("reportType")?.value || "Inventory"
-        }`,
-        14,
-        34
+  window.emailReport = function () {
+    const reportType = document.getElementById("reportType")?.value;
+    if (!SERVER_REPORT_TYPES[reportType]) {
+      Utils.showToast(
+        "This report type can be exported but not emailed",
+        "warning"
       );
+      return;
+    }
 
-      doc.setFontSize(12);
-      doc.setTextColor(102, 126, 234);
-      doc.text("Summary Statistics", 14, 45);
-
-      doc.setFontSize(10);
-      doc.setTextColor(0, 0, 0);
-      doc.text(`Total Items: ${currentData.stats?.total_items || 0}`, 14, 53);
-      doc.text(`Low Stock: ${currentData.stats?.low_stock_items || 0}`, 14, 59);
-      doc.text(
-        `Total Value: ${Utils.formatCurrency(
-          currentData.stats?.total_inventory_value || 0
-        )}`,
-        14,
-        65
-      );
-      doc.text(`Turnover: ${currentData.stats?.turnover_rate || 0}%`, 14, 71);
-
-      if (currentData.transactions && currentData.transactions.length > 0) {
-        const tableData = currentData.transactions
-          .slice(0, 15)
-          .map((t) => [
-            Utils.formatDate(t.transaction_date || t.movement_date),
-            t.transaction_type,
-            (t.item_name || "N/A").substring(0, 25),
-            String(t.quantity || t.transaction_quantity),
-            Utils.formatCurrency(t.unit_price || 0),
-            t.reference_number || "-",
-          ]);
-
-        doc.autoTable({
-          startY: 80,
-          head: [["Date", "Type", "Item", "Qty", "Price", "Ref"]],
-          body: tableData,
-          theme: "grid",
-          styles: { fontSize: 8, cellPadding: 3 },
-          headStyles: { fillColor: [102, 126, 234] },
-        });
-      }
+    const dateFrom = document.getElementById("dateFrom")?.value;
+    const dateTo = document.getElementById("dateTo")?.value;
+    const location = document.getElementById("reportLocation");
+    const locationName =
+      location?.value && location.selectedIndex >= 0
+        ? location.options[location.selectedIndex].text.trim()
+        : "All locations";
+
+    document.getElementById("emailReportSummary").textContent = `${
+      SERVER_REPORT_TYPES[reportType]
+    } · ${dateFrom || "…"} to ${dateTo || "today"} · ${locationName}`;
+
+    const recipients = document.getElementById("emailReportRecipients");
+    if (!recipients.value) {
+      recipients.value = API.getCurrentUserData()?.email || "";
+    }
 
-      const pageCount = doc.internal.getNumberOfPages();
-      for (let i = 1; i <= pageCount; i++) {
-        doc.setPage(i);
-        doc.setFontSize(8);
-        doc.setTextColor(150);
-        doc.text(
-          `Page ${i} of ${pageCount} | Janstro Prime Corporation`,
-          14,
-          doc.internal.pageSize.height - 10
-        );
-      }
+    new bootstrap.Modal(document.getElementById("emailReportModal")).show();
+  };
 
-      const filename = `Janstro_Report_${
-        new Date().toISOString().split("T")[0]
-      }.pdf`;
-      doc.save(filename);
+  window.sendReportEmail = async function () {
+    const recipients = parseRecipients("emailReportRecipients");
+    if (!recipients) return;
+
+    const button = document.getElementById("btnSendReport");
+    button.disabled = true;
 
-      Utils.showToast("PDF downloaded successfully", "success");
+    try {
+      const response = await API.emailReportNow({
+        report_type: document.getElementById("reportType").value,
+        format: document.getElementById("emailReportFormat").value,
+        recipients,
+        date_from: document.getElementById("dateFrom")?.value || null,
+        date_to: document.getElementById("dateTo")?.value || null,
+        ...locationFilters(),
+      });
+
+      bootstrap.Modal.getInstance(
+        document.getElementById("emailReportModal")
+      )?.hide();
+      Utils.showToast(response?.message || "Report emailed", "success");
     } catch (error) {
-      console.error("PDF error:", error);
-      Utils.showToast("PDF export failed: " + error.message, "error");
+      console.error("Email report error:", error);
+      Utils.showToast(error.message || "Failed to email report", "error");
+    } finally {
+      button.disabled = false;
     }
   };
 
-  window.exportToCSV = function () {
-    try {
-      const data = currentData.transactions || [];
-      if (data.length === 0) {
-        throw new Error("No data to export");
+  // Comma / space separated emails from an input; null (with a toast) if any is invalid
+  function parseRecipients(inputId) {
+    const recipients = document
+      .getElementById(inputId)
+      .value.split(/[\s,;]+/)
+      .filter(Boolean);
+
+    if (recipients.length === 0) {
+      Utils.showToast("Enter at least one recipient email", "warning");
+      return null;
+    }
+
+    const invalid = recipients.filter((email) => !Utils.validateEmail(email));
+    if (invalid.length > 0) {
+      Utils.showToast(`Invalid email: ${invalid.join(", ")}`, "error");
+      return null;
+    }
+
+    return recipients;
+  }
+
+  // ========================================================================
+  // CUSTOM REPORT BUILDER
+  // ========================================================================
+  // Definitions are compiled and run on the server (CustomReportService);
+  // customReportConfig holds the last result for the export buttons.
+
+  let customCatalog = null;
+  let editingCustomReportId = null;
+
+  window.showCustomBuilder = async function () {
+    new bootstrap.Modal(document.getElementById("customBuilderModal")).show();
+
+    if (!customCatalog) {
+      try {
+        const response = await API.getCustomReportSources();
+        customCatalog = response?.data;
+      } catch (error) {
+        console.error("Report sources error:", error);
+        Utils.showToast("Failed to load report sources", "error");
+        return;
       }
 
-      Utils.downloadCSV(
-        data.map((t) => ({
-          Date: Utils.formatDate(t.transaction_date || t.movement_date),
-          Type: t.transaction_type,
-          Item: t.item_name,
-          Quantity: t.quantity || t.transaction_quantity,
-          "Unit Price": t.unit_price || 0,
-          Total: t.total || (t.quantity || 0) * (t.unit_price || 0),
-          Reference: t.reference_number || "-",
-          User: t.user_name || "System",
-        })),
-        `Janstro_Transactions_${new Date().toISOString().split("T")[0]}.csv`
-      );
+      const source = document.getElementById("customSource");
+      source.innerHTML = customCatalog.sources
+        .map((s) => `<option value="${s.key}">${Utils.sanitizeHTML(s.label)}</option>`)
+        .join("");
+      source.addEventListener("change", () => renderCustomFields());
+
+      const modal = document.getElementById("customBuilderModal");
+      modal.addEventListener("change", handleCustomBuilderChange);
+      modal.addEventListener("click", (e) => {
+        const remove = e.target.closest("[data-remove-row]");
+        if (remove) {
+          remove.closest(".custom-row").remove();
+          updateCustomSortOptions();
+        }
+      });
+      document
+        .getElementById("customReportList")
+        .addEventListener("click", handleCustomReportAction);
 
-      Utils.showToast("CSV downloaded", "success");
-    } catch (error) {
-      console.error("CSV error:", error);
-      Utils.showToast("CSV export failed", "error");
+      renderCustomFields();
     }
+
+    loadCustomReports();
   };
 
-  window.emailReport = async function () {
-    const email = prompt(
-      "Enter recipient email address:",
-      API.getCurrentUserData()?.email || ""
+  function customFields() {
+    const source = document.getElementById("customSource").value;
+    return customCatalog.sources.find((s) => s.key === source)?.fields || [];
+  }
+
+  function customField(key) {
+    return customFields().find((f) => f.key === key);
+  }
+
+  // Column / group checkboxes for the selected source; clears filters and aggregates
+  function renderCustomFields() {
+    const checkboxes = (name) =>
+      customFields()
+        .map(
+          (f) => `
+          <div class="form-check">
+            <input class="form-check-input" type="checkbox" name="${name}" value="${f.key}" id="${name}_${f.key}">
+            <label class="form-check-label" for="${name}_${f.key}">${Utils.sanitizeHTML(f.label)}</label>
+          </div>`
+        )
+        .join("");
+
+    document.getElementById("customColumns").innerHTML = checkboxes("customColumn");
+    document.getElementById("customGroupBy").innerHTML = checkboxes("customGroup");
+    document.getElementById("customFilters").innerHTML = "";
+    document.getElementById("customAggregates").innerHTML = "";
+
+    // Start with the first few columns ticked
+    document
+      .querySelectorAll('[name="customColumn"]')
+      .forEach((box, i) => (box.checked = i < 5));
+
+    updateCustomSortOptions();
+  }
+
+  function fieldOptions(fields, selected) {
+    return fields
+      .map(
+        (f) =>
+          `<option value="${f.key}" ${f.key === selected ? "selected" : ""}>${Utils.sanitizeHTML(
+            f.label
+          )}</option>`
+      )
+      .join("");
+  }
+
+  const REMOVE_BUTTON = `
+    <button type="button" class="btn btn-sm btn-outline-danger" data-remove-row title="Remove">
+      <i class="bi bi-x-lg"></i>
+    </button>`;
+
+  window.addCustomFilter = function (filter = {}) {
+    const row = document.createElement("div");
+    row.className = "custom-row custom-filter input-group input-group-sm mb-2";
+    row.innerHTML = `
+      <select class="form-select custom-filter-field" aria-label="Filter field">${fieldOptions(
+        customFields(),
+        filter.field
+      )}</select>
+      <select class="form-select custom-filter-op" aria-label="Filter operator"></select>
+      <input class="form-control custom-filter-value" aria-label="Filter value">
+      <input class="form-control custom-filter-value2" aria-label="Filter second value">
+      ${REMOVE_BUTTON}`;
+    document.getElementById("customFilters").appendChild(row);
+
+    updateFilterOperators(row, filter.op);
+    row.querySelector(".custom-filter-value").value = filter.value ?? "";
+    row.querySelector(".custom-filter-value2").value = filter.value2 ?? "";
+  };
+
+  // Operators the field type allows, and value inputs to match
+  function updateFilterOperators(row, selected) {
+    const field = customField(row.querySelector(".custom-filter-field").value);
+    const operators = customCatalog.operators.filter((o) =>
+      o.types.includes(field.type)
     );
-    if (!email || !Utils.validateEmail(email)) {
-      Utils.showToast("Invalid email address", "error");
-      return;
+
+    row.querySelector(".custom-filter-op").innerHTML = operators
+      .map(
+        (o) =>
+          `<option value="${o.key}" ${o.key === selected ? "selected" : ""}>${Utils.sanitizeHTML(
+            o.label
+          )}</option>`
+      )
+      .join("");
+
+    updateFilterInputs(row);
+  }
+
+  function updateFilterInputs(row) {
+    const field = customField(row.querySelector(".custom-filter-field").value);
+    const op = row.querySelector(".custom-filter-op").value;
+    const value = row.querySelector(".custom-filter-value");
+    const value2 = row.querySelector(".custom-filter-value2");
+
+    const type =
+      op === "last_days" || field.type === "number"
+        ? "number"
+        : field.type === "date"
+        ? "date"
+        : "text";
+    value.type = type;
+    value2.type = type;
+    value.placeholder = op === "last_days" ? "Days" : "";
+
+    value.style.display = ["empty", "not_empty"].includes(op) ? "none" : "";
+    value2.style.display = op === "between" ? "" : "none";
+  }
+
+  window.addCustomAggregate = function (aggregate = {}) {
+    const row = document.createElement("div");
+    row.className = "custom-row custom-aggregate input-group input-group-sm mb-2";
+    row.innerHTML = `
+      <select class="form-select custom-agg-fn" aria-label="Aggregate function">${customCatalog.aggregates
+        .map(
+          (a) =>
+            `<option value="${a.key}" ${a.key === aggregate.fn ? "selected" : ""}>${a.label}</option>`
+        )
+        .join("")}</select>
+      <select class="form-select custom-agg-field" aria-label="Aggregate field"></select>
+      ${REMOVE_BUTTON}`;
+    document.getElementById("customAggregates").appendChild(row);
+
+    updateAggregateFields(row, aggregate.field);
+    updateCustomSortOptions();
+  };
+
+  // Sum / average need numbers; count can count rows
+  function updateAggregateFields(row, selected) {
+    const fn = row.querySelector(".custom-agg-fn").value;
+    const fields = ["sum", "avg"].includes(fn)
+      ? customFields().filter((f) => f.type === "number")
+      : customFields();
+
+    row.querySelector(".custom-agg-field").innerHTML =
+      (fn === "count" ? '<option value="">(rows)</option>' : "") +
+      fieldOptions(fields, selected);
+  }
+
+  function handleCustomBuilderChange(e) {
+    const row = e.target.closest(".custom-row");
+
+    if (e.target.classList.contains("custom-filter-field")) {
+      updateFilterOperators(row);
+    } else if (e.target.classList.contains("custom-filter-op")) {
+      updateFilterInputs(row);
+    } else if (e.target.classList.contains("custom-agg-fn")) {
+      updateAggregateFields(row, row.querySelector(".custom-agg-field").value);
+      updateCustomSortOptions();
+    } else if (
+      e.target.classList.contains("custom-agg-field") ||
+      ["customColumn", "customGroup"].includes(e.target.name)
+    ) {
+      updateCustomSortOptions();
+    }
+  }
+
+  // Output columns, as the server names them (see CustomReportService::normalize)
+  function customOutputs(definition) {
+    const label = (key) => customField(key)?.label || key;
+
+    if (definition.group_by.length === 0 && definition.aggregates.length === 0) {
+      return definition.columns.map((key) => ({ key, label: label(key) }));
     }
 
-    Utils.showToast(
-      "Email feature requires backend setup. Downloading instead...",
-      "info"
+    return [
+      ...definition.group_by.map((key) => ({ key, label: label(key) })),
+      ...definition.aggregates.map((a) => ({
+        key: `${a.fn}:${a.field || "*"}`,
+        label:
+          customCatalog.aggregates.find((x) => x.key === a.fn).label +
+          (a.field ? ` of ${label(a.field)}` : ""),
+      })),
+    ];
+  }
+
+  function updateCustomSortOptions(selected) {
+    const select = document.getElementById("customSortKey");
+    const current = selected ?? select.value;
+    const outputs = customOutputs(readCustomDefinition());
+
+    select.innerHTML =
+      '<option value="">(none)</option>' +
+      outputs
+        .map(
+          (o) =>
+            `<option value="${o.key}" ${o.key === current ? "selected" : ""}>${Utils.sanitizeHTML(
+              o.label
+            )}</option>`
+        )
+        .join("");
+  }
+
+  function readCustomDefinition() {
+    const checked = (name) =>
+      [...document.querySelectorAll(`[name="${name}"]:checked`)].map(
+        (box) => box.value
+      );
+
+    const filters = [...document.querySelectorAll(".custom-filter")].map((row) => {
+      const filter = {
+        field: row.querySelector(".custom-filter-field").value,
+        op: row.querySelector(".custom-filter-op").value,
+      };
+      if (!["empty", "not_empty"].includes(filter.op)) {
+        filter.value = row.querySelector(".custom-filter-value").value;
+      }
+      if (filter.op === "between") {
+        filter.value2 = row.querySelector(".custom-filter-value2").value;
+      }
+      return filter;
+    });
+
+    const aggregates = [...document.querySelectorAll(".custom-aggregate")].map(
+      (row) => ({
+        fn: row.querySelector(".custom-agg-fn").value,
+        field: row.querySelector(".custom-agg-field").value || null,
+      })
     );
-    window.exportToPDF();
-  };
 
-  // ========================================================================
-  // CUSTOM REPORT BUILDER
-  // ========================================================================
+    const sortKey = document.getElementById("customSortKey").value;
+
+    return {
+      columns: checked("customColumn"),
+      filters,
+      group_by: checked("customGroup"),
+      aggregates,
+      sort: sortKey
+        ? [{ key: sortKey, dir: document.getElementById("customSortDir").value }]
+        : [],
+      limit: parseInt(document.getElementById("customLimit").value) || 1000,
+    };
+  }
 
-  window.showCustomBuilder = function () {
-    const modal = new bootstrap.Modal(
-      document.getElementById("customBuilderModal")
+  function loadCustomDefinition(report) {
+    const { definition } = report;
+
+    document.getElementById("customSource").value = report.source;
+    renderCustomFields();
+
+    document.querySelectorAll('[name="customColumn"]').forEach((box) => {
+      box.checked = (definition.columns || []).includes(box.value);
+    });
+    document.querySelectorAll('[name="customGroup"]').forEach((box) => {
+      box.checked = (definition.group_by || []).includes(box.value);
+    });
+    (definition.filters || []).forEach((filter) => addCustomFilter(filter));
+    (definition.aggregates || []).forEach((aggregate) =>
+      addCustomAggregate(aggregate)
     );
 
-    const categorySelect = document.getElementById("customCategory");
-    if (categorySelect && currentData.categories) {
-      categorySelect.innerHTML =
-        '<option value="">All Categories</option>' +
-        currentData.categories
-          .map((c) => `<option value="${c.category}">${c.category}</option>`)
-          .join("");
-    }
+    const sort = definition.sort?.[0];
+    updateCustomSortOptions(sort?.key || "");
+    document.getElementById("customSortDir").value = sort?.dir || "asc";
+    document.getElementById("customLimit").value = definition.limit || 1000;
+  }
 
-    modal.show();
+  window.resetCustomBuilder = function () {
+    editingCustomReportId = null;
+    document.getElementById("customBuilderTitle").textContent = "New Report";
+    document.getElementById("customName").value = "";
+    document.getElementById("customDescription").value = "";
+    document.getElementById("customShared").checked = false;
+    document.getElementById("customLimit").value = 1000;
+    document.getElementById("customSortDir").value = "asc";
+    renderCustomFields();
   };
 
-  window.generateCustomReport = function () {
+  async function loadCustomReports() {
+    const tbody = document.getElementById("customReportList");
+    tbody.innerHTML =
+      '<tr><td colspan="5" class="text-center text-muted">Loading...</td></tr>';
+
+    let reports = [];
     try {
-      const fields = {
-        sku: document.getElementById("field_sku")?.checked,
-        name: document.getElementById("field_name")?.checked,
-        category: document.getElementById("field_category")?.checked,
-        quantity: document.getElementById("field_quantity")?.checked,
-        price: document.getElementById("field_price")?.checked,
-        value: document.getElementById("field_value")?.checked,
-        reorder: document.getElementById("field_reorder")?.checked,
-        supplier: document.getElementById("field_supplier")?.checked,
-      };
+      const response = await API.getCustomReports();
+      reports = response?.data || [];
+    } catch (error) {
+      console.error("Custom reports error:", error);
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-danger">Failed to load saved reports</td></tr>';
+      return;
+    }
 
-      const categoryFilter = document.getElementById("customCategory")?.value;
-      const stockStatus = document.getElementById("customStockStatus")?.value;
+    if (reports.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-muted">No saved reports yet</td></tr>';
+      return;
+    }
 
-      customReportConfig = { fields, categoryFilter, stockStatus };
+    const userId = API.getCurrentUserData()?.user_id;
+    const sourceLabel = (key) =>
+      customCatalog.sources.find((s) => s.key === key)?.label || key;
 
-      let data = currentData.inventory || [];
+    tbody.innerHTML = reports
+      .map((r) => {
+        const own = String(r.created_by) === String(userId);
 
-      if (categoryFilter) {
-        data = data.filter((i) => i.category_name === categoryFilter);
-      }
+        return `
+          <tr>
+            <td>${Utils.sanitizeHTML(r.name)}${
+          r.is_shared ? ' <span class="badge bg-info">Shared</span>' : ""
+        }${
+          r.description
+            ? `<br><small class="text-muted">${Utils.sanitizeHTML(r.description)}</small>`
+            : ""
+        }</td>
+            <td><small>${Utils.sanitizeHTML(sourceLabel(r.source))}</small></td>
+            <td><small>${own ? "You" : Utils.sanitizeHTML(r.created_by_name || "-")}</small></td>
+            <td><small>${
+              r.last_run_at
+                ? Utils.formatDateTime(r.last_run_at)
+                : '<span class="text-muted">Never</span>'
+            }</small></td>
+            <td class="text-end text-nowrap">
+              <button type="button" class="btn btn-sm btn-outline-primary" data-action="run" data-id="${r.report_id}" title="Run">
+                <i class="bi bi-play-fill"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline-secondary" data-action="edit" data-id="${r.report_id}" title="${
+          own ? "Edit" : "Open a copy"
+        }">
+                <i class="bi bi-${own ? "pencil" : "files"}"></i>
+              </button>
+              ${
+                own
+                  ? `<button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${r.report_id}" title="Delete">
+                <i class="bi bi-trash"></i>
+              </button>`
+                  : ""
+              }
+            </td>
+          </tr>`;
+      })
+      .join("");
+  }
 
-      if (stockStatus === "low") {
-        data = data.filter((i) => i.quantity <= i.reorder_level);
-      } else if (stockStatus === "sufficient") {
-        data = data.filter((i) => i.quantity > i.reorder_level);
+  async function handleCustomReportAction(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) return;
+
+    const id = button.dataset.id;
+    const action = button.dataset.action;
+
+    if (action === "delete" && !confirm("Delete this saved report?")) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      if (action === "run") {
+        const response = await API.runCustomReport(id);
+        showCustomResult(response?.data);
+        loadCustomReports();
+      } else if (action === "edit") {
+        const response = await API.getCustomReport(id);
+        const report = response?.data;
+        const own =
+          String(report.created_by) ===
+          String(API.getCurrentUserData()?.user_id);
+
+        // Someone else's shared report is opened as a copy
+        editingCustomReportId = own ? report.report_id : null;
+        document.getElementById("customBuilderTitle").textContent = own
+          ? `Editing: ${report.name}`
+          : `Copy of: ${report.name}`;
+        document.getElementById("customName").value = own
+          ? report.name
+          : `${report.name} (copy)`;
+        document.getElementById("customDescription").value =
+          report.description || "";
+        document.getElementById("customShared").checked = own && report.is_shared;
+        loadCustomDefinition(report);
+        button.disabled = false;
+      } else {
+        const response = await API.deleteCustomReport(id);
+        if (String(editingCustomReportId) === String(id)) resetCustomBuilder();
+        Utils.showToast(response?.message || "Report deleted", "success");
+        loadCustomReports();
       }
+    } catch (error) {
+      console.error("Custom report action error:", error);
+      Utils.showToast(error.message || "Custom report failed", "error");
+      button.disabled = false;
+    }
+  }
 
-      const customData = data.map((item) => {
-        const row = {};
-        if (fields.sku) row.SKU = item.sku || "N/A";
-        if (fields.name) row["Item Name"] = item.item_name;
-        if (fields.category)
-          row.Category = item.category_name || "Uncategorized";
-        if (fields.quantity) row.Quantity = item.quantity;
-        if (fields.price) row["Unit Price"] = item.unit_price;
-        if (fields.value) row["Total Value"] = item.quantity * item.unit_price;
-        if (fields.reorder) row["Reorder Level"] = item.reorder_level;
-        if (fields.supplier) row.Supplier = item.supplier_name || "-";
-        return row;
+  // Runs the builder as it stands, without saving
+  window.generateCustomReport = async function () {
+    const button = document.getElementById("btnRunCustomReport");
+    button.disabled = true;
+
+    try {
+      const response = await API.previewCustomReport({
+        name: document.getElementById("customName").value.trim(),
+        source: document.getElementById("customSource").value,
+        definition: readCustomDefinition(),
       });
+      showCustomResult(response?.data);
+    } catch (error) {
+      console.error("Custom report error:", error);
+      Utils.showToast("Custom report failed: " + error.message, "error");
+    } finally {
+      button.disabled = false;
+    }
+  };
 
-      if (customData.length === 0) {
-        Utils.showToast("No data matches filters", "warning");
-        return;
-      }
+  window.saveCustomReport = async function () {
+    const name = document.getElementById("customName").value.trim();
+    if (!name) {
+      Utils.showToast("Give the report a name", "warning");
+      return;
+    }
 
-      const exportChoice = confirm(
-        `Custom report ready with ${customData.length} items.\n\nOK = Download Excel\nCancel = Download CSV`
-      );
+    const button = document.getElementById("btnSaveCustomReport");
+    button.disabled = true;
+
+    try {
+      const data = {
+        name,
+        description: document.getElementById("customDescription").value.trim(),
+        source: document.getElementById("customSource").value,
+        definition: readCustomDefinition(),
+        is_shared: document.getElementById("customShared").checked,
+      };
 
-      if (exportChoice) {
+      const response = editingCustomReportId
+        ? await API.updateCustomReport(editingCustomReportId, data)
+        : await API.createCustomReport(data);
+
+      editingCustomReportId = response?.data?.report_id || editingCustomReportId;
+      document.getElementById("customBuilderTitle").textContent = `Editing: ${name}`;
+      Utils.showToast(response?.message || "Report saved", "success");
+      loadCustomReports();
+    } catch (error) {
+      console.error("Save custom report error:", error);
+      Utils.showToast(error.message || "Failed to save report", "error");
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  function showCustomResult(result) {
+    if (!result) return;
+    customReportConfig = result;
+
+    document.getElementById("customPreview").style.display = "";
+    document.getElementById("customPreviewInfo").textContent = `${
+      result.title
+    } · ${result.rows.length} row(s)${
+      result.truncated ? " (row limit reached)" : ""
+    }`;
+    document.getElementById("customPreviewHead").innerHTML = `<tr>${result.columns
+      .map((c) => `<th scope="col">${Utils.sanitizeHTML(c)}</th>`)
+      .join("")}</tr>`;
+
+    // The export buttons get every row; the preview shows the first 200
+    document.getElementById("customPreviewBody").innerHTML =
+      result.rows.length === 0
+        ? `<tr><td colspan="${result.columns.length}" class="text-center text-muted">No rows match</td></tr>`
+        : result.rows
+            .slice(0, 200)
+            .map(
+              (row) =>
+                `<tr>${row
+                  .map(
+                    (value) =>
+                      `<td${typeof value === "number" ? ' class="text-end"' : ""}>${
+                        value === null ? "-" : Utils.sanitizeHTML(String(value))
+                      }</td>`
+                  )
+                  .join("")}</tr>`
+            )
+            .join("");
+  }
+
+  window.exportCustomReport = function (format) {
+    try {
+      const data = generateCustomData();
+      const filename = `${customReportConfig.title.replace(/[^\w-]+/g, "_")}_${
+        new Date().toISOString().split("T")[0]
+      }`;
+
+      if (format === "xlsx") {
         const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.json_to_sheet(customData);
-        XLSX.utils.book_append_sheet(wb, ws, "Custom Report");
-        XLSX.writeFile(
+        XLSX.utils.book_append_sheet(
           wb,
-          `Custom_Report_${new Date().toISOString().split("T")[0]}.xlsx`
+          XLSX.utils.json_to_sheet(data, { header: customReportConfig.columns }),
+          "Custom Report"
         );
+        XLSX.writeFile(wb, `${filename}.xlsx`);
       } else {
-        Utils.downloadCSV(
-          customData,
-          `Custom_Report_${new Date().toISOString().split("T")[0]}.csv`
-        );
+        Utils.downloadCSV(data, `${filename}.csv`);
       }
 
       Utils.showToast("Custom report downloaded", "success");
-
-      const modal = bootstrap.Modal.getInstance(
-        document.getElementById("customBuilderModal")
-      );
-      if (modal) modal.hide();
     } catch (error) {
-      console.error("Custom report error:", error);
-      Utils.showToast("Custom report failed: " + error.message, "error");
+      console.error("Custom export error:", error);
+      Utils.showToast(error.message, "error");
     }
   };
 
+  // Last run custom report as {column label: value} rows
   function generateCustomData() {
-    const { fields, categoryFilter, stockStatus } = customReportConfig;
-    let data = currentData.inventory || [];
-
-    if (categoryFilter) {
-      data = data.filter((i) => i.category_name === categoryFilter);
+    if (!customReportConfig) {
+      throw new Error("Run a custom report first");
     }
-
-    if (stockStatus === "low") {
-      data = data.filter((i) => i.quantity <= i.reorder_level);
-    } else if (stockStatus === "sufficient") {
-      data = data.filter((i) => i.quantity > i.reorder_level);
+    if (customReportConfig.rows.length === 0) {
+      throw new Error("No data to export");
     }
 
-    return data.map((item) => {
-      const row = {};
-      if (fields.sku) row.SKU = item.sku || "N/A";
-      if (fields.name) row["Item Name"] = item.item_name;
-      if (fields.category) row.Category = item.category_name || "Uncategorized";
-      if (fields.quantity) row.Quantity = item.quantity;
-      if (fields.price) row["Unit Price"] = item.unit_price;
-      if (fields.value) row["Total Value"] = item.quantity * item.unit_price;
-      if (fields.reorder) row["Reorder Level"] = item.reorder_level;
-      return row;
-    });
+    const { columns, rows } = customReportConfig;
+    return rows.map((row) =>
+      Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ""]))
+    );
   }
 
   // ========================================================================
   // SCHEDULE MODAL
   // ========================================================================
 
-  window.showScheduleModal = function () {
+  const WEEKDAYS = [
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+    "Sunday",
+  ];
+  const DEFAULT_PERIOD = { daily: 1, weekly: 7, monthly: 30 };
+  let scheduleFormReady = false;
+
+  window.showScheduleModal = async function () {
     const modal = new bootstrap.Modal(document.getElementById("scheduleModal"));
     modal.show();
+
+    if (!scheduleFormReady) {
+      scheduleFormReady = true;
+
+      const frequency = document.getElementById("scheduleFrequency");
+      frequency.addEventListener("change", () => {
+        updateScheduleDays();
+        document.getElementById("schedulePeriod").value =
+          DEFAULT_PERIOD[frequency.value];
+      });
+      updateScheduleDays();
+
+      document
+        .getElementById("scheduleList")
+        .addEventListener("click", handleScheduleAction);
+
+      const location = document.getElementById("scheduleLocation");
+      if (window.LocationFilter) {
+        // Starts on the page's location; not remembered like the page filter
+        await LocationFilter.fill(location, {
+          selected: locationFilters().location_id,
+        });
+      } else {
+        location.closest(".col-md-4").style.display = "none";
+      }
+    }
+
+    const emails = document.getElementById("scheduleEmails");
+    if (!emails.value) {
+      emails.value = API.getCurrentUserData()?.email || "";
+    }
+
+    loadSchedules();
   };
 
+  // Weekday picker for weekly, day of month (1-28, so every month has it) for monthly
+  function updateScheduleDays() {
+    const frequency = document.getElementById("scheduleFrequency").value;
+    const group = document.getElementById("scheduleDayGroup");
+    const day = document.getElementById("scheduleDay");
+
+    group.style.display = frequency === "daily" ? "none" : "";
+    day.innerHTML =
+      frequency === "weekly"
+        ? WEEKDAYS.map(
+            (name, i) => `<option value="${i + 1}">${name}</option>`
+          ).join("")
+        : Array.from(
+            { length: 28 },
+            (_, i) => `<option value="${i + 1}">Day ${i + 1}</option>`
+          ).join("");
+  }
+
+  function cadenceLabel(schedule) {
+    const time = String(schedule.run_time || "").substring(0, 5);
+    if (schedule.frequency === "weekly") {
+      return `Weekly, ${WEEKDAYS[schedule.run_day - 1]} ${time}`;
+    }
+    if (schedule.frequency === "monthly") {
+      return `Monthly, day ${schedule.run_day} ${time}`;
+    }
+    return `Daily ${time}`;
+  }
+
+  async function loadSchedules() {
+    const tbody = document.getElementById("scheduleList");
+    tbody.innerHTML =
+      '<tr><td colspan="7" class="text-center py-3"><div class="spinner-border spinner-border-sm text-primary"></div></td></tr>';
+
+    let schedules = [];
+    try {
+      const response = await API.getReportSchedules();
+      schedules = response?.data || [];
+    } catch (error) {
+      console.error("Schedules error:", error);
+      tbody.innerHTML =
+        '<tr><td colspan="7" class="text-center text-danger">Failed to load schedules</td></tr>';
+      return;
+    }
+
+    if (schedules.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="7" class="text-center text-muted">No scheduled reports yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = schedules
+      .map((s) => {
+        const active = s.status === "active";
+        const lastRun = s.last_run_at
+          ? `${Utils.formatDateTime(s.last_run_at)}<br>${
+              s.last_status === "sent"
+                ? '<span class="badge bg-success">Sent</span>'
+                : `<span class="badge bg-danger" title="${Utils.sanitizeHTML(
+                    s.last_error || ""
+                  )}">Failed</span>`
+            }`
+          : '<span class="text-muted">Never</span>';
+
+        return `
+          <tr class="${active ? "" : "text-muted"}">
+            <td>${Utils.sanitizeHTML(s.name)}${
+          s.created_by_name
+            ? `<br><small class="text-muted">${Utils.sanitizeHTML(
+                s.created_by_name
+              )}</small>`
+            : ""
+        }</td>
+            <td>${SERVER_REPORT_TYPES[s.report_type] || Utils.sanitizeHTML(
+              s.report_type
+            )}<br><small class="text-muted">${s.format.toUpperCase()}</small></td>
+            <td><small>${cadenceLabel(s)}</small></td>
+            <td><small>${Utils.sanitizeHTML(s.recipients.join(", "))}</small></td>
+            <td><small>${
+              active && s.next_run_at
+                ? Utils.formatDateTime(s.next_run_at)
+                : '<span class="badge bg-secondary">Paused</span>'
+            }</small></td>
+            <td><small>${lastRun}</small></td>
+            <td class="text-end text-nowrap">
+              <button type="button" class="btn btn-sm btn-outline-secondary" data-action="${
+                active ? "pause" : "resume"
+              }" data-id="${s.schedule_id}" title="${active ? "Pause" : "Resume"}">
+                <i class="bi bi-${active ? "pause" : "play"}-fill"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${
+                s.schedule_id
+              }" title="Delete">
+                <i class="bi bi-trash"></i>
+              </button>
+            </td>
+          </tr>`;
+      })
+      .join("");
+  }
+
+  async function handleScheduleAction(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) return;
+
+    const id = button.dataset.id;
+    const action = button.dataset.action;
+
+    if (action === "delete" && !confirm("Delete this scheduled report?")) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const response =
+        action === "pause"
+          ? await API.pauseReportSchedule(id)
+          : action === "resume"
+          ? await API.resumeReportSchedule(id)
+          : await API.deleteReportSchedule(id);
+
+      Utils.showToast(response?.message || "Schedule updated", "success");
+      loadSchedules();
+    } catch (error) {
+      console.error("Schedule action error:", error);
+      Utils.showToast(error.message || "Failed to update schedule", "error");
+      button.disabled = false;
+    }
+  }
+
   window.saveSchedule = async function () {
-    Utils.showToast("Scheduling feature requires backend setup", "info");
+    const recipients = parseRecipients("scheduleEmails");
+    if (!recipients) return;
+
+    const frequency = document.getElementById("scheduleFrequency").value;
+    const button = document.getElementById("btnSaveSchedule");
+    button.disabled = true;
+
+    try {
+      const response = await API.createReportSchedule({
+        name: document.getElementById("scheduleName").value.trim(),
+        report_type: document.getElementById("scheduleReportType").value,
+        format: document.getElementById("scheduleFormat").value,
+        recipients,
+        frequency,
+        run_day:
+          frequency === "daily"
+            ? null
+            : parseInt(document.getElementById("scheduleDay").value),
+        run_time: document.getElementById("scheduleTime").value || "07:00",
+        period_days:
+          parseInt(document.getElementById("schedulePeriod").value) ||
+          DEFAULT_PERIOD[frequency],
+        location_id: window.LocationFilter
+          ? LocationFilter.value(document.getElementById("scheduleLocation")) ||
+            null
+          : null,
+      });
+
+      Utils.showToast(response?.message || "Schedule saved", "success");
+      document.getElementById("scheduleName").value = "";
+      loadSchedules();
+    } catch (error) {
+      console.error("Save schedule error:", error);
+      Utils.showToast(error.message || "Failed to save schedule", "error");
+    } finally {
+      button.disabled = false;
+    }
   };
 
   window.generateReport = async function () {
@@ -1456,7 +2324,10 @@
     exportToPDF,
     exportToCSV,
     emailReport,
+    sendReportEmail,
     generateCustomReport,
+    saveCustomReport,
+    exportCustomReport,
     refreshTransactions,
     setDateRange,
     showCustomBuilder,
@@ -7,7 +7,8 @@
  * ✅ Smart filtering & search
  * ✅ Batch PR generation
  * ✅ Visual shortage indicators
- * ✅ Auto-refresh capabilities
+ * ✅ Critical shortage alerts to admins (1h cooldown)
+ * ✅ Live updates (Realtime events, no polling)
  * ✅ Responsive mobile design
  * ============================================================================
  */
@@ -19,8 +20,6 @@
   // ========================================================================
   let allRequirements = [];
   let currentRequirements = [];
-  let autoRefreshInterval = null;
-  let isAutoRefreshEnabled = false;
 
   const container = document.getElementById("requirementsContainer");
   const summaryCards = {
@@ -37,29 +36,7 @@
     try {
       showLoading();
 
-      const response = await API.getStockRequirements();
-      console.log("📦 Stock Requirements Response:", response);
-
-      // Extract requirements array
-      let requirements = [];
-      if (Array.isArray(response)) {
-        requirements = response;
-      } else if (response?.data?.requirements) {
-        requirements = response.data.requirements;
-      } else if (response?.requirements) {
-        requirements = response.requirements;
-      }
-
-      // Extract summary
-      let summary = {};
-      if (response?.data?.summary) {
-        summary = response.data.summary;
-      } else if (response?.summary) {
-        summary = response.summary;
-      } else {
-        // Calculate summary from requirements
-        summary = calculateSummary(requirements);
-      }
+      const { requirements, summary } = await API.getStockRequirements();
 
       allRequirements = requirements;
       currentRequirements = [...allRequirements];
@@ -77,26 +54,6 @@
     }
   }
 
-  /**
-   * Calculate summary from requirements array
-   */
-  function calculateSummary(requirements) {
-    const summary = {
-      total: requirements.length,
-      sufficient: 0,
-      shortage: 0,
-      critical: 0,
-    };
-
-    requirements.forEach((req) => {
-      if (req.status === "sufficient") summary.sufficient++;
-      else if (req.status === "shortage") summary.shortage++;
-      else if (req.status === "critical") summary.critical++;
-    });
-
-    return summary;
-  }
-
   /**
    * Update summary cards
    */
@@ -351,17 +308,7 @@
                                 <i class="bi bi-box-arrow-up-right"></i> View Order
                             </a>
 
-                            ${
-                              req.status === "critical"
-                                ? `
-                                <button class="btn btn-danger w-100 btn-sm" 
-                                        onclick="alertCriticalShortage(${req.requirement_id})"
-                                        title="Send urgent alert">
-                                    <i class="bi bi-bell"></i> Send Alert
-                                </button>
-                            `
-                                : ""
-                            }
+                            ${renderAlertAction(req)}
                         </div>
                     </div>
                 </div>
@@ -412,27 +359,72 @@
     }
   };
 
+  /**
+   * Send Alert button for critical shortages, plus who alerted last and when.
+   * The server allows one alert per requirement per hour.
+   */
+  function renderAlertAction(req) {
+    const lastAlert = req.last_alert_at
+      ? `
+        <small class="d-block text-muted mt-1">
+            <i class="bi bi-bell-fill text-danger"></i>
+            Alerted by ${Utils.sanitizeHTML(req.last_alerted_by || "Unknown")}<br>
+            ${Utils.formatDateTime(req.last_alert_at)}
+        </small>
+      `
+      : "";
+
+    if (req.status !== "critical") return lastAlert;
+
+    const button = req.alert_cooling_down
+      ? `
+        <button class="btn btn-outline-danger w-100 btn-sm" disabled
+                title="Admins were alerted less than an hour ago">
+            <i class="bi bi-bell-fill"></i> Alert Sent
+        </button>
+      `
+      : `
+        <button class="btn btn-danger w-100 btn-sm" 
+                onclick="alertCriticalShortage(${req.requirement_id})"
+                title="Send urgent alert">
+            <i class="bi bi-bell"></i> Send Alert
+        </button>
+      `;
+
+    return button + lastAlert;
+  }
+
   /**
    * Send critical shortage alert
    */
   window.alertCriticalShortage = async function (requirementId) {
-    if (
-      !confirm(
-        "Send urgent notification to admins about this critical shortage?"
-      )
-    )
-      return;
+    const note = prompt(
+      "Send urgent notification to admins about this critical shortage?\n\nOptional note:"
+    );
+    if (note === null) return;
+
+    const req = allRequirements.find((r) => r.requirement_id === requirementId);
 
     try {
       Utils.showToast("Sending urgent alert...", "info");
 
-      // This would call a backend endpoint to send urgent notifications
-      // For now, just show success
+      const response = await API.sendShortageAlert(requirementId, { note });
+      Object.assign(req || {}, response.data);
+
       Utils.showToast("Alert sent to management team", "success");
     } catch (error) {
       console.error("Alert error:", error);
-      Utils.showToast("Failed to send alert", "error");
+
+      // Someone else alerted within the last hour
+      if (error.status === 429) {
+        Object.assign(req || {}, error.errors);
+        Utils.showToast(error.message, "warning", 5000);
+      } else {
+        Utils.showToast(error.message || "Failed to send alert", "error");
+      }
     }
+
+    applyFilters();
   };
 
   // ========================================================================
@@ -510,45 +502,13 @@
     Utils.showToast("Filters cleared", "info");
   };
 
-  // ========================================================================
-  // AUTO-REFRESH
-  // ========================================================================
-
-  /**
-   * Toggle auto-refresh
-   */
-  window.toggleAutoRefresh = function () {
-    const btn = document.getElementById("btnAutoRefresh");
-
-    if (isAutoRefreshEnabled) {
-      // Disable auto-refresh
-      clearInterval(autoRefreshInterval);
-      isAutoRefreshEnabled = false;
-      btn.classList.remove("btn-success");
-      btn.classList.add("btn-outline-secondary");
-      btn.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Auto-Refresh: OFF';
-      Utils.showToast("Auto-refresh disabled", "info");
-    } else {
-      // Enable auto-refresh (every 30 seconds)
-      autoRefreshInterval = setInterval(() => {
-        console.log("🔄 Auto-refreshing...");
-        loadRequirements();
-      }, 30000);
-
-      isAutoRefreshEnabled = true;
-      btn.classList.remove("btn-outline-secondary");
-      btn.classList.add("btn-success");
-      btn.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Auto-Refresh: ON';
-      Utils.showToast("Auto-refresh enabled (30s interval)", "success");
-    }
-  };
-
   // ========================================================================
   // BATCH OPERATIONS
   // ========================================================================
 
   /**
-   * Generate PRs for all shortages
+   * Generate PRs for all visible shortages in one server call. The server
+   * merges shortages of the same item into a single PR.
    */
   window.batchGeneratePRs = async function () {
     const shortages = currentRequirements.filter(
@@ -562,69 +522,101 @@
 
     if (!confirm(`Generate PRs for ${shortages.length} shortage(s)?`)) return;
 
-    try {
-      const btn = document.getElementById("btnBatchPR");
-      if (btn) {
-        btn.disabled = true;
-        btn.innerHTML =
-          '<span class="spinner-border spinner-border-sm"></span> Processing...';
-      }
-
-      // Create PRs one by one
-      const results = { success: [], failed: [] };
-
-      for (const shortage of shortages) {
-        try {
-          const response = await API.request(
-            `stock-requirements/${shortage.requirement_id}/generate-pr`,
-            { method: "POST" }
-          );
-
-          if (response.success || response.data) {
-            results.success.push(shortage.item_name);
-          } else {
-            results.failed.push({
-              item: shortage.item_name,
-              reason: response.message,
-            });
-          }
-        } catch (error) {
-          results.failed.push({
-            item: shortage.item_name,
-            reason: error.message,
-          });
-        }
-      }
+    await runBatchPR(shortages.map((r) => r.requirement_id));
+  };
 
-      // Show results
-      const message = `
-                PRs Generated: ${results.success.length}
-                ${
-                  results.failed.length > 0
-                    ? `\nFailed: ${results.failed.length}`
-                    : ""
-                }
-            `;
+  async function runBatchPR(requirementIds) {
+    const buttons = ["btnBatchPR", "btnRetryBatch"]
+      .map((id) => document.getElementById(id))
+      .filter(Boolean);
+    const labels = buttons.map((btn) => btn.innerHTML);
 
-      Utils.showToast(
-        message,
-        results.failed.length > 0 ? "warning" : "success"
-      );
+    buttons.forEach((btn) => {
+      btn.disabled = true;
+      btn.innerHTML =
+        '<span class="spinner-border spinner-border-sm"></span> Processing...';
+    });
 
-      // Reload requirements
-      await loadRequirements();
+    try {
+      const response = await API.batchGeneratePR({
+        requirement_ids: requirementIds,
+      });
+      showBatchResults(response.data.results, response.data.summary);
     } catch (error) {
       console.error("❌ Batch PR error:", error);
-      Utils.showToast("Batch PR generation failed", "error");
+
+      // The whole transaction rolled back, so every requirement can be retried
+      const results = requirementIds.map((id) => {
+        const req = allRequirements.find((r) => r.requirement_id === id) || {};
+        return {
+          requirement_id: id,
+          sales_order_id: req.sales_order_id,
+          item_name: req.item_name,
+          shortage_quantity: req.shortage_quantity,
+          status: "failed",
+          message: error.message || "Batch PR generation failed",
+        };
+      });
+      showBatchResults(results, { failed: results.length });
     } finally {
-      const btn = document.getElementById("btnBatchPR");
-      if (btn) {
+      buttons.forEach((btn, i) => {
         btn.disabled = false;
-        btn.innerHTML =
-          '<i class="bi bi-file-earmark-plus"></i> Batch Generate PRs';
-      }
+        btn.innerHTML = labels[i];
+      });
     }
-  };
+
+    await loadRequirements();
+  }
+
+  function showBatchResults(results, summary) {
+    const badges = {
+      created: '<span class="badge bg-success">Created</span>',
+      skipped: '<span class="badge bg-secondary">Skipped</span>',
+      failed: '<span class="badge bg-danger">Failed</span>',
+    };
+
+    const failedIds = results
+      .filter((r) => r.status === "failed")
+      .map((r) => r.requirement_id);
+
+    document.getElementById("batchResultsSummary").innerHTML = `
+      <div class="d-flex gap-3 flex-wrap">
+        <span><strong>${summary.prs_created || 0}</strong> PR(s) created</span>
+        <span class="text-success"><strong>${summary.created || 0}</strong> covered</span>
+        <span class="text-muted"><strong>${summary.skipped || 0}</strong> skipped</span>
+        <span class="text-danger"><strong>${summary.failed || 0}</strong> failed</span>
+      </div>
+    `;
+
+    document.getElementById("batchResultsBody").innerHTML = results
+      .map(
+        (r) => `
+        <tr>
+          <td>${Utils.sanitizeHTML(r.item_name || `Requirement #${r.requirement_id}`)}</td>
+          <td>${r.sales_order_id ? `SO #${r.sales_order_id}` : "-"}</td>
+          <td class="text-end">${r.shortage_quantity || 0}</td>
+          <td>
+            ${badges[r.status] || r.status}
+            ${r.message ? `<small class="d-block text-muted">${Utils.sanitizeHTML(r.message)}</small>` : ""}
+          </td>
+          <td>${
+            r.pr_id
+              ? `<a href="purchase-requisitions.html?pr=${r.pr_id}">${r.pr_number}</a>`
+              : "-"
+          }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    const retryBtn = document.getElementById("btnRetryBatch");
+    retryBtn.style.display = failedIds.length > 0 ? "inline-block" : "none";
+    retryBtn.onclick = () => runBatchPR(failedIds);
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("batchResultsModal")
+    ).show();
+  }
 
   // ========================================================================
   // UI HELPERS
@@ -675,20 +667,24 @@
     });
   }
 
-  // Cleanup on page unload
-  window.addEventListener("beforeunload", () => {
-    if (autoRefreshInterval) {
-      clearInterval(autoRefreshInterval);
-    }
-  });
+  // Shortages change whenever stock moves or a PR is raised, here, in
+  // another tab or by another user (pushed by realtime.js)
+  ["stock:changed", "pr:changed", "pr:created"].forEach((event) =>
+    Store.on(event, () => loadRequirements())
+  );
 
   // ========================================================================
   // INITIALIZE
   // ========================================================================
+
+  // Deep link from the notification center: stock-requirements.html?so=15
+  const linkedSO = Utils.getQueryParam("so");
+  if (linkedSO && searchInput) searchInput.value = linkedSO;
+
   await loadRequirements();
 
   console.log("✅ Stock Requirements page ready (Enhanced v2.0)");
   console.log(
-    "📊 Features: Real-time updates, Smart filters, PR generation, Auto-refresh"
+    "📊 Features: Real-time updates, Smart filters, PR generation, Live updates"
   );
 })();
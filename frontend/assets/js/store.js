@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * JANSTRO IMS - APP STORE v1.0
+ * ============================================================================
+ * Path: frontend/assets/js/store.js
+ *
+ * Shared state for the pages, sidebar and modals that are open at the same
+ * time. Slices are loaded lazily through API and kept current by domain
+ * events (`stock:changed`, `po:received`, ...) that the API client emits
+ * after successful writes.
+ *
+ *   Store.subscribe("inventory", (inventory) => render(inventory.items));
+ *   Store.on("po:received", ({ id }) => closeModal(id));
+ *
+ * Load after api-client.js.
+ * ============================================================================
+ */
+
+(function (window) {
+  "use strict";
+
+  const Store = {
+    // ========================================================================
+    // STATE
+    // ========================================================================
+    state: {
+      inventory: { items: [], loaded: false, loadedAt: null, error: null },
+      orders: {
+        purchase: { items: [], loaded: false, loadedAt: null, error: null },
+        sales: { items: [], loaded: false, loadedAt: null, error: null },
+      },
+      user: null,
+    },
+
+    // Slice path -> function returning the items for that slice
+    loaders: {
+      inventory: () => API.getInventory(),
+      "orders.purchase": () => API.getPurchaseOrders(),
+      "orders.sales": () => API.getSalesOrders(),
+    },
+
+    // Domain event -> slices to reload when it fires
+    eventRules: {
+      "stock:changed": ["inventory"],
+      "po:created": ["orders.purchase"],
+      "po:updated": ["orders.purchase"],
+      "po:received": ["orders.purchase"],
+      "po:approved": ["orders.purchase"],
+      "so:created": ["orders.sales"],
+      "so:updated": ["orders.sales"],
+      "so:completed": ["orders.sales"],
+    },
+
+    subscribers: new Map(),
+    listeners: new Map(),
+    pendingLoads: new Map(),
+    eventChannel: null,
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+    init() {
+      Object.entries(this.eventRules).forEach(([event, slices]) => {
+        this.on(event, () => slices.forEach((slice) => this.refresh(slice)));
+      });
+
+      // Another tab changed inventory master data
+      API.onCacheChange(["inventory"], () => this.refresh("inventory"));
+
+      this.setupEventChannel();
+      console.log("✅ Store initialized");
+    },
+
+    // ========================================================================
+    // READ / WRITE
+    // ========================================================================
+    get(path) {
+      return path
+        .split(".")
+        .reduce((node, key) => (node == null ? undefined : node[key]), this.state);
+    },
+
+    set(path, value) {
+      const keys = path.split(".");
+      const last = keys.pop();
+      const parent = keys.reduce((node, key) => node[key], this.state);
+
+      parent[last] = value;
+      this.notify(path);
+    },
+
+    update(path, updater) {
+      this.set(path, updater(this.get(path)));
+    },
+
+    /**
+     * Replace the items of a list slice and mark it loaded
+     */
+    setItems(path, items) {
+      this.set(path, { items, loaded: true, loadedAt: Date.now(), error: null });
+    },
+
+    // ========================================================================
+    // SUBSCRIPTIONS
+    // ========================================================================
+
+    /**
+     * Watch a slice. Handlers on "orders" also fire for "orders.purchase"
+     * and vice versa. List slices are loaded on first subscription.
+     * @param {string} path - e.g. "inventory", "orders.purchase", "user"
+     * @param {Function} handler - Receives the slice value
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(path, handler) {
+      if (!this.subscribers.has(path)) {
+        this.subscribers.set(path, new Set());
+      }
+      this.subscribers.get(path).add(handler);
+
+      const value = this.get(path);
+      if (this.loaders[path] && !value.loaded) {
+        this.load(path);
+      } else if (value !== null && value !== undefined) {
+        handler(value);
+      }
+
+      return () => this.subscribers.get(path)?.delete(handler);
+    },
+
+    notify(changedPath) {
+      this.subscribers.forEach((handlers, path) => {
+        const related =
+          path === changedPath ||
+          path.startsWith(`${changedPath}.`) ||
+          changedPath.startsWith(`${path}.`);
+        if (!related) return;
+
+        const value = this.get(path);
+        handlers.forEach((handler) => {
+          try {
+            handler(value);
+          } catch (error) {
+            console.error(`❌ Store subscriber for ${path} failed:`, error);
+          }
+        });
+      });
+    },
+
+    // ========================================================================
+    // LOADING
+    // ========================================================================
+    async load(path) {
+      if (this.pendingLoads.has(path)) {
+        return this.pendingLoads.get(path);
+      }
+
+      const promise = this.loaders[path]()
+        .then((items) => {
+          this.setItems(path, items);
+          return items;
+        })
+        .catch((error) => {
+          // Keep the last good items; subscribers decide how to show the error
+          console.error(`❌ Store failed to load ${path}:`, error);
+          this.set(path, { ...this.get(path), error: error.message });
+          return this.get(path).items;
+        })
+        .finally(() => this.pendingLoads.delete(path));
+
+      this.pendingLoads.set(path, promise);
+      return promise;
+    },
+
+    /**
+     * Reload a slice only if something is using it
+     */
+    refresh(path) {
+      const watched = [...this.subscribers.keys()].some(
+        (sub) => sub === path || path.startsWith(`${sub}.`)
+      );
+      if (watched || this.get(path)?.loaded) {
+        return this.load(path);
+      }
+      return Promise.resolve(this.get(path)?.items || []);
+    },
+
+    // ========================================================================
+    // EVENT BUS
+    // ========================================================================
+
+    /**
+     * @param {string} event - e.g. "stock:changed", "po:received"
+     * @param {Function} handler - Receives the event detail
+     * @returns {Function} Unsubscribe
+     */
+    on(event, handler) {
+      if (!this.listeners.has(event)) {
+        this.listeners.set(event, new Set());
+      }
+      this.listeners.get(event).add(handler);
+      return () => this.listeners.get(event)?.delete(handler);
+    },
+
+    emit(event, detail = {}, broadcast = true) {
+      console.log(`📣 ${event}`, detail);
+
+      (this.listeners.get(event) || []).forEach((handler) => {
+        try {
+          handler(detail);
+        } catch (error) {
+          console.error(`❌ Listener for ${event} failed:`, error);
+        }
+      });
+
+      if (broadcast && this.eventChannel) {
+        this.eventChannel.postMessage({ event, detail });
+      }
+    },
+
+    /**
+     * Replay domain events from other tabs so their dashboards stay in step
+     */
+    setupEventChannel() {
+      if (this.eventChannel || !window.BroadcastChannel) return;
+
+      this.eventChannel = new BroadcastChannel("janstro_events");
+      this.eventChannel.onmessage = (message) => {
+        const { event, detail } = message.data || {};
+        if (event) {
+          this.emit(event, { ...detail, remote: true }, false);
+        }
+      };
+    },
+
+    // ========================================================================
+    // SELECTORS
+    // ========================================================================
+    select: {
+      lowStockItems() {
+        return Store.state.inventory.items.filter(
+          (item) => Number(item.quantity) <= Number(item.reorder_level)
+        );
+      },
+
+      outOfStockItems() {
+        return Store.state.inventory.items.filter(
+          (item) => Number(item.quantity) === 0
+        );
+      },
+
+      pendingReceipts() {
+        return Store.state.orders.purchase.items.filter(
+          (po) =>
+            po.status === "pending" ||
+            po.status === "approved" ||
+            po.status === "partially_received"
+        );
+      },
+    },
+  };
+
+  // ========================================================================
+  // AUTO-INITIALIZATION
+  // ========================================================================
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => Store.init());
+  } else {
+    Store.init();
+  }
+
+  // ========================================================================
+  // GLOBAL EXPORT
+  // ========================================================================
+  window.Store = Store;
+})(window);
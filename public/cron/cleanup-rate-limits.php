@@ -2,6 +2,13 @@
 require_once __DIR__ . '/../../autoload.php';
 
 use Janstro\InventorySystem\Middleware\SecurityMiddleware;
+use Janstro\InventorySystem\Middleware\IdempotencyMiddleware;
 
 $deleted = SecurityMiddleware::cleanupOldFiles();
 error_log("🧹 Cleaned up {$deleted} rate limit files");
+
+$expiredKeys = IdempotencyMiddleware::cleanupExpired();
+error_log("🧹 Cleaned up {$expiredKeys} expired idempotency keys");
+
+$prunedEvents = (new \Janstro\InventorySystem\Services\RealtimeService())->prune();
+error_log("🧹 Cleaned up {$prunedEvents} old realtime events");
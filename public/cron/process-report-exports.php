@@ -0,0 +1,54 @@
+<?php
+
+/**
+ * ============================================================================
+ * CRON JOB - REPORT EXPORTS
+ * ============================================================================
+ * Runs queued report exports (on PHP-FPM they normally run right after the
+ * request, so this mostly catches the rest), fails jobs whose worker died,
+ * and deletes expired export files:
+ *   * * * * * php /path/to/public/cron/process-report-exports.php
+ * ============================================================================
+ */
+require_once __DIR__ . '/../../autoload.php';
+
+use Janstro\InventorySystem\Services\ExportJobService;
+
+// Prevent web access
+if (php_sapi_name() !== 'cli') {
+    die('This script can only be run from command line');
+}
+
+set_time_limit(0);
+
+$exportService = new ExportJobService();
+
+echo "========================================\n";
+echo "Janstro IMS - Report Exports\n";
+echo date('Y-m-d H:i:s') . "\n";
+echo "========================================\n\n";
+
+echo "🔍 Checking queued exports...\n";
+$result = $exportService->processQueued();
+
+if ($result['success']) {
+    echo "✅ Report exports processed\n";
+    echo "   Run: " . count($result['processed']) . "\n";
+    echo "   Stale jobs failed: {$result['stale']}\n";
+    echo "   Expired files deleted: {$result['expired']}\n\n";
+
+    foreach ($result['processed'] as $run) {
+        if ($run['status'] === 'skipped') {
+            continue;
+        }
+        echo $run['error']
+            ? "   ❌ #{$run['export_id']}: {$run['error']}\n"
+            : "   - #{$run['export_id']}: {$run['rows']} row(s)\n";
+    }
+} else {
+    echo "❌ Report exports failed: {$result['error']}\n";
+}
+
+echo "\n========================================\n";
+echo "Completed at " . date('Y-m-d H:i:s') . "\n";
+echo "========================================\n";
@@ -0,0 +1,49 @@
+<?php
+
+/**
+ * ============================================================================
+ * CRON JOB - SEND SCHEDULED REPORTS
+ * ============================================================================
+ * Builds every report schedule that is due and emails it as CSV / XLSX / PDF.
+ * Run it every 15 minutes or so; a schedule is sent on the first pass after
+ * its time:
+ *   0,15,30,45 * * * * php /path/to/public/cron/process-report-schedules.php
+ * ============================================================================
+ */
+require_once __DIR__ . '/../../autoload.php';
+
+use Janstro\InventorySystem\Services\ReportScheduleService;
+
+// Prevent web access
+if (php_sapi_name() !== 'cli') {
+    die('This script can only be run from command line');
+}
+
+$scheduleService = new ReportScheduleService();
+
+echo "========================================\n";
+echo "Janstro IMS - Scheduled Reports\n";
+echo date('Y-m-d H:i:s') . "\n";
+echo "========================================\n\n";
+
+echo "🔍 Checking due report schedules...\n";
+$result = $scheduleService->processDueSchedules();
+
+if ($result['success']) {
+    echo "✅ Scheduled reports processed\n";
+    echo "   Due: {$result['processed']}\n";
+    echo "   Sent: {$result['sent']}\n";
+    echo "   Failed: {$result['failed']}\n\n";
+
+    foreach ($result['details'] as $run) {
+        echo $run['error']
+            ? "   ❌ #{$run['schedule_id']} {$run['name']}: {$run['error']}\n"
+            : "   - #{$run['schedule_id']} {$run['name']}: {$run['sent']} recipient(s), next {$run['next_run_at']}\n";
+    }
+} else {
+    echo "❌ Scheduled reports failed: {$result['error']}\n";
+}
+
+echo "\n========================================\n";
+echo "Completed at " . date('Y-m-d H:i:s') . "\n";
+echo "========================================\n";
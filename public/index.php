@@ -86,7 +86,7 @@ if ($origin && in_array($origin, $allowedOrigins, true)) {
 }
 
 header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization, X-Requested-With, X-CSRF-Token');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-Requested-With, X-CSRF-Token, Idempotency-Key');
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Max-Age: 86400');
 header('Content-Type: application/json; charset=utf-8');
@@ -155,6 +155,9 @@ error_log("🔍 Router v8.4 [{$appEnv}]: {$method} /{$path}");
     skipValidation: $isAuthLogin
 );
 
+// Replay stored responses for retried POSTs (Idempotency-Key header)
+\Janstro\InventorySystem\Middleware\IdempotencyMiddleware::handle($method, $path);
+
 // ============================================================================
 // CONTROLLER IMPORTS
 // ============================================================================
@@ -165,7 +168,14 @@ use Janstro\InventorySystem\Controllers\UserController;
 use Janstro\InventorySystem\Controllers\SupplierController;
 use Janstro\InventorySystem\Controllers\ReportController;
 use Janstro\InventorySystem\Controllers\ProfileController;
+use Janstro\InventorySystem\Controllers\StockCountController;
+use Janstro\InventorySystem\Controllers\LocationController;
+use Janstro\InventorySystem\Controllers\TrackingController;
+use Janstro\InventorySystem\Controllers\ReportScheduleController;
+use Janstro\InventorySystem\Controllers\CustomReportController;
+use Janstro\InventorySystem\Controllers\ExportJobController;
 use Janstro\InventorySystem\Utils\Response;
+use Janstro\InventorySystem\Utils\Pagination;
 use Janstro\InventorySystem\Services\CompleteInventoryService;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 
@@ -493,6 +503,16 @@ try {
                     exit;
                 }
 
+                if ($action === 'lookup') {
+                    $invCtrl->getBySku(trim($_GET['sku'] ?? ''));
+                    exit;
+                }
+
+                if (is_numeric($action) && $sub === 'locations') {
+                    (new LocationController())->getItemLocations((int)$action);
+                    exit;
+                }
+
                 if (is_numeric($action)) {
                     $invCtrl->getById((int)$action);
                     exit;
@@ -601,8 +621,24 @@ try {
         $db = \Janstro\InventorySystem\Config\Database::connect();
 
         if ($method === 'GET') {
+            if (Pagination::isRequested()) {
+                $invService = new \Janstro\InventorySystem\Services\InventoryService();
+                Response::success($invService->getStockMovementsPage([
+                    'type' => $_GET['type'] ?? null,
+                    'item_id' => $_GET['item_id'] ?? null,
+                    'location_id' => $_GET['location_id'] ?? null
+                ]), 'Transactions retrieved');
+                exit;
+            }
+
             $limit = isset($_GET['limit']) ? (int)$_GET['limit'] : 100;
 
+            if (!empty($_GET['location_id'])) {
+                $invService = new \Janstro\InventorySystem\Services\InventoryService();
+                Response::success($invService->getStockMovements($limit, $_GET['location_id']), 'Transactions retrieved');
+                exit;
+            }
+
             $stmt = $db->prepare("
                 SELECT * FROM v_stock_movements
                 LIMIT ?
@@ -657,6 +693,14 @@ try {
                 $order->getAll();
                 exit;
             }
+            if ($action === 'backorders') {
+                $order->getBackorders();
+                exit;
+            }
+            if (is_numeric($action) && $sub === 'receipts') {
+                $order->getReceipts((int)$action);
+                exit;
+            }
             if (is_numeric($action)) {
                 $order->getById((int)$action);
                 exit;
@@ -664,9 +708,12 @@ try {
         }
 
         if ($method === 'POST' && $action === '') {
-            $input = json_decode(file_get_contents('php://input'), true);
-            $input['created_by'] = $user->user_id;
-            Response::success($svc->createPurchaseOrder($input), 'PO created', 201);
+            $order->create();
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'approve') {
+            $order->approve((int)$action);
             exit;
         }
 
@@ -679,6 +726,189 @@ try {
         exit;
     }
 
+    /* ================================================================
+       STOCK COUNTS (cycle counting / physical inventory)
+    ================================================================ */
+    if ($resource === 'stock-counts') {
+        $ctrl = new StockCountController();
+
+        if ($method === 'GET') {
+            if ($action === '') {
+                $ctrl->getAll();
+                exit;
+            }
+            if ($action === 'reason-codes') {
+                $ctrl->getReasonCodes();
+                exit;
+            }
+            if ($action === 'counters') {
+                $ctrl->getCounters();
+                exit;
+            }
+            if (is_numeric($action)) {
+                $ctrl->getById((int)$action);
+                exit;
+            }
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->create();
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'counts') {
+            $ctrl->saveCounts((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'submit') {
+            $ctrl->submit((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'approve') {
+            $ctrl->approve((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'recount') {
+            $ctrl->recount((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'cancel') {
+            $ctrl->cancel((int)$action);
+            exit;
+        }
+
+        Response::notFound('Stock count endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       LOCATIONS (warehouses / zones / bins) & STOCK TRANSFERS
+    ================================================================ */
+    if ($resource === 'locations') {
+        $ctrl = new LocationController();
+
+        if ($method === 'GET' && $action === '') {
+            $ctrl->getAll();
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'stock') {
+            $ctrl->getStock();
+            exit;
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->create();
+            exit;
+        }
+
+        if ($method === 'PUT' && is_numeric($action)) {
+            $ctrl->update((int)$action);
+            exit;
+        }
+
+        Response::notFound('Location endpoint not found');
+        exit;
+    }
+
+    if ($resource === 'stock-transfers') {
+        $ctrl = new LocationController();
+
+        if ($method === 'GET' && $action === '') {
+            $ctrl->getTransfers();
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action)) {
+            $ctrl->getTransfer((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->createTransfer();
+            exit;
+        }
+
+        Response::notFound('Stock transfer endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       LOT & SERIAL TRACKING
+    ================================================================ */
+    if ($resource === 'tracking') {
+        $ctrl = new TrackingController();
+
+        if ($method === 'GET' && $action === 'lookup') {
+            $ctrl->lookup();
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'available') {
+            $ctrl->getAvailable();
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'sales-orders' && is_numeric($sub)) {
+            $ctrl->getOrderPicks((int)$sub);
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'serials' && is_numeric($sub)) {
+            $ctrl->getTrace('serial', (int)$sub);
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'lots' && is_numeric($sub)) {
+            $ctrl->getTrace('lot', (int)$sub);
+            exit;
+        }
+
+        Response::notFound('Tracking endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       GOODS RECEIPTS & SUPPLIER RETURNS (inspection)
+    ================================================================ */
+    if ($resource === 'goods-receipts') {
+        $order = new OrderController();
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'release') {
+            $order->releaseOnHold((int)$action);
+            exit;
+        }
+
+        Response::notFound('Goods receipt endpoint not found');
+        exit;
+    }
+
+    if ($resource === 'supplier-returns') {
+        $order = new OrderController();
+
+        if ($method === 'GET' && $action === '') {
+            $order->getSupplierReturns();
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action)) {
+            $order->getSupplierReturn((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'status') {
+            $order->updateSupplierReturnStatus((int)$action);
+            exit;
+        }
+
+        Response::notFound('Supplier return endpoint not found');
+        exit;
+    }
+
     /* ================================================================
        SALES ORDERS
     ================================================================ */
@@ -688,6 +918,11 @@ try {
         $user = AuthMiddleware::authenticate();
 
         if ($method === 'GET' && $action === '') {
+            if (Pagination::isRequested()) {
+                Response::success($svc->getSalesOrdersPage($_GET['status'] ?? null), 'SO retrieved');
+                exit;
+            }
+
             Response::success($svc->getAllSalesOrders(), 'SO retrieved');
             exit;
         }
@@ -790,6 +1025,12 @@ try {
             exit;
         }
 
+        // POST /stock-requirements/:id/alert
+        if ($method === 'POST' && is_numeric($action) && $sub === 'alert') {
+            $ctrl->sendAlert((int)$action);
+            exit;
+        }
+
         Response::notFound('Stock requirements endpoint not found');
         exit;
     }
@@ -1423,12 +1664,156 @@ try {
                 $ctrl->getTransactionHistory();
                 exit;
             }
+            if ($action === 'comparison') {
+                $ctrl->getPeriodComparison();
+                exit;
+            }
         }
 
         Response::notFound('Report endpoint not found');
         exit;
     }
 
+    /* ================================================================
+       REPORT SCHEDULES (emailed reports)
+    ================================================================ */
+    if ($resource === 'report-schedules') {
+        $ctrl = new ReportScheduleController();
+
+        if ($method === 'GET' && $action === '') {
+            $ctrl->getAll();
+            exit;
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->create();
+            exit;
+        }
+
+        if ($method === 'POST' && $action === 'send') {
+            $ctrl->sendNow();
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'pause') {
+            $ctrl->pause((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && is_numeric($action) && $sub === 'resume') {
+            $ctrl->resume((int)$action);
+            exit;
+        }
+
+        if ($method === 'DELETE' && is_numeric($action)) {
+            $ctrl->delete((int)$action);
+            exit;
+        }
+
+        Response::notFound('Report schedule endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       CUSTOM REPORTS (report builder)
+    ================================================================ */
+    if ($resource === 'custom-reports') {
+        $ctrl = new CustomReportController();
+
+        if ($method === 'GET' && $action === '') {
+            $ctrl->getAll();
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'sources') {
+            $ctrl->getSources();
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action) && $sub === 'run') {
+            $ctrl->run((int)$action);
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action)) {
+            $ctrl->getById((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->create();
+            exit;
+        }
+
+        if ($method === 'POST' && $action === 'run') {
+            $ctrl->preview();
+            exit;
+        }
+
+        if ($method === 'PUT' && is_numeric($action)) {
+            $ctrl->update((int)$action);
+            exit;
+        }
+
+        if ($method === 'DELETE' && is_numeric($action)) {
+            $ctrl->delete((int)$action);
+            exit;
+        }
+
+        Response::notFound('Custom report endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       REPORT EXPORTS (background file exports)
+    ================================================================ */
+    if ($resource === 'report-exports') {
+        $ctrl = new ExportJobController();
+
+        if ($method === 'GET' && $action === '') {
+            $ctrl->getAll();
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action) && $sub === 'download') {
+            $ctrl->download((int)$action);
+            exit;
+        }
+
+        if ($method === 'GET' && is_numeric($action)) {
+            $ctrl->getById((int)$action);
+            exit;
+        }
+
+        if ($method === 'POST' && $action === '') {
+            $ctrl->create();
+            exit;
+        }
+
+        Response::notFound('Report export endpoint not found');
+        exit;
+    }
+
+    /* ================================================================
+       REALTIME EVENTS (SSE + LONG-POLL FALLBACK)
+    ================================================================ */
+    if ($resource === 'events') {
+        $ctrl = new \Janstro\InventorySystem\Controllers\RealtimeController();
+
+        if ($method === 'GET' && $action === 'stream') {
+            $ctrl->stream();
+            exit;
+        }
+
+        if ($method === 'GET' && $action === 'poll') {
+            $ctrl->poll();
+            exit;
+        }
+
+        Response::notFound('Events endpoint not found');
+        exit;
+    }
+
     /* ================================================================
        NOTIFICATIONS API
     ================================================================ */
@@ -1436,16 +1821,39 @@ try {
         $user = AuthMiddleware::authenticate();
         if (!$user) exit;
 
+        $notifService = new \Janstro\InventorySystem\Services\NotificationService();
+
+        // GET /notifications?unread=1&limit=30
         if ($method === 'GET' && $action === '') {
-            $notifService = new \Janstro\InventorySystem\Services\NotificationService();
-            $notifications = $notifService->getUnreadNotifications($user->user_id);
+            $unreadOnly = !empty($_GET['unread']);
+            $limit = (int)($_GET['limit'] ?? 30);
+
             Response::success([
-                'notifications' => $notifications,
-                'unread_count' => count($notifications)
+                'notifications' => $notifService->getNotifications($user->user_id, $limit, $unreadOnly),
+                'unread_count' => $notifService->getUnreadCount($user->user_id)
             ], 'Notifications retrieved');
             exit;
         }
 
+        // POST /notifications/read-all
+        if ($method === 'POST' && $action === 'read-all') {
+            $marked = $notifService->markAllAsRead($user->user_id);
+            Response::success(['marked' => $marked, 'unread_count' => 0], 'All notifications marked as read');
+            exit;
+        }
+
+        // POST /notifications/{id}/read
+        if ($method === 'POST' && is_numeric($action) && $sub === 'read') {
+            if (!$notifService->markAsRead((int)$action, $user->user_id)) {
+                Response::notFound('Notification not found');
+                exit;
+            }
+            Response::success([
+                'unread_count' => $notifService->getUnreadCount($user->user_id)
+            ], 'Notification marked as read');
+            exit;
+        }
+
         Response::notFound('Notification endpoint not found');
         exit;
     }
@@ -1466,6 +1874,11 @@ try {
             exit;
         }
 
+        if ($method === 'GET' && $action === 'inventory-performance') {
+            $ctrl->getInventoryPerformance();
+            exit;
+        }
+
         if ($method === 'GET' && $action === 'suppliers') {
             $ctrl->getSupplierPerformance();
             exit;
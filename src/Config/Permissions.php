@@ -50,6 +50,33 @@ class Permissions
             'view_overview' => ['staff', 'admin', 'superadmin'],  // ✅ ADD THIS
         ],
 
+        // ====================================================================
+        // STOCK COUNTS (cycle counting / physical inventory)
+        // ====================================================================
+        'stock_counts' => [
+            'view' => ['staff', 'admin', 'superadmin'],       // Staff see assigned counts
+            'create' => ['admin', 'superadmin'],
+            'count' => ['staff', 'admin', 'superadmin'],
+            'approve' => ['admin', 'superadmin'],             // Posts adjustments (adjust_stock)
+            'cancel' => ['admin', 'superadmin'],
+        ],
+
+        // ====================================================================
+        // LOCATIONS (warehouses / zones / bins, transfers)
+        // ====================================================================
+        'locations' => [
+            'view' => ['staff', 'admin', 'superadmin'],
+            'manage' => ['admin', 'superadmin'],
+            'transfer' => ['staff', 'admin', 'superadmin'],   // Posts paired OUT/IN movements
+        ],
+
+        // ====================================================================
+        // LOT & SERIAL TRACKING
+        // ====================================================================
+        'tracking' => [
+            'view' => ['staff', 'admin', 'superadmin'],       // Trace lookups (warranty / recall)
+        ],
+
         // ====================================================================
         // CATEGORIES
         // ====================================================================
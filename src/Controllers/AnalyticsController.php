@@ -24,7 +24,7 @@ class AnalyticsController
     }
 
     /**
-     * GET /analytics/dashboard
+     * GET /analytics/dashboard?location_id=
      * Complete dashboard KPIs
      */
     public function getDashboard(): void
@@ -33,7 +33,7 @@ class AnalyticsController
         if (!$user) return;
 
         try {
-            $data = $this->analyticsService->getDashboardKPIs();
+            $data = $this->analyticsService->getDashboardKPIs($_GET['location_id'] ?? null);
             Response::success($data, 'Dashboard KPIs retrieved');
         } catch (\Exception $e) {
             error_log("AnalyticsController::getDashboard - " . $e->getMessage());
@@ -59,6 +59,24 @@ class AnalyticsController
         }
     }
 
+    /**
+     * GET /analytics/inventory-performance?date_from=&date_to=&group_by=category|item&category_id=&location_id=
+     * Turnover, days on hand, sell-through and dead-stock age per category or item
+     */
+    public function getInventoryPerformance(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $data = $this->analyticsService->getInventoryPerformance($_GET);
+            Response::success($data, 'Inventory performance retrieved');
+        } catch (\Exception $e) {
+            error_log("AnalyticsController::getInventoryPerformance - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
     /**
      * GET /analytics/suppliers
      * Industry-weighted supplier performance scoring
@@ -0,0 +1,194 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\CustomReportService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * CUSTOM REPORT CONTROLLER v1.0
+ * ============================================================================
+ * Report builder on the reports page: field catalog, saved (optionally
+ * shared) report definitions, and running them.
+ * ============================================================================
+ */
+class CustomReportController
+{
+    private const ROLES = ['admin', 'superadmin'];
+
+    private CustomReportService $customReportService;
+
+    public function __construct()
+    {
+        $this->customReportService = new CustomReportService();
+    }
+
+    /**
+     * GET /custom-reports
+     */
+    public function getAll(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            Response::success($this->customReportService->getReports($user), 'Custom reports retrieved');
+        } catch (\Exception $e) {
+            error_log("CustomReportController::getAll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve custom reports');
+        }
+    }
+
+    /**
+     * GET /custom-reports/sources
+     */
+    public function getSources(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        Response::success($this->customReportService->getCatalog(), 'Report sources retrieved');
+    }
+
+    /**
+     * GET /custom-reports/{id}
+     */
+    public function getById(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $report = $this->customReportService->getReport($id, $user);
+
+            if (!$report) {
+                Response::notFound('Custom report not found');
+                return;
+            }
+
+            Response::success($report, 'Custom report retrieved');
+        } catch (\Exception $e) {
+            error_log("CustomReportController::getById - " . $e->getMessage());
+            Response::serverError('Failed to retrieve custom report');
+        }
+    }
+
+    /**
+     * GET /custom-reports/{id}/run
+     */
+    public function run(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $result = $this->customReportService->runSaved($id, $user);
+
+            if (!$result) {
+                Response::notFound('Custom report not found');
+                return;
+            }
+
+            Response::success($result, 'Custom report generated');
+        } catch (\Exception $e) {
+            error_log("CustomReportController::run - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /custom-reports/run  {source, definition, name}
+     * Runs an unsaved definition (builder preview)
+     */
+    public function preview(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->customReportService->run(
+                (string)($data['source'] ?? ''),
+                (array)($data['definition'] ?? []),
+                trim((string)($data['name'] ?? '')) ?: 'Custom Report'
+            );
+            Response::success($result, 'Custom report generated');
+        } catch (\Exception $e) {
+            error_log("CustomReportController::preview - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /custom-reports  {name, description, source, definition, is_shared}
+     */
+    public function create(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->customReportService->saveReport($data, $user);
+            Response::success($result, $result['message'], 201);
+        } catch (\Exception $e) {
+            error_log("CustomReportController::create - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * PUT /custom-reports/{id}  {name, description, source, definition, is_shared}
+     */
+    public function update(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->customReportService->saveReport($data, $user, $id);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("CustomReportController::update - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * DELETE /custom-reports/{id}
+     */
+    public function delete(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $result = $this->customReportService->deleteReport($id, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("CustomReportController::delete - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+}
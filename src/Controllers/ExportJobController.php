@@ -0,0 +1,128 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\ExportJobService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * EXPORT JOB CONTROLLER v1.0
+ * ============================================================================
+ * Background CSV / XLSX / PDF exports of the server-side reports: queue,
+ * poll for progress, download.
+ * ============================================================================
+ */
+class ExportJobController
+{
+    private const ROLES = ['admin', 'superadmin'];
+
+    private ExportJobService $exportJobService;
+
+    public function __construct()
+    {
+        $this->exportJobService = new ExportJobService();
+    }
+
+    /**
+     * GET /report-exports
+     */
+    public function getAll(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            Response::success($this->exportJobService->getExports($user), 'Exports retrieved');
+        } catch (\Exception $e) {
+            error_log("ExportJobController::getAll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve exports');
+        }
+    }
+
+    /**
+     * GET /report-exports/{id}
+     */
+    public function getById(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $export = $this->exportJobService->getExport($id, $user);
+
+            if (!$export) {
+                Response::notFound('Export not found');
+                return;
+            }
+
+            Response::success($export, 'Export retrieved');
+        } catch (\Exception $e) {
+            error_log("ExportJobController::getById - " . $e->getMessage());
+            Response::serverError('Failed to retrieve export');
+        }
+    }
+
+    /**
+     * POST /report-exports  {report_type, format, location_id, date_from, date_to,
+     *                        compare, compare_from, compare_to}
+     */
+    public function create(): void
+    {
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->exportJobService->queueExport($data, $user->user_id);
+            $this->exportJobService->processAfterResponse($result['export']['export_id']);
+
+            Response::success($result['export'], $result['message'], 202);
+        } catch (\Exception $e) {
+            error_log("ExportJobController::create - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /report-exports/{id}/download
+     */
+    public function download(int $id): void
+    {
+        // Accept token from query parameter (plain download links)
+        $token = $_GET['token'] ?? null;
+        if ($token) {
+            $_SERVER['HTTP_AUTHORIZATION'] = 'Bearer ' . $token;
+        }
+
+        $user = AuthMiddleware::requireRole(self::ROLES);
+        if (!$user) return;
+
+        try {
+            $file = $this->exportJobService->getDownload($id, $user);
+
+            if (!$file) {
+                Response::notFound('Export not found');
+                return;
+            }
+
+            header('Content-Type: ' . $file['type']);
+            header('Content-Disposition: attachment; filename="' . $file['name'] . '"');
+            header('Content-Length: ' . filesize($file['path']));
+            header('Cache-Control: private, max-age=0, must-revalidate');
+            header('Pragma: public');
+            readfile($file['path']);
+            exit;
+        } catch (\Exception $e) {
+            error_log("ExportJobController::download - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+}
@@ -5,6 +5,7 @@ namespace Janstro\InventorySystem\Controllers;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Services\InventoryService;
 use Janstro\InventorySystem\Services\AuditService;
+use Janstro\InventorySystem\Utils\Pagination;
 use Janstro\InventorySystem\Utils\Response;
 
 /**
@@ -30,7 +31,8 @@ class InventoryController
     }
 
     /**
-     * GET /inventory - Get all items
+     * GET /inventory?location_id= - Get all items
+     * GET /inventory?page=1&per_page=25&sort=&order=&search=&stock_status=&category_id=&location_id=
      */
     public function getAll(): void
     {
@@ -38,7 +40,17 @@ class InventoryController
         if (!$user) return;
 
         try {
-            $items = $this->inventoryService->getAllItems();
+            if (Pagination::isRequested()) {
+                $page = $this->inventoryService->getItemsPage([
+                    'category_id' => $_GET['category_id'] ?? null,
+                    'stock_status' => $_GET['stock_status'] ?? null,
+                    'location_id' => $_GET['location_id'] ?? null
+                ]);
+                Response::success($page, 'Items retrieved successfully');
+                return;
+            }
+
+            $items = $this->inventoryService->getAllItems($_GET['location_id'] ?? null);
             Response::success($items, 'Items retrieved successfully');
         } catch (\Exception $e) {
             error_log("InventoryController::getAll - " . $e->getMessage());
@@ -69,6 +81,34 @@ class InventoryController
         }
     }
 
+    /**
+     * GET /inventory/lookup?sku= - Resolve a scanned barcode to an item
+     */
+    public function getBySku(string $sku): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        if ($sku === '') {
+            Response::badRequest('sku is required');
+            return;
+        }
+
+        try {
+            $item = $this->inventoryService->getItemBySku($sku);
+
+            if (!$item) {
+                Response::notFound("No item with SKU $sku");
+                return;
+            }
+
+            Response::success($item, 'Item retrieved successfully');
+        } catch (\Exception $e) {
+            error_log("InventoryController::getBySku - " . $e->getMessage());
+            Response::serverError('Failed to retrieve item');
+        }
+    }
+
     /**
      * POST /inventory - Create new item
      */
@@ -183,7 +223,7 @@ class InventoryController
         if (!$user) return;
 
         try {
-            $items = $this->inventoryService->getLowStockItems();
+            $items = $this->inventoryService->getLowStockItems($_GET['location_id'] ?? null);
             Response::success($items, 'Low stock items retrieved');
         } catch (\Exception $e) {
             error_log("InventoryController::getLowStock - " . $e->getMessage());
@@ -0,0 +1,185 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\LocationService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * LOCATION CONTROLLER v1.0
+ * ============================================================================
+ * Warehouses / zones / bins, stock by location and transfer documents.
+ * Admins maintain locations; staff can move stock between them.
+ * ============================================================================
+ */
+class LocationController
+{
+    private LocationService $locationService;
+
+    public function __construct()
+    {
+        $this->locationService = new LocationService();
+    }
+
+    /**
+     * GET /locations?active=1
+     */
+    public function getAll(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $activeOnly = !empty($_GET['active']);
+            Response::success($this->locationService->getLocations($activeOnly), 'Locations retrieved');
+        } catch (\Exception $e) {
+            error_log("LocationController::getAll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve locations');
+        }
+    }
+
+    /**
+     * POST /locations  {location_type, parent_id, code, name}
+     */
+    public function create(): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            Response::success($this->locationService->createLocation($data, $user->user_id), 'Location created', 201);
+        } catch (\Exception $e) {
+            error_log("LocationController::create - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * PUT /locations/{id}  {code, name, status}
+     */
+    public function update(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            Response::success($this->locationService->updateLocation($id, $data, $user->user_id), 'Location updated');
+        } catch (\Exception $e) {
+            error_log("LocationController::update - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /locations/stock?location_id=&search=
+     */
+    public function getStock(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $filters = array_intersect_key($_GET, array_flip(['location_id', 'search']));
+            Response::success($this->locationService->getStock($filters), 'Stock by location retrieved');
+        } catch (\Exception $e) {
+            error_log("LocationController::getStock - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /inventory/{id}/locations
+     */
+    public function getItemLocations(int $itemId): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            Response::success($this->locationService->getItemLocations($itemId), 'Item locations retrieved');
+        } catch (\Exception $e) {
+            error_log("LocationController::getItemLocations - " . $e->getMessage());
+            Response::serverError('Failed to retrieve item locations');
+        }
+    }
+
+    /**
+     * GET /stock-transfers?location_id=&item_id=
+     */
+    public function getTransfers(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $filters = array_intersect_key($_GET, array_flip(['location_id', 'item_id']));
+            Response::success($this->locationService->getTransfers($filters), 'Stock transfers retrieved');
+        } catch (\Exception $e) {
+            error_log("LocationController::getTransfers - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /stock-transfers/{id}
+     */
+    public function getTransfer(int $id): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $transfer = $this->locationService->getTransfer($id);
+
+            if (!$transfer) {
+                Response::notFound('Stock transfer not found');
+                return;
+            }
+
+            Response::success($transfer, 'Stock transfer retrieved');
+        } catch (\Exception $e) {
+            error_log("LocationController::getTransfer - " . $e->getMessage());
+            Response::serverError('Failed to retrieve stock transfer');
+        }
+    }
+
+    /**
+     * POST /stock-transfers  {from_location_id, to_location_id, notes, lines: [{item_id, quantity}]}
+     */
+    public function createTransfer(): void
+    {
+        $user = AuthMiddleware::requireRole(['staff', 'admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->locationService->createTransfer($data, $user->user_id);
+            Response::success($result, $result['message'], 201);
+        } catch (\Exception $e) {
+            error_log("LocationController::createTransfer - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+}
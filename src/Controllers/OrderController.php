@@ -4,6 +4,7 @@ namespace Janstro\InventorySystem\Controllers;
 
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Services\OrderService;
+use Janstro\InventorySystem\Utils\Pagination;
 use Janstro\InventorySystem\Utils\Response;
 
 /**
@@ -28,6 +29,7 @@ class OrderController
 
     /**
      * GET /purchase-orders
+     * GET /purchase-orders?page=1&per_page=25&sort=&order=&search=&date_from=&date_to=
      */
     public function getAll(): void
     {
@@ -36,6 +38,12 @@ class OrderController
 
         try {
             $status = $_GET['status'] ?? null;
+
+            if (Pagination::isRequested()) {
+                Response::success($this->orderService->getPurchaseOrdersPage($status), 'Purchase orders retrieved');
+                return;
+            }
+
             $orders = $this->orderService->getAllPurchaseOrders($status);
             Response::success($orders, 'Purchase orders retrieved');
         } catch (\Exception $e) {
@@ -162,6 +170,130 @@ class OrderController
         }
     }
 
+    /**
+     * GET /purchase-orders/{id}/receipts
+     * GR history of one PO
+     */
+    public function getReceipts(int $id): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            Response::success($this->orderService->getGoodsReceipts($id), 'Goods receipts retrieved');
+        } catch (\Exception $e) {
+            error_log("OrderController::getReceipts - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /purchase-orders/backorders?supplier_id=
+     * Open PO balances with ageing
+     */
+    public function getBackorders(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $supplierId = isset($_GET['supplier_id']) ? (int)$_GET['supplier_id'] : null;
+            Response::success($this->orderService->getBackorders($supplierId ?: null), 'Backorders retrieved');
+        } catch (\Exception $e) {
+            error_log("OrderController::getBackorders - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /goods-receipts/{id}/release
+     * Accept or reject goods held at inspection
+     */
+    public function releaseOnHold(int $grId): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin', 'staff']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?: [];
+
+            if (empty($data['lines']) || !is_array($data['lines'])) {
+                Response::badRequest('lines are required');
+                return;
+            }
+
+            $result = $this->orderService->releaseOnHold($grId, $data, $user->user_id);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("OrderController::releaseOnHold - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /supplier-returns?supplier_id=&po_id=&gr_id=&status=
+     */
+    public function getSupplierReturns(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $filters = array_intersect_key($_GET, array_flip(['supplier_id', 'po_id', 'gr_id', 'status']));
+            Response::success($this->orderService->getSupplierReturns($filters), 'Supplier returns retrieved');
+        } catch (\Exception $e) {
+            error_log("OrderController::getSupplierReturns - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /supplier-returns/{id}
+     */
+    public function getSupplierReturn(int $id): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $return = $this->orderService->getSupplierReturn($id);
+
+            if (!$return) {
+                Response::notFound('Supplier return not found');
+                return;
+            }
+
+            Response::success($return, 'Supplier return retrieved');
+        } catch (\Exception $e) {
+            error_log("OrderController::getSupplierReturn - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /supplier-returns/{id}/status  {status: shipped|closed}
+     */
+    public function updateSupplierReturnStatus(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?: [];
+
+            if (empty($data['status'])) {
+                Response::badRequest('status is required');
+                return;
+            }
+
+            $result = $this->orderService->updateSupplierReturnStatus($id, $data['status'], $user->user_id);
+            Response::success($result, "Return {$result['rts_number']} marked {$result['status']}");
+        } catch (\Exception $e) {
+            error_log("OrderController::updateSupplierReturnStatus - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
     /**
      * POST /purchase-orders/{id}/cancel
      */
@@ -215,13 +347,7 @@ class OrderController
                 'address' => $order['supplier_address']
             ];
 
-            $item = [
-                'item_name' => $order['item_name'],
-                'sku' => $order['sku'],
-                'unit' => $order['unit']
-            ];
-
-            $pdfPath = $pdfService->generatePurchaseOrderPDF($order, $supplier, $item);
+            $pdfPath = $pdfService->generatePurchaseOrderPDF($order, $supplier, $order['lines']);
             $absolutePath = $pdfService->getAbsolutePath($pdfPath);
 
             if (!file_exists($absolutePath)) {
@@ -18,6 +18,8 @@ namespace Janstro\InventorySystem\Controllers;
 use Janstro\InventorySystem\Config\Database;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Services\EmailService;
+use Janstro\InventorySystem\Services\RealtimeService;
+use Janstro\InventorySystem\Services\NotificationService;
 use Janstro\InventorySystem\Utils\Response;
 use PDO;
 
@@ -25,11 +27,13 @@ class ProfileController
 {
     private PDO $db;
     private EmailService $emailService;
+    private RealtimeService $realtimeService;
 
     public function __construct()
     {
         $this->db = Database::connect();
         $this->emailService = new EmailService();
+        $this->realtimeService = new RealtimeService();
     }
 
     /**
@@ -483,6 +487,15 @@ class ProfileController
                 // Audit log
                 $this->logAudit($user->user_id, 'Requested account deletion', 'profile', 'deletion_request');
 
+                $this->realtimeService->publish('deletion:requested', [
+                    'id' => $requestId,
+                    'user_id' => (int)$user->user_id,
+                    'username' => $userData['username'],
+                    'name' => $userData['name']
+                ], ['superadmin']);
+
+                (new NotificationService())->notifyDeletionRequested($userData['name'] ?: $userData['username']);
+
                 // Commit transaction
                 $this->db->commit();
 
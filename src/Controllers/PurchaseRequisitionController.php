@@ -3,6 +3,9 @@
 namespace Janstro\InventorySystem\Controllers;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\PurchaseOrderRepository;
+use Janstro\InventorySystem\Services\RealtimeService;
+use Janstro\InventorySystem\Services\NotificationService;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Utils\Response;
 use PDO;
@@ -15,10 +18,14 @@ use PDO;
 class PurchaseRequisitionController
 {
     private PDO $db;
+    private RealtimeService $realtimeService;
+    private PurchaseOrderRepository $poRepo;
 
     public function __construct()
     {
         $this->db = Database::connect();
+        $this->realtimeService = new RealtimeService();
+        $this->poRepo = new PurchaseOrderRepository();
     }
 
     /**
@@ -145,6 +152,14 @@ class PurchaseRequisitionController
                 $_SERVER['REMOTE_ADDR'] ?? 'system'
             ]);
 
+            $this->realtimeService->publish('pr:created', [
+                'id' => $prId,
+                'pr_number' => $prNumber,
+                'item_name' => $item['item_name'],
+                'urgency' => $urgency,
+                'sales_order_id' => (int)$data['sales_order_id']
+            ]);
+
             $this->db->commit();
 
             Response::success([
@@ -172,9 +187,10 @@ class PurchaseRequisitionController
             $this->db->beginTransaction();
 
             $stmt = $this->db->prepare("
-                SELECT pr_id, status, pr_number 
-                FROM purchase_requisitions 
-                WHERE pr_id = ?
+                SELECT pr.pr_id, pr.status, pr.pr_number, pr.requested_by, i.item_name
+                FROM purchase_requisitions pr
+                LEFT JOIN items i ON pr.item_id = i.item_id
+                WHERE pr.pr_id = ?
             ");
             $stmt->execute([$prId]);
             $pr = $stmt->fetch(PDO::FETCH_ASSOC);
@@ -212,6 +228,8 @@ class PurchaseRequisitionController
                 $_SERVER['REMOTE_ADDR'] ?? 'unknown'
             ]);
 
+            (new NotificationService())->notifyPRDecision($prId, $pr, 'approved');
+
             $this->db->commit();
 
             Response::success(null, 'PR approved successfully');
@@ -240,6 +258,15 @@ class PurchaseRequisitionController
 
             $this->db->beginTransaction();
 
+            $stmt = $this->db->prepare("
+                SELECT pr.pr_number, pr.requested_by, i.item_name
+                FROM purchase_requisitions pr
+                LEFT JOIN items i ON pr.item_id = i.item_id
+                WHERE pr.pr_id = ?
+            ");
+            $stmt->execute([$prId]);
+            $pr = $stmt->fetch(PDO::FETCH_ASSOC);
+
             $stmt = $this->db->prepare("
                 UPDATE purchase_requisitions 
                 SET status = 'rejected',
@@ -265,6 +292,8 @@ class PurchaseRequisitionController
                 $_SERVER['REMOTE_ADDR'] ?? 'unknown'
             ]);
 
+            (new NotificationService())->notifyPRDecision($prId, $pr, 'rejected', $data['reason']);
+
             $this->db->commit();
 
             Response::success(null, 'PR rejected');
@@ -310,8 +339,13 @@ class PurchaseRequisitionController
             }
 
             // Create PO
-            $unitPrice = $data['unit_price'] ?? $pr['unit_price'];
-            $totalAmount = $unitPrice * $pr['required_quantity'];
+            $expectedDate = $data['expected_delivery_date'] ?? date('Y-m-d', strtotime('+7 days'));
+            $line = PurchaseOrderRepository::priceLine([
+                'item_id' => $pr['item_id'],
+                'quantity' => $pr['required_quantity'],
+                'unit_price' => $data['unit_price'] ?? null,
+                'expected_date' => $expectedDate
+            ], (float)$pr['unit_price']);
 
             $stmt = $this->db->prepare("
                 INSERT INTO purchase_orders (
@@ -323,15 +357,16 @@ class PurchaseRequisitionController
             $stmt->execute([
                 $data['supplier_id'],
                 $pr['item_id'],
-                $pr['required_quantity'],
-                $unitPrice,
-                $totalAmount,
-                $data['expected_delivery_date'] ?? date('Y-m-d', strtotime('+7 days')),
+                $line['quantity'],
+                $line['unit_price'],
+                $line['line_total'],
+                $expectedDate,
                 "Generated from PR #{$pr['pr_number']}",
                 $user->user_id
             ]);
 
             $poId = (int)$this->db->lastInsertId();
+            $this->poRepo->createLines($poId, [$line]);
 
             // Mark PR as converted
             $stmt = $this->db->prepare("
@@ -0,0 +1,163 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Services\RealtimeService;
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * REALTIME CONTROLLER v1.0 - SSE STREAM + LONG-POLL FALLBACK
+ * ============================================================================
+ * GET /events/stream  text/event-stream; EventSource reconnects on its own
+ *                     and sends Last-Event-ID, so each connection is kept
+ *                     short to free PHP workers
+ * GET /events/poll    JSON long-poll for browsers/proxies without SSE
+ *
+ * The SSE id / last_event_id is RealtimeService's resume cursor, which can
+ * trail the events already sent; each event carries its own event_id so
+ * the client can skip repeats.
+ *
+ * EventSource cannot set headers, so both accept ?token= (AuthMiddleware).
+ * Path: src/Controllers/RealtimeController.php
+ * ============================================================================
+ */
+class RealtimeController
+{
+    private const STREAM_SECONDS = 25;
+    private const POLL_SECONDS = 20;
+    private const HEARTBEAT_SECONDS = 10;
+    private const RETRY_MS = 3000;
+
+    private RealtimeService $realtimeService;
+
+    public function __construct()
+    {
+        $this->realtimeService = new RealtimeService();
+    }
+
+    /**
+     * GET /events/stream
+     */
+    public function stream(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        $lastId = $this->resolveLastEventId();
+        $this->releaseRequest();
+        set_time_limit(self::STREAM_SECONDS + 10);
+
+        while (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+
+        echo "retry: " . self::RETRY_MS . "\n\n";
+        flush();
+
+        $started = time();
+        $lastBeat = $started;
+        $sent = [];
+
+        try {
+            while (time() - $started < self::STREAM_SECONDS && !connection_aborted()) {
+                $batch = $this->realtimeService->since($lastId, $user->role ?? '');
+
+                foreach ($batch['events'] as $event) {
+                    if (isset($sent[$event['id']])) continue;
+
+                    echo "id: {$event['cursor']}\n";
+                    echo "event: {$event['type']}\n";
+                    echo "data: " . json_encode(['event_id' => $event['id']] + $event['data']) . "\n\n";
+                    $sent[$event['id']] = true;
+                    $lastBeat = time();
+                }
+
+                $lastId = $batch['cursor'];
+
+                // Comment line keeps proxies from closing an idle stream
+                if (time() - $lastBeat >= self::HEARTBEAT_SECONDS) {
+                    echo ": heartbeat\n\n";
+                    $lastBeat = time();
+                }
+
+                flush();
+                sleep(1);
+            }
+        } catch (\Exception $e) {
+            error_log("RealtimeController::stream - " . $e->getMessage());
+        }
+    }
+
+    /**
+     * GET /events/poll?since=<cursor>&after=<highest event id handled>
+     *
+     * Waits until there is an event above `after` or the cursor moves (a
+     * late event filled the gap below it, or the gap expired).
+     */
+    public function poll(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $since = $this->resolveLastEventId();
+            $this->releaseRequest();
+            set_time_limit(self::POLL_SECONDS + 10);
+
+            $after = ctype_digit((string)($_GET['after'] ?? '')) ? (int)$_GET['after'] : $since;
+            $deadline = time() + self::POLL_SECONDS;
+
+            do {
+                $batch = $this->realtimeService->since($since, $user->role ?? '');
+                $fresh = array_filter($batch['events'], fn($event) => $event['id'] > $after);
+
+                if ($fresh || $batch['cursor'] > $since || connection_aborted()) break;
+                sleep(1);
+            } while (time() < $deadline);
+
+            Response::success([
+                'events' => $batch['events'],
+                'last_event_id' => $batch['cursor']
+            ], 'Events retrieved');
+        } catch (\Exception $e) {
+            error_log("RealtimeController::poll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve events');
+        }
+    }
+
+    /**
+     * Last-Event-ID header on EventSource reconnects, ?last_event_id= when
+     * the client reopens the stream itself, ?since= for long-polling.
+     * A brand-new connection starts at the newest event.
+     */
+    private function resolveLastEventId(): int
+    {
+        $lastId = $_SERVER['HTTP_LAST_EVENT_ID']
+            ?? $_GET['last_event_id']
+            ?? $_GET['since']
+            ?? null;
+
+        if ($lastId === null || !ctype_digit((string)$lastId) || (int)$lastId === 0) {
+            return $this->realtimeService->latestId();
+        }
+
+        return (int)$lastId;
+    }
+
+    /**
+     * Long-lived requests must not hold the session lock
+     */
+    private function releaseRequest(): void
+    {
+        if (session_status() === PHP_SESSION_ACTIVE) {
+            session_write_close();
+        }
+        ignore_user_abort(false);
+    }
+}
@@ -7,12 +7,16 @@
  * ENHANCEMENTS APPLIED:
  * ✅ Conditional logging (development only)
  * ✅ All existing features maintained (fallback data, type safety, etc.)
+ * ✅ location_id filter on dashboard, inventory summary and transactions
+ * ✅ Period-over-period comparison (previous period, last year, custom)
  * ============================================================================
  */
 
 namespace Janstro\InventorySystem\Controllers;
 
 use Janstro\InventorySystem\Services\ReportService;
+use Janstro\InventorySystem\Services\LocationService;
+use Janstro\InventorySystem\Repositories\LocationRepository;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Utils\Response;
 use Janstro\InventorySystem\Config\Database;
@@ -20,12 +24,16 @@ use Janstro\InventorySystem\Config\Database;
 class ReportController
 {
     private ReportService $reportService;
+    private LocationService $locationService;
+    private LocationRepository $locationRepo;
     private \PDO $db;
     private bool $isDev;
 
     public function __construct()
     {
         $this->reportService = new ReportService();
+        $this->locationService = new LocationService();
+        $this->locationRepo = new LocationRepository();
         $this->db = Database::connect();
         $this->isDev = ($_ENV['ENVIRONMENT'] ?? 'production') === 'development';
     }
@@ -42,7 +50,7 @@ class ReportController
         if (!$user) return;
 
         try {
-            $stats = $this->reportService->getDashboardStats();
+            $stats = $this->reportService->getDashboardStats($_GET['location_id'] ?? null);
 
             // Ensure all fields exist with type safety
             $safeStats = [
@@ -87,19 +95,23 @@ class ReportController
         if (!$user) return;
 
         try {
-            $stmt = $this->db->query("
+            [$source, $bindings] = $this->locationRepo->inventorySource(
+                $this->locationService->filterLocation($_GET['location_id'] ?? null)
+            );
+
+            $stmt = $this->db->prepare("
                 SELECT 
-                    COALESCE(c.name, 'Uncategorized') as category,
-                    COUNT(i.item_id) as total_items,
-                    COALESCE(SUM(i.quantity), 0) as total_quantity,
-                    COALESCE(SUM(i.quantity * i.unit_price), 0) as total_value
-                FROM items i
-                LEFT JOIN categories c ON i.category_id = c.category_id
-                WHERE i.status = 'active'
-                GROUP BY c.category_id, c.name
+                    COALESCE(category_name, 'Uncategorized') as category,
+                    COUNT(item_id) as total_items,
+                    COALESCE(SUM(current_quantity), 0) as total_quantity,
+                    COALESCE(SUM(current_quantity * unit_price), 0) as total_value
+                FROM {$source}
+                WHERE item_status = 'active'
+                GROUP BY category_id, category_name
                 HAVING total_items > 0 OR total_quantity > 0
                 ORDER BY total_value DESC
             ");
+            $stmt->execute($bindings);
 
             $byCategory = [];
             while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
@@ -162,6 +174,9 @@ class ReportController
         try {
             $limit = isset($_GET['limit']) ? (int)$_GET['limit'] : 100;
 
+            $location = $this->locationService->filterLocation($_GET['location_id'] ?? null);
+            [$condition, $bindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+
             $stmt = $this->db->prepare("
                 SELECT 
                     t.transaction_id,
@@ -179,11 +194,12 @@ class ReportController
                 FROM transactions t
                 LEFT JOIN items i ON t.item_id = i.item_id
                 LEFT JOIN users u ON t.user_id = u.user_id
+                WHERE $condition
                 ORDER BY t.movement_date DESC
                 LIMIT ?
             ");
 
-            $stmt->execute([$limit]);
+            $stmt->execute(array_merge($bindings, [$limit]));
             $transactions = $stmt->fetchAll(\PDO::FETCH_ASSOC);
 
             // Type-safe conversion
@@ -219,6 +235,44 @@ class ReportController
         }
     }
 
+    /**
+     * ========================================================================
+     * GET /api/reports/comparison
+     * Returns: Period metrics side by side with a prior period
+     * Query: date_from, date_to, compare (previous|prior_year|custom),
+     *        compare_from, compare_to, location_id
+     * ========================================================================
+     */
+    public function getPeriodComparison(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $filters = ['location_id' => $_GET['location_id'] ?? null];
+            foreach (['date_from', 'date_to', 'compare', 'compare_from', 'compare_to'] as $key) {
+                if (!empty($_GET[$key])) {
+                    $filters[$key] = (string)$_GET[$key];
+                }
+            }
+
+            foreach (['date_from', 'date_to'] as $key) {
+                if (isset($filters[$key])) {
+                    if (!strtotime($filters[$key])) {
+                        Response::badRequest('Invalid report date');
+                        return;
+                    }
+                    $filters[$key] = date('Y-m-d', strtotime($filters[$key]));
+                }
+            }
+
+            Response::success($this->reportService->getPeriodComparison($filters), 'Period comparison retrieved');
+        } catch (\Exception $e) {
+            error_log("ReportController::getPeriodComparison - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
     /**
      * ========================================================================
      * GET /api/reports/low-stock
@@ -0,0 +1,147 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\ReportScheduleService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * REPORT SCHEDULE CONTROLLER v1.0
+ * ============================================================================
+ * Scheduled report emails and one-off "email this report" from the reports
+ * page. Sending is done by public/cron/process-report-schedules.php.
+ * ============================================================================
+ */
+class ReportScheduleController
+{
+    /* Managing schedules (Permissions reports.schedule) */
+    private const SCHEDULE_ROLES = ['superadmin'];
+
+    /* One-off emails are an export (Permissions reports.export) */
+    private const SEND_ROLES = ['admin', 'superadmin'];
+
+    private ReportScheduleService $scheduleService;
+
+    public function __construct()
+    {
+        $this->scheduleService = new ReportScheduleService();
+    }
+
+    /**
+     * GET /report-schedules
+     */
+    public function getAll(): void
+    {
+        $user = AuthMiddleware::requireRole(self::SCHEDULE_ROLES);
+        if (!$user) return;
+
+        try {
+            Response::success($this->scheduleService->getSchedules($user), 'Report schedules retrieved');
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::getAll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve report schedules');
+        }
+    }
+
+    /**
+     * POST /report-schedules  {name, report_type, format, recipients, frequency,
+     *                          run_time, run_day, location_id, period_days}
+     */
+    public function create(): void
+    {
+        $user = AuthMiddleware::requireRole(self::SCHEDULE_ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->scheduleService->createSchedule($data, $user->user_id);
+            Response::success($result, $result['message'], 201);
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::create - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /report-schedules/send  {report_type, format, recipients, location_id, date_from, date_to}
+     */
+    public function sendNow(): void
+    {
+        $user = AuthMiddleware::requireRole(self::SEND_ROLES);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->scheduleService->sendNow($data, $user->user_id);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::sendNow - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /report-schedules/{id}/pause
+     */
+    public function pause(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::SCHEDULE_ROLES);
+        if (!$user) return;
+
+        try {
+            $result = $this->scheduleService->pauseSchedule($id, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::pause - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /report-schedules/{id}/resume
+     */
+    public function resume(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::SCHEDULE_ROLES);
+        if (!$user) return;
+
+        try {
+            $result = $this->scheduleService->resumeSchedule($id, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::resume - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * DELETE /report-schedules/{id}
+     */
+    public function delete(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(self::SCHEDULE_ROLES);
+        if (!$user) return;
+
+        try {
+            $result = $this->scheduleService->deleteSchedule($id, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("ReportScheduleController::delete - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+}
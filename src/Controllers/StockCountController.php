@@ -0,0 +1,212 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\StockCountService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * STOCK COUNT CONTROLLER v1.0
+ * ============================================================================
+ * Cycle counts: admins create, approve and send back; the assigned user
+ * enters counts and submits.
+ * ============================================================================
+ */
+class StockCountController
+{
+    private StockCountService $countService;
+
+    public function __construct()
+    {
+        $this->countService = new StockCountService();
+    }
+
+    /**
+     * GET /stock-counts?status=&assigned_to=
+     */
+    public function getAll(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $filters = array_intersect_key($_GET, array_flip(['status', 'assigned_to']));
+            Response::success($this->countService->getCounts($user, $filters), 'Stock counts retrieved');
+        } catch (\Exception $e) {
+            error_log("StockCountController::getAll - " . $e->getMessage());
+            Response::serverError('Failed to retrieve stock counts');
+        }
+    }
+
+    /**
+     * GET /stock-counts/{id}
+     */
+    public function getById(int $id): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $count = $this->countService->getCount($id, $user);
+
+            if (!$count) {
+                Response::notFound('Stock count not found');
+                return;
+            }
+
+            Response::success($count, 'Stock count retrieved');
+        } catch (\Exception $e) {
+            error_log("StockCountController::getById - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /stock-counts/reason-codes
+     */
+    public function getReasonCodes(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        Response::success($this->countService->getReasonCodes(), 'Reason codes retrieved');
+    }
+
+    /**
+     * GET /stock-counts/counters - users a count can be assigned to
+     */
+    public function getCounters(): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            Response::success($this->countService->getCounters(), 'Counters retrieved');
+        } catch (\Exception $e) {
+            error_log("StockCountController::getCounters - " . $e->getMessage());
+            Response::serverError('Failed to retrieve users');
+        }
+    }
+
+    /**
+     * POST /stock-counts  {scope_type, category_id, assigned_to, blind, notes}
+     */
+    public function create(): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true);
+
+            if (!$data) {
+                Response::badRequest('Invalid request data');
+                return;
+            }
+
+            $result = $this->countService->createCount($data, $user->user_id);
+            Response::success($result, $result['message'], 201);
+        } catch (\Exception $e) {
+            error_log("StockCountController::create - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /stock-counts/{id}/counts  {lines: [{item_id, counted_quantity}]}
+     */
+    public function saveCounts(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['staff', 'admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?: [];
+
+            if (empty($data['lines']) || !is_array($data['lines'])) {
+                Response::badRequest('lines are required');
+                return;
+            }
+
+            $result = $this->countService->saveCounts($id, $data, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("StockCountController::saveCounts - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /stock-counts/{id}/submit
+     */
+    public function submit(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['staff', 'admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $result = $this->countService->submitCount($id, $user);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("StockCountController::submit - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /stock-counts/{id}/approve  {lines: [{item_id, reason_code}]}
+     */
+    public function approve(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?: [];
+
+            $result = $this->countService->approveCount($id, $data, $user->user_id);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("StockCountController::approve - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /stock-counts/{id}/recount  {reason}
+     */
+    public function recount(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?: [];
+
+            $result = $this->countService->recount($id, $user->user_id, $data['reason'] ?? null);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("StockCountController::recount - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * POST /stock-counts/{id}/cancel
+     */
+    public function cancel(int $id): void
+    {
+        $user = AuthMiddleware::requireRole(['admin', 'superadmin']);
+        if (!$user) return;
+
+        try {
+            $result = $this->countService->cancelCount($id, $user->user_id);
+            Response::success($result, $result['message']);
+        } catch (\Exception $e) {
+            error_log("StockCountController::cancel - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+}
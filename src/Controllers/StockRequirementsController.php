@@ -3,6 +3,7 @@
 namespace Janstro\InventorySystem\Controllers;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Services\RealtimeService;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Utils\Response;
 use PDO;
@@ -18,15 +19,31 @@ use PDO;
  * ✅ Batch PR generation
  * ✅ Stock shortage alerts
  * ✅ Integration with CompleteInventoryService
+ * ✅ Critical shortage escalation (email + in-app, 1h cooldown)
+ *
+ * Table: stock_shortage_alerts (database/migrations/011_create_stock_shortage_alerts.sql)
+ *   alert_id INT AUTO_INCREMENT PRIMARY KEY, requirement_id INT,
+ *   sales_order_id INT, item_id INT, shortage_quantity INT,
+ *   alerted_by INT, note VARCHAR(255) NULL, created_at DATETIME,
+ *   INDEX (requirement_id, created_at)
+ *
+ * Table: purchase_requisition_requirements (batch PRs merged per item;
+ *   database/migrations/012_create_purchase_requisition_requirements.sql)
+ *   pr_id INT, requirement_id INT, quantity INT,
+ *   PRIMARY KEY (pr_id, requirement_id), INDEX (requirement_id)
  * ============================================================================
  */
 class StockRequirementsController
 {
+    private const ALERT_COOLDOWN_MINUTES = 60;
+
     private PDO $db;
+    private RealtimeService $realtimeService;
 
     public function __construct()
     {
         $this->db = Database::connect();
+        $this->realtimeService = new RealtimeService();
     }
 
     /**
@@ -73,11 +90,24 @@ class StockRequirementsController
                     -- ✅ NEW: Check if PR already exists
                     (SELECT COUNT(*) 
                      FROM purchase_requisitions pr 
-                     WHERE pr.sales_order_id = sr.sales_order_id 
-                     AND pr.item_id = sr.item_id 
-                     AND pr.status IN ('pending', 'approved')
-                    ) as has_pending_pr
+                     WHERE pr.status IN ('pending', 'approved')
+                     AND (
+                        (pr.sales_order_id = sr.sales_order_id AND pr.item_id = sr.item_id)
+                        OR pr.pr_id IN (
+                            SELECT prr.pr_id FROM purchase_requisition_requirements prr
+                            WHERE prr.requirement_id = sr.requirement_id
+                        )
+                     )
+                    ) as has_pending_pr,
+                    la.created_at as last_alert_at,
+                    lu.name as last_alerted_by,
+                    (la.created_at > DATE_SUB(NOW(), INTERVAL " . self::ALERT_COOLDOWN_MINUTES . " MINUTE)) as alert_cooling_down
                 FROM stock_requirements sr
+                LEFT JOIN stock_shortage_alerts la ON la.alert_id = (
+                    SELECT MAX(alert_id) FROM stock_shortage_alerts
+                    WHERE requirement_id = sr.requirement_id
+                )
+                LEFT JOIN users lu ON la.alerted_by = lu.user_id
                 LEFT JOIN sales_orders so ON sr.sales_order_id = so.sales_order_id
                 LEFT JOIN items i ON sr.item_id = i.item_id
                 WHERE so.status != 'cancelled'
@@ -114,6 +144,7 @@ class StockRequirementsController
                 $req['unit_price'] = (float)$req['unit_price'];
                 $req['needs_pr'] = (bool)$req['needs_pr'];
                 $req['has_pending_pr'] = (bool)$req['has_pending_pr'];
+                $req['alert_cooling_down'] = (bool)$req['alert_cooling_down'];
 
                 // ✅ NEW: Calculate shortage value
                 $req['shortage_value'] = $req['shortage_quantity'] * $req['unit_price'];
@@ -322,15 +353,7 @@ class StockRequirementsController
             }
 
             // ✅ NEW: Check if PR already exists
-            $stmt = $this->db->prepare("
-                SELECT pr_id, pr_number, status 
-                FROM purchase_requisitions 
-                WHERE sales_order_id = ? AND item_id = ? 
-                AND status IN ('pending', 'approved')
-                LIMIT 1
-            ");
-            $stmt->execute([$req['sales_order_id'], $req['item_id']]);
-            $existing = $stmt->fetch(PDO::FETCH_ASSOC);
+            $existing = $this->findOpenPR($requirementId, (int)$req['sales_order_id'], (int)$req['item_id']);
 
             if ($existing) {
                 Response::badRequest(
@@ -395,6 +418,14 @@ class StockRequirementsController
                 $_SERVER['REMOTE_ADDR'] ?? 'unknown'
             ]);
 
+            $this->realtimeService->publish('pr:created', [
+                'id' => $prId,
+                'pr_number' => $prNumber,
+                'item_name' => $req['item_name'],
+                'urgency' => $urgency,
+                'sales_order_id' => (int)$req['sales_order_id']
+            ]);
+
             // ✅ NEW: Send notification for critical/high urgency
             if (in_array($urgency, ['critical', 'high'])) {
                 try {
@@ -429,8 +460,12 @@ class StockRequirementsController
     }
 
     /**
-     * ✅ NEW: POST /stock-requirements/batch-generate-pr
-     * Generate PRs for all shortages in a sales order
+     * POST /stock-requirements/batch-generate-pr
+     * Body: { "requirement_ids": [1, 2, 3] } or { "sales_order_id": 5 }
+     *
+     * Runs in one transaction. Shortages of the same item are merged into a
+     * single PR (linked back through purchase_requisition_requirements) and
+     * every requested requirement gets its own result row.
      */
     public function batchGeneratePR(): void
     {
@@ -438,84 +473,116 @@ class StockRequirementsController
         if (!$user) return;
 
         try {
-            $data = json_decode(file_get_contents('php://input'), true);
-            $salesOrderId = $data['sales_order_id'] ?? null;
+            $data = json_decode(file_get_contents('php://input'), true) ?? [];
+            $requirementIds = array_values(array_unique(array_map('intval', $data['requirement_ids'] ?? [])));
+            $salesOrderId = (int)($data['sales_order_id'] ?? 0);
 
-            if (!$salesOrderId) {
-                Response::badRequest('sales_order_id required');
+            if (!$requirementIds && !$salesOrderId) {
+                Response::badRequest('requirement_ids or sales_order_id required');
                 return;
             }
 
-            // Get all shortages for this SO
+            $this->db->beginTransaction();
+
+            // Lock the rows so a concurrent batch can't raise the same PRs
+            if ($requirementIds) {
+                $placeholders = implode(',', array_fill(0, count($requirementIds), '?'));
+                $where = "sr.requirement_id IN ($placeholders)";
+                $params = $requirementIds;
+            } else {
+                $where = "sr.sales_order_id = ? AND sr.shortage_quantity > 0";
+                $params = [$salesOrderId];
+            }
+
             $stmt = $this->db->prepare("
-                SELECT requirement_id, item_id, item_name, shortage_quantity
+                SELECT 
+                    sr.requirement_id, sr.sales_order_id, sr.item_id, sr.shortage_quantity,
+                    i.item_name, i.reorder_level,
+                    so.customer_name, so.installation_date
                 FROM stock_requirements sr
                 JOIN items i ON sr.item_id = i.item_id
-                WHERE sr.sales_order_id = ? AND sr.shortage_quantity > 0
+                JOIN sales_orders so ON sr.sales_order_id = so.sales_order_id
+                WHERE {$where}
+                ORDER BY sr.requirement_id
+                FOR UPDATE
             ");
-            $stmt->execute([$salesOrderId]);
-            $shortages = $stmt->fetchAll(PDO::FETCH_ASSOC);
+            $stmt->execute($params);
+            $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
 
-            if (empty($shortages)) {
-                Response::success([], 'No shortages found');
-                return;
+            $found = array_column($rows, null, 'requirement_id');
+            $results = [];
+            $groups = [];
+
+            foreach ($requirementIds ?: array_keys($found) as $id) {
+                $req = $found[$id] ?? null;
+
+                if (!$req) {
+                    $results[$id] = $this->batchResult($id, null, 'failed', 'Requirement not found');
+                } elseif ((int)$req['shortage_quantity'] <= 0) {
+                    $results[$id] = $this->batchResult($id, $req, 'skipped', 'No shortage - PR not needed');
+                } elseif ($existing = $this->findOpenPR((int)$id, (int)$req['sales_order_id'], (int)$req['item_id'])) {
+                    $results[$id] = $this->batchResult($id, $req, 'skipped', "PR already exists: {$existing['pr_number']}", $existing);
+                } else {
+                    $groups[(int)$req['item_id']][] = $req;
+                }
             }
 
-            $this->db->beginTransaction();
+            $created = [];
 
-            $results = ['success' => [], 'failed' => []];
+            foreach ($groups as $itemId => $reqs) {
+                // A failed item must not undo the PRs raised for the others
+                $this->db->exec("SAVEPOINT batch_pr_item");
 
-            foreach ($shortages as $shortage) {
                 try {
-                    // Check if PR already exists
-                    $stmt = $this->db->prepare("
-                        SELECT COUNT(*) 
-                        FROM purchase_requisitions 
-                        WHERE sales_order_id = ? AND item_id = ? 
-                        AND status IN ('pending', 'approved')
-                    ");
-                    $stmt->execute([$salesOrderId, $shortage['item_id']]);
-
-                    if ($stmt->fetchColumn() > 0) {
-                        $results['failed'][] = [
-                            'item' => $shortage['item_name'],
-                            'reason' => 'PR already exists'
-                        ];
-                        continue;
+                    $pr = $this->createMergedPR($itemId, $reqs, (int)$user->user_id);
+                    $this->db->exec("RELEASE SAVEPOINT batch_pr_item");
+                    $created[] = $pr;
+
+                    foreach ($reqs as $req) {
+                        $results[$req['requirement_id']] = $this->batchResult(
+                            $req['requirement_id'],
+                            $req,
+                            'created',
+                            count($reqs) > 1 ? 'Merged with ' . (count($reqs) - 1) . ' other shortage(s) of this item' : null,
+                            $pr
+                        );
                     }
-
-                    // Generate PR (inline to avoid multiple DB connections)
-                    $prNumber = $this->generatePRNumber();
-
-                    $stmt = $this->db->prepare("
-                        INSERT INTO purchase_requisitions 
-                        (pr_number, sales_order_id, item_id, required_quantity, requested_by, urgency, status)
-                        VALUES (?, ?, ?, ?, ?, 'high', 'pending')
-                    ");
-                    $stmt->execute([
-                        $prNumber,
-                        $salesOrderId,
-                        $shortage['item_id'],
-                        $shortage['shortage_quantity'],
-                        $user->user_id
-                    ]);
-
-                    $results['success'][] = [
-                        'item' => $shortage['item_name'],
-                        'pr_number' => $prNumber,
-                        'quantity' => $shortage['shortage_quantity']
-                    ];
                 } catch (\Exception $e) {
-                    $results['failed'][] = [
-                        'item' => $shortage['item_name'],
-                        'reason' => $e->getMessage()
-                    ];
+                    $this->db->exec("ROLLBACK TO SAVEPOINT batch_pr_item");
+                    error_log("Batch PR item {$itemId} error: " . $e->getMessage());
+
+                    foreach ($reqs as $req) {
+                        $results[$req['requirement_id']] = $this->batchResult($req['requirement_id'], $req, 'failed', 'Could not create PR');
+                    }
                 }
             }
 
             $this->db->commit();
 
-            Response::success($results, 'Batch PR generation completed');
+            // Same rule as single generation: escalate critical/high PRs
+            foreach ($created as $pr) {
+                if (in_array($pr['urgency'], ['critical', 'high'])) {
+                    try {
+                        (new \Janstro\InventorySystem\Services\NotificationService())->notifyPRCreated($pr['pr_id'], $pr);
+                    } catch (\Exception $e) {
+                        error_log("Notification failed: " . $e->getMessage());
+                    }
+                }
+            }
+
+            $results = array_values($results);
+            $counts = array_count_values(array_column($results, 'status'));
+
+            Response::success([
+                'results' => $results,
+                'summary' => [
+                    'requested' => count($results),
+                    'prs_created' => count($created),
+                    'created' => $counts['created'] ?? 0,
+                    'skipped' => $counts['skipped'] ?? 0,
+                    'failed' => $counts['failed'] ?? 0
+                ]
+            ], 'Batch PR generation completed');
         } catch (\Exception $e) {
             if ($this->db->inTransaction()) $this->db->rollBack();
             error_log("Batch PR error: " . $e->getMessage());
@@ -523,6 +590,135 @@ class StockRequirementsController
         }
     }
 
+    /**
+     * POST /stock-requirements/:id/alert
+     * Escalate a shortage to admins by email and in-app notification.
+     * The same requirement can only be alerted once per cooldown window.
+     */
+    public function sendAlert(int $requirementId): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $data = json_decode(file_get_contents('php://input'), true) ?? [];
+            $note = trim((string)($data['note'] ?? '')) ?: null;
+
+            $this->db->beginTransaction();
+
+            // Lock the requirement so two users can't both pass the cooldown check
+            $stmt = $this->db->prepare("
+                SELECT 
+                    sr.requirement_id, sr.sales_order_id, sr.item_id,
+                    sr.required_quantity, sr.available_quantity, sr.shortage_quantity,
+                    so.customer_name, so.installation_date,
+                    i.item_name, i.sku, i.unit
+                FROM stock_requirements sr
+                JOIN sales_orders so ON sr.sales_order_id = so.sales_order_id
+                JOIN items i ON sr.item_id = i.item_id
+                WHERE sr.requirement_id = ?
+                FOR UPDATE
+            ");
+            $stmt->execute([$requirementId]);
+            $req = $stmt->fetch(PDO::FETCH_ASSOC);
+
+            if (!$req) {
+                $this->db->rollBack();
+                Response::notFound('Requirement not found');
+                return;
+            }
+
+            if ((int)$req['shortage_quantity'] <= 0) {
+                $this->db->rollBack();
+                Response::badRequest('No shortage - alert not needed');
+                return;
+            }
+
+            $stmt = $this->db->prepare("
+                SELECT a.created_at, u.name
+                FROM stock_shortage_alerts a
+                LEFT JOIN users u ON a.alerted_by = u.user_id
+                WHERE a.requirement_id = ?
+                AND a.created_at > DATE_SUB(NOW(), INTERVAL " . self::ALERT_COOLDOWN_MINUTES . " MINUTE)
+                ORDER BY a.created_at DESC
+                LIMIT 1
+            ");
+            $stmt->execute([$requirementId]);
+            $recent = $stmt->fetch(PDO::FETCH_ASSOC);
+
+            if ($recent) {
+                $this->db->rollBack();
+                $until = date('Y-m-d H:i:s', strtotime($recent['created_at']) + self::ALERT_COOLDOWN_MINUTES * 60);
+                Response::error(
+                    "Already alerted by {$recent['name']} at " . date('g:i A', strtotime($recent['created_at'])) . ". Try again after " . date('g:i A', strtotime($until)),
+                    [
+                        'last_alert_at' => $recent['created_at'],
+                        'last_alerted_by' => $recent['name'],
+                        'alert_cooling_down' => true
+                    ],
+                    429
+                );
+                return;
+            }
+
+            $stmt = $this->db->prepare("
+                INSERT INTO stock_shortage_alerts
+                (requirement_id, sales_order_id, item_id, shortage_quantity, alerted_by, note, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, NOW())
+            ");
+            $stmt->execute([
+                $requirementId,
+                $req['sales_order_id'],
+                $req['item_id'],
+                $req['shortage_quantity'],
+                $user->user_id,
+                $note
+            ]);
+            $alertId = (int)$this->db->lastInsertId();
+
+            // Audit log
+            $stmt = $this->db->prepare("
+                INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+                VALUES (?, ?, 'stock_requirements', 'shortage_alert', ?)
+            ");
+            $stmt->execute([
+                $user->user_id,
+                "Sent critical shortage alert for requirement #{$requirementId} (SO #{$req['sales_order_id']}, {$req['item_name']}, short {$req['shortage_quantity']})",
+                $_SERVER['REMOTE_ADDR'] ?? 'unknown'
+            ]);
+
+            $this->db->commit();
+
+            $stmt = $this->db->prepare("
+                SELECT a.created_at, u.name
+                FROM stock_shortage_alerts a
+                LEFT JOIN users u ON a.alerted_by = u.user_id
+                WHERE a.alert_id = ?
+            ");
+            $stmt->execute([$alertId]);
+            $alert = $stmt->fetch(PDO::FETCH_ASSOC);
+
+            // Sent after commit: email is slow and must not hold the row lock
+            $notifService = new \Janstro\InventorySystem\Services\NotificationService();
+            $emailResults = $notifService->notifyCriticalShortage(array_merge($req, [
+                'alerted_by' => $alert['name'],
+                'note' => $note
+            ]));
+
+            Response::success([
+                'alert_id' => $alertId,
+                'last_alert_at' => $alert['created_at'],
+                'last_alerted_by' => $alert['name'],
+                'alert_cooling_down' => true,
+                'emails_sent' => count(array_filter($emailResults))
+            ], 'Alert sent to admins', 201);
+        } catch (\Exception $e) {
+            if ($this->db->inTransaction()) $this->db->rollBack();
+            error_log("Shortage alert error: " . $e->getMessage());
+            Response::serverError('Failed to send alert');
+        }
+    }
+
     /**
      * GET /stock-requirements/summary
      * Get aggregated summary statistics
@@ -607,6 +803,137 @@ class StockRequirementsController
         return $urgency;
     }
 
+    /**
+     * Pending/approved PR covering a requirement, either raised for its
+     * SO + item or merged from it by a batch
+     */
+    private function findOpenPR(int $requirementId, int $salesOrderId, int $itemId): ?array
+    {
+        $stmt = $this->db->prepare("
+            SELECT pr.pr_id, pr.pr_number, pr.status
+            FROM purchase_requisitions pr
+            WHERE pr.status IN ('pending', 'approved')
+            AND (
+                (pr.sales_order_id = ? AND pr.item_id = ?)
+                OR pr.pr_id IN (
+                    SELECT pr_id FROM purchase_requisition_requirements
+                    WHERE requirement_id = ?
+                )
+            )
+            LIMIT 1
+        ");
+        $stmt->execute([$salesOrderId, $itemId, $requirementId]);
+
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    /**
+     * One PR for every shortage of an item; urgency is the highest of the
+     * merged requirements
+     */
+    private function createMergedPR(int $itemId, array $reqs, int $userId): array
+    {
+        $rank = ['low' => 0, 'medium' => 1, 'high' => 2, 'critical' => 3];
+        $urgency = 'low';
+        $quantity = 0;
+
+        foreach ($reqs as $req) {
+            $quantity += (int)$req['shortage_quantity'];
+            $reqUrgency = $this->calculateUrgency(
+                (int)$req['shortage_quantity'],
+                (int)$req['reorder_level'],
+                $req['installation_date']
+            );
+            if ($rank[$reqUrgency] > $rank[$urgency]) {
+                $urgency = $reqUrgency;
+            }
+        }
+
+        $orderIds = array_values(array_unique(array_map('intval', array_column($reqs, 'sales_order_id'))));
+        $itemName = $reqs[0]['item_name'];
+        $prNumber = $this->generatePRNumber();
+
+        $reason = count($reqs) === 1
+            ? sprintf(
+                "Stock shortage for SO #%d: %s - Customer: %s (Shortage: %d units)",
+                $reqs[0]['sales_order_id'],
+                $itemName,
+                $reqs[0]['customer_name'],
+                $quantity
+            )
+            : sprintf(
+                "Combined stock shortage for %s across SO %s (Shortage: %d units)",
+                $itemName,
+                implode(', ', array_map(fn($id) => "#{$id}", $orderIds)),
+                $quantity
+            );
+
+        $stmt = $this->db->prepare("
+            INSERT INTO purchase_requisitions 
+            (pr_number, sales_order_id, item_id, required_quantity, requested_by, urgency, reason, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+        ");
+        $stmt->execute([
+            $prNumber,
+            count($orderIds) === 1 ? $orderIds[0] : null,
+            $itemId,
+            $quantity,
+            $userId,
+            $urgency,
+            $reason
+        ]);
+        $prId = (int)$this->db->lastInsertId();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO purchase_requisition_requirements (pr_id, requirement_id, quantity)
+            VALUES (?, ?, ?)
+        ");
+        foreach ($reqs as $req) {
+            $stmt->execute([$prId, $req['requirement_id'], $req['shortage_quantity']]);
+        }
+
+        // Audit log
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'stock_requirements', 'pr_generated', ?)
+        ");
+        $stmt->execute([
+            $userId,
+            "Batch generated {$prNumber} from requirement(s) #" . implode(', #', array_column($reqs, 'requirement_id')) . " (Urgency: {$urgency})",
+            $_SERVER['REMOTE_ADDR'] ?? 'unknown'
+        ]);
+
+        $this->realtimeService->publish('pr:created', [
+            'id' => $prId,
+            'pr_number' => $prNumber,
+            'item_name' => $itemName,
+            'urgency' => $urgency,
+            'sales_order_id' => count($orderIds) === 1 ? $orderIds[0] : null
+        ]);
+
+        return [
+            'pr_id' => $prId,
+            'pr_number' => $prNumber,
+            'item_name' => $itemName,
+            'quantity' => $quantity,
+            'urgency' => $urgency
+        ];
+    }
+
+    private function batchResult(int $requirementId, ?array $req, string $status, ?string $message = null, ?array $pr = null): array
+    {
+        return [
+            'requirement_id' => $requirementId,
+            'sales_order_id' => $req ? (int)$req['sales_order_id'] : null,
+            'item_name' => $req['item_name'] ?? null,
+            'shortage_quantity' => $req ? (int)$req['shortage_quantity'] : 0,
+            'status' => $status,
+            'message' => $message,
+            'pr_id' => $pr ? (int)$pr['pr_id'] : null,
+            'pr_number' => $pr['pr_number'] ?? null
+        ];
+    }
+
     /**
      * Generate next PR number
      */
@@ -0,0 +1,107 @@
+<?php
+
+namespace Janstro\InventorySystem\Controllers;
+
+use Janstro\InventorySystem\Middleware\AuthMiddleware;
+use Janstro\InventorySystem\Services\LocationService;
+use Janstro\InventorySystem\Services\TrackingService;
+use Janstro\InventorySystem\Utils\Response;
+
+/**
+ * ============================================================================
+ * TRACKING CONTROLLER v1.0
+ * ============================================================================
+ * Lot / serial lookups: what can be picked at a location, and where a unit
+ * came from and went to (warranty and recall questions).
+ * ============================================================================
+ */
+class TrackingController
+{
+    private TrackingService $trackingService;
+    private LocationService $locationService;
+
+    public function __construct()
+    {
+        $this->trackingService = new TrackingService();
+        $this->locationService = new LocationService();
+    }
+
+    /**
+     * GET /tracking/lookup?q=
+     */
+    public function lookup(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            Response::success($this->trackingService->search((string)($_GET['q'] ?? '')), 'Tracked units found');
+        } catch (\Exception $e) {
+            error_log("TrackingController::lookup - " . $e->getMessage());
+            Response::badRequest($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /tracking/available?item_id=&location_id=
+     */
+    public function getAvailable(): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        $itemId = (int)($_GET['item_id'] ?? 0);
+        if (!$itemId) {
+            Response::badRequest('item_id is required');
+            return;
+        }
+
+        try {
+            $location = $this->locationService->resolveLocation($_GET['location_id'] ?? null);
+            Response::success($this->trackingService->getAvailable($itemId, $location), 'Available units retrieved');
+        } catch (\Exception $e) {
+            error_log("TrackingController::getAvailable - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /tracking/sales-orders/{id}?location_id=
+     */
+    public function getOrderPicks(int $salesOrderId): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $location = $this->locationService->resolveLocation($_GET['location_id'] ?? null);
+            Response::success($this->trackingService->getOrderPicks($salesOrderId, $location), 'Tracked order lines retrieved');
+        } catch (\Exception $e) {
+            error_log("TrackingController::getOrderPicks - " . $e->getMessage());
+            Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * GET /tracking/serials/{id}, GET /tracking/lots/{id}
+     */
+    public function getTrace(string $unitType, int $unitId): void
+    {
+        $user = AuthMiddleware::authenticate();
+        if (!$user) return;
+
+        try {
+            $trace = $this->trackingService->getTrace($unitType, $unitId);
+
+            if (!$trace) {
+                Response::notFound(ucfirst($unitType) . ' not found');
+                return;
+            }
+
+            Response::success($trace, 'Traceability retrieved');
+        } catch (\Exception $e) {
+            error_log("TrackingController::getTrace - " . $e->getMessage());
+            Response::serverError('Failed to retrieve traceability');
+        }
+    }
+}
@@ -27,6 +27,8 @@ use Janstro\InventorySystem\Config\Database;
 use Janstro\InventorySystem\Middleware\AuthMiddleware;
 use Janstro\InventorySystem\Utils\Response;
 use Janstro\InventorySystem\Services\UserService;
+use Janstro\InventorySystem\Services\RealtimeService;
+use Janstro\InventorySystem\Services\NotificationService;
 use PDO;
 
 class UserController
@@ -622,6 +624,7 @@ class UserController
                 VALUES (?, ?, NOW(), 'pending')
             ");
             $stmt->execute([$userId, $reason]);
+            $requestId = (int)$this->db->lastInsertId();
 
             $this->logAudit(
                 $userId,
@@ -630,6 +633,18 @@ class UserController
                 'deletion_request'
             );
 
+            (new RealtimeService())->publish('deletion:requested', [
+                'id' => $requestId,
+                'user_id' => $userId
+            ], ['superadmin']);
+
+            $stmt = $this->db->prepare("SELECT name, username FROM users WHERE user_id = ?");
+            $stmt->execute([$userId]);
+            $requester = $stmt->fetch(PDO::FETCH_ASSOC) ?: [];
+            (new NotificationService())->notifyDeletionRequested(
+                ($requester['name'] ?? '') ?: ($requester['username'] ?? "User #{$userId}")
+            );
+
             Response::success(null, 'Account deletion request submitted. Admin will review.');
         } catch (\Exception $e) {
             Response::serverError($e->getMessage());
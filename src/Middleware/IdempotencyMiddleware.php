@@ -0,0 +1,180 @@
+<?php
+
+namespace Janstro\InventorySystem\Middleware;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Utils\JWT;
+
+/**
+ * ============================================================================
+ * IDEMPOTENCY MIDDLEWARE v1.1
+ * ============================================================================
+ * Makes POST retries safe. The API client sends an `Idempotency-Key` header
+ * with every POST and reuses it on retries; the first response for a key is
+ * stored and replayed for any repeat, so a retried createSalesOrder cannot
+ * create a second order.
+ *
+ * Keys belong to the caller (user_id from the bearer token, 0 when there is
+ * none), and a replay must repeat the same method, path and body.
+ *
+ * Table: idempotency_keys (database/migrations/003_create_idempotency_keys.sql)
+ *   user_id INT, idempotency_key VARCHAR(64), PRIMARY KEY (user_id, idempotency_key),
+ *   request_method VARCHAR(10), request_path VARCHAR(255),
+ *   request_hash CHAR(64) (sha256 of method, path and body),
+ *   status_code SMALLINT NULL, response_body MEDIUMTEXT NULL, created_at DATETIME
+ * ============================================================================
+ */
+class IdempotencyMiddleware
+{
+    private const HEADER = 'HTTP_IDEMPOTENCY_KEY';
+    private const TTL_HOURS = 24;
+
+    /* Seconds a client should wait before retrying a request still in progress */
+    private const RETRY_AFTER = 2;
+
+    /**
+     * Replay a stored response or reserve the key for this request
+     */
+    public static function handle(string $method, string $path): void
+    {
+        $key = trim($_SERVER[self::HEADER] ?? '');
+
+        if ($method !== 'POST' || $key === '') {
+            return;
+        }
+
+        if (!preg_match('/^[A-Za-z0-9\-]{8,64}$/', $key)) {
+            self::respond(400, [
+                'success' => false,
+                'message' => 'Invalid Idempotency-Key header'
+            ]);
+        }
+
+        $token = JWT::getFromHeader();
+        $user = $token ? JWT::validate($token) : null;
+        $userId = $user ? (int)$user->user_id : 0;
+        $hash = hash('sha256', $method . ' ' . $path . "\n" . file_get_contents('php://input'));
+
+        try {
+            $db = Database::connect();
+
+            // An expired key may be reused
+            $db->prepare("
+                DELETE FROM idempotency_keys
+                WHERE user_id = ? AND idempotency_key = ?
+                AND created_at <= DATE_SUB(NOW(), INTERVAL " . self::TTL_HOURS . " HOUR)
+            ")->execute([$userId, $key]);
+
+            try {
+                $db->prepare("
+                    INSERT INTO idempotency_keys
+                        (user_id, idempotency_key, request_method, request_path, request_hash, created_at)
+                    VALUES (?, ?, ?, ?, ?, NOW())
+                ")->execute([$userId, $key, $method, $path, $hash]);
+            } catch (\PDOException $e) {
+                if ($e->getCode() !== '23000') {
+                    throw $e;
+                }
+
+                // Duplicate key: the request was seen before
+                self::replay($db, $userId, $key, $hash, $method, $path);
+            }
+        } catch (\PDOException $e) {
+            // Never block a request because the key store is unavailable
+            error_log("⚠️ Idempotency check skipped: " . $e->getMessage());
+            return;
+        }
+
+        register_shutdown_function([self::class, 'storeResponse'], $userId, $key);
+    }
+
+    /**
+     * Answer a repeated key: the stored response, 409 while the first request
+     * is still running, 422 when the key was used for a different request
+     */
+    private static function replay(\PDO $db, int $userId, string $key, string $hash, string $method, string $path): void
+    {
+        $stmt = $db->prepare("
+            SELECT request_hash, status_code, response_body
+            FROM idempotency_keys
+            WHERE user_id = ? AND idempotency_key = ?
+        ");
+        $stmt->execute([$userId, $key]);
+        $stored = $stmt->fetch(\PDO::FETCH_ASSOC);
+
+        if (!$stored || $stored['status_code'] === null) {
+            header('Retry-After: ' . self::RETRY_AFTER);
+            header('Idempotency-Key: ' . $key);
+            header('Access-Control-Expose-Headers: Retry-After, Idempotency-Key');
+            self::respond(409, [
+                'success' => false,
+                'message' => 'A request with this Idempotency-Key is still being processed'
+            ]);
+        }
+
+        if (!hash_equals($stored['request_hash'], $hash)) {
+            self::respond(422, [
+                'success' => false,
+                'message' => 'Idempotency-Key was already used for a different request'
+            ]);
+        }
+
+        error_log("🔁 Idempotent replay for {$method} /{$path}");
+        http_response_code((int)$stored['status_code']);
+        header('Content-Type: application/json; charset=utf-8');
+        header('Idempotent-Replayed: true');
+        echo $stored['response_body'];
+        exit;
+    }
+
+    /**
+     * Save the buffered response once the route has finished. Server errors
+     * release the key so a retry runs the request again.
+     */
+    public static function storeResponse(int $userId, string $key): void
+    {
+        try {
+            $db = Database::connect();
+            $statusCode = http_response_code() ?: 200;
+
+            if ($statusCode >= 500) {
+                $db->prepare("DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?")
+                    ->execute([$userId, $key]);
+                return;
+            }
+
+            $body = ob_get_level() > 0 ? ob_get_contents() : '';
+
+            $db->prepare("
+                UPDATE idempotency_keys
+                SET status_code = ?, response_body = ?
+                WHERE user_id = ? AND idempotency_key = ?
+            ")->execute([$statusCode, $body, $userId, $key]);
+        } catch (\Exception $e) {
+            error_log("⚠️ Failed to store idempotent response: " . $e->getMessage());
+        }
+    }
+
+    /**
+     * Remove expired keys (run via cron daily)
+     */
+    public static function cleanupExpired(): int
+    {
+        $db = Database::connect();
+        $stmt = $db->prepare("
+            DELETE FROM idempotency_keys
+            WHERE created_at < DATE_SUB(NOW(), INTERVAL " . self::TTL_HOURS . " HOUR)
+        ");
+        $stmt->execute();
+
+        return $stmt->rowCount();
+    }
+
+    private static function respond(int $code, array $body): void
+    {
+        http_response_code($code);
+        header('Content-Type: application/json; charset=utf-8');
+        echo json_encode($body);
+        exit;
+    }
+}
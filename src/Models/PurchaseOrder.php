@@ -15,6 +15,7 @@ class PurchaseOrder
     public int $created_by;
     public string $created_by_name;
     public string $po_date;
+    public array $lines;
 
     public function __construct(array $data)
     {
@@ -29,6 +30,7 @@ class PurchaseOrder
         $this->created_by = (int)$data['created_by'];
         $this->created_by_name = $data['created_by_name'] ?? '';
         $this->po_date = $data['po_date'] ?? date('Y-m-d H:i:s');
+        $this->lines = $data['lines'] ?? [];
     }
 
     public function isPending(): bool
@@ -36,6 +38,11 @@ class PurchaseOrder
         return $this->status === 'pending';
     }
 
+    public function isPartiallyReceived(): bool
+    {
+        return $this->status === 'partially_received';
+    }
+
     public function isDelivered(): bool
     {
         return $this->status === 'delivered';
@@ -54,7 +61,8 @@ class PurchaseOrder
             'status' => $this->status,
             'created_by' => $this->created_by,
             'created_by_name' => $this->created_by_name,
-            'po_date' => $this->po_date
+            'po_date' => $this->po_date,
+            'lines' => $this->lines
         ];
     }
 }
@@ -0,0 +1,125 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Saved custom report definitions (CustomReportService builds and runs them).
+ * A report is private to its creator unless shared with everyone who can
+ * open the reports page.
+ *
+ * Table: custom_reports (database/migrations/022_create_custom_reports.sql)
+ *   report_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   name VARCHAR(100), description VARCHAR(255) NULL,
+ *   source VARCHAR(30) (CustomReportService sources),
+ *   definition JSON ({columns, filters, group_by, aggregates, sort, limit}),
+ *   is_shared TINYINT(1) DEFAULT 0,
+ *   created_by INT (FK users), created_at DATETIME, updated_at DATETIME NULL,
+ *   last_run_at DATETIME NULL,
+ *   INDEX (created_by), INDEX (is_shared)
+ */
+class CustomReportRepository
+{
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * The user's own reports and everyone's shared ones
+     *
+     * @param int|null $userId null = all reports
+     */
+    public function getVisible(?int $userId): array
+    {
+        $sql = "
+            SELECT cr.*, u.name AS created_by_name
+            FROM custom_reports cr
+            LEFT JOIN users u ON cr.created_by = u.user_id
+        ";
+        $params = [];
+
+        if ($userId !== null) {
+            $sql .= " WHERE cr.created_by = ? OR cr.is_shared = 1";
+            $params[] = $userId;
+        }
+
+        $stmt = $this->db->prepare($sql . " ORDER BY cr.name");
+        $stmt->execute($params);
+
+        return array_map([$this, 'decode'], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    public function findById(int $reportId): ?array
+    {
+        $stmt = $this->db->prepare("
+            SELECT cr.*, u.name AS created_by_name
+            FROM custom_reports cr
+            LEFT JOIN users u ON cr.created_by = u.user_id
+            WHERE cr.report_id = ?
+        ");
+        $stmt->execute([$reportId]);
+        $report = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return $report ? $this->decode($report) : null;
+    }
+
+    public function create(array $data, int $userId): int
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO custom_reports (name, description, source, definition, is_shared, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $data['name'],
+            $data['description'],
+            $data['source'],
+            json_encode($data['definition']),
+            $data['is_shared'] ? 1 : 0,
+            $userId
+        ]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    public function update(int $reportId, array $data): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE custom_reports
+            SET name = ?, description = ?, source = ?, definition = ?, is_shared = ?, updated_at = NOW()
+            WHERE report_id = ?
+        ");
+        $stmt->execute([
+            $data['name'],
+            $data['description'],
+            $data['source'],
+            json_encode($data['definition']),
+            $data['is_shared'] ? 1 : 0,
+            $reportId
+        ]);
+    }
+
+    public function touchLastRun(int $reportId): void
+    {
+        $stmt = $this->db->prepare("UPDATE custom_reports SET last_run_at = NOW() WHERE report_id = ?");
+        $stmt->execute([$reportId]);
+    }
+
+    public function delete(int $reportId): void
+    {
+        $stmt = $this->db->prepare("DELETE FROM custom_reports WHERE report_id = ?");
+        $stmt->execute([$reportId]);
+    }
+
+    private function decode(array $report): array
+    {
+        $report['definition'] = json_decode($report['definition'] ?? '', true) ?: [];
+        $report['is_shared'] = (bool)$report['is_shared'];
+
+        return $report;
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Background report exports (ExportJobService writes the files).
+ *
+ * Table: report_exports (database/migrations/023_create_report_exports.sql)
+ *   export_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   report_type VARCHAR(30) (ReportService::REPORT_TYPES),
+ *   format ENUM('csv','xlsx','pdf'),
+ *   filters JSON ({location_id, date_from, date_to, compare, compare_from, compare_to}),
+ *   status ENUM('queued','running','completed','failed','expired') DEFAULT 'queued',
+ *   rows_total INT NULL, rows_done INT DEFAULT 0,
+ *   file_name VARCHAR(150) NULL, file_path VARCHAR(255) NULL (relative to storage/exports),
+ *   file_size INT NULL, error VARCHAR(255) NULL,
+ *   requested_by INT (FK users), created_at DATETIME,
+ *   started_at DATETIME NULL, completed_at DATETIME NULL, expires_at DATETIME NULL,
+ *   INDEX (status), INDEX (requested_by, created_at)
+ */
+class ExportJobRepository
+{
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * @param int|null $userId null = everyone's
+     */
+    public function getRecent(?int $userId, int $days): array
+    {
+        $sql = "
+            SELECT e.*, u.name AS requested_by_name
+            FROM report_exports e
+            LEFT JOIN users u ON e.requested_by = u.user_id
+            WHERE e.created_at >= NOW() - INTERVAL ? DAY
+        ";
+        $params = [$days];
+
+        if ($userId !== null) {
+            $sql .= " AND e.requested_by = ?";
+            $params[] = $userId;
+        }
+
+        $stmt = $this->db->prepare($sql . " ORDER BY e.created_at DESC, e.export_id DESC LIMIT 50");
+        $stmt->execute($params);
+
+        return array_map([$this, 'decode'], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    public function findById(int $exportId): ?array
+    {
+        $stmt = $this->db->prepare("
+            SELECT e.*, u.name AS requested_by_name
+            FROM report_exports e
+            LEFT JOIN users u ON e.requested_by = u.user_id
+            WHERE e.export_id = ?
+        ");
+        $stmt->execute([$exportId]);
+        $export = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return $export ? $this->decode($export) : null;
+    }
+
+    public function create(string $reportType, string $format, array $filters, int $userId): int
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO report_exports (report_type, format, filters, status, requested_by, created_at)
+            VALUES (?, ?, ?, 'queued', ?, NOW())
+        ");
+        $stmt->execute([$reportType, $format, json_encode($filters), $userId]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    /**
+     * Move a queued job to running; false when another worker got it first
+     */
+    public function claim(int $exportId): bool
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports
+            SET status = 'running', started_at = NOW(), rows_done = 0
+            WHERE export_id = ? AND status = 'queued'
+        ");
+        $stmt->execute([$exportId]);
+
+        return $stmt->rowCount() === 1;
+    }
+
+    public function updateProgress(int $exportId, int $rowsDone, ?int $rowsTotal = null): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports SET rows_done = ?, rows_total = COALESCE(?, rows_total) WHERE export_id = ?
+        ");
+        $stmt->execute([$rowsDone, $rowsTotal, $exportId]);
+    }
+
+    public function complete(int $exportId, string $fileName, string $filePath, int $fileSize, int $rows, string $expiresAt): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports
+            SET status = 'completed', file_name = ?, file_path = ?, file_size = ?,
+                rows_done = ?, rows_total = ?, completed_at = NOW(), expires_at = ?
+            WHERE export_id = ?
+        ");
+        $stmt->execute([$fileName, $filePath, $fileSize, $rows, $rows, $expiresAt, $exportId]);
+    }
+
+    public function fail(int $exportId, string $error): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports SET status = 'failed', error = ?, completed_at = NOW() WHERE export_id = ?
+        ");
+        $stmt->execute([mb_substr($error, 0, 255), $exportId]);
+    }
+
+    public function getQueued(int $limit): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT export_id FROM report_exports WHERE status = 'queued' ORDER BY created_at LIMIT ?
+        ");
+        $stmt->execute([$limit]);
+
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+
+    /**
+     * Jobs whose worker died (PHP timeout, server restart) without finishing
+     */
+    public function failStale(int $minutes): int
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports
+            SET status = 'failed', error = 'Export stopped before it finished - please try again', completed_at = NOW()
+            WHERE status = 'running' AND started_at < NOW() - INTERVAL ? MINUTE
+        ");
+        $stmt->execute([$minutes]);
+
+        return $stmt->rowCount();
+    }
+
+    public function getExpired(): array
+    {
+        $stmt = $this->db->query("
+            SELECT * FROM report_exports WHERE status = 'completed' AND expires_at < NOW()
+        ");
+
+        return array_map([$this, 'decode'], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    public function markExpired(int $exportId): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_exports SET status = 'expired', file_path = NULL WHERE export_id = ?
+        ");
+        $stmt->execute([$exportId]);
+    }
+
+    private function decode(array $export): array
+    {
+        $export['filters'] = json_decode($export['filters'] ?? '', true) ?: [];
+
+        return $export;
+    }
+}
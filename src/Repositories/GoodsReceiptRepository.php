@@ -0,0 +1,231 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Goods receipt documents (MIGO). Every receipt against a PO, full or
+ * partial, gets its own GR number and lines.
+ *
+ * Migrations: database/migrations/015_create_goods_receipts.sql,
+ *   016_add_gr_inspection_and_supplier_returns.sql (inspection columns),
+ *   019_create_locations.sql (location_id)
+ *
+ * Table: goods_receipts
+ *   gr_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   gr_number VARCHAR(20) UNIQUE (GR-YYYY-NNNNNN),
+ *   po_id INT (FK purchase_orders), received_by INT (FK users),
+ *   received_at DATETIME, notes TEXT NULL,
+ *   location_id INT NULL (FK locations; where the goods were put away,
+ *   NULL = default warehouse), INDEX (po_id)
+ *
+ * Table: goods_receipt_items
+ *   gr_item_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   gr_id INT (FK goods_receipts, ON DELETE CASCADE),
+ *   po_item_id INT (FK purchase_order_items), item_id INT (FK items),
+ *   quantity INT (delivered = accepted + rejected + on hold),
+ *   accepted_quantity INT, rejected_quantity INT DEFAULT 0,
+ *   on_hold_quantity INT DEFAULT 0 (still awaiting a decision),
+ *   reject_reason VARCHAR(255) NULL, hold_reason VARCHAR(255) NULL,
+ *   photos TEXT NULL (JSON array of public paths),
+ *   open_after INT (line balance left after this receipt),
+ *   INDEX (gr_id), INDEX (po_item_id)
+ */
+class GoodsReceiptRepository
+{
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * Record a receipt; runs inside the caller's transaction
+     *
+     * @param array $lines [{po_item_id, item_id, accepted_quantity, rejected_quantity,
+     *                      on_hold_quantity, reject_reason, hold_reason, photos, open_after}, ...]
+     * @return array [gr_id, gr_number, gr_item_id by po_item_id]
+     */
+    public function create(int $poId, int $userId, ?string $notes, array $lines, ?int $locationId = null): array
+    {
+        $grNumber = $this->nextNumber();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO goods_receipts (gr_number, po_id, received_by, received_at, notes, location_id)
+            VALUES (?, ?, ?, NOW(), ?, ?)
+        ");
+        $stmt->execute([$grNumber, $poId, $userId, $notes, $locationId]);
+        $grId = (int)$this->db->lastInsertId();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO goods_receipt_items (
+                gr_id, po_item_id, item_id, quantity,
+                accepted_quantity, rejected_quantity, on_hold_quantity,
+                reject_reason, hold_reason, photos, open_after
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ");
+
+        $itemIds = [];
+        foreach ($lines as $line) {
+            $accepted = (int)$line['accepted_quantity'];
+            $rejected = (int)($line['rejected_quantity'] ?? 0);
+            $onHold = (int)($line['on_hold_quantity'] ?? 0);
+
+            $stmt->execute([
+                $grId,
+                $line['po_item_id'],
+                $line['item_id'],
+                $accepted + $rejected + $onHold,
+                $accepted,
+                $rejected,
+                $onHold,
+                $line['reject_reason'] ?? null,
+                $line['hold_reason'] ?? null,
+                !empty($line['photos']) ? json_encode($line['photos']) : null,
+                $line['open_after']
+            ]);
+
+            $itemIds[$line['po_item_id']] = (int)$this->db->lastInsertId();
+        }
+
+        return [$grId, $grNumber, $itemIds];
+    }
+
+    /**
+     * Receipt header with PO and supplier, locked for a hold decision
+     */
+    public function findForUpdate(int $grId): ?array
+    {
+        $stmt = $this->db->prepare("
+            SELECT gr.gr_id, gr.gr_number, gr.po_id, gr.location_id, po.supplier_id, po.status AS po_status
+            FROM goods_receipts gr
+            JOIN purchase_orders po ON gr.po_id = po.po_id
+            WHERE gr.gr_id = ?
+            FOR UPDATE
+        ");
+        $stmt->execute([$grId]);
+
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    /**
+     * Lines of one receipt keyed by gr_item_id, locked
+     */
+    public function getItemsForUpdate(int $grId): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT gri.*, i.item_name, i.unit, i.tracking_type, poi.unit_price
+            FROM goods_receipt_items gri
+            LEFT JOIN items i ON gri.item_id = i.item_id
+            LEFT JOIN purchase_order_items poi ON gri.po_item_id = poi.po_item_id
+            WHERE gri.gr_id = ?
+            FOR UPDATE
+        ");
+        $stmt->execute([$grId]);
+
+        return array_column($stmt->fetchAll(PDO::FETCH_ASSOC), null, 'gr_item_id');
+    }
+
+    /**
+     * Move on-hold quantity to accepted and/or rejected
+     */
+    public function resolveHold(int $grItemId, int $accept, int $reject, ?string $rejectReason): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE goods_receipt_items
+            SET accepted_quantity = accepted_quantity + ?,
+                rejected_quantity = rejected_quantity + ?,
+                on_hold_quantity = on_hold_quantity - ?,
+                reject_reason = COALESCE(?, reject_reason)
+            WHERE gr_item_id = ?
+        ");
+        $stmt->execute([$accept, $reject, $accept + $reject, $rejectReason, $grItemId]);
+    }
+
+    /**
+     * Receipts posted against a PO, oldest first, each with its lines
+     */
+    public function findByPo(int $poId): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT gr.gr_id, gr.gr_number, gr.po_id, gr.received_at, gr.notes,
+                   u.name AS received_by_name, gr.location_id, l.code AS location_code
+            FROM goods_receipts gr
+            LEFT JOIN users u ON gr.received_by = u.user_id
+            LEFT JOIN locations l ON l.location_id = COALESCE(gr.location_id, (SELECT location_id FROM locations WHERE is_default = 1 LIMIT 1))
+            WHERE gr.po_id = ?
+            ORDER BY gr.received_at, gr.gr_id
+        ");
+        $stmt->execute([$poId]);
+        $receipts = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+        if (!$receipts) {
+            return [];
+        }
+
+        $ids = array_column($receipts, 'gr_id');
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+
+        $stmt = $this->db->prepare("
+            SELECT gri.gr_item_id, gri.gr_id, gri.po_item_id, gri.item_id, gri.quantity,
+                   gri.accepted_quantity, gri.rejected_quantity, gri.on_hold_quantity,
+                   gri.reject_reason, gri.hold_reason, gri.photos, gri.open_after,
+                   poi.line_no, i.item_name, i.sku, i.unit, i.tracking_type
+            FROM goods_receipt_items gri
+            LEFT JOIN purchase_order_items poi ON gri.po_item_id = poi.po_item_id
+            LEFT JOIN items i ON gri.item_id = i.item_id
+            WHERE gri.gr_id IN ($placeholders)
+            ORDER BY poi.line_no
+        ");
+        $stmt->execute($ids);
+
+        $linesByReceipt = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $line) {
+            $line['photos'] = $line['photos'] ? (json_decode($line['photos'], true) ?? []) : [];
+            $linesByReceipt[$line['gr_id']][] = $line;
+        }
+
+        $stmt = $this->db->prepare("
+            SELECT gr_id, return_id, rts_number, status
+            FROM supplier_returns
+            WHERE gr_id IN ($placeholders)
+            ORDER BY return_id
+        ");
+        $stmt->execute($ids);
+
+        $returnsByReceipt = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $return) {
+            $returnsByReceipt[$return['gr_id']][] = $return;
+        }
+
+        return array_map(function ($receipt) use ($linesByReceipt, $returnsByReceipt) {
+            $receipt['lines'] = $linesByReceipt[$receipt['gr_id']] ?? [];
+            $receipt['returns'] = $returnsByReceipt[$receipt['gr_id']] ?? [];
+            $receipt['total_quantity'] = array_sum(array_column($receipt['lines'], 'quantity'));
+            $receipt['on_hold_quantity'] = array_sum(array_column($receipt['lines'], 'on_hold_quantity'));
+            return $receipt;
+        }, $receipts);
+    }
+
+    /**
+     * GR-YYYY-NNNNNN, numbered per year
+     */
+    private function nextNumber(): string
+    {
+        $prefix = 'GR-' . date('Y') . '-';
+
+        $stmt = $this->db->prepare("
+            SELECT MAX(CAST(SUBSTRING(gr_number, ?) AS UNSIGNED))
+            FROM goods_receipts
+            WHERE gr_number LIKE ?
+            FOR UPDATE
+        ");
+        $stmt->execute([strlen($prefix) + 1, $prefix . '%']);
+        $maxNum = (int)$stmt->fetchColumn();
+
+        return $prefix . str_pad($maxNum + 1, 6, '0', STR_PAD_LEFT);
+    }
+}
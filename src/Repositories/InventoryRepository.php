@@ -4,6 +4,7 @@ namespace Janstro\InventorySystem\Repositories;
 
 use Janstro\InventorySystem\Config\Database;
 use Janstro\InventorySystem\Models\Item;
+use Janstro\InventorySystem\Utils\Pagination;
 use PDO;
 
 /**
@@ -14,31 +15,37 @@ use PDO;
  * ✅ Uses v_current_inventory view (calculated stock)
  * ✅ Correct column: quantity (not current_stock)
  * ✅ Read-only stock queries (transactions manage stock)
+ * ✅ Optional location: quantities held at a location and everything in it
  * ============================================================================
  */
 class InventoryRepository
 {
     private PDO $db;
+    private LocationRepository $locationRepo;
 
     public function __construct()
     {
         $this->db = Database::connect();
+        $this->locationRepo = new LocationRepository();
     }
 
     /**
      * Get all items from calculated view
      */
-    public function getAll(): array
+    public function getAll(?array $location = null): array
     {
-        $stmt = $this->db->query("
+        [$source, $bindings] = $this->locationRepo->inventorySource($location);
+
+        $stmt = $this->db->prepare("
             SELECT 
                 item_id, item_name, sku, category_id, category_name,
                 unit, reorder_level, unit_price, item_status as status,
                 current_quantity as quantity,
                 created_at, updated_at
-            FROM v_current_inventory
+            FROM {$source}
             ORDER BY item_name ASC
         ");
+        $stmt->execute($bindings);
 
         $items = [];
         while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
@@ -48,6 +55,87 @@ class InventoryRepository
         return $items;
     }
 
+    /**
+     * Get one page of items (search, stock status filter, sorting)
+     *
+     * @return array{items: Item[], total: int}
+     */
+    public function getPage(array $params, array $filters = []): array
+    {
+        [$source, $sourceBindings] = $this->locationRepo->inventorySource($filters['location'] ?? null);
+
+        $where = [];
+        $bindings = [];
+
+        Pagination::applySearch($params, ['item_name', 'sku', 'category_name'], $where, $bindings);
+
+        if (!empty($filters['category_id'])) {
+            $where[] = "category_id = ?";
+            $bindings[] = (int)$filters['category_id'];
+        }
+
+        $statusFilters = [
+            'out_of_stock' => "current_quantity = 0",
+            'low_stock' => "current_quantity > 0 AND current_quantity <= reorder_level",
+            'in_stock' => "current_quantity > reorder_level"
+        ];
+        if (!empty($filters['stock_status']) && isset($statusFilters[$filters['stock_status']])) {
+            $where[] = $statusFilters[$filters['stock_status']];
+        }
+
+        $whereSQL = Pagination::whereClause($where);
+
+        $bindings = array_merge($sourceBindings, $bindings);
+
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM {$source} {$whereSQL}");
+        $stmt->execute($bindings);
+        $total = (int)$stmt->fetchColumn();
+
+        $stmt = $this->db->prepare("
+            SELECT
+                item_id, item_name, sku, category_id, category_name,
+                unit, reorder_level, unit_price, item_status as status,
+                current_quantity as quantity,
+                created_at, updated_at
+            FROM {$source}
+            {$whereSQL}
+            " . Pagination::orderAndLimit($params, 'item_id'));
+        $stmt->execute($bindings);
+
+        $items = [];
+        while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+            $items[] = $this->hydrateItem($row);
+        }
+
+        return ['items' => $items, 'total' => $total];
+    }
+
+    /**
+     * Stock totals across the whole inventory (for summary cards on paged views)
+     */
+    public function getStockTotals(?array $location = null): array
+    {
+        [$source, $bindings] = $this->locationRepo->inventorySource($location);
+
+        $stmt = $this->db->prepare("
+            SELECT
+                COUNT(*) as total_items,
+                SUM(CASE WHEN current_quantity > 0 AND current_quantity <= reorder_level THEN 1 ELSE 0 END) as low_stock_items,
+                SUM(CASE WHEN current_quantity = 0 THEN 1 ELSE 0 END) as out_of_stock_items,
+                COALESCE(SUM(current_quantity * unit_price), 0) as total_value
+            FROM {$source}
+        ");
+        $stmt->execute($bindings);
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return [
+            'total_items' => (int)$row['total_items'],
+            'low_stock_items' => (int)$row['low_stock_items'],
+            'out_of_stock_items' => (int)$row['out_of_stock_items'],
+            'total_value' => round((float)$row['total_value'], 2)
+        ];
+    }
+
     /**
      * Find item by ID
      */
@@ -70,20 +158,45 @@ class InventoryRepository
     }
 
     /**
-     * Get low stock items
+     * Find item by SKU (exact, case-insensitive), as read by a scanner
      */
-    public function getLowStock(): array
+    public function findBySku(string $sku): ?Item
     {
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
                 item_id, item_name, sku, category_id, category_name,
                 unit, reorder_level, unit_price, item_status as status,
                 current_quantity as quantity,
                 created_at, updated_at
             FROM v_current_inventory
+            WHERE UPPER(sku) = UPPER(?)
+            LIMIT 1
+        ");
+
+        $stmt->execute([trim($sku)]);
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return $row ? $this->hydrateItem($row) : null;
+    }
+
+    /**
+     * Get low stock items
+     */
+    public function getLowStock(?array $location = null): array
+    {
+        [$source, $bindings] = $this->locationRepo->inventorySource($location);
+
+        $stmt = $this->db->prepare("
+            SELECT 
+                item_id, item_name, sku, category_id, category_name,
+                unit, reorder_level, unit_price, item_status as status,
+                current_quantity as quantity,
+                created_at, updated_at
+            FROM {$source}
             WHERE current_quantity <= reorder_level
             ORDER BY current_quantity ASC
         ");
+        $stmt->execute($bindings);
 
         $items = [];
         while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
@@ -101,8 +214,8 @@ class InventoryRepository
         $stmt = $this->db->prepare("
             INSERT INTO items (
                 item_name, sku, category_id, 
-                quantity, unit, reorder_level, unit_price, status
-            ) VALUES (?, ?, ?, 0, ?, ?, ?, 'active')
+                quantity, unit, reorder_level, unit_price, status, tracking_type
+            ) VALUES (?, ?, ?, 0, ?, ?, ?, 'active', ?)
         ");
 
         $stmt->execute([
@@ -111,7 +224,8 @@ class InventoryRepository
             $data['category_id'],
             $data['unit'] ?? 'pcs',
             $data['reorder_level'] ?? 10,
-            $data['unit_price']
+            $data['unit_price'],
+            $data['tracking_type'] ?? 'none'
         ]);
 
         return (int)$this->db->lastInsertId();
@@ -128,7 +242,7 @@ class InventoryRepository
         $values = [];
 
         foreach ($data as $key => $value) {
-            if (in_array($key, ['item_name', 'sku', 'category_id', 'unit', 'reorder_level', 'unit_price', 'status'])) {
+            if (in_array($key, ['item_name', 'sku', 'category_id', 'unit', 'reorder_level', 'unit_price', 'status', 'tracking_type'])) {
                 $fields[] = "$key = ?";
                 $values[] = $value;
             }
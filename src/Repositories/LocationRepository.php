@@ -0,0 +1,303 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Storage locations: warehouses, zones inside a warehouse and bins inside a
+ * zone (or directly in a warehouse). Stock is still calculated from
+ * transactions; each movement now records the location it happened at.
+ *
+ * Migration: database/migrations/019_create_locations.sql
+ *
+ * Table: locations
+ *   location_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   parent_id INT NULL (FK locations), location_type ENUM('warehouse','zone','bin'),
+ *   code VARCHAR(30) UNIQUE, name VARCHAR(100),
+ *   path VARCHAR(255) ('/1/4/9/' - ancestors then self, for subtree filters),
+ *   is_default TINYINT(1) DEFAULT 0 (exactly one warehouse),
+ *   status ENUM('active','inactive') DEFAULT 'active', created_at DATETIME,
+ *   INDEX (parent_id), INDEX (path)
+ *   Seed: INSERT INTO locations (location_id, location_type, code, name, path, is_default, status, created_at)
+ *         VALUES (1, 'warehouse', 'MAIN', 'Main Warehouse', '/1/', 1, 'active', NOW())
+ *
+ * Table: transactions (adds location_id INT NULL, FK locations, INDEX)
+ *   NULL = the default warehouse; movements from before locations existed
+ *   keep NULL and count as stock there.
+ */
+class LocationRepository
+{
+    public const TYPES = ['warehouse', 'zone', 'bin'];
+
+    // Where a transaction happened, with pre-location movements in the default warehouse
+    public const TRANSACTION_LOCATION = "COALESCE(%s.location_id, (SELECT location_id FROM locations WHERE is_default = 1 LIMIT 1))";
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * All locations in tree order, with the stock held directly at each
+     */
+    public function getAll(bool $activeOnly = false): array
+    {
+        $location = sprintf(self::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->query("
+            SELECT l.*, p.code AS parent_code,
+                   COALESCE(s.quantity, 0) AS stock_quantity,
+                   COALESCE(s.stock_value, 0) AS stock_value,
+                   COALESCE(s.item_count, 0) AS item_count
+            FROM locations l
+            LEFT JOIN locations p ON l.parent_id = p.location_id
+            LEFT JOIN (
+                SELECT location_id, SUM(quantity) AS quantity,
+                       SUM(quantity * unit_price) AS stock_value,
+                       SUM(CASE WHEN quantity <> 0 THEN 1 ELSE 0 END) AS item_count
+                FROM (
+                    SELECT $location AS location_id, t.item_id, i.unit_price,
+                           SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) AS quantity
+                    FROM transactions t
+                    JOIN items i ON t.item_id = i.item_id
+                    GROUP BY 1, t.item_id, i.unit_price
+                ) per_item
+                GROUP BY location_id
+            ) s ON s.location_id = l.location_id
+            " . ($activeOnly ? "WHERE l.status = 'active'" : "") . "
+            ORDER BY l.path
+        ");
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    public function findById(int $locationId): ?array
+    {
+        $stmt = $this->db->prepare("SELECT * FROM locations WHERE location_id = ?");
+        $stmt->execute([$locationId]);
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    public function findDefault(): ?array
+    {
+        $stmt = $this->db->query("SELECT * FROM locations WHERE is_default = 1 LIMIT 1");
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    public function codeExists(string $code, ?int $exceptId = null): bool
+    {
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM locations WHERE UPPER(code) = UPPER(?) AND location_id <> ?");
+        $stmt->execute([$code, $exceptId ?? 0]);
+        return (int)$stmt->fetchColumn() > 0;
+    }
+
+    /**
+     * @return int New location_id
+     */
+    public function create(array $data, ?array $parent): int
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO locations (parent_id, location_type, code, name, path, is_default, status, created_at)
+            VALUES (?, ?, ?, ?, '', 0, 'active', NOW())
+        ");
+        $stmt->execute([
+            $parent['location_id'] ?? null,
+            $data['location_type'],
+            $data['code'],
+            $data['name']
+        ]);
+        $locationId = (int)$this->db->lastInsertId();
+
+        $stmt = $this->db->prepare("UPDATE locations SET path = ? WHERE location_id = ?");
+        $stmt->execute([($parent['path'] ?? '/') . $locationId . '/', $locationId]);
+
+        return $locationId;
+    }
+
+    public function update(int $locationId, array $data): bool
+    {
+        $fields = [];
+        $values = [];
+
+        foreach ($data as $key => $value) {
+            if (in_array($key, ['code', 'name', 'status'])) {
+                $fields[] = "$key = ?";
+                $values[] = $value;
+            }
+        }
+
+        if (empty($fields)) {
+            return false;
+        }
+
+        $values[] = $locationId;
+        $stmt = $this->db->prepare("UPDATE locations SET " . implode(', ', $fields) . " WHERE location_id = ?");
+        return $stmt->execute($values);
+    }
+
+    public function countActiveChildren(int $locationId): int
+    {
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM locations WHERE parent_id = ? AND status = 'active'");
+        $stmt->execute([$locationId]);
+        return (int)$stmt->fetchColumn();
+    }
+
+    // ========================================================================
+    // STOCK BY LOCATION
+    // ========================================================================
+
+    /**
+     * Stock of one item held at exactly this location
+     */
+    public function getQuantityAt(int $itemId, int $locationId): int
+    {
+        $location = sprintf(self::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END), 0)
+            FROM transactions t
+            WHERE t.item_id = ? AND $location = ?
+        ");
+        $stmt->execute([$itemId, $locationId]);
+
+        return (int)$stmt->fetchColumn();
+    }
+
+    /**
+     * Where one item is held, one row per location with stock
+     */
+    public function getItemLocations(int $itemId): array
+    {
+        $location = sprintf(self::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT l.location_id, l.code, l.name, l.location_type, l.path, s.quantity
+            FROM (
+                SELECT $location AS location_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) AS quantity
+                FROM transactions t
+                WHERE t.item_id = ?
+                GROUP BY 1
+            ) s
+            JOIN locations l ON s.location_id = l.location_id
+            WHERE s.quantity <> 0
+            ORDER BY l.path
+        ");
+        $stmt->execute([$itemId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Item x location stock rows for a location and everything inside it
+     */
+    public function getStock(string $path, ?string $search = null): array
+    {
+        $location = sprintf(self::TRANSACTION_LOCATION, 't');
+        $params = [$path . '%'];
+        $searchSQL = '';
+
+        if ($search) {
+            $searchSQL = "AND (i.item_name LIKE ? OR i.sku LIKE ?)";
+            $params[] = "%$search%";
+            $params[] = "%$search%";
+        }
+
+        $stmt = $this->db->prepare("
+            SELECT l.location_id, l.code AS location_code, l.name AS location_name, l.location_type,
+                   i.item_id, i.item_name, i.sku, i.unit, i.unit_price, i.tracking_type,
+                   s.quantity, s.quantity * i.unit_price AS stock_value
+            FROM (
+                SELECT $location AS location_id, t.item_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) AS quantity
+                FROM transactions t
+                GROUP BY 1, t.item_id
+            ) s
+            JOIN locations l ON s.location_id = l.location_id
+            JOIN items i ON s.item_id = i.item_id
+            WHERE s.quantity <> 0 AND l.path LIKE ? $searchSQL
+            ORDER BY l.path, i.item_name
+        ");
+        $stmt->execute($params);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * A drop-in replacement for v_current_inventory with quantities held at
+     * a location and everything inside it. Without a location it is the
+     * view itself.
+     *
+     * @return array [FROM source, bindings to put before any WHERE bindings]
+     */
+    public function inventorySource(?array $location): array
+    {
+        if (!$location) {
+            return ['v_current_inventory', []];
+        }
+
+        $txLocation = sprintf(self::TRANSACTION_LOCATION, 't');
+
+        return ["(
+            SELECT v.item_id, v.item_name, v.sku, v.category_id, v.category_name,
+                   v.unit, v.reorder_level, v.unit_price, v.item_status,
+                   v.created_at, v.updated_at,
+                   COALESCE(ls.quantity, 0) AS current_quantity,
+                   CASE WHEN COALESCE(ls.quantity, 0) = 0 THEN 'out_of_stock'
+                        WHEN COALESCE(ls.quantity, 0) <= v.reorder_level THEN 'low_stock'
+                        ELSE 'in_stock' END AS stock_status,
+                   COALESCE(ls.quantity, 0) * v.unit_price AS stock_value
+            FROM v_current_inventory v
+            LEFT JOIN (
+                SELECT t.item_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) AS quantity
+                FROM transactions t
+                JOIN locations tl ON tl.location_id = $txLocation
+                WHERE tl.path LIKE ?
+                GROUP BY t.item_id
+            ) ls ON ls.item_id = v.item_id
+        ) inv", [$location['path'] . '%']];
+    }
+
+    /**
+     * WHERE condition keeping transactions at a location and everything inside it
+     *
+     * @return array [condition, bindings]
+     */
+    public function transactionFilter(array $location, string $alias = 't'): array
+    {
+        $txLocation = sprintf(self::TRANSACTION_LOCATION, $alias);
+
+        return [
+            "$txLocation IN (SELECT location_id FROM locations WHERE path LIKE ?)",
+            [$location['path'] . '%']
+        ];
+    }
+
+    /**
+     * Location codes of transactions, keyed by transaction_id
+     */
+    public function getTransactionLocations(array $transactionIds): array
+    {
+        if (!$transactionIds) {
+            return [];
+        }
+
+        $location = sprintf(self::TRANSACTION_LOCATION, 't');
+        $placeholders = implode(',', array_fill(0, count($transactionIds), '?'));
+
+        $stmt = $this->db->prepare("
+            SELECT t.transaction_id, l.location_id, l.code AS location_code, l.name AS location_name
+            FROM transactions t
+            JOIN locations l ON l.location_id = $location
+            WHERE t.transaction_id IN ($placeholders)
+        ");
+        $stmt->execute(array_values($transactionIds));
+
+        return array_column($stmt->fetchAll(PDO::FETCH_ASSOC), null, 'transaction_id');
+    }
+}
@@ -7,6 +7,22 @@ use Janstro\InventorySystem\Models\PurchaseOrder;
 use PDO;
 use PDOException;
 
+/**
+ * Purchase order headers and their line items.
+ *
+ * Table: purchase_order_items (database/migrations/013_create_purchase_order_items.sql)
+ *   po_item_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   po_id INT (FK purchase_orders, ON DELETE CASCADE), line_no INT,
+ *   item_id INT (FK items), quantity INT, unit_price DECIMAL(12,2),
+ *   tax_rate DECIMAL(5,2) DEFAULT 0 (percent), tax_amount DECIMAL(12,2),
+ *   line_total DECIMAL(12,2) (incl. tax), expected_date DATE NULL,
+ *   received_quantity INT DEFAULT 0, INDEX (po_id), INDEX (item_id)
+ *
+ * purchase_orders keeps item_id/quantity/unit_price of the first line so
+ * older reports keep working; total_amount is the sum of line_total.
+ * purchase_orders.status adds 'partially_received' (some lines or part of
+ * a line received, the rest still open) between approved and delivered.
+ */
 class PurchaseOrderRepository
 {
     private PDO $db;
@@ -63,17 +79,28 @@ class PurchaseOrderRepository
             $stmt->execute([$poId]);
 
             $result = $stmt->fetch();
-            return $result ? new PurchaseOrder($result) : null;
+            if (!$result) {
+                return null;
+            }
+
+            $result['lines'] = $this->getLines($poId);
+            return new PurchaseOrder($result);
         } catch (PDOException $e) {
             error_log("PurchaseOrderRepository::findById Error: " . $e->getMessage());
             return null;
         }
     }
 
-    /* Create purchase order */
+    /* Create purchase order (with $data['lines'] when given) */
     public function create(array $data): ?int
     {
+        $ownTransaction = !$this->db->inTransaction();
+
         try {
+            if ($ownTransaction) {
+                $this->db->beginTransaction();
+            }
+
             $stmt = $this->db->prepare("
                 INSERT INTO purchase_orders (
                     supplier_id,
@@ -83,8 +110,9 @@ class PurchaseOrderRepository
                     total_amount,
                     expected_delivery_date,
                     created_by,
-                    status
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    status,
+                    notes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             ");
 
             $stmt->execute([
@@ -95,16 +123,174 @@ class PurchaseOrderRepository
                 $data['total_amount'],
                 $data['expected_delivery_date'],
                 $data['created_by'],
-                $data['status'] ?? 'pending'
+                $data['status'] ?? 'pending',
+                $data['notes'] ?? null
             ]);
 
-            return (int)$this->db->lastInsertId();
+            $poId = (int)$this->db->lastInsertId();
+
+            if (!empty($data['lines'])) {
+                $this->createLines($poId, $data['lines']);
+            }
+
+            if ($ownTransaction) {
+                $this->db->commit();
+            }
+
+            return $poId;
         } catch (PDOException $e) {
+            if ($ownTransaction && $this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
             error_log("PurchaseOrderRepository::create Error: " . $e->getMessage());
             return null;
         }
     }
 
+    // ========================================================================
+    // LINE ITEMS
+    // ========================================================================
+
+    /**
+     * Insert priced lines (see PurchaseOrderRepository::priceLine).
+     * Throws, so callers can roll back the whole order.
+     */
+    public function createLines(int $poId, array $lines): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO purchase_order_items (
+                po_id, line_no, item_id, quantity, unit_price,
+                tax_rate, tax_amount, line_total, expected_date, received_quantity
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+        ");
+
+        foreach (array_values($lines) as $i => $line) {
+            $stmt->execute([
+                $poId,
+                $i + 1,
+                $line['item_id'],
+                $line['quantity'],
+                $line['unit_price'],
+                $line['tax_rate'] ?? 0,
+                $line['tax_amount'] ?? 0,
+                $line['line_total'],
+                $line['expected_date'] ?? null
+            ]);
+        }
+    }
+
+    /**
+     * Swap all lines of a PO that has not been received yet
+     */
+    public function replaceLines(int $poId, array $lines): void
+    {
+        $stmt = $this->db->prepare("DELETE FROM purchase_order_items WHERE po_id = ?");
+        $stmt->execute([$poId]);
+
+        $this->createLines($poId, $lines);
+    }
+
+    /**
+     * Lines of a PO with item details and the quantity still open.
+     * Orders created before line items existed were given their header
+     * item as line 1 by migration 013.
+     */
+    public function getLines(int $poId, bool $forUpdate = false): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT
+                poi.po_item_id, poi.po_id, poi.line_no, poi.item_id,
+                i.item_name, i.sku, i.unit, i.tracking_type,
+                poi.quantity, poi.unit_price, poi.tax_rate, poi.tax_amount,
+                poi.line_total, poi.expected_date, poi.received_quantity,
+                GREATEST(poi.quantity - poi.received_quantity, 0) AS open_quantity
+            FROM purchase_order_items poi
+            LEFT JOIN items i ON poi.item_id = i.item_id
+            WHERE poi.po_id = ?
+            ORDER BY poi.line_no
+            " . ($forUpdate ? "FOR UPDATE" : ""));
+        $stmt->execute([$poId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Open PO lines (backorders) with how long they have been outstanding.
+     * days_overdue counts from the line's expected date, falling back to
+     * the PO's; negative means not yet due.
+     */
+    public function getOpenLines(?int $supplierId = null): array
+    {
+        $sql = "
+            SELECT
+                po.po_id, po.status, po.po_date, po.supplier_id, s.supplier_name,
+                poi.po_item_id, poi.line_no, poi.item_id, i.item_name, i.sku, i.unit,
+                poi.quantity, poi.received_quantity, poi.unit_price,
+                poi.quantity - poi.received_quantity AS open_quantity,
+                ROUND((poi.quantity - poi.received_quantity) * poi.unit_price, 2) AS open_value,
+                COALESCE(poi.expected_date, po.expected_delivery_date) AS expected_date,
+                DATEDIFF(CURDATE(), po.po_date) AS days_open,
+                DATEDIFF(CURDATE(), COALESCE(poi.expected_date, po.expected_delivery_date)) AS days_overdue,
+                (SELECT MAX(gr.received_at) FROM goods_receipts gr WHERE gr.po_id = po.po_id) AS last_receipt_at
+            FROM purchase_order_items poi
+            JOIN purchase_orders po ON poi.po_id = po.po_id
+            LEFT JOIN suppliers s ON po.supplier_id = s.supplier_id
+            LEFT JOIN items i ON poi.item_id = i.item_id
+            WHERE po.status IN ('pending', 'approved', 'partially_received')
+            AND poi.quantity > poi.received_quantity
+        ";
+        $params = [];
+
+        if ($supplierId) {
+            $sql .= " AND po.supplier_id = ?";
+            $params[] = $supplierId;
+        }
+
+        $stmt = $this->db->prepare($sql . " ORDER BY days_overdue DESC, po.po_id, poi.line_no");
+        $stmt->execute($params);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Add received quantity to a line
+     */
+    public function addReceivedQuantity(int $poItemId, int $quantity): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE purchase_order_items
+            SET received_quantity = received_quantity + ?
+            WHERE po_item_id = ?
+        ");
+        $stmt->execute([$quantity, $poItemId]);
+    }
+
+    /**
+     * Work out tax and totals for one line; unit price defaults to the
+     * item's list price
+     */
+    public static function priceLine(array $line, float $listPrice): array
+    {
+        $quantity = (int)$line['quantity'];
+        $unitPrice = isset($line['unit_price']) && $line['unit_price'] !== ''
+            ? (float)$line['unit_price']
+            : $listPrice;
+        $taxRate = (float)($line['tax_rate'] ?? 0);
+
+        $net = $quantity * $unitPrice;
+        $taxAmount = round($net * $taxRate / 100, 2);
+
+        return [
+            'item_id' => (int)$line['item_id'],
+            'quantity' => $quantity,
+            'unit_price' => $unitPrice,
+            'tax_rate' => $taxRate,
+            'tax_amount' => $taxAmount,
+            'line_total' => round($net + $taxAmount, 2),
+            'expected_date' => !empty($line['expected_date']) ? $line['expected_date'] : null
+        ];
+    }
+
     /* Update purchase order status */
     public function updateStatus(int $poId, string $status): bool
     {
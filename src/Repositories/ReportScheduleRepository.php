@@ -0,0 +1,149 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Scheduled reports: a report type with its filters, rendered in one format
+ * and emailed to a list of recipients on a daily / weekly / monthly cadence.
+ * public/cron/process-report-schedules.php sends the ones that are due.
+ *
+ * Table: report_schedules (database/migrations/021_create_report_schedules.sql)
+ *   schedule_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   name VARCHAR(100),
+ *   report_type VARCHAR(20) (ReportService::REPORT_TYPES),
+ *   filters JSON NULL ({location_id, period_days}),
+ *   format ENUM('csv','xlsx','pdf') DEFAULT 'pdf',
+ *   recipients TEXT (comma-separated emails),
+ *   frequency ENUM('daily','weekly','monthly'),
+ *   run_time TIME DEFAULT '07:00:00',
+ *   run_day TINYINT NULL (weekly: 1 = Monday .. 7 = Sunday; monthly: 1-28),
+ *   status ENUM('active','paused') DEFAULT 'active',
+ *   next_run_at DATETIME NULL, last_run_at DATETIME NULL,
+ *   last_status ENUM('sent','failed') NULL, last_error VARCHAR(255) NULL,
+ *   created_by INT (FK users), created_at DATETIME, updated_at DATETIME NULL,
+ *   INDEX (status, next_run_at), INDEX (created_by)
+ */
+class ReportScheduleRepository
+{
+    public const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * @param int|null $createdBy Only this user's schedules
+     */
+    public function getAll(?int $createdBy = null): array
+    {
+        $sql = "
+            SELECT rs.*, u.name AS created_by_name
+            FROM report_schedules rs
+            LEFT JOIN users u ON rs.created_by = u.user_id
+        ";
+        $params = [];
+
+        if ($createdBy !== null) {
+            $sql .= " WHERE rs.created_by = ?";
+            $params[] = $createdBy;
+        }
+
+        $stmt = $this->db->prepare($sql . " ORDER BY rs.status, rs.next_run_at");
+        $stmt->execute($params);
+
+        return array_map([$this, 'decode'], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    public function findById(int $scheduleId): ?array
+    {
+        $stmt = $this->db->prepare("
+            SELECT rs.*, u.name AS created_by_name
+            FROM report_schedules rs
+            LEFT JOIN users u ON rs.created_by = u.user_id
+            WHERE rs.schedule_id = ?
+        ");
+        $stmt->execute([$scheduleId]);
+        $schedule = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return $schedule ? $this->decode($schedule) : null;
+    }
+
+    /**
+     * Active schedules whose next run has come
+     */
+    public function getDue(string $now): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT * FROM report_schedules
+            WHERE status = 'active' AND next_run_at <= ?
+            ORDER BY next_run_at
+        ");
+        $stmt->execute([$now]);
+
+        return array_map([$this, 'decode'], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    public function create(array $data, int $userId): int
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO report_schedules (
+                name, report_type, filters, format, recipients, frequency,
+                run_time, run_day, status, next_run_at, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $data['name'],
+            $data['report_type'],
+            json_encode($data['filters']),
+            $data['format'],
+            implode(', ', $data['recipients']),
+            $data['frequency'],
+            $data['run_time'],
+            $data['run_day'],
+            $data['next_run_at'],
+            $userId
+        ]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    public function setStatus(int $scheduleId, string $status, ?string $nextRunAt): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_schedules
+            SET status = ?, next_run_at = ?, updated_at = NOW()
+            WHERE schedule_id = ?
+        ");
+        $stmt->execute([$status, $nextRunAt, $scheduleId]);
+    }
+
+    public function recordRun(int $scheduleId, string $status, ?string $error, string $nextRunAt): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE report_schedules
+            SET last_run_at = NOW(), last_status = ?, last_error = ?, next_run_at = ?
+            WHERE schedule_id = ?
+        ");
+        $stmt->execute([$status, $error !== null ? mb_substr($error, 0, 255) : null, $nextRunAt, $scheduleId]);
+    }
+
+    public function delete(int $scheduleId): void
+    {
+        $stmt = $this->db->prepare("DELETE FROM report_schedules WHERE schedule_id = ?");
+        $stmt->execute([$scheduleId]);
+    }
+
+    private function decode(array $schedule): array
+    {
+        $schedule['filters'] = json_decode($schedule['filters'] ?? '', true) ?: [];
+        $schedule['recipients'] = array_values(array_filter(array_map('trim', explode(',', (string)$schedule['recipients']))));
+
+        return $schedule;
+    }
+}
@@ -0,0 +1,258 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Cycle count / physical inventory sessions. Each session snapshots the
+ * system quantity of every item in scope when it is created; counters fill
+ * in what they find and an admin approves the variances.
+ *
+ * Migrations: database/migrations/018_create_stock_counts.sql,
+ *   019_create_locations.sql (location_id)
+ *
+ * Table: stock_counts
+ *   count_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   count_number VARCHAR(20) UNIQUE (CNT-YYYY-NNNNNN),
+ *   scope_type ENUM('all','category') DEFAULT 'all',
+ *   category_id INT NULL (FK categories),
+ *   location_id INT NULL (FK locations; counted there, NULL = default warehouse),
+ *   assigned_to INT (FK users), blind TINYINT(1) DEFAULT 1
+ *     (counters do not see system quantities),
+ *   status ENUM('open','counting','submitted','approved','cancelled') DEFAULT 'open',
+ *   notes TEXT NULL, created_by INT (FK users), created_at DATETIME,
+ *   submitted_at DATETIME NULL, approved_by INT NULL, approved_at DATETIME NULL,
+ *   INDEX (status), INDEX (assigned_to)
+ *
+ * Table: stock_count_items
+ *   count_item_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   count_id INT (FK stock_counts, ON DELETE CASCADE), item_id INT (FK items),
+ *   system_quantity INT (snapshot at creation), counted_quantity INT NULL,
+ *   counted_by INT NULL, counted_at DATETIME NULL,
+ *   reason_code VARCHAR(30) NULL, adjustment_quantity INT NULL (posted at approval),
+ *   UNIQUE (count_id, item_id)
+ */
+class StockCountRepository
+{
+    public const STATUSES = ['open', 'counting', 'submitted', 'approved', 'cancelled'];
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * Create a session and snapshot its items; runs inside the caller's transaction
+     *
+     * @return array [count_id, count_number, item count]
+     */
+    public function create(array $data, int $userId): array
+    {
+        $countNumber = $this->nextNumber();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO stock_counts (
+                count_number, scope_type, category_id, location_id, assigned_to, blind,
+                status, notes, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $countNumber,
+            $data['scope_type'],
+            $data['category_id'],
+            $data['location_id'],
+            $data['assigned_to'],
+            $data['blind'] ? 1 : 0,
+            $data['notes'],
+            $userId
+        ]);
+        $countId = (int)$this->db->lastInsertId();
+
+        // Snapshot what is held at exactly the counted location
+        $txLocation = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+        $where = "v.item_status = 'active'";
+        $params = [$countId, $data['location_id']];
+
+        if ($data['scope_type'] === 'category') {
+            $where .= " AND v.category_id = ?";
+            $params[] = $data['category_id'];
+        }
+
+        $stmt = $this->db->prepare("
+            INSERT INTO stock_count_items (count_id, item_id, system_quantity)
+            SELECT ?, v.item_id, COALESCE(ls.quantity, 0)
+            FROM v_current_inventory v
+            LEFT JOIN (
+                SELECT t.item_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) AS quantity
+                FROM transactions t
+                WHERE $txLocation = ?
+                GROUP BY t.item_id
+            ) ls ON ls.item_id = v.item_id
+            WHERE $where
+            ORDER BY v.item_name
+        ");
+        $stmt->execute($params);
+
+        return [$countId, $countNumber, $stmt->rowCount()];
+    }
+
+    /**
+     * Sessions with progress, newest first
+     */
+    public function getAll(array $filters = []): array
+    {
+        $where = ["1=1"];
+        $params = [];
+
+        foreach (['status', 'assigned_to'] as $field) {
+            if (!empty($filters[$field])) {
+                $where[] = "sc.$field = ?";
+                $params[] = $filters[$field];
+            }
+        }
+
+        return $this->fetchHeaders(implode(' AND ', $where), $params);
+    }
+
+    public function findById(int $countId, bool $forUpdate = false): ?array
+    {
+        if ($forUpdate) {
+            $stmt = $this->db->prepare("SELECT * FROM stock_counts WHERE count_id = ? FOR UPDATE");
+            $stmt->execute([$countId]);
+            return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+        }
+
+        $counts = $this->fetchHeaders("sc.count_id = ?", [$countId]);
+        return $counts[0] ?? null;
+    }
+
+    /**
+     * Lines of one session, keyed by item_id
+     */
+    public function getItems(int $countId, bool $forUpdate = false): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT sci.*, i.item_name, i.sku, i.unit, i.unit_price, i.tracking_type,
+                   c.name AS category_name, u.name AS counted_by_name
+            FROM stock_count_items sci
+            JOIN items i ON sci.item_id = i.item_id
+            LEFT JOIN categories c ON i.category_id = c.category_id
+            LEFT JOIN users u ON sci.counted_by = u.user_id
+            WHERE sci.count_id = ?
+            ORDER BY i.item_name
+            " . ($forUpdate ? "FOR UPDATE" : "") . "
+        ");
+        $stmt->execute([$countId]);
+
+        return array_column($stmt->fetchAll(PDO::FETCH_ASSOC), null, 'item_id');
+    }
+
+    /**
+     * What each line's item holds at the counted location now, keyed by item_id
+     */
+    public function getCurrentQuantities(int $countId): array
+    {
+        $txLocation = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT sci.item_id,
+                   COALESCE(SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END), 0) AS quantity
+            FROM stock_count_items sci
+            JOIN stock_counts sc ON sc.count_id = sci.count_id
+            LEFT JOIN transactions t ON t.item_id = sci.item_id
+                AND $txLocation = COALESCE(sc.location_id, (SELECT location_id FROM locations WHERE is_default = 1 LIMIT 1))
+            WHERE sci.count_id = ?
+            GROUP BY sci.item_id
+        ");
+        $stmt->execute([$countId]);
+
+        return array_map('intval', array_column($stmt->fetchAll(PDO::FETCH_ASSOC), 'quantity', 'item_id'));
+    }
+
+    public function saveCount(int $countId, int $itemId, int $quantity, int $userId): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE stock_count_items
+            SET counted_quantity = ?, counted_by = ?, counted_at = NOW()
+            WHERE count_id = ? AND item_id = ?
+        ");
+        $stmt->execute([$quantity, $userId, $countId, $itemId]);
+    }
+
+    public function saveAdjustment(int $countId, int $itemId, int $adjustment, ?string $reasonCode): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE stock_count_items
+            SET adjustment_quantity = ?, reason_code = ?
+            WHERE count_id = ? AND item_id = ?
+        ");
+        $stmt->execute([$adjustment, $reasonCode, $countId, $itemId]);
+    }
+
+    public function updateStatus(int $countId, string $status, ?int $userId = null): void
+    {
+        $extra = match ($status) {
+            'submitted' => ", submitted_at = NOW()",
+            'approved' => ", approved_by = :user_id, approved_at = NOW()",
+            'counting' => ", submitted_at = NULL",
+            default => ""
+        };
+
+        $params = ['status' => $status, 'count_id' => $countId];
+        if ($status === 'approved') {
+            $params['user_id'] = $userId;
+        }
+
+        $stmt = $this->db->prepare("UPDATE stock_counts SET status = :status $extra WHERE count_id = :count_id");
+        $stmt->execute($params);
+    }
+
+    private function fetchHeaders(string $where, array $params): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT sc.*, c.name AS category_name, l.code AS location_code, l.name AS location_name,
+                   ua.name AS assigned_to_name, uc.name AS created_by_name, up.name AS approved_by_name,
+                   COUNT(sci.count_item_id) AS item_count,
+                   SUM(CASE WHEN sci.counted_quantity IS NOT NULL THEN 1 ELSE 0 END) AS counted_count,
+                   SUM(CASE WHEN sci.counted_quantity IS NOT NULL
+                            AND sci.counted_quantity <> sci.system_quantity THEN 1 ELSE 0 END) AS variance_count
+            FROM stock_counts sc
+            LEFT JOIN categories c ON sc.category_id = c.category_id
+            LEFT JOIN locations l ON l.location_id = COALESCE(sc.location_id, (SELECT location_id FROM locations WHERE is_default = 1 LIMIT 1))
+            LEFT JOIN users ua ON sc.assigned_to = ua.user_id
+            LEFT JOIN users uc ON sc.created_by = uc.user_id
+            LEFT JOIN users up ON sc.approved_by = up.user_id
+            LEFT JOIN stock_count_items sci ON sci.count_id = sc.count_id
+            WHERE $where
+            GROUP BY sc.count_id
+            ORDER BY sc.created_at DESC, sc.count_id DESC
+        ");
+        $stmt->execute($params);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * CNT-YYYY-NNNNNN, numbered per year
+     */
+    private function nextNumber(): string
+    {
+        $prefix = 'CNT-' . date('Y') . '-';
+
+        $stmt = $this->db->prepare("
+            SELECT MAX(CAST(SUBSTRING(count_number, ?) AS UNSIGNED))
+            FROM stock_counts
+            WHERE count_number LIKE ?
+            FOR UPDATE
+        ");
+        $stmt->execute([strlen($prefix) + 1, $prefix . '%']);
+        $maxNum = (int)$stmt->fetchColumn();
+
+        return $prefix . str_pad($maxNum + 1, 6, '0', STR_PAD_LEFT);
+    }
+}
@@ -0,0 +1,157 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Inter-location transfer documents. Each line is posted as an OUT at the
+ * source and an IN at the destination under the transfer number.
+ *
+ * Migration: database/migrations/019_create_locations.sql
+ *
+ * Table: stock_transfers
+ *   transfer_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   transfer_number VARCHAR(20) UNIQUE (TRF-YYYY-NNNNNN),
+ *   from_location_id INT (FK locations), to_location_id INT (FK locations),
+ *   notes TEXT NULL, created_by INT (FK users), created_at DATETIME,
+ *   INDEX (from_location_id), INDEX (to_location_id)
+ *
+ * Table: stock_transfer_items
+ *   transfer_item_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   transfer_id INT (FK stock_transfers, ON DELETE CASCADE),
+ *   item_id INT (FK items), quantity INT, INDEX (transfer_id)
+ */
+class StockTransferRepository
+{
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * Record a transfer; runs inside the caller's transaction
+     *
+     * @param array $lines [{item_id, quantity}, ...]
+     * @return array [transfer_id, transfer_number]
+     */
+    public function create(int $fromLocationId, int $toLocationId, int $userId, ?string $notes, array $lines): array
+    {
+        $transferNumber = $this->nextNumber();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO stock_transfers (transfer_number, from_location_id, to_location_id, notes, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, NOW())
+        ");
+        $stmt->execute([$transferNumber, $fromLocationId, $toLocationId, $notes, $userId]);
+        $transferId = (int)$this->db->lastInsertId();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO stock_transfer_items (transfer_id, item_id, quantity) VALUES (?, ?, ?)
+        ");
+
+        foreach ($lines as $line) {
+            $stmt->execute([$transferId, $line['item_id'], $line['quantity']]);
+        }
+
+        return [$transferId, $transferNumber];
+    }
+
+    /**
+     * Transfers with their lines, newest first
+     *
+     * $filters: location_path (either side inside it), item_id
+     */
+    public function getAll(array $filters = []): array
+    {
+        $where = ["1=1"];
+        $params = [];
+
+        if (!empty($filters['location_path'])) {
+            $where[] = "(lf.path LIKE ? OR lt.path LIKE ?)";
+            $params[] = $filters['location_path'] . '%';
+            $params[] = $filters['location_path'] . '%';
+        }
+
+        if (!empty($filters['item_id'])) {
+            $where[] = "st.transfer_id IN (SELECT transfer_id FROM stock_transfer_items WHERE item_id = ?)";
+            $params[] = (int)$filters['item_id'];
+        }
+
+        return $this->fetchTransfers(implode(' AND ', $where), $params);
+    }
+
+    public function findById(int $transferId): ?array
+    {
+        $transfers = $this->fetchTransfers("st.transfer_id = ?", [$transferId]);
+        return $transfers[0] ?? null;
+    }
+
+    private function fetchTransfers(string $where, array $params): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT st.*,
+                   lf.code AS from_code, lf.name AS from_name,
+                   lt.code AS to_code, lt.name AS to_name,
+                   u.name AS created_by_name
+            FROM stock_transfers st
+            JOIN locations lf ON st.from_location_id = lf.location_id
+            JOIN locations lt ON st.to_location_id = lt.location_id
+            LEFT JOIN users u ON st.created_by = u.user_id
+            WHERE $where
+            ORDER BY st.created_at DESC, st.transfer_id DESC
+            LIMIT 500
+        ");
+        $stmt->execute($params);
+        $transfers = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+        if (!$transfers) {
+            return [];
+        }
+
+        $ids = array_column($transfers, 'transfer_id');
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+
+        $stmt = $this->db->prepare("
+            SELECT sti.*, i.item_name, i.sku, i.unit
+            FROM stock_transfer_items sti
+            JOIN items i ON sti.item_id = i.item_id
+            WHERE sti.transfer_id IN ($placeholders)
+            ORDER BY sti.transfer_item_id
+        ");
+        $stmt->execute($ids);
+
+        $lines = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $line) {
+            $lines[$line['transfer_id']][] = $line;
+        }
+
+        foreach ($transfers as &$transfer) {
+            $transfer['lines'] = $lines[$transfer['transfer_id']] ?? [];
+        }
+
+        return $transfers;
+    }
+
+    /**
+     * TRF-YYYY-NNNNNN, numbered per year
+     */
+    private function nextNumber(): string
+    {
+        $prefix = 'TRF-' . date('Y') . '-';
+
+        $stmt = $this->db->prepare("
+            SELECT MAX(CAST(SUBSTRING(transfer_number, ?) AS UNSIGNED))
+            FROM stock_transfers
+            WHERE transfer_number LIKE ?
+            FOR UPDATE
+        ");
+        $stmt->execute([strlen($prefix) + 1, $prefix . '%']);
+        $maxNum = (int)$stmt->fetchColumn();
+
+        return $prefix . str_pad($maxNum + 1, 6, '0', STR_PAD_LEFT);
+    }
+}
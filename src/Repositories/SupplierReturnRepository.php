@@ -0,0 +1,176 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Return-to-supplier documents for goods rejected at inspection.
+ *
+ * Migration: database/migrations/016_add_gr_inspection_and_supplier_returns.sql
+ *
+ * Table: supplier_returns
+ *   return_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   rts_number VARCHAR(20) UNIQUE (RTS-YYYY-NNNNNN),
+ *   supplier_id INT (FK suppliers), po_id INT (FK purchase_orders),
+ *   gr_id INT (FK goods_receipts),
+ *   status ENUM('open','shipped','closed') DEFAULT 'open',
+ *   notes TEXT NULL, created_by INT (FK users), created_at DATETIME,
+ *   updated_at DATETIME NULL, INDEX (supplier_id), INDEX (gr_id)
+ *
+ * Table: supplier_return_items
+ *   return_item_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   return_id INT (FK supplier_returns, ON DELETE CASCADE),
+ *   gr_item_id INT (FK goods_receipt_items), po_item_id INT,
+ *   item_id INT (FK items), quantity INT, unit_price DECIMAL(12,2),
+ *   reason VARCHAR(255), INDEX (return_id)
+ */
+class SupplierReturnRepository
+{
+    public const STATUSES = ['open', 'shipped', 'closed'];
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * Record a return; runs inside the caller's transaction
+     *
+     * @param array $items [{gr_item_id, po_item_id, item_id, quantity, unit_price, reason}, ...]
+     * @return array [return_id, rts_number]
+     */
+    public function create(int $supplierId, int $poId, int $grId, int $userId, ?string $notes, array $items): array
+    {
+        $rtsNumber = $this->nextNumber();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO supplier_returns (rts_number, supplier_id, po_id, gr_id, status, notes, created_by, created_at)
+            VALUES (?, ?, ?, ?, 'open', ?, ?, NOW())
+        ");
+        $stmt->execute([$rtsNumber, $supplierId, $poId, $grId, $notes, $userId]);
+        $returnId = (int)$this->db->lastInsertId();
+
+        $stmt = $this->db->prepare("
+            INSERT INTO supplier_return_items (return_id, gr_item_id, po_item_id, item_id, quantity, unit_price, reason)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        ");
+
+        foreach ($items as $item) {
+            $stmt->execute([
+                $returnId,
+                $item['gr_item_id'],
+                $item['po_item_id'],
+                $item['item_id'],
+                $item['quantity'],
+                $item['unit_price'],
+                $item['reason']
+            ]);
+        }
+
+        return [$returnId, $rtsNumber];
+    }
+
+    /**
+     * Returns with their lines, newest first
+     */
+    public function getAll(array $filters = []): array
+    {
+        $where = ["1=1"];
+        $params = [];
+
+        foreach (['supplier_id', 'po_id', 'gr_id', 'status'] as $field) {
+            if (!empty($filters[$field])) {
+                $where[] = "sr.$field = ?";
+                $params[] = $filters[$field];
+            }
+        }
+
+        return $this->attachItems($this->fetchHeaders(implode(' AND ', $where), $params));
+    }
+
+    public function findById(int $returnId): ?array
+    {
+        $returns = $this->attachItems($this->fetchHeaders("sr.return_id = ?", [$returnId]));
+        return $returns[0] ?? null;
+    }
+
+    public function updateStatus(int $returnId, string $status): void
+    {
+        $stmt = $this->db->prepare("
+            UPDATE supplier_returns SET status = ?, updated_at = NOW() WHERE return_id = ?
+        ");
+        $stmt->execute([$status, $returnId]);
+    }
+
+    private function fetchHeaders(string $where, array $params): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT sr.*, s.supplier_name, gr.gr_number, u.name AS created_by_name,
+                   COALESCE(SUM(sri.quantity), 0) AS total_quantity,
+                   COALESCE(SUM(sri.quantity * sri.unit_price), 0) AS total_value
+            FROM supplier_returns sr
+            LEFT JOIN suppliers s ON sr.supplier_id = s.supplier_id
+            LEFT JOIN goods_receipts gr ON sr.gr_id = gr.gr_id
+            LEFT JOIN users u ON sr.created_by = u.user_id
+            LEFT JOIN supplier_return_items sri ON sri.return_id = sr.return_id
+            WHERE $where
+            GROUP BY sr.return_id
+            ORDER BY sr.created_at DESC, sr.return_id DESC
+        ");
+        $stmt->execute($params);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    private function attachItems(array $returns): array
+    {
+        if (!$returns) {
+            return [];
+        }
+
+        $ids = array_column($returns, 'return_id');
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+
+        $stmt = $this->db->prepare("
+            SELECT sri.*, i.item_name, i.sku, i.unit
+            FROM supplier_return_items sri
+            LEFT JOIN items i ON sri.item_id = i.item_id
+            WHERE sri.return_id IN ($placeholders)
+            ORDER BY sri.return_item_id
+        ");
+        $stmt->execute($ids);
+
+        $itemsByReturn = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $item) {
+            $itemsByReturn[$item['return_id']][] = $item;
+        }
+
+        return array_map(function ($return) use ($itemsByReturn) {
+            $return['items'] = $itemsByReturn[$return['return_id']] ?? [];
+            return $return;
+        }, $returns);
+    }
+
+    /**
+     * RTS-YYYY-NNNNNN, numbered per year
+     */
+    private function nextNumber(): string
+    {
+        $prefix = 'RTS-' . date('Y') . '-';
+
+        $stmt = $this->db->prepare("
+            SELECT MAX(CAST(SUBSTRING(rts_number, ?) AS UNSIGNED))
+            FROM supplier_returns
+            WHERE rts_number LIKE ?
+            FOR UPDATE
+        ");
+        $stmt->execute([strlen($prefix) + 1, $prefix . '%']);
+        $maxNum = (int)$stmt->fetchColumn();
+
+        return $prefix . str_pad($maxNum + 1, 6, '0', STR_PAD_LEFT);
+    }
+}
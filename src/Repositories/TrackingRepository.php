@@ -0,0 +1,359 @@
+<?php
+
+namespace Janstro\InventorySystem\Repositories;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+
+/**
+ * Lot and serial numbers for tracked items. Quantities still come from
+ * transactions; tracking_movements records which lots / serials each
+ * transaction moved, which gives lot balances per location and the full
+ * history of every unit.
+ *
+ * Migration: database/migrations/020_create_lot_serial_tracking.sql
+ *
+ * Table: items (adds tracking_type ENUM('none','lot','serial') DEFAULT 'none')
+ *
+ * Table: item_lots
+ *   lot_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   item_id INT (FK items), lot_number VARCHAR(50),
+ *   gr_id INT NULL (FK goods_receipts; first receipt), created_at DATETIME,
+ *   UNIQUE (item_id, lot_number)
+ *
+ * Table: item_serials
+ *   serial_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   item_id INT (FK items), serial_number VARCHAR(100),
+ *   status ENUM('in_stock','issued') DEFAULT 'in_stock',
+ *   location_id INT NULL (FK locations; where it is while in stock),
+ *   gr_id INT NULL (FK goods_receipts), created_at DATETIME,
+ *   UNIQUE (item_id, serial_number), INDEX (serial_number)
+ *
+ * Table: tracking_movements
+ *   tracking_movement_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   transaction_id INT (FK transactions), item_id INT (FK items),
+ *   lot_id INT NULL (FK item_lots), serial_id INT NULL (FK item_serials),
+ *   quantity INT (1 for a serial),
+ *   INDEX (transaction_id), INDEX (lot_id), INDEX (serial_id)
+ */
+class TrackingRepository
+{
+    public const TYPES = ['none', 'lot', 'serial'];
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    public function getTrackingType(int $itemId): string
+    {
+        $stmt = $this->db->prepare("SELECT tracking_type FROM items WHERE item_id = ?");
+        $stmt->execute([$itemId]);
+        return $stmt->fetchColumn() ?: 'none';
+    }
+
+    // ========================================================================
+    // RECEIVING
+    // ========================================================================
+
+    /**
+     * Lot id for an item's lot number, creating the lot on first receipt
+     */
+    public function findOrCreateLot(int $itemId, string $lotNumber, ?int $grId): int
+    {
+        $stmt = $this->db->prepare("SELECT lot_id FROM item_lots WHERE item_id = ? AND lot_number = ?");
+        $stmt->execute([$itemId, $lotNumber]);
+        $lotId = $stmt->fetchColumn();
+
+        if ($lotId) {
+            return (int)$lotId;
+        }
+
+        $stmt = $this->db->prepare("
+            INSERT INTO item_lots (item_id, lot_number, gr_id, created_at) VALUES (?, ?, ?, NOW())
+        ");
+        $stmt->execute([$itemId, $lotNumber, $grId]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    /**
+     * Which of these serial numbers the item already has
+     */
+    public function findExistingSerials(int $itemId, array $serials): array
+    {
+        if (!$serials) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($serials), '?'));
+        $stmt = $this->db->prepare("
+            SELECT serial_number FROM item_serials WHERE item_id = ? AND serial_number IN ($placeholders)
+        ");
+        $stmt->execute(array_merge([$itemId], array_values($serials)));
+
+        return $stmt->fetchAll(PDO::FETCH_COLUMN);
+    }
+
+    public function createSerial(int $itemId, string $serialNumber, int $locationId, ?int $grId): int
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO item_serials (item_id, serial_number, status, location_id, gr_id, created_at)
+            VALUES (?, ?, 'in_stock', ?, ?, NOW())
+        ");
+        $stmt->execute([$itemId, $serialNumber, $locationId, $grId]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    public function addMovement(int $transactionId, int $itemId, ?int $lotId, ?int $serialId, int $quantity): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO tracking_movements (transaction_id, item_id, lot_id, serial_id, quantity)
+            VALUES (?, ?, ?, ?, ?)
+        ");
+        $stmt->execute([$transactionId, $itemId, $lotId, $serialId, $quantity]);
+    }
+
+    // ========================================================================
+    // AVAILABILITY / PICKING
+    // ========================================================================
+
+    /**
+     * Serials in stock at exactly this location
+     */
+    public function getAvailableSerials(int $itemId, int $locationId, bool $forUpdate = false): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT serial_id, serial_number, created_at
+            FROM item_serials
+            WHERE item_id = ? AND status = 'in_stock' AND location_id = ?
+            ORDER BY created_at, serial_number
+            " . ($forUpdate ? "FOR UPDATE" : ""));
+        $stmt->execute([$itemId, $locationId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Lots with a positive balance at exactly this location, oldest first
+     */
+    public function getLotBalances(int $itemId, int $locationId): array
+    {
+        $location = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT l.lot_id, l.lot_number, l.created_at,
+                   SUM(CASE WHEN t.transaction_type = 'IN' THEN tm.quantity ELSE -tm.quantity END) AS quantity
+            FROM tracking_movements tm
+            JOIN transactions t ON tm.transaction_id = t.transaction_id
+            JOIN item_lots l ON tm.lot_id = l.lot_id
+            WHERE tm.item_id = ? AND $location = ?
+            GROUP BY l.lot_id, l.lot_number, l.created_at
+            HAVING quantity > 0
+            ORDER BY l.created_at, l.lot_id
+        ");
+        $stmt->execute([$itemId, $locationId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Quantity at a location that carries a lot or serial
+     */
+    public function getTrackedQuantityAt(int $itemId, int $locationId): int
+    {
+        $location = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(SUM(CASE WHEN t.transaction_type = 'IN' THEN tm.quantity ELSE -tm.quantity END), 0)
+            FROM tracking_movements tm
+            JOIN transactions t ON tm.transaction_id = t.transaction_id
+            WHERE tm.item_id = ? AND $location = ?
+        ");
+        $stmt->execute([$itemId, $locationId]);
+
+        return (int)$stmt->fetchColumn();
+    }
+
+    public function updateSerials(array $serialIds, string $status, ?int $locationId): void
+    {
+        if (!$serialIds) {
+            return;
+        }
+
+        $placeholders = implode(',', array_fill(0, count($serialIds), '?'));
+        $stmt = $this->db->prepare("
+            UPDATE item_serials SET status = ?, location_id = ? WHERE serial_id IN ($placeholders)
+        ");
+        $stmt->execute(array_merge([$status, $locationId], array_values($serialIds)));
+    }
+
+    /**
+     * Lot / serial items on a sales order, quantities summed per item
+     */
+    public function getTrackedOrderItems(int $salesOrderId): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT i.item_id, i.item_name, i.sku, i.unit, i.tracking_type, SUM(soi.quantity) AS quantity
+            FROM sales_order_items soi
+            JOIN items i ON soi.item_id = i.item_id
+            WHERE soi.sales_order_id = ? AND i.tracking_type <> 'none'
+            GROUP BY i.item_id, i.item_name, i.sku, i.unit, i.tracking_type
+            ORDER BY i.item_name
+        ");
+        $stmt->execute([$salesOrderId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    // ========================================================================
+    // TRACEABILITY
+    // ========================================================================
+
+    /**
+     * Lot / serial numbers moved by each transaction, keyed by transaction_id
+     */
+    public function getTransactionUnits(array $transactionIds): array
+    {
+        if (!$transactionIds) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($transactionIds), '?'));
+        $stmt = $this->db->prepare("
+            SELECT tm.transaction_id, tm.quantity, l.lot_number, s.serial_number
+            FROM tracking_movements tm
+            LEFT JOIN item_lots l ON tm.lot_id = l.lot_id
+            LEFT JOIN item_serials s ON tm.serial_id = s.serial_id
+            WHERE tm.transaction_id IN ($placeholders)
+            ORDER BY tm.tracking_movement_id
+        ");
+        $stmt->execute(array_values($transactionIds));
+
+        $units = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $units[$row['transaction_id']][] = $row;
+        }
+
+        return $units;
+    }
+
+    /**
+     * Serials and lots whose number starts with the search term, with where
+     * they came from
+     */
+    public function search(string $term, int $limit = 50): array
+    {
+        return $this->fetchUnits("u.serial_number LIKE ?", "u.lot_number LIKE ?", [$term . '%', $term . '%'], $limit);
+    }
+
+    /**
+     * @param string $unitType 'serial' | 'lot'
+     */
+    public function findUnit(string $unitType, int $unitId): ?array
+    {
+        $units = $unitType === 'serial'
+            ? $this->fetchUnits("u.serial_id = ?", "1=0", [$unitId], 1)
+            : $this->fetchUnits("1=0", "u.lot_id = ?", [$unitId], 1);
+
+        return $units[0] ?? null;
+    }
+
+    private function fetchUnits(string $serialWhere, string $lotWhere, array $params, int $limit): array
+    {
+        $origin = "
+            LEFT JOIN goods_receipts gr ON u.gr_id = gr.gr_id
+            LEFT JOIN purchase_orders po ON gr.po_id = po.po_id
+            LEFT JOIN suppliers sup ON po.supplier_id = sup.supplier_id
+        ";
+
+        $stmt = $this->db->prepare("
+            SELECT * FROM (
+                SELECT 'serial' AS unit_type, u.serial_id AS unit_id, u.serial_number AS unit_number,
+                       u.status, loc.code AS location_code,
+                       i.item_id, i.item_name, i.sku, i.unit,
+                       gr.gr_id, gr.gr_number, gr.received_at, po.po_id, sup.supplier_name
+                FROM item_serials u
+                JOIN items i ON u.item_id = i.item_id
+                LEFT JOIN locations loc ON u.location_id = loc.location_id
+                $origin
+                WHERE $serialWhere
+                UNION ALL
+                SELECT 'lot', u.lot_id, u.lot_number,
+                       NULL, NULL,
+                       i.item_id, i.item_name, i.sku, i.unit,
+                       gr.gr_id, gr.gr_number, gr.received_at, po.po_id, sup.supplier_name
+                FROM item_lots u
+                JOIN items i ON u.item_id = i.item_id
+                $origin
+                WHERE $lotWhere
+            ) units
+            ORDER BY unit_number, item_name
+            LIMIT ?
+        ");
+        $stmt->execute(array_merge($params, [$limit]));
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Every movement of one serial or lot, oldest first, with the customer
+     * and installation site for goods issued on an invoice
+     *
+     * @param string $unitType 'serial' | 'lot'
+     */
+    public function getHistory(string $unitType, int $unitId): array
+    {
+        $column = $unitType === 'serial' ? 'tm.serial_id' : 'tm.lot_id';
+        $location = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT t.transaction_id, t.transaction_type, tm.quantity,
+                   t.reference_type, t.reference_number, t.notes, t.movement_date,
+                   l.code AS location_code, l.name AS location_name,
+                   u.name AS user_name,
+                   inv.invoice_id, so.sales_order_id, so.customer_name,
+                   so.delivery_address, so.installation_date
+            FROM tracking_movements tm
+            JOIN transactions t ON tm.transaction_id = t.transaction_id
+            LEFT JOIN locations l ON l.location_id = $location
+            LEFT JOIN users u ON t.user_id = u.user_id
+            LEFT JOIN invoices inv ON t.reference_type = 'INVOICE' AND inv.invoice_number = t.reference_number
+            LEFT JOIN sales_orders so ON inv.sales_order_id = so.sales_order_id
+            WHERE $column = ?
+            ORDER BY t.movement_date, t.transaction_id
+        ");
+        $stmt->execute([$unitId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Current balance of a lot per location
+     */
+    public function getLotLocations(int $lotId): array
+    {
+        $location = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+
+        $stmt = $this->db->prepare("
+            SELECT l.location_id, l.code, l.name, s.quantity
+            FROM (
+                SELECT $location AS location_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN tm.quantity ELSE -tm.quantity END) AS quantity
+                FROM tracking_movements tm
+                JOIN transactions t ON tm.transaction_id = t.transaction_id
+                WHERE tm.lot_id = ?
+                GROUP BY 1
+            ) s
+            JOIN locations l ON s.location_id = l.location_id
+            WHERE s.quantity <> 0
+            ORDER BY l.path
+        ");
+        $stmt->execute([$lotId]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+}
@@ -3,6 +3,7 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\LocationRepository;
 use PDO;
 use Exception;
 
@@ -16,24 +17,56 @@ use Exception;
  */
 class AnalyticsService
 {
+    /* Stocked items with no issue for this many days count as dead stock */
+    public const DEAD_STOCK_DAYS = 90;
+
+    /*
+     * Movements that only move or correct stock: not consumption (COGS) and
+     * not supply for sell-through. Shared with ReportService period metrics.
+     */
+    public const INTERNAL_MOVEMENTS = ['TRANSFER', 'STOCK_COUNT'];
+
+    /*
+     * Goods sent back to the supplier (rejected at receipt or later). The
+     * units were booked IN first, so they come off what was received.
+     */
+    public const SUPPLIER_RETURNS = ['RETURN_TO_SUPPLIER'];
+
+    /* Issues that are not consumption: internal moves and returns to supplier */
+    public const NON_CONSUMPTION_MOVEMENTS = [...self::INTERNAL_MOVEMENTS, ...self::SUPPLIER_RETURNS];
+
     private PDO $db;
+    private LocationService $locationService;
+    private LocationRepository $locationRepo;
 
     public function __construct()
     {
         $this->db = Database::connect();
+        $this->locationService = new LocationService();
+        $this->locationRepo = new LocationRepository();
     }
 
     // ========================================================================
     // DASHBOARD KPIs - ENHANCED
     // ========================================================================
 
-    public function getDashboardKPIs(): array
+    /**
+     * Stock figures, turnover and recent movements for one location (and
+     * everything inside it) when given; orders aren't tied to a location,
+     * so those stay company-wide.
+     */
+    public function getDashboardKPIs($locationId = null): array
     {
+        $location = $this->locationService->filterLocation($locationId);
+        [$source, $sourceBindings] = $this->locationRepo->inventorySource($location);
+        [$condition, $conditionBindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+
         // Total Inventory Value
-        $stmt = $this->db->query("
-            SELECT SUM(quantity * unit_price) as total_value
-            FROM items WHERE status = 'active'
+        $stmt = $this->db->prepare("
+            SELECT SUM(current_quantity * unit_price) as total_value
+            FROM {$source} WHERE item_status = 'active'
         ");
+        $stmt->execute($sourceBindings);
         $inventoryValue = (float)($stmt->fetchColumn() ?: 0);
 
         // Total Items & Categories
@@ -44,20 +77,22 @@ class AnalyticsService
         $totalCategories = (int)$stmt->fetchColumn();
 
         // Low Stock Items
-        $stmt = $this->db->query("
-            SELECT COUNT(*) FROM items 
-            WHERE quantity <= reorder_level AND status = 'active'
+        $stmt = $this->db->prepare("
+            SELECT COUNT(*) FROM {$source}
+            WHERE current_quantity <= reorder_level AND item_status = 'active'
         ");
+        $stmt->execute($sourceBindings);
         $lowStockCount = (int)$stmt->fetchColumn();
 
         // Stock Status Distribution
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
-                SUM(CASE WHEN quantity = 0 THEN 1 ELSE 0 END) as out_of_stock,
-                SUM(CASE WHEN quantity > 0 AND quantity <= reorder_level THEN 1 ELSE 0 END) as low_stock,
-                SUM(CASE WHEN quantity > reorder_level THEN 1 ELSE 0 END) as in_stock
-            FROM items WHERE status = 'active'
+                SUM(CASE WHEN current_quantity = 0 THEN 1 ELSE 0 END) as out_of_stock,
+                SUM(CASE WHEN current_quantity > 0 AND current_quantity <= reorder_level THEN 1 ELSE 0 END) as low_stock,
+                SUM(CASE WHEN current_quantity > reorder_level THEN 1 ELSE 0 END) as in_stock
+            FROM {$source} WHERE item_status = 'active'
         ");
+        $stmt->execute($sourceBindings);
         $stockStatus = $stmt->fetch(PDO::FETCH_ASSOC);
 
         // Order Fulfillment Rate (Last 30 Days)
@@ -77,26 +112,28 @@ class AnalyticsService
         $fulfillmentRate = $totalOrders > 0 ? round(($completedOrders / $totalOrders) * 100, 1) : 0;
 
         // Value-based Inventory Turnover (Last 90 Days)
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
                 SUM(CASE WHEN t.transaction_type = 'OUT' THEN t.quantity * i.unit_price ELSE 0 END) as cogs,
-                AVG(i.quantity * i.unit_price) as avg_inventory_value
+                AVG(i.current_quantity * i.unit_price) as avg_inventory_value
             FROM transactions t
-            JOIN items i ON t.item_id = i.item_id
-            WHERE t.movement_date >= DATE_SUB(NOW(), INTERVAL 90 DAY)
+            JOIN (SELECT item_id, current_quantity, unit_price FROM {$source}) i ON t.item_id = i.item_id
+            WHERE t.movement_date >= DATE_SUB(NOW(), INTERVAL 90 DAY) AND $condition
         ");
+        $stmt->execute(array_merge($sourceBindings, $conditionBindings));
         $turnoverData = $stmt->fetch(PDO::FETCH_ASSOC);
         $cogs = (float)($turnoverData['cogs'] ?: 0);
         $avgInventoryValue = (float)($turnoverData['avg_inventory_value'] ?: $inventoryValue);
         $turnoverRate = $avgInventoryValue > 0 ? round($cogs / $avgInventoryValue, 2) : 0;
 
         // Stock Accuracy Proxy
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
                 COUNT(*) as total_items,
-                SUM(CASE WHEN quantity >= 0 THEN 1 ELSE 0 END) as valid_items
-            FROM items WHERE status = 'active'
+                SUM(CASE WHEN current_quantity >= 0 THEN 1 ELSE 0 END) as valid_items
+            FROM {$source} WHERE item_status = 'active'
         ");
+        $stmt->execute($sourceBindings);
         $accuracyData = $stmt->fetch(PDO::FETCH_ASSOC);
         $stockAccuracy = $totalItems > 0 ? round(((int)$accuracyData['valid_items'] / $totalItems) * 100, 1) : 100;
 
@@ -118,25 +155,28 @@ class AnalyticsService
         }
 
         // Top 5 Items by Value
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
-                item_name, sku, quantity, unit_price,
-                (quantity * unit_price) as total_value
-            FROM items WHERE status = 'active'
+                item_name, sku, current_quantity as quantity, unit_price,
+                (current_quantity * unit_price) as total_value
+            FROM {$source} WHERE item_status = 'active'
             ORDER BY total_value DESC LIMIT 5
         ");
+        $stmt->execute($sourceBindings);
         $topItems = $stmt->fetchAll(PDO::FETCH_ASSOC);
 
         // Recent Transactions
-        $stmt = $this->db->query("
+        $stmt = $this->db->prepare("
             SELECT 
                 t.transaction_type, t.quantity, t.movement_date,
                 i.item_name, u.name as user_name
             FROM transactions t
             LEFT JOIN items i ON t.item_id = i.item_id
             LEFT JOIN users u ON t.user_id = u.user_id
+            WHERE $condition
             ORDER BY t.movement_date DESC LIMIT 10
         ");
+        $stmt->execute($conditionBindings);
         $recentTransactions = $stmt->fetchAll(PDO::FETCH_ASSOC);
 
         // Monthly Trend (Last 6 Months)
@@ -180,6 +220,7 @@ class AnalyticsService
             'top_items' => $topItems,
             'recent_transactions' => $recentTransactions,
             'monthly_trend' => $monthlyTrend,
+            'location' => $location ? "{$location['code']} - {$location['name']}" : null,
             'generated_at' => date('Y-m-d H:i:s')
         ];
     }
@@ -247,6 +288,238 @@ class AnalyticsService
         ];
     }
 
+    // ========================================================================
+    // INVENTORY PERFORMANCE - TURNOVER, DAYS ON HAND, SELL-THROUGH, DEAD STOCK
+    // ========================================================================
+
+    /**
+     * Turnover (COGS / average inventory value), days on hand, sell-through
+     * and dead-stock age over a date window, per category or per item.
+     *
+     * Stock at both ends of the window is worked back from current stock
+     * through the transactions after it, valued at current item prices.
+     * COGS is issued quantity (OUT, excluding transfers, count adjustments
+     * and supplier returns) at the item price.
+     *
+     * @param array $filters {date_from, date_to, group_by (category|item), category_id, location_id}
+     * @return array {date_from, date_to, days, group_by, category, location, dead_stock_days, summary, rows}
+     */
+    public function getInventoryPerformance(array $filters): array
+    {
+        $dateTo = !empty($filters['date_to']) ? $this->parseDate($filters['date_to']) : date('Y-m-d');
+        $dateFrom = !empty($filters['date_from'])
+            ? $this->parseDate($filters['date_from'])
+            : date('Y-m-d', strtotime("$dateTo -89 days"));
+
+        if ($dateFrom > $dateTo) {
+            throw new Exception('Start date is after end date');
+        }
+
+        $groupBy = $filters['group_by'] ?? 'category';
+        if (!in_array($groupBy, ['category', 'item'], true)) {
+            throw new Exception('Group by category or item');
+        }
+
+        $categoryId = isset($filters['category_id']) && $filters['category_id'] !== '' ? (int)$filters['category_id'] : null;
+        $location = $this->locationService->filterLocation($filters['location_id'] ?? null);
+        $days = (int)(new \DateTime($dateFrom))->diff(new \DateTime($dateTo))->days + 1;
+
+        $items = array_map(
+            fn($row) => $this->itemPerformance($row, $dateTo, $days),
+            $this->getItemMovements($location, $dateFrom, $dateTo, $categoryId)
+        );
+
+        if ($groupBy === 'item') {
+            usort($items, fn($a, $b) => $b['closing_value'] <=> $a['closing_value']);
+            $rows = $items;
+        } else {
+            $groups = [];
+            foreach ($items as $item) {
+                $key = $item['category_id'] ?? 0;
+                $groups[$key] ??= [
+                    'category_id' => $item['category_id'],
+                    'category_name' => $item['category_name'] ?? 'Uncategorized',
+                    'items' => []
+                ];
+                $groups[$key]['items'][] = $item;
+            }
+
+            $rows = array_map(
+                fn($group) => ['category_id' => $group['category_id'], 'category_name' => $group['category_name']]
+                    + $this->totalPerformance($group['items'], $days),
+                array_values($groups)
+            );
+            usort($rows, fn($a, $b) => $b['cogs'] <=> $a['cogs']);
+        }
+
+        return [
+            'date_from' => $dateFrom,
+            'date_to' => $dateTo,
+            'days' => $days,
+            'group_by' => $groupBy,
+            'category' => $categoryId !== null && $items ? ($items[0]['category_name'] ?? 'Uncategorized') : null,
+            'location' => $location ? "{$location['code']} - {$location['name']}" : null,
+            'dead_stock_days' => self::DEAD_STOCK_DAYS,
+            'summary' => $this->totalPerformance($items, $days),
+            'rows' => $rows
+        ];
+    }
+
+    /**
+     * Active items with current stock and their movements after and inside the window
+     */
+    private function getItemMovements(?array $location, string $dateFrom, string $dateTo, ?int $categoryId): array
+    {
+        [$source, $sourceBindings] = $this->locationRepo->inventorySource($location);
+        [$condition, $conditionBindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+
+        $internal = "'" . implode("', '", self::INTERNAL_MOVEMENTS) . "'";
+        $returned = "'" . implode("', '", self::SUPPLIER_RETURNS) . "'";
+        $notConsumed = "'" . implode("', '", self::NON_CONSUMPTION_MOVEMENTS) . "'";
+        $signed = "CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END";
+        $inWindow = "DATE(t.movement_date) BETWEEN ? AND ?";
+        $received = "t.transaction_type = 'IN' AND COALESCE(t.reference_type, '') NOT IN ($internal)";
+        $returnedOut = "t.transaction_type = 'OUT' AND t.reference_type IN ($returned)";
+        $issued = "t.transaction_type = 'OUT' AND COALESCE(t.reference_type, '') NOT IN ($notConsumed)";
+
+        $sql = "
+            SELECT item_id, item_name, sku, unit, category_id, category_name, unit_price,
+                   current_quantity, created_at,
+                   COALESCE(m.net_after, 0) AS net_after,
+                   COALESCE(m.net_window, 0) AS net_window,
+                   COALESCE(m.received, 0) AS received,
+                   COALESCE(m.issued, 0) AS issued,
+                   m.last_issue, m.last_receipt
+            FROM {$source}
+            LEFT JOIN (
+                SELECT t.item_id,
+                       SUM(CASE WHEN DATE(t.movement_date) > ? THEN $signed END) AS net_after,
+                       SUM(CASE WHEN $inWindow THEN $signed END) AS net_window,
+                       SUM(CASE WHEN $inWindow AND $received THEN t.quantity
+                                WHEN $inWindow AND $returnedOut THEN -t.quantity END) AS received,
+                       SUM(CASE WHEN $inWindow AND $issued THEN t.quantity END) AS issued,
+                       MAX(CASE WHEN DATE(t.movement_date) <= ? AND $issued THEN t.movement_date END) AS last_issue,
+                       MAX(CASE WHEN DATE(t.movement_date) <= ? AND $received THEN t.movement_date END) AS last_receipt
+                FROM transactions t
+                WHERE $condition
+                GROUP BY t.item_id
+            ) m USING (item_id)
+            WHERE item_status = 'active'
+        ";
+        $params = array_merge(
+            $sourceBindings,
+            [$dateTo, $dateFrom, $dateTo, $dateFrom, $dateTo, $dateFrom, $dateTo, $dateFrom, $dateTo, $dateTo, $dateTo],
+            $conditionBindings
+        );
+
+        // category_id 0 = uncategorized items
+        if ($categoryId === 0) {
+            $sql .= " AND category_id IS NULL";
+        } elseif ($categoryId !== null) {
+            $sql .= " AND category_id = ?";
+            $params[] = $categoryId;
+        }
+
+        $stmt = $this->db->prepare($sql . " ORDER BY item_name");
+        $stmt->execute($params);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    private function itemPerformance(array $row, string $dateTo, int $days): array
+    {
+        $unitPrice = (float)$row['unit_price'];
+        $closing = (int)$row['current_quantity'] - (int)$row['net_after'];
+        $opening = $closing - (int)$row['net_window'];
+
+        // Age of the stock: since the last issue, else the last receipt, else since the item was created
+        $since = $row['last_issue'] ?? $row['last_receipt'] ?? $row['created_at'];
+        $age = $since ? max(0, (int)(new \DateTime(substr($since, 0, 10)))->diff(new \DateTime($dateTo))->days) : null;
+
+        $item = [
+            'item_id' => (int)$row['item_id'],
+            'item_name' => $row['item_name'],
+            'sku' => $row['sku'],
+            'unit' => $row['unit'],
+            'category_id' => $row['category_id'] !== null ? (int)$row['category_id'] : null,
+            'category_name' => $row['category_name'],
+            'unit_price' => $unitPrice,
+            'last_issue_date' => $row['last_issue'] ? substr($row['last_issue'], 0, 10) : null,
+            'stock_age_days' => $closing > 0 ? $age : null,
+            'is_dead_stock' => $closing > 0 && $age !== null && $age >= self::DEAD_STOCK_DAYS
+        ];
+
+        return $item + $this->performanceRatios([
+            'opening_quantity' => $opening,
+            'closing_quantity' => $closing,
+            'received_quantity' => (int)$row['received'],
+            'issued_quantity' => (int)$row['issued'],
+            'opening_value' => $opening * $unitPrice,
+            'closing_value' => $closing * $unitPrice,
+            'cogs' => (int)$row['issued'] * $unitPrice
+        ], $days);
+    }
+
+    /**
+     * Sums over items (a category or everything), with the ratios worked out from the sums
+     */
+    private function totalPerformance(array $items, int $days): array
+    {
+        $totals = array_fill_keys(
+            ['opening_quantity', 'closing_quantity', 'received_quantity', 'issued_quantity', 'opening_value', 'closing_value', 'cogs'],
+            0
+        );
+        $dead = array_filter($items, fn($item) => $item['is_dead_stock']);
+
+        foreach ($items as $item) {
+            foreach ($totals as $key => $value) {
+                $totals[$key] = $value + $item[$key];
+            }
+        }
+
+        $ages = array_filter(array_column($items, 'stock_age_days'), fn($age) => $age !== null);
+
+        return ['item_count' => count($items)]
+            + $this->performanceRatios($totals, $days)
+            + [
+                'dead_stock_items' => count($dead),
+                'dead_stock_value' => round(array_sum(array_column($dead, 'closing_value')), 2),
+                'max_stock_age_days' => $ages ? max($ages) : null
+            ];
+    }
+
+    /**
+     * @param array $totals {opening_quantity, closing_quantity, received_quantity, issued_quantity,
+     *                       opening_value, closing_value, cogs}
+     */
+    private function performanceRatios(array $totals, int $days): array
+    {
+        $averageValue = ($totals['opening_value'] + $totals['closing_value']) / 2;
+        $cogs = $totals['cogs'];
+        $available = $totals['opening_quantity'] + $totals['received_quantity'];
+        $turnover = $averageValue > 0 ? $cogs / $averageValue : 0;
+
+        return [
+            'opening_quantity' => $totals['opening_quantity'],
+            'closing_quantity' => $totals['closing_quantity'],
+            'received_quantity' => $totals['received_quantity'],
+            'issued_quantity' => $totals['issued_quantity'],
+            'opening_value' => round($totals['opening_value'], 2),
+            'closing_value' => round($totals['closing_value'], 2),
+            'average_value' => round($averageValue, 2),
+            'cogs' => round($cogs, 2),
+            'turnover' => round($turnover, 2),
+            'annual_turnover' => round($turnover * 365 / $days, 2),
+            // Days the average stock lasts at the window's rate of issue; null when nothing was issued
+            'days_on_hand' => $cogs > 0 ? round($averageValue / ($cogs / $days), 1) : null,
+            // Days the closing stock lasts at that rate
+            'days_of_supply' => $totals['issued_quantity'] > 0
+                ? round(max(0, $totals['closing_quantity']) / ($totals['issued_quantity'] / $days), 1)
+                : null,
+            'sell_through' => $available > 0 ? round($totals['issued_quantity'] * 100 / $available, 1) : null
+        ];
+    }
+
     // ========================================================================
     // SUPPLIER PERFORMANCE - INDUSTRY WEIGHTED
     // ========================================================================
@@ -269,9 +542,26 @@ class AnalyticsService
                         ELSE NULL
                     END
                 ) as avg_delivery_delay,
-                MAX(po.po_date) as last_order_date
+                MAX(po.po_date) as last_order_date,
+                MAX(qc.delivered_quantity) as delivered_quantity,
+                MAX(qc.rejected_quantity) as rejected_quantity,
+                MAX(rts.return_count) as return_count
             FROM suppliers s
             LEFT JOIN purchase_orders po ON s.supplier_id = po.supplier_id
+            LEFT JOIN (
+                SELECT p.supplier_id,
+                       SUM(gri.quantity) as delivered_quantity,
+                       SUM(gri.rejected_quantity) as rejected_quantity
+                FROM goods_receipt_items gri
+                JOIN goods_receipts gr ON gri.gr_id = gr.gr_id
+                JOIN purchase_orders p ON gr.po_id = p.po_id
+                GROUP BY p.supplier_id
+            ) qc ON qc.supplier_id = s.supplier_id
+            LEFT JOIN (
+                SELECT supplier_id, COUNT(*) as return_count
+                FROM supplier_returns
+                GROUP BY supplier_id
+            ) rts ON rts.supplier_id = s.supplier_id
             WHERE s.status = 'active'
             GROUP BY s.supplier_id
             ORDER BY total_value DESC
@@ -283,6 +573,11 @@ class AnalyticsService
             $deliveredOrders = (int)$row['delivered_orders'];
             $cancelledOrders = (int)$row['cancelled_orders'];
             $avgDelay = (float)($row['avg_delivery_delay'] ?: 0);
+            $deliveredQty = (int)$row['delivered_quantity'];
+            $rejectedQty = (int)$row['rejected_quantity'];
+
+            // Share of delivered goods rejected at GR inspection
+            $rejectionRate = $deliveredQty > 0 ? round(($rejectedQty / $deliveredQty) * 100, 1) : 0;
 
             // On-Time Delivery Rate
             $onTimeRate = $totalOrders > 0 ? round(($deliveredOrders / $totalOrders) * 100, 1) : 0;
@@ -291,10 +586,11 @@ class AnalyticsService
             $onTimeScore = $onTimeRate;
             $deliveryScore = max(0, 100 - ($avgDelay * 10));
             $reliabilityScore = $totalOrders > 0 ? round((($totalOrders - $cancelledOrders) / $totalOrders) * 100, 1) : 100;
+            $qualityScore = 100 - $rejectionRate;
 
-            // Weighted: 40% on-time + 40% delivery speed + 20% reliability
+            // Weighted: 35% on-time + 30% delivery speed + 15% reliability + 20% quality
             $performanceScore = round(
-                ($onTimeScore * 0.4) + ($deliveryScore * 0.4) + ($reliabilityScore * 0.2),
+                ($onTimeScore * 0.35) + ($deliveryScore * 0.3) + ($reliabilityScore * 0.15) + ($qualityScore * 0.2),
                 1
             );
 
@@ -312,6 +608,10 @@ class AnalyticsService
                 'cancelled_orders' => $cancelledOrders,
                 'on_time_delivery_rate' => $onTimeRate,
                 'avg_delivery_delay_days' => round($avgDelay, 1),
+                'delivered_quantity' => $deliveredQty,
+                'rejected_quantity' => $rejectedQty,
+                'rejection_rate' => $rejectionRate,
+                'return_count' => (int)$row['return_count'],
                 'performance_score' => $performanceScore,
                 'performance_rating' => $performanceScore >= 90 ? 'Excellent' : ($performanceScore >= 75 ? 'Good' : ($performanceScore >= 60 ? 'Average' : 'Poor')),
                 'last_order_date' => $row['last_order_date']
@@ -692,6 +992,15 @@ class AnalyticsService
     // HELPER FUNCTIONS
     // ========================================================================
 
+    private function parseDate(string $date): string
+    {
+        if (!strtotime($date)) {
+            throw new Exception('Invalid date');
+        }
+
+        return date('Y-m-d', strtotime($date));
+    }
+
     private function calculateDemandVariability(int $itemId): array
     {
         $stmt = $this->db->prepare("
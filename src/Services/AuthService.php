@@ -3,6 +3,7 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Utils\JWT;
 
 /**
  * ============================================================================
@@ -338,7 +339,12 @@ class AuthService
      * ========================================================================
      */
 
-    private function generateToken($payload)
+    /**
+     * @param int|null $authTime When the user last entered a password; kept
+     *                           across refreshes so the session can't outlive
+     *                           JWT_REFRESH_EXPIRATION
+     */
+    private function generateToken($payload, ?int $authTime = null)
     {
         $issuedAt = time();
         $expiresAt = $issuedAt + $this->jwtExpiry;
@@ -346,6 +352,7 @@ class AuthService
         $tokenPayload = [
             'iat' => $issuedAt,
             'exp' => $expiresAt,
+            'auth_time' => $authTime ?? $issuedAt,
             'data' => $payload
         ];
 
@@ -358,13 +365,23 @@ class AuthService
 
     /**
      * Validate JWT token
+     *
+     * @param int $leeway Seconds past `exp` still accepted (refresh only)
      */
-    public function validateToken($token)
+    public function validateToken($token, int $leeway = 0)
+    {
+        return (array) $this->decodeToken($token, $leeway)->data;
+    }
+
+    /**
+     * Verified claims of a token
+     */
+    private function decodeToken(string $token, int $leeway = 0): object
     {
         try {
-            $decoded = \SimpleJWT::decode($token, $this->jwtSecret);
+            $decoded = \SimpleJWT::decode($token, $this->jwtSecret, $leeway);
 
-            if (isset($decoded->exp) && $decoded->exp < time()) {
+            if (isset($decoded->exp) && $decoded->exp + $leeway < time()) {
                 self::log("Token expired", 'WARNING');
                 throw new \Exception("Token expired");
             }
@@ -374,7 +391,7 @@ class AuthService
                 throw new \Exception("Invalid token structure");
             }
 
-            return (array) $decoded->data;
+            return $decoded;
         } catch (\Exception $e) {
             self::log("Token validation failed: " . $e->getMessage(), 'WARNING');
             throw new \Exception("Invalid or expired token: " . $e->getMessage());
@@ -383,12 +400,53 @@ class AuthService
 
     /**
      * Refresh JWT token
+     *
+     * Expired tokens are accepted for JWT_REFRESH_EXPIRATION seconds so the
+     * client can recover a session silently; logged-out tokens never are.
+     * Each token can be refreshed once (it is revoked after), the user is
+     * re-checked, and the whole chain ends JWT_REFRESH_EXPIRATION after login.
      */
     public function refreshToken(string $token): array
     {
         try {
-            $payload = $this->validateToken($token);
-            $newToken = $this->generateToken($payload);
+            if (JWT::isBlacklisted($token)) {
+                throw new \Exception("Token has been revoked");
+            }
+
+            $grace = (int)($_ENV['JWT_REFRESH_EXPIRATION'] ?? 604800);
+            $claims = $this->decodeToken($token, $grace);
+
+            // Tokens from before auth_time existed count from when they were issued
+            $authTime = (int)($claims->auth_time ?? $claims->iat ?? 0);
+            if ($authTime + $grace < time()) {
+                throw new \Exception("Session expired - please log in again");
+            }
+
+            $stmt = $this->db->prepare("
+                SELECT u.user_id, u.username, u.email, u.role_id, u.status, r.role_name
+                FROM users u
+                JOIN roles r ON u.role_id = r.role_id
+                WHERE u.user_id = ?
+            ");
+            $stmt->execute([(int)($claims->data->user_id ?? 0)]);
+            $user = $stmt->fetch(\PDO::FETCH_ASSOC);
+
+            if (!$user || $user['status'] !== 'active') {
+                self::log("Refresh refused for missing or inactive user", 'WARNING');
+                throw new \Exception("Account is inactive. Contact administrator.");
+            }
+
+            // Same payload as login, so role changes apply from the next token
+            $newToken = $this->generateToken([
+                'user_id' => (int)$user['user_id'],
+                'username' => $user['username'],
+                'email' => $user['email'],
+                'role' => $user['role_name'],
+                'role_id' => (int)$user['role_id']
+            ], $authTime);
+
+            // The old token could otherwise be refreshed again until its grace window ends
+            JWT::blacklist($token, (int)$claims->exp + $grace);
 
             return [
                 'success' => true,
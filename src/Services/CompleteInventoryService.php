@@ -3,6 +3,10 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\GoodsReceiptRepository;
+use Janstro\InventorySystem\Repositories\PurchaseOrderRepository;
+use Janstro\InventorySystem\Repositories\SupplierReturnRepository;
+use Janstro\InventorySystem\Utils\Pagination;
 use PDO;
 
 /**
@@ -14,17 +18,49 @@ use PDO;
  * ✅ Resolve shortage notifications
  * ✅ Multi-item SO support
  * ✅ Enhanced stock requirement recalculation
+ * ✅ Multi-line POs, received line by line
+ * ✅ Partial receipts: GR documents per receipt, partially_received status
+ * ✅ GR quality inspection: accepted / rejected / on-hold quantities;
+ *    rejected goods leave on return-to-supplier documents
+ *    (transactions.reference_type 'RETURN_TO_SUPPLIER', reference_number = RTS number)
+ * ✅ Multi-line SOs with order-level discount and tax
+ * ✅ Locations: receipts put away at a location (default warehouse unless
+ *    given), goods issues come out of one
+ * ✅ Lot / serial capture on accepted goods (TrackingService)
+ *
+ * Table: sales_orders (order-level pricing columns;
+ *   database/migrations/014_add_pricing_to_sales_orders.sql)
+ *   subtotal DECIMAL(12,2), discount_type ENUM('percent','amount') NULL,
+ *   discount_value DECIMAL(12,2) DEFAULT 0, discount_amount DECIMAL(12,2) DEFAULT 0,
+ *   tax_rate DECIMAL(5,2) NULL (NULL = decided at invoicing),
+ *   tax_amount DECIMAL(12,2) DEFAULT 0
+ *   total_amount = subtotal - discount_amount + tax_amount
+ * Table: invoices (adds discount_amount DECIMAL(12,2) DEFAULT 0)
  * ============================================================================
  */
 class CompleteInventoryService
 {
     private PDO $db;
     private NotificationService $notificationService;
+    private RealtimeService $realtimeService;
+    private PurchaseOrderRepository $poRepo;
+    private GoodsReceiptRepository $grRepo;
+    private SupplierReturnRepository $returnRepo;
+    private InspectionPhotoService $photoService;
+    private LocationService $locationService;
+    private TrackingService $trackingService;
 
     public function __construct()
     {
         $this->db = Database::connect();
         $this->notificationService = new NotificationService();
+        $this->realtimeService = new RealtimeService();
+        $this->poRepo = new PurchaseOrderRepository();
+        $this->grRepo = new GoodsReceiptRepository();
+        $this->returnRepo = new SupplierReturnRepository();
+        $this->photoService = new InspectionPhotoService();
+        $this->locationService = new LocationService();
+        $this->trackingService = new TrackingService();
     }
 
     // ============================================
@@ -97,18 +133,30 @@ class CompleteInventoryService
     // GOODS RECEIPT (MIGO) - ENHANCED v7.0
     // ============================================
 
+    /**
+     * Receive a PO in full or line by line, with inspection results.
+     *
+     * $data['lines'] = [{po_item_id, quantity, rejected_quantity, reject_reason,
+     * on_hold_quantity, hold_reason, photos[]}, ...] where quantity is what
+     * passed inspection; a bare received_quantity is accepted for single-line
+     * POs; with neither, everything still open is accepted. Each call posts
+     * one GR document, put away at $data['location_id'] (default warehouse
+     * when not given).
+     *
+     * Accepted goods go into stock. Rejected goods are booked in and straight
+     * back out on a return-to-supplier document, and stay open on the PO for
+     * the replacement. On-hold goods stay out of stock until releaseOnHold()
+     * decides them. The PO stays partially_received until no line is open,
+     * then it is marked delivered.
+     */
     public function receiveGoods(int $poId, array $data): array
     {
+        $storedPhotos = [];
+
         try {
             $this->db->beginTransaction();
 
-            // Get PO details
-            $stmt = $this->db->prepare("
-                SELECT po.*, i.item_name, i.unit
-                FROM purchase_orders po
-                JOIN items i ON po.item_id = i.item_id
-                WHERE po.po_id = ?
-            ");
+            $stmt = $this->db->prepare("SELECT po_id, status, supplier_id FROM purchase_orders WHERE po_id = ? FOR UPDATE");
             $stmt->execute([$poId]);
             $po = $stmt->fetch();
 
@@ -120,49 +168,163 @@ class CompleteInventoryService
                 throw new \Exception("PO #$poId already received");
             }
 
-            $receivedQty = $data['received_quantity'] ?? $po['quantity'];
-            $userId = $data['user_id'];
+            if ($po['status'] === 'cancelled') {
+                throw new \Exception("PO #$poId is cancelled");
+            }
+
+            $userId = (int)$data['user_id'];
             $notes = $data['notes'] ?? "Goods received from PO #$poId (MIGO)";
+            $location = $this->locationService->resolveLocation($data['location_id'] ?? null);
+
+            $lines = $this->poRepo->getLines($poId, true);
+            $receipts = $this->resolveReceiptLines($poId, $lines, $data);
+            $receipts = $this->prepareTracking($receipts);
+
+            // Check every photo before writing any of them
+            $decodedPhotos = array_map(fn($receipt) => $this->photoService->decode($receipt['photos']), $receipts);
+            foreach ($receipts as $i => $receipt) {
+                $receipts[$i]['photos'] = $this->photoService->store(
+                    $decodedPhotos[$i],
+                    "po{$poId}_line{$receipt['line']['po_item_id']}"
+                );
+                $storedPhotos = array_merge($storedPhotos, $receipts[$i]['photos']);
+            }
 
-            // Get current stock BEFORE
-            $previousStock = $this->getCurrentStock($po['item_id']);
+            [$grId, $grNumber, $grItemIds] = $this->grRepo->create($poId, $userId, $data['notes'] ?? null, array_map(
+                fn($receipt) => [
+                    'po_item_id' => (int)$receipt['line']['po_item_id'],
+                    'item_id' => (int)$receipt['line']['item_id'],
+                    'accepted_quantity' => $receipt['accepted'],
+                    'rejected_quantity' => $receipt['rejected'],
+                    'on_hold_quantity' => $receipt['on_hold'],
+                    'reject_reason' => $receipt['reject_reason'],
+                    'hold_reason' => $receipt['hold_reason'],
+                    'photos' => $receipt['photos'],
+                    'open_after' => (int)$receipt['line']['open_quantity'] - $receipt['accepted'] - $receipt['on_hold']
+                ],
+                $receipts
+            ), (int)$location['location_id']);
 
-            // Create IN transaction (trigger auto-updates items.quantity)
-            $stmt = $this->db->prepare("
-                INSERT INTO transactions (
-                    item_id, user_id, transaction_type, quantity, 
-                    reference_type, reference_number, notes,
-                    previous_quantity, new_quantity, movement_date
-                ) VALUES (?, ?, 'IN', ?, 'PURCHASE_ORDER', ?, ?, ?, ?, NOW())
-            ");
+            $rtsNumber = $this->createSupplierReturn(
+                $po,
+                $grId,
+                $grNumber,
+                $userId,
+                array_map(fn($receipt) => [
+                    'gr_item_id' => $grItemIds[$receipt['line']['po_item_id']],
+                    'po_item_id' => (int)$receipt['line']['po_item_id'],
+                    'item_id' => (int)$receipt['line']['item_id'],
+                    'quantity' => $receipt['rejected'],
+                    'unit_price' => (float)$receipt['line']['unit_price'],
+                    'reason' => $receipt['reject_reason']
+                ], array_filter($receipts, fn($receipt) => $receipt['rejected'] > 0))
+            );
 
-            $newStock = $previousStock + $receivedQty;
+            $received = [];
+            $resolvedRequirements = 0;
+
+            foreach ($receipts as $receipt) {
+                $line = $receipt['line'];
+                $previousStock = $this->getCurrentStock($line['item_id']);
+                $newStock = $previousStock;
+                $tracked = [];
+
+                // Trigger auto-updates items.quantity
+                if ($receipt['accepted'] + $receipt['rejected'] > 0) {
+                    $newStock = $this->postStockMovement(
+                        $line,
+                        $location,
+                        $userId,
+                        'IN',
+                        $receipt['accepted'] + $receipt['rejected'],
+                        'PURCHASE_ORDER',
+                        "PO-$poId",
+                        "$notes ($grNumber)",
+                        'goods_receipt',
+                        $grNumber,
+                        $transactionId
+                    );
+
+                    // Only accepted units carry a lot / serial; rejected ones go straight back
+                    $tracked = $this->trackingService->receive($line, $receipt['capture'], $transactionId, $location, $grId);
+                }
 
-            $stmt->execute([
-                $po['item_id'],
-                $userId,
-                $receivedQty,
-                "PO-$poId",
-                $notes,
-                $previousStock,
-                $newStock
-            ]);
+                if ($receipt['rejected'] > 0) {
+                    $newStock = $this->postStockMovement(
+                        $line,
+                        $location,
+                        $userId,
+                        'OUT',
+                        $receipt['rejected'],
+                        'RETURN_TO_SUPPLIER',
+                        $rtsNumber,
+                        "Rejected at inspection: {$receipt['reject_reason']} ($grNumber)",
+                        'supplier_return',
+                        $rtsNumber
+                    );
+                }
 
-            // Update PO status
-            $stmt = $this->db->prepare("
-                UPDATE purchase_orders 
-                SET status = 'delivered', delivered_date = NOW()
-                WHERE po_id = ?
-            ");
-            $stmt->execute([$poId]);
+                // Rejected goods stay open for the replacement delivery
+                $this->poRepo->addReceivedQuantity((int)$line['po_item_id'], $receipt['accepted'] + $receipt['on_hold']);
 
-            // =====================================================
-            // ✅ ENHANCEMENT v7.0: UPDATE STOCK REQUIREMENTS
-            // =====================================================
-            $resolvedRequirements = $this->updateStockRequirementsAfterReceipt(
-                $po['item_id'],
-                $newStock
-            );
+                if ($receipt['accepted'] > 0) {
+                    $resolvedRequirements += $this->updateStockRequirementsAfterReceipt(
+                        $line['item_id'],
+                        $newStock
+                    );
+                }
+
+                $received[] = [
+                    'po_item_id' => (int)$line['po_item_id'],
+                    'item_id' => (int)$line['item_id'],
+                    'item_name' => $line['item_name'],
+                    'unit' => $line['unit'],
+                    'received_quantity' => $receipt['accepted'] + $receipt['rejected'] + $receipt['on_hold'],
+                    'accepted_quantity' => $receipt['accepted'],
+                    'rejected_quantity' => $receipt['rejected'],
+                    'on_hold_quantity' => $receipt['on_hold'],
+                    'open_quantity' => (int)$line['open_quantity'] - $receipt['accepted'] - $receipt['on_hold'],
+                    'previous_stock' => $previousStock,
+                    'new_stock' => $newStock,
+                    'tracking' => $tracked
+                ];
+            }
+
+            $receivedQty = array_sum(array_column($received, 'received_quantity'));
+            $acceptedQty = array_sum(array_column($received, 'accepted_quantity'));
+            $rejectedQty = array_sum(array_column($received, 'rejected_quantity'));
+            $onHoldQty = array_sum(array_column($received, 'on_hold_quantity'));
+            $openQuantity = array_sum(array_column($lines, 'open_quantity')) - $acceptedQty - $onHoldQty;
+            $fullyReceived = $openQuantity <= 0;
+            $status = $fullyReceived ? 'delivered' : 'partially_received';
+
+            if ($fullyReceived) {
+                $stmt = $this->db->prepare("
+                    UPDATE purchase_orders 
+                    SET status = 'delivered', delivered_date = NOW()
+                    WHERE po_id = ?
+                ");
+                $stmt->execute([$poId]);
+            } else {
+                $stmt = $this->db->prepare("
+                    UPDATE purchase_orders SET status = 'partially_received' WHERE po_id = ?
+                ");
+                $stmt->execute([$poId]);
+            }
+
+            $summary = count($received) === 1
+                ? $received[0]['item_name']
+                : count($received) . ' line items';
+
+            $lineLog = implode(', ', array_map(
+                fn($r) => "{$r['item_name']} x {$r['received_quantity']}"
+                    . ($r['rejected_quantity'] || $r['on_hold_quantity']
+                        ? " (accepted {$r['accepted_quantity']}, rejected {$r['rejected_quantity']}, on hold {$r['on_hold_quantity']})"
+                        : "")
+                    . ($r['tracking'] ? " [" . implode(', ', $r['tracking']) . "]" : "")
+                    . " ({$r['previous_stock']} → {$r['new_stock']})",
+                $received
+            ));
 
             // Audit log
             $stmt = $this->db->prepare("
@@ -171,40 +333,455 @@ class CompleteInventoryService
             ");
             $stmt->execute([
                 $userId,
-                "Goods Receipt: PO #$poId | {$po['item_name']} x $receivedQty | Stock: $previousStock → $newStock | Updated {$resolvedRequirements} requirements (MIGO)",
+                "Goods Receipt $grNumber: PO #$poId into {$location['code']} | $lineLog | "
+                    . ($rtsNumber ? "Return $rtsNumber | " : "")
+                    . ($fullyReceived ? 'PO complete' : "$openQuantity still open")
+                    . " | Updated {$resolvedRequirements} requirements (MIGO)",
                 $_SERVER['REMOTE_ADDR'] ?? 'system'
             ]);
 
+            $this->realtimeService->publish('po:received', [
+                'id' => $poId,
+                'gr_number' => $grNumber,
+                'rts_number' => $rtsNumber,
+                'status' => $status,
+                'item_name' => $summary,
+                'received_quantity' => $receivedQty,
+                'rejected_quantity' => $rejectedQty,
+                'fully_received' => $fullyReceived
+            ]);
+
             $this->db->commit();
 
             // Send notification
             $this->notificationService->notifyPODelivered($poId, [
-                'item_name' => $po['item_name'],
-                'quantity' => $receivedQty,
-                'unit' => $po['unit'],
-                'new_stock' => $newStock,
+                'item_name' => $summary,
+                'quantity' => $acceptedQty,
+                'unit' => count($received) === 1 ? $received[0]['unit'] : 'units',
+                'new_stock' => count($received) === 1 ? $received[0]['new_stock'] : null,
                 'resolved_requirements' => $resolvedRequirements
             ]);
 
             return [
                 'success' => true,
                 'po_id' => $poId,
-                'item_name' => $po['item_name'],
+                'gr_id' => $grId,
+                'gr_number' => $grNumber,
+                'rts_number' => $rtsNumber,
+                'location_code' => $location['code'],
+                'status' => $status,
+                'item_name' => $summary,
                 'received_quantity' => $receivedQty,
-                'unit' => $po['unit'],
-                'previous_stock' => $previousStock,
-                'new_stock_level' => $newStock,
+                'accepted_quantity' => $acceptedQty,
+                'rejected_quantity' => $rejectedQty,
+                'on_hold_quantity' => $onHoldQty,
+                'unit' => $received[0]['unit'],
+                'previous_stock' => $received[0]['previous_stock'],
+                'new_stock_level' => $received[0]['new_stock'],
+                'lines' => $received,
+                'open_quantity' => max($openQuantity, 0),
+                'fully_received' => $fullyReceived,
                 'resolved_requirements' => $resolvedRequirements,
-                'message' => "Goods received. Material Document created (MB51). $resolvedRequirements stock requirements updated."
+                'message' => "Goods received on $grNumber. Material Document created (MB51). $resolvedRequirements stock requirements updated."
+                    . ($rtsNumber ? " $rejectedQty rejected on $rtsNumber." : "")
             ];
         } catch (\Exception $e) {
             if ($this->db->inTransaction()) {
                 $this->db->rollBack();
             }
+            $this->photoService->remove($storedPhotos);
             throw $e;
         }
     }
 
+    /**
+     * Decide goods left on hold at inspection.
+     *
+     * $data['lines'] = [{gr_item_id, accept, reject, reject_reason,
+     * serials | lot_number}, ...]; lot / serial items need them for the
+     * accepted quantity. Accepted goods go into stock at the receipt's
+     * location (or $data['location_id']); rejected ones go out on a
+     * return-to-supplier document and reopen their PO quantity.
+     */
+    public function releaseOnHold(int $grId, array $data): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $gr = $this->grRepo->findForUpdate($grId);
+            if (!$gr) {
+                throw new \Exception("Goods receipt #$grId not found");
+            }
+
+            $userId = (int)$data['user_id'];
+            $location = $this->locationService->resolveLocation($data['location_id'] ?? $gr['location_id']);
+            $items = $this->grRepo->getItemsForUpdate($grId);
+            $decisions = [];
+
+            foreach (($data['lines'] ?? []) as $entry) {
+                $grItemId = (int)($entry['gr_item_id'] ?? 0);
+                if (!isset($items[$grItemId])) {
+                    throw new \Exception("Line #$grItemId is not on {$gr['gr_number']}");
+                }
+
+                $item = $items[$grItemId];
+                $accept = (int)($entry['accept'] ?? 0);
+                $reject = (int)($entry['reject'] ?? 0);
+                $reason = trim((string)($entry['reject_reason'] ?? '')) ?: null;
+
+                if ($accept < 0 || $reject < 0) {
+                    throw new \Exception("Quantities for {$item['item_name']} cannot be negative");
+                }
+
+                if ($accept + $reject > (int)$item['on_hold_quantity']) {
+                    throw new \Exception("Only {$item['on_hold_quantity']} of {$item['item_name']} is on hold");
+                }
+
+                if ($reject > 0 && !$reason) {
+                    throw new \Exception("Give a reason for rejecting {$item['item_name']}");
+                }
+
+                if ($accept + $reject > 0) {
+                    $decisions[] = [
+                        'item' => $item,
+                        'accept' => $accept,
+                        'reject' => $reject,
+                        'reason' => $reason,
+                        'capture' => $this->trackingService->prepareReceipt($item, $accept, $entry)
+                    ];
+                }
+            }
+
+            $this->assertUniqueSerials($decisions);
+
+            if (!$decisions) {
+                throw new \Exception("Nothing to release on {$gr['gr_number']}");
+            }
+
+            $rtsNumber = $this->createSupplierReturn(
+                ['po_id' => $gr['po_id'], 'supplier_id' => $gr['supplier_id']],
+                $grId,
+                $gr['gr_number'],
+                $userId,
+                array_map(fn($decision) => [
+                    'gr_item_id' => (int)$decision['item']['gr_item_id'],
+                    'po_item_id' => (int)$decision['item']['po_item_id'],
+                    'item_id' => (int)$decision['item']['item_id'],
+                    'quantity' => $decision['reject'],
+                    'unit_price' => (float)$decision['item']['unit_price'],
+                    'reason' => $decision['reason']
+                ], array_filter($decisions, fn($decision) => $decision['reject'] > 0))
+            );
+
+            $resolvedRequirements = 0;
+            $log = [];
+
+            foreach ($decisions as $decision) {
+                $item = $decision['item'];
+                $this->grRepo->resolveHold((int)$item['gr_item_id'], $decision['accept'], $decision['reject'], $decision['reason']);
+
+                $newStock = $this->postStockMovement(
+                    $item,
+                    $location,
+                    $userId,
+                    'IN',
+                    $decision['accept'] + $decision['reject'],
+                    'PURCHASE_ORDER',
+                    "PO-{$gr['po_id']}",
+                    "Released from inspection hold ({$gr['gr_number']})",
+                    'goods_receipt',
+                    $gr['gr_number'],
+                    $transactionId
+                );
+
+                $tracked = $this->trackingService->receive($item, $decision['capture'], $transactionId, $location, $grId);
+
+                if ($decision['reject'] > 0) {
+                    $newStock = $this->postStockMovement(
+                        $item,
+                        $location,
+                        $userId,
+                        'OUT',
+                        $decision['reject'],
+                        'RETURN_TO_SUPPLIER',
+                        $rtsNumber,
+                        "Rejected after hold: {$decision['reason']} ({$gr['gr_number']})",
+                        'supplier_return',
+                        $rtsNumber
+                    );
+
+                    // Reopen for the replacement delivery
+                    $this->poRepo->addReceivedQuantity((int)$item['po_item_id'], -$decision['reject']);
+                }
+
+                if ($decision['accept'] > 0) {
+                    $resolvedRequirements += $this->updateStockRequirementsAfterReceipt((int)$item['item_id'], $newStock);
+                }
+
+                $log[] = "{$item['item_name']}: accepted {$decision['accept']}, rejected {$decision['reject']}"
+                    . ($tracked ? " [" . implode(', ', $tracked) . "]" : "");
+            }
+
+            // A rejection after the PO was closed puts it back on backorder
+            $openQuantity = array_sum(array_column($this->poRepo->getLines((int)$gr['po_id']), 'open_quantity'));
+            if ($openQuantity > 0 && $gr['po_status'] === 'delivered') {
+                $stmt = $this->db->prepare("
+                    UPDATE purchase_orders SET status = 'partially_received', delivered_date = NULL WHERE po_id = ?
+                ");
+                $stmt->execute([$gr['po_id']]);
+            }
+
+            $stmt = $this->db->prepare("
+                INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+                VALUES (?, ?, 'inventory', 'inspection_release', ?)
+            ");
+            $stmt->execute([
+                $userId,
+                "Inspection hold released on {$gr['gr_number']} (PO #{$gr['po_id']}) into {$location['code']} | " . implode('; ', $log)
+                    . ($rtsNumber ? " | Return $rtsNumber" : ""),
+                $_SERVER['REMOTE_ADDR'] ?? 'system'
+            ]);
+
+            $this->realtimeService->publish('po:updated', ['id' => (int)$gr['po_id'], 'gr_number' => $gr['gr_number']]);
+
+            $this->db->commit();
+
+            return [
+                'success' => true,
+                'gr_id' => $grId,
+                'gr_number' => $gr['gr_number'],
+                'rts_number' => $rtsNumber,
+                'accepted_quantity' => array_sum(array_column($decisions, 'accept')),
+                'rejected_quantity' => array_sum(array_column($decisions, 'reject')),
+                'open_quantity' => $openQuantity,
+                'resolved_requirements' => $resolvedRequirements,
+                'message' => "Inspection hold released on {$gr['gr_number']}" . ($rtsNumber ? "; rejected goods on $rtsNumber" : "")
+            ];
+        } catch (\Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+    }
+
+    /**
+     * Open a return-to-supplier document for rejected lines
+     *
+     * @return string|null RTS number, null when nothing was rejected
+     */
+    private function createSupplierReturn(array $po, int $grId, string $grNumber, int $userId, array $items): ?string
+    {
+        if (!$items) {
+            return null;
+        }
+
+        [, $rtsNumber] = $this->returnRepo->create(
+            (int)$po['supplier_id'],
+            (int)$po['po_id'],
+            $grId,
+            $userId,
+            "Rejected at inspection on $grNumber",
+            array_values($items)
+        );
+
+        return $rtsNumber;
+    }
+
+    /**
+     * Post one stock movement at a location and announce it
+     *
+     * @param int|null $transactionId Set to the new transaction's ID
+     * @return int Stock after the movement (all locations)
+     */
+    private function postStockMovement(
+        array $line,
+        array $location,
+        int $userId,
+        string $type,
+        int $quantity,
+        string $referenceType,
+        string $referenceNumber,
+        string $notes,
+        string $source,
+        string $reference,
+        ?int &$transactionId = null
+    ): int {
+        $previousStock = $this->getCurrentStock($line['item_id']);
+        $newStock = $type === 'IN' ? $previousStock + $quantity : $previousStock - $quantity;
+
+        $stmt = $this->db->prepare("
+            INSERT INTO transactions (
+                item_id, user_id, transaction_type, quantity, location_id,
+                reference_type, reference_number, notes,
+                previous_quantity, new_quantity, movement_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $line['item_id'],
+            $userId,
+            $type,
+            $quantity,
+            $location['location_id'],
+            $referenceType,
+            $referenceNumber,
+            $notes,
+            $previousStock,
+            $newStock
+        ]);
+        $transactionId = (int)$this->db->lastInsertId();
+
+        $this->realtimeService->publish('stock:changed', [
+            'item_id' => (int)$line['item_id'],
+            'item_name' => $line['item_name'],
+            'quantity' => $newStock,
+            'change' => $type === 'IN' ? $quantity : -$quantity,
+            'source' => $source,
+            'reference' => $reference
+        ]);
+
+        return $newStock;
+    }
+
+    /**
+     * Pair PO lines with their inspection result
+     *
+     * @return array List of [line, accepted, rejected, on_hold, reject_reason, hold_reason, photos, tracking]
+     */
+    private function resolveReceiptLines(int $poId, array $lines, array $data): array
+    {
+        if (!$lines) {
+            throw new \Exception("PO #$poId has no line items");
+        }
+
+        $acceptAll = fn(int $quantity) => [
+            'accepted' => $quantity,
+            'rejected' => 0,
+            'on_hold' => 0,
+            'reject_reason' => null,
+            'hold_reason' => null,
+            'photos' => [],
+            'tracking' => []
+        ];
+
+        $requested = [];
+
+        if (isset($data['lines']) && is_array($data['lines'])) {
+            foreach ($data['lines'] as $entry) {
+                $lineId = (int)($entry['po_item_id'] ?? 0);
+
+                if (isset($requested[$lineId])) {
+                    throw new \Exception("Line #$lineId is listed twice");
+                }
+
+                $requested[$lineId] = [
+                    'accepted' => (int)($entry['quantity'] ?? 0),
+                    'rejected' => (int)($entry['rejected_quantity'] ?? 0),
+                    'on_hold' => (int)($entry['on_hold_quantity'] ?? 0),
+                    'reject_reason' => trim((string)($entry['reject_reason'] ?? '')) ?: null,
+                    'hold_reason' => trim((string)($entry['hold_reason'] ?? '')) ?: null,
+                    'photos' => is_array($entry['photos'] ?? null) ? $entry['photos'] : [],
+                    'tracking' => [
+                        'serials' => $entry['serials'] ?? [],
+                        'lot_number' => $entry['lot_number'] ?? null
+                    ]
+                ];
+            }
+        } elseif (isset($data['received_quantity'])) {
+            if (count($lines) > 1) {
+                throw new \Exception("PO #$poId has " . count($lines) . " lines; send a quantity per line");
+            }
+            $requested[(int)$lines[0]['po_item_id']] = $acceptAll((int)$data['received_quantity']);
+        } else {
+            foreach ($lines as $line) {
+                $requested[(int)$line['po_item_id']] = $acceptAll((int)$line['open_quantity']);
+            }
+        }
+
+        $byId = array_column($lines, null, 'po_item_id');
+        $receipts = [];
+
+        foreach ($requested as $lineId => $inspection) {
+            if (!isset($byId[$lineId])) {
+                throw new \Exception("Line #$lineId is not on PO #$poId");
+            }
+
+            $line = $byId[$lineId];
+
+            foreach (['accepted' => 'Accepted', 'rejected' => 'Rejected', 'on_hold' => 'On-hold'] as $key => $label) {
+                if ($inspection[$key] < 0) {
+                    throw new \Exception("$label quantity for {$line['item_name']} cannot be negative");
+                }
+            }
+
+            $delivered = $inspection['accepted'] + $inspection['rejected'] + $inspection['on_hold'];
+
+            if ($delivered > (int)$line['open_quantity']) {
+                throw new \Exception("Cannot receive $delivered of {$line['item_name']}: only {$line['open_quantity']} open");
+            }
+
+            if ($inspection['rejected'] > 0 && !$inspection['reject_reason']) {
+                throw new \Exception("Give a reason for rejecting {$line['item_name']}");
+            }
+
+            if ($inspection['on_hold'] > 0 && !$inspection['hold_reason']) {
+                throw new \Exception("Give a reason for holding {$line['item_name']}");
+            }
+
+            if ($delivered > 0) {
+                $receipts[] = ['line' => $line] + $inspection;
+            }
+        }
+
+        if (!$receipts) {
+            throw new \Exception("Nothing to receive on PO #$poId");
+        }
+
+        return $receipts;
+    }
+
+    /**
+     * Check the lot / serials captured for each line's accepted quantity
+     */
+    private function prepareTracking(array $receipts): array
+    {
+        foreach ($receipts as $i => $receipt) {
+            $receipts[$i]['capture'] = $this->trackingService->prepareReceipt(
+                $receipt['line'],
+                $receipt['accepted'],
+                $receipt['tracking']
+            );
+        }
+
+        $this->assertUniqueSerials(array_map(
+            fn($receipt) => ['item' => $receipt['line'], 'capture' => $receipt['capture']],
+            $receipts
+        ));
+
+        return $receipts;
+    }
+
+    /**
+     * The same serial cannot come in on two lines of one document
+     *
+     * @param array $captures [{item, capture}, ...]
+     */
+    private function assertUniqueSerials(array $captures): void
+    {
+        $seen = [];
+
+        foreach ($captures as $entry) {
+            foreach ($entry['capture']['serials'] ?? [] as $serial) {
+                $key = $entry['item']['item_id'] . '|' . $serial;
+
+                if (isset($seen[$key])) {
+                    throw new \Exception("Serial $serial of {$entry['item']['item_name']} is entered twice");
+                }
+                $seen[$key] = true;
+            }
+        }
+    }
+
     // ============================================
     // GOODS ISSUE (VF01)
     // ============================================
@@ -215,16 +792,7 @@ class CompleteInventoryService
             $this->db->beginTransaction();
 
             // Get SO details
-            $stmt = $this->db->prepare("
-                SELECT 
-                    so.*, soi.item_id, soi.quantity, soi.unit_price,
-                    i.item_name, i.unit
-                FROM sales_orders so
-                JOIN sales_order_items soi ON so.sales_order_id = soi.sales_order_id
-                JOIN items i ON soi.item_id = i.item_id
-                WHERE so.sales_order_id = ?
-                LIMIT 1
-            ");
+            $stmt = $this->db->prepare("SELECT * FROM sales_orders WHERE sales_order_id = ? FOR UPDATE");
             $stmt->execute([$salesOrderId]);
             $order = $stmt->fetch();
 
@@ -236,14 +804,35 @@ class CompleteInventoryService
                 throw new \Exception("Invoice already processed for SO #$salesOrderId");
             }
 
-            // Check stock availability
-            $currentStock = $this->getCurrentStock($order['item_id']);
+            $stmt = $this->db->prepare("
+                SELECT soi.item_id, soi.quantity, soi.unit_price, soi.line_total,
+                       i.item_name, i.unit
+                FROM sales_order_items soi
+                JOIN items i ON soi.item_id = i.item_id
+                WHERE soi.sales_order_id = ?
+            ");
+            $stmt->execute([$salesOrderId]);
+            $lines = $stmt->fetchAll();
+
+            if (!$lines) {
+                throw new \Exception("Sales Order #$salesOrderId has no line items");
+            }
+
+            // Check every line before any stock moves
+            $shortages = [];
+            foreach ($lines as $i => $line) {
+                $lines[$i]['current_stock'] = $this->getCurrentStock($line['item_id']);
 
-            if ($currentStock < $order['quantity']) {
-                throw new \Exception("Insufficient stock. Available: $currentStock, Required: {$order['quantity']}");
+                if ($lines[$i]['current_stock'] < $line['quantity']) {
+                    $shortages[] = "{$line['item_name']} (available: {$lines[$i]['current_stock']}, required: {$line['quantity']})";
+                }
             }
 
-            // Create OUT transaction
+            if ($shortages) {
+                throw new \Exception("Insufficient stock: " . implode('; ', $shortages));
+            }
+
+            // Create OUT transactions
             $stmt = $this->db->prepare("
                 INSERT INTO transactions (
                     item_id, user_id, transaction_type, quantity,
@@ -252,18 +841,40 @@ class CompleteInventoryService
                 ) VALUES (?, ?, 'OUT', ?, 'INVOICE', ?, ?, ?, ?, NOW())
             ");
 
-            $newStock = $currentStock - $order['quantity'];
             $invoiceNumber = 'INV-' . date('Y') . '-' . str_pad($salesOrderId, 6, '0', STR_PAD_LEFT);
-
-            $stmt->execute([
-                $order['item_id'],
-                $userId,
-                $order['quantity'],
-                $invoiceNumber,
-                "Goods issued for SO #$salesOrderId (VF01)",
-                $currentStock,
-                $newStock
-            ]);
+            $issued = [];
+
+            foreach ($lines as $line) {
+                $newStock = $line['current_stock'] - $line['quantity'];
+
+                $stmt->execute([
+                    $line['item_id'],
+                    $userId,
+                    $line['quantity'],
+                    $invoiceNumber,
+                    "Goods issued for SO #$salesOrderId (VF01)",
+                    $line['current_stock'],
+                    $newStock
+                ]);
+
+                $this->realtimeService->publish('stock:changed', [
+                    'item_id' => (int)$line['item_id'],
+                    'item_name' => $line['item_name'],
+                    'quantity' => $newStock,
+                    'change' => -(int)$line['quantity'],
+                    'source' => 'goods_issue',
+                    'reference' => $invoiceNumber
+                ]);
+
+                $issued[] = [
+                    'item_id' => (int)$line['item_id'],
+                    'item_name' => $line['item_name'],
+                    'quantity' => (int)$line['quantity'],
+                    'unit' => $line['unit'],
+                    'previous_stock' => $line['current_stock'],
+                    'new_stock' => $newStock
+                ];
+            }
 
             // Update SO status
             $stmt = $this->db->prepare("
@@ -273,7 +884,7 @@ class CompleteInventoryService
             ");
             $stmt->execute([$userId, $salesOrderId]);
 
-            // Mark stock requirement as fulfilled
+            // Mark stock requirements as fulfilled
             $stmt = $this->db->prepare("
                 UPDATE stock_requirements 
                 SET status = 'fulfilled'
@@ -288,7 +899,10 @@ class CompleteInventoryService
             ");
             $stmt->execute([
                 $userId,
-                "Goods Issue: SO #$salesOrderId | {$order['item_name']} x {$order['quantity']} | Stock: $currentStock → $newStock (VF01)",
+                "Goods Issue: SO #$salesOrderId | " . implode(', ', array_map(
+                    fn($r) => "{$r['item_name']} x {$r['quantity']} ({$r['previous_stock']} → {$r['new_stock']})",
+                    $issued
+                )) . " (VF01)",
                 $_SERVER['REMOTE_ADDR'] ?? 'system'
             ]);
 
@@ -299,11 +913,12 @@ class CompleteInventoryService
                 'sales_order_id' => $salesOrderId,
                 'invoice_number' => $invoiceNumber,
                 'customer_name' => $order['customer_name'],
-                'item_name' => $order['item_name'],
-                'quantity' => $order['quantity'],
-                'unit' => $order['unit'],
-                'previous_stock' => $currentStock,
-                'new_stock_level' => $newStock,
+                'item_name' => count($issued) === 1 ? $issued[0]['item_name'] : count($issued) . ' line items',
+                'quantity' => array_sum(array_column($issued, 'quantity')),
+                'unit' => $issued[0]['unit'],
+                'previous_stock' => $issued[0]['previous_stock'],
+                'new_stock_level' => $issued[0]['new_stock'],
+                'lines' => $issued,
                 'total_amount' => $order['total_amount'],
                 'message' => "Invoice $invoiceNumber processed. Material Document created (MB51)."
             ];
@@ -319,47 +934,73 @@ class CompleteInventoryService
     // PURCHASE ORDER CREATION (ME21N)
     // ============================================
 
+    /**
+     * $data['lines'] = [{item_id, quantity, unit_price?, tax_rate?, expected_date?}, ...];
+     * a single item_id/quantity/unit_price is treated as one line.
+     */
     public function createPurchaseOrder(array $data): array
     {
-        $required = ['supplier_id', 'item_id', 'quantity', 'created_by'];
+        $required = ['supplier_id', 'created_by'];
         foreach ($required as $field) {
             if (!isset($data[$field])) {
                 throw new \Exception("Missing required field: $field");
             }
         }
 
+        $lines = $data['lines'] ?? [[
+            'item_id' => $data['item_id'] ?? null,
+            'quantity' => $data['quantity'] ?? null,
+            'unit_price' => $data['unit_price'] ?? null,
+            'tax_rate' => $data['tax_rate'] ?? 0
+        ]];
+
+        if (!is_array($lines) || !$lines) {
+            throw new \Exception("A purchase order needs at least one line");
+        }
+
         try {
             $this->db->beginTransaction();
 
-            $stmt = $this->db->prepare("SELECT item_name, unit_price, unit FROM items WHERE item_id = ?");
-            $stmt->execute([$data['item_id']]);
-            $item = $stmt->fetch();
+            $stmt = $this->db->prepare("SELECT supplier_name, status FROM suppliers WHERE supplier_id = ?");
+            $stmt->execute([$data['supplier_id']]);
+            $supplier = $stmt->fetch();
 
-            if (!$item) {
-                throw new \Exception("Item not found");
+            if (!$supplier) {
+                throw new \Exception("Supplier not found");
             }
 
-            $unitPrice = $data['unit_price'] ?? $item['unit_price'];
-            $totalAmount = $unitPrice * $data['quantity'];
+            if ($supplier['status'] !== 'active') {
+                throw new \Exception("Supplier is not active");
+            }
 
-            $stmt = $this->db->prepare("
-                INSERT INTO purchase_orders 
-                (supplier_id, item_id, quantity, unit_price, total_amount, status, created_by, expected_delivery_date, notes)
-                VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)
-            ");
+            $lineDates = array_filter(array_column($lines, 'expected_date'));
+            $expectedDate = !empty($data['expected_delivery_date'])
+                ? $data['expected_delivery_date']
+                : ($lineDates ? max($lineDates) : date('Y-m-d', strtotime('+7 days')));
 
-            $stmt->execute([
-                $data['supplier_id'],
-                $data['item_id'],
-                $data['quantity'],
-                $unitPrice,
-                $totalAmount,
-                $data['created_by'],
-                $data['expected_delivery_date'] ?? date('Y-m-d', strtotime('+7 days')),
-                $data['notes'] ?? null
+            $priced = $this->pricePurchaseOrderLines($lines, $expectedDate);
+            $names = array_column($priced, 'item_name');
+            $units = array_column($priced, 'unit');
+
+            $totalAmount = round(array_sum(array_column($priced, 'line_total')), 2);
+            $totalQuantity = array_sum(array_column($priced, 'quantity'));
+            $descriptions = array_map(fn($name, $line) => "$name x {$line['quantity']}", $names, $priced);
+
+            $poId = $this->poRepo->create([
+                'supplier_id' => $data['supplier_id'],
+                'item_id' => $priced[0]['item_id'],
+                'quantity' => $priced[0]['quantity'],
+                'unit_price' => $priced[0]['unit_price'],
+                'total_amount' => $totalAmount,
+                'expected_delivery_date' => $expectedDate,
+                'created_by' => $data['created_by'],
+                'notes' => $data['notes'] ?? null,
+                'lines' => $priced
             ]);
 
-            $poId = (int)$this->db->lastInsertId();
+            if (!$poId) {
+                throw new \Exception("Failed to create purchase order");
+            }
 
             $stmt = $this->db->prepare("
                 INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
@@ -367,16 +1008,20 @@ class CompleteInventoryService
             ");
             $stmt->execute([
                 $data['created_by'],
-                "Created Purchase Order #$poId: {$item['item_name']} x {$data['quantity']} (ME21N)",
+                "Created Purchase Order #$poId: " . implode(', ', $descriptions) . " from {$supplier['supplier_name']} (ME21N)",
                 $_SERVER['REMOTE_ADDR'] ?? 'system'
             ]);
 
             $this->db->commit();
 
+            $summary = count($priced) === 1 ? $names[0] : count($priced) . ' line items';
+            $unit = count(array_unique($units)) === 1 ? $units[0] : 'units';
+
             $this->notificationService->notifyNewOrder('purchase_order', $poId, [
-                'item_name' => $item['item_name'],
-                'quantity' => $data['quantity'],
-                'unit' => $item['unit'],
+                'item_name' => $summary,
+                'quantity' => $totalQuantity,
+                'unit' => $unit,
+                'supplier' => $supplier['supplier_name'],
                 'total_amount' => $totalAmount
             ]);
 
@@ -385,9 +1030,10 @@ class CompleteInventoryService
                 'po_id' => $poId,
                 'status' => 'pending',
                 'message' => "Purchase Order #$poId created successfully",
-                'item_name' => $item['item_name'],
-                'quantity' => $data['quantity'],
-                'unit' => $item['unit'],
+                'item_name' => $summary,
+                'quantity' => $totalQuantity,
+                'unit' => $unit,
+                'line_count' => count($priced),
                 'total_amount' => $totalAmount
             ];
         } catch (\Exception $e) {
@@ -398,19 +1044,87 @@ class CompleteInventoryService
         }
     }
 
+    /**
+     * Validate PO lines and price them (PurchaseOrderRepository::priceLine).
+     * Lines without an expected date get $expectedDate. Each priced line
+     * also carries item_name and unit for messages.
+     */
+    public function pricePurchaseOrderLines(array $lines, string $expectedDate): array
+    {
+        $itemStmt = $this->db->prepare("SELECT item_name, unit_price, unit, status FROM items WHERE item_id = ?");
+        $priced = [];
+
+        foreach (array_values($lines) as $i => $line) {
+            $lineNo = $i + 1;
+
+            if (empty($line['item_id'])) {
+                throw new \Exception("Line $lineNo: missing required field: item_id");
+            }
+
+            if ((int)($line['quantity'] ?? 0) <= 0) {
+                throw new \Exception("Line $lineNo: quantity must be greater than 0");
+            }
+
+            if (isset($line['unit_price']) && $line['unit_price'] !== '' && (float)$line['unit_price'] < 0) {
+                throw new \Exception("Line $lineNo: unit price cannot be negative");
+            }
+
+            $taxRate = (float)($line['tax_rate'] ?? 0);
+            if ($taxRate < 0 || $taxRate > 100) {
+                throw new \Exception("Line $lineNo: tax rate must be between 0 and 100");
+            }
+
+            $itemStmt->execute([$line['item_id']]);
+            $item = $itemStmt->fetch();
+
+            if (!$item) {
+                throw new \Exception("Line $lineNo: item not found");
+            }
+
+            if (($item['status'] ?? 'active') !== 'active') {
+                throw new \Exception("Line $lineNo: {$item['item_name']} is not active");
+            }
+
+            $line['expected_date'] = !empty($line['expected_date']) ? $line['expected_date'] : $expectedDate;
+
+            $priced[] = PurchaseOrderRepository::priceLine($line, (float)$item['unit_price']) + [
+                'item_name' => $item['item_name'],
+                'unit' => $item['unit']
+            ];
+        }
+
+        return $priced;
+    }
+
     // ============================================
     // SALES ORDER CREATION (VA01) - ENHANCED v7.0
     // ============================================
 
+    /**
+     * $data['lines'] = [{item_id, quantity}, ...]; a single item_id/quantity
+     * is treated as one line. Lines are priced at the item's list price, the
+     * order discount (discount_type percent|amount + discount_value) comes off
+     * the subtotal and tax_rate applies to what is left. Each line gets its
+     * own stock requirement.
+     */
     public function createSimpleSalesOrder(array $data): array
     {
-        $required = ['customer_id', 'item_id', 'quantity', 'created_by'];
+        $required = ['customer_id', 'created_by'];
         foreach ($required as $field) {
             if (empty($data[$field])) {
                 throw new \Exception("Missing required field: $field");
             }
         }
 
+        $lines = $data['lines'] ?? [[
+            'item_id' => $data['item_id'] ?? null,
+            'quantity' => $data['quantity'] ?? null
+        ]];
+
+        if (!is_array($lines) || !$lines) {
+            throw new \Exception("A sales order needs at least one line");
+        }
+
         try {
             $this->db->beginTransaction();
 
@@ -422,18 +1136,54 @@ class CompleteInventoryService
                 throw new \Exception('Customer not found');
             }
 
-            // Check stock
-            $stockCheck = $this->checkStockAvailability($data['item_id']);
-            $unitPrice = (float)$stockCheck['unit_price'];
-            $totalAmount = $unitPrice * $data['quantity'];
+            // Price and check stock line by line
+            $priced = [];
+            $seen = [];
+
+            foreach (array_values($lines) as $i => $line) {
+                $lineNo = $i + 1;
+                $itemId = (int)($line['item_id'] ?? 0);
+                $quantity = (int)($line['quantity'] ?? 0);
+
+                if (!$itemId) {
+                    throw new \Exception("Line $lineNo: missing required field: item_id");
+                }
+
+                if ($quantity <= 0) {
+                    throw new \Exception("Line $lineNo: quantity must be greater than 0");
+                }
+
+                if (isset($seen[$itemId])) {
+                    throw new \Exception("Line $lineNo: item is already on line {$seen[$itemId]}");
+                }
+                $seen[$itemId] = $lineNo;
+
+                $stockCheck = $this->checkStockAvailability($itemId);
+                $currentStock = $this->getCurrentStock($itemId);
+                $unitPrice = (float)$stockCheck['unit_price'];
+
+                $priced[] = [
+                    'item_id' => $itemId,
+                    'item_name' => $stockCheck['item_name'],
+                    'unit' => $stockCheck['unit'],
+                    'quantity' => $quantity,
+                    'unit_price' => $unitPrice,
+                    'line_total' => round($quantity * $unitPrice, 2),
+                    'available' => $currentStock,
+                    'shortage' => max(0, $quantity - $currentStock)
+                ];
+            }
+
+            $totals = $this->calculateSalesOrderTotals($priced, $data);
 
             // Insert sales order
             $stmt = $this->db->prepare("
                 INSERT INTO sales_orders (
                     customer_id, customer_name, contact_number, delivery_address,
-                    order_date, installation_date, total_amount, status, created_by, notes,
+                    order_date, installation_date, subtotal, discount_type, discount_value,
+                    discount_amount, tax_rate, tax_amount, total_amount, status, created_by, notes,
                     customer_order_number
-                ) VALUES (?, ?, ?, ?, NOW(), ?, ?, 'pending', ?, ?, ?)
+                ) VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
             ");
             $stmt->execute([
                 $customer['customer_id'],
@@ -441,7 +1191,13 @@ class CompleteInventoryService
                 $customer['contact_number'],
                 $data['delivery_address'] ?? null,
                 $data['installation_date'] ?? date('Y-m-d', strtotime('+7 days')),
-                $totalAmount,
+                $totals['subtotal'],
+                $totals['discount_type'],
+                $totals['discount_value'],
+                $totals['discount_amount'],
+                $totals['tax_rate'],
+                $totals['tax_amount'],
+                $totals['total_amount'],
                 $data['created_by'],
                 $data['notes'] ?? null,
                 $data['customer_order_number'] ?? null
@@ -449,16 +1205,13 @@ class CompleteInventoryService
             $salesOrderId = (int)$this->db->lastInsertId();
 
             // Insert sales order items
-            $stmt = $this->db->prepare("
+            $itemStmt = $this->db->prepare("
                 INSERT INTO sales_order_items (sales_order_id, item_id, quantity, unit_price, line_total)
                 VALUES (?, ?, ?, ?, ?)
             ");
-            $stmt->execute([$salesOrderId, $data['item_id'], $data['quantity'], $unitPrice, $totalAmount]);
 
             // ✅ ENHANCEMENT v7.0: Auto-generate stock requirements
-            $currentStock = $this->getCurrentStock($data['item_id']);
-
-            $stmt = $this->db->prepare("
+            $requirementStmt = $this->db->prepare("
                 INSERT INTO stock_requirements (
                     sales_order_id,
                     item_id,
@@ -466,14 +1219,16 @@ class CompleteInventoryService
                     available_quantity
                 ) VALUES (?, ?, ?, ?)
             ");
-            $stmt->execute([
-                $salesOrderId,
-                $data['item_id'],
-                $data['quantity'],
-                $currentStock
-            ]);
 
-            $shortage = max(0, $data['quantity'] - $currentStock);
+            foreach ($priced as $line) {
+                $itemStmt->execute([$salesOrderId, $line['item_id'], $line['quantity'], $line['unit_price'], $line['line_total']]);
+                $requirementStmt->execute([$salesOrderId, $line['item_id'], $line['quantity'], $line['available']]);
+            }
+
+            $shortage = array_sum(array_column($priced, 'shortage'));
+            $shortLines = array_values(array_filter($priced, fn($line) => $line['shortage'] > 0));
+            $totalQuantity = array_sum(array_column($priced, 'quantity'));
+            $summary = count($priced) === 1 ? $priced[0]['item_name'] : count($priced) . ' line items';
 
             // Audit log
             $stmt = $this->db->prepare("
@@ -482,8 +1237,11 @@ class CompleteInventoryService
             ");
             $stmt->execute([
                 $data['created_by'],
-                "Created Sales Order #$salesOrderId for {$customer['customer_name']} | {$stockCheck['item_name']} x {$data['quantity']} | " .
-                    ($shortage > 0 ? "⚠ Shortage: $shortage units" : "✓ Stock sufficient") . " (VA01)",
+                "Created Sales Order #$salesOrderId for {$customer['customer_name']} | " .
+                    implode(', ', array_map(fn($line) => "{$line['item_name']} x {$line['quantity']}", $priced)) . " | " .
+                    ($shortLines
+                        ? "⚠ Shortage: " . implode(', ', array_map(fn($line) => "{$line['item_name']} {$line['shortage']}", $shortLines))
+                        : "✓ Stock sufficient") . " (VA01)",
                 $_SERVER['REMOTE_ADDR'] ?? 'system'
             ]);
 
@@ -492,10 +1250,10 @@ class CompleteInventoryService
             // Send notification
             $this->notificationService->notifyNewOrder('sales_order', $salesOrderId, [
                 'customer_name' => $customer['customer_name'],
-                'item_name' => $stockCheck['item_name'],
-                'quantity' => $data['quantity'],
-                'total_amount' => $totalAmount,
-                'stock_available' => $currentStock,
+                'item_name' => $summary,
+                'quantity' => $totalQuantity,
+                'total_amount' => $totals['total_amount'],
+                'stock_available' => array_sum(array_column($priced, 'available')),
                 'shortage' => $shortage
             ]);
 
@@ -503,18 +1261,23 @@ class CompleteInventoryService
                 'success' => true,
                 'sales_order_id' => $salesOrderId,
                 'customer_name' => $customer['customer_name'],
-                'item_name' => $stockCheck['item_name'],
-                'quantity' => $data['quantity'],
-                'total_amount' => $totalAmount,
+                'item_name' => $summary,
+                'quantity' => $totalQuantity,
+                'lines' => array_map(fn($line) => $line + ['can_fulfill' => $line['shortage'] <= 0], $priced),
+                'subtotal' => $totals['subtotal'],
+                'discount_amount' => $totals['discount_amount'],
+                'tax_amount' => $totals['tax_amount'],
+                'total_amount' => $totals['total_amount'],
                 'stock_status' => [
-                    'required' => $data['quantity'],
-                    'available' => $currentStock,
+                    'required' => $totalQuantity,
+                    'available' => array_sum(array_column($priced, 'available')),
                     'shortage' => $shortage,
+                    'short_lines' => count($shortLines),
                     'can_fulfill' => $shortage <= 0
                 ],
                 'message' => $shortage <= 0
                     ? "Sales Order #$salesOrderId created. Stock available."
-                    : "Sales Order #$salesOrderId created. ⚠ Stock shortage: $shortage units. PR generation recommended."
+                    : "Sales Order #$salesOrderId created. ⚠ Stock shortage on " . count($shortLines) . " line(s). PR generation recommended."
             ];
         } catch (\Exception $e) {
             if ($this->db->inTransaction()) {
@@ -524,6 +1287,52 @@ class CompleteInventoryService
         }
     }
 
+    /**
+     * Order-level discount and tax over priced SO lines
+     */
+    private function calculateSalesOrderTotals(array $lines, array $data): array
+    {
+        $subtotal = round(array_sum(array_column($lines, 'line_total')), 2);
+
+        $discountType = $data['discount_type'] ?? null;
+        $discountValue = (float)($data['discount_value'] ?? 0);
+
+        if ($discountValue < 0) {
+            throw new \Exception("Discount cannot be negative");
+        }
+
+        if ($discountType === 'percent') {
+            if ($discountValue > 100) {
+                throw new \Exception("Discount cannot exceed 100%");
+            }
+            $discountAmount = round($subtotal * $discountValue / 100, 2);
+        } elseif ($discountType === 'amount') {
+            $discountAmount = min(round($discountValue, 2), $subtotal);
+        } elseif ($discountValue > 0) {
+            throw new \Exception("discount_type must be 'percent' or 'amount'");
+        } else {
+            $discountType = null;
+            $discountAmount = 0.0;
+        }
+
+        $taxRate = isset($data['tax_rate']) && $data['tax_rate'] !== '' ? (float)$data['tax_rate'] : null;
+        if ($taxRate !== null && ($taxRate < 0 || $taxRate > 100)) {
+            throw new \Exception("Tax rate must be between 0 and 100");
+        }
+
+        $taxAmount = round(($subtotal - $discountAmount) * ($taxRate ?? 0) / 100, 2);
+
+        return [
+            'subtotal' => $subtotal,
+            'discount_type' => $discountType,
+            'discount_value' => $discountValue,
+            'discount_amount' => $discountAmount,
+            'tax_rate' => $taxRate,
+            'tax_amount' => $taxAmount,
+            'total_amount' => round($subtotal - $discountAmount + $taxAmount, 2)
+        ];
+    }
+
     // =====================================================
     // ✅ v7.0: ENHANCED STOCK REQUIREMENT UPDATE LOGIC
     // =====================================================
@@ -596,7 +1405,8 @@ class CompleteInventoryService
         $stmt = $this->db->query("
             SELECT 
                 so.*, u.name AS created_by_name,
-                GROUP_CONCAT(CONCAT(i.item_name, ' x', soi.quantity) SEPARATOR ', ') AS items_summary
+                GROUP_CONCAT(CONCAT(i.item_name, ' x', soi.quantity) SEPARATOR ', ') AS items_summary,
+                COUNT(soi.item_id) AS line_count
             FROM sales_orders so
             LEFT JOIN users u ON so.created_by = u.user_id
             LEFT JOIN sales_order_items soi ON so.sales_order_id = soi.sales_order_id
@@ -608,6 +1418,54 @@ class CompleteInventoryService
         return $stmt->fetchAll();
     }
 
+    /**
+     * Paginated sales orders (search, date range on created_at, sorting)
+     */
+    public function getSalesOrdersPage(?string $status = null): array
+    {
+        $params = Pagination::fromRequest([
+            'sales_order_id' => 'so.sales_order_id',
+            'created_at' => 'so.created_at',
+            'customer_name' => 'so.customer_name',
+            'installation_date' => 'so.installation_date',
+            'total_amount' => 'so.total_amount',
+            'status' => 'so.status'
+        ], 'created_at');
+
+        $where = [];
+        $bindings = [];
+
+        if ($status) {
+            $where[] = "so.status = ?";
+            $bindings[] = $status;
+        }
+
+        Pagination::applySearch($params, ['so.customer_name', 'so.customer_order_number', 'CAST(so.sales_order_id AS CHAR)'], $where, $bindings);
+        Pagination::applyDateRange($params, 'so.created_at', $where, $bindings);
+
+        $whereSQL = Pagination::whereClause($where);
+
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM sales_orders so {$whereSQL}");
+        $stmt->execute($bindings);
+        $total = (int)$stmt->fetchColumn();
+
+        $stmt = $this->db->prepare("
+            SELECT
+                so.*, u.name AS created_by_name,
+                GROUP_CONCAT(CONCAT(i.item_name, ' x', soi.quantity) SEPARATOR ', ') AS items_summary,
+                COUNT(soi.item_id) AS line_count
+            FROM sales_orders so
+            LEFT JOIN users u ON so.created_by = u.user_id
+            LEFT JOIN sales_order_items soi ON so.sales_order_id = soi.sales_order_id
+            LEFT JOIN items i ON soi.item_id = i.item_id
+            {$whereSQL}
+            GROUP BY so.sales_order_id
+            " . Pagination::orderAndLimit($params, 'so.sales_order_id'));
+        $stmt->execute($bindings);
+
+        return Pagination::result($stmt->fetchAll(), $total, $params);
+    }
+
     public function getMaterialDocuments(array $filters = []): array
     {
         $sql = "SELECT * FROM v_stock_movements WHERE 1=1";
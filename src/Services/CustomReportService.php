@@ -0,0 +1,649 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\CustomReportRepository;
+use Janstro\InventorySystem\Repositories\LocationRepository;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * CUSTOM REPORT SERVICE v1.0 - REPORT BUILDER
+ * ============================================================================
+ * Users pick a data source, columns, filters, grouping with aggregates and
+ * sorting; the definition is compiled to SQL here against a fixed field
+ * catalog, so only known expressions reach the query and every value is
+ * bound.
+ *
+ * Definition:
+ *   {columns: [field, ...],                       - when not grouped
+ *    filters: [{field, op, value, value2}, ...],
+ *    group_by: [field, ...],
+ *    aggregates: [{fn, field}, ...],              - count may omit field
+ *    sort: [{key, dir}, ...],                      - key: field or "fn:field"
+ *    limit}
+ *
+ * Results have the ReportService::buildReport shape, so they export and
+ * email like the built-in reports.
+ * ============================================================================
+ */
+class CustomReportService
+{
+    public const AGGREGATES = ['count' => 'Count', 'sum' => 'Sum', 'avg' => 'Average', 'min' => 'Min', 'max' => 'Max'];
+
+    public const OPERATORS = [
+        'eq' => ['label' => 'is', 'types' => ['string', 'number', 'date']],
+        'neq' => ['label' => 'is not', 'types' => ['string', 'number', 'date']],
+        'contains' => ['label' => 'contains', 'types' => ['string']],
+        'gt' => ['label' => '>', 'types' => ['number', 'date']],
+        'gte' => ['label' => '>=', 'types' => ['number', 'date']],
+        'lt' => ['label' => '<', 'types' => ['number', 'date']],
+        'lte' => ['label' => '<=', 'types' => ['number', 'date']],
+        'between' => ['label' => 'between', 'types' => ['number', 'date']],
+        'last_days' => ['label' => 'in the last N days', 'types' => ['date']],
+        'empty' => ['label' => 'is empty', 'types' => ['string', 'number', 'date']],
+        'not_empty' => ['label' => 'is not empty', 'types' => ['string', 'number', 'date']]
+    ];
+
+    private const MAX_ROWS = 5000;
+    private const DEFAULT_ROWS = 1000;
+
+    /* Roles that can edit and delete everyone's reports */
+    private const ALL_REPORTS_ROLES = ['superadmin'];
+
+    private PDO $db;
+    private CustomReportRepository $reportRepo;
+    private ?array $sources = null;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+        $this->reportRepo = new CustomReportRepository();
+    }
+
+    // ========================================================================
+    // FIELD CATALOG
+    // ========================================================================
+
+    /**
+     * Data sources with their FROM clause and fields {label, sql, type}
+     */
+    private function sources(): array
+    {
+        if ($this->sources !== null) {
+            return $this->sources;
+        }
+
+        $txLocation = sprintf(LocationRepository::TRANSACTION_LOCATION, 't');
+        $soNumber = fn($column) => "CASE WHEN $column IS NULL THEN NULL ELSE CONCAT('SO-', LPAD($column, 5, '0')) END";
+        $poNumber = fn($column) => "CASE WHEN $column IS NULL THEN NULL ELSE CONCAT('PO-', LPAD($column, 5, '0')) END";
+        $month = fn($column) => "DATE_FORMAT($column, '%Y-%m')";
+
+        $itemFields = [
+            'sku' => ['label' => 'SKU', 'sql' => 'i.sku', 'type' => 'string'],
+            'item_name' => ['label' => 'Item Name', 'sql' => 'i.item_name', 'type' => 'string'],
+            'category' => ['label' => 'Category', 'sql' => "COALESCE(c.name, 'Uncategorized')", 'type' => 'string']
+        ];
+
+        return $this->sources = [
+            'inventory' => [
+                'label' => 'Inventory',
+                'from' => "v_current_inventory v",
+                'fields' => [
+                    'sku' => ['label' => 'SKU', 'sql' => 'v.sku', 'type' => 'string'],
+                    'item_name' => ['label' => 'Item Name', 'sql' => 'v.item_name', 'type' => 'string'],
+                    'category' => ['label' => 'Category', 'sql' => "COALESCE(v.category_name, 'Uncategorized')", 'type' => 'string'],
+                    'quantity' => ['label' => 'Quantity', 'sql' => 'v.current_quantity', 'type' => 'number'],
+                    'unit' => ['label' => 'Unit', 'sql' => 'v.unit', 'type' => 'string'],
+                    'unit_price' => ['label' => 'Unit Price', 'sql' => 'v.unit_price', 'type' => 'number'],
+                    'total_value' => ['label' => 'Total Value', 'sql' => 'v.current_quantity * v.unit_price', 'type' => 'number'],
+                    'reorder_level' => ['label' => 'Reorder Level', 'sql' => 'v.reorder_level', 'type' => 'number'],
+                    'stock_status' => ['label' => 'Stock Status', 'sql' => "CASE WHEN v.current_quantity <= v.reorder_level THEN 'Low' ELSE 'Sufficient' END", 'type' => 'string'],
+                    'item_status' => ['label' => 'Item Status', 'sql' => 'v.item_status', 'type' => 'string'],
+                    // Items have no fixed supplier: the one on the latest PO line for the item
+                    'supplier' => ['label' => 'Supplier', 'sql' => "(
+                        SELECT s.supplier_name
+                        FROM purchase_order_items poi
+                        JOIN purchase_orders po ON poi.po_id = po.po_id
+                        JOIN suppliers s ON po.supplier_id = s.supplier_id
+                        WHERE poi.item_id = v.item_id
+                        ORDER BY po.po_date DESC
+                        LIMIT 1
+                    )", 'type' => 'string'],
+                    'created_at' => ['label' => 'Created', 'sql' => 'v.created_at', 'type' => 'date']
+                ]
+            ],
+            'transactions' => [
+                'label' => 'Stock Movements',
+                'from' => "transactions t
+                    LEFT JOIN items i ON t.item_id = i.item_id
+                    LEFT JOIN categories c ON i.category_id = c.category_id
+                    LEFT JOIN users u ON t.user_id = u.user_id
+                    LEFT JOIN locations l ON l.location_id = $txLocation",
+                'fields' => [
+                    'movement_date' => ['label' => 'Date', 'sql' => 't.movement_date', 'type' => 'date'],
+                    'movement_month' => ['label' => 'Month', 'sql' => $month('t.movement_date'), 'type' => 'string'],
+                    'transaction_type' => ['label' => 'Type', 'sql' => 't.transaction_type', 'type' => 'string']
+                ] + $itemFields + [
+                    'quantity' => ['label' => 'Quantity', 'sql' => 't.quantity', 'type' => 'number'],
+                    'unit_price' => ['label' => 'Unit Price', 'sql' => 'COALESCE(t.unit_price, i.unit_price, 0)', 'type' => 'number'],
+                    'total_value' => ['label' => 'Total Value', 'sql' => 't.quantity * COALESCE(t.unit_price, i.unit_price, 0)', 'type' => 'number'],
+                    'reference_type' => ['label' => 'Reference Type', 'sql' => 't.reference_type', 'type' => 'string'],
+                    'reference_number' => ['label' => 'Reference', 'sql' => 't.reference_number', 'type' => 'string'],
+                    'location' => ['label' => 'Location', 'sql' => 'l.code', 'type' => 'string'],
+                    'user' => ['label' => 'User', 'sql' => 'u.name', 'type' => 'string']
+                ]
+            ],
+            'purchase_orders' => [
+                'label' => 'Purchase Order Lines',
+                'from' => "purchase_order_items poi
+                    JOIN purchase_orders po ON poi.po_id = po.po_id
+                    LEFT JOIN suppliers s ON po.supplier_id = s.supplier_id
+                    LEFT JOIN items i ON poi.item_id = i.item_id
+                    LEFT JOIN categories c ON i.category_id = c.category_id",
+                'fields' => [
+                    'po_number' => ['label' => 'PO Number', 'sql' => $poNumber('po.po_id'), 'type' => 'string'],
+                    'po_date' => ['label' => 'PO Date', 'sql' => 'po.po_date', 'type' => 'date'],
+                    'po_month' => ['label' => 'Month', 'sql' => $month('po.po_date'), 'type' => 'string'],
+                    'expected_date' => ['label' => 'Expected Delivery', 'sql' => 'COALESCE(poi.expected_date, po.expected_delivery_date)', 'type' => 'date'],
+                    'status' => ['label' => 'Status', 'sql' => 'po.status', 'type' => 'string'],
+                    'supplier' => ['label' => 'Supplier', 'sql' => 's.supplier_name', 'type' => 'string']
+                ] + $itemFields + [
+                    'quantity' => ['label' => 'Ordered Qty', 'sql' => 'poi.quantity', 'type' => 'number'],
+                    'received_quantity' => ['label' => 'Received Qty', 'sql' => 'poi.received_quantity', 'type' => 'number'],
+                    'open_quantity' => ['label' => 'Open Qty', 'sql' => 'GREATEST(poi.quantity - poi.received_quantity, 0)', 'type' => 'number'],
+                    'unit_price' => ['label' => 'Unit Price', 'sql' => 'poi.unit_price', 'type' => 'number'],
+                    'line_total' => ['label' => 'Line Total', 'sql' => 'poi.line_total', 'type' => 'number']
+                ]
+            ],
+            'sales_orders' => [
+                'label' => 'Sales Orders',
+                'from' => "sales_orders so
+                    LEFT JOIN users u ON so.created_by = u.user_id",
+                'fields' => [
+                    'so_number' => ['label' => 'SO Number', 'sql' => $soNumber('so.sales_order_id'), 'type' => 'string'],
+                    'order_date' => ['label' => 'Order Date', 'sql' => 'so.order_date', 'type' => 'date'],
+                    'order_month' => ['label' => 'Month', 'sql' => $month('so.order_date'), 'type' => 'string'],
+                    'installation_date' => ['label' => 'Installation Date', 'sql' => 'so.installation_date', 'type' => 'date'],
+                    'customer' => ['label' => 'Customer', 'sql' => 'so.customer_name', 'type' => 'string'],
+                    'customer_order_number' => ['label' => 'Customer PO', 'sql' => 'so.customer_order_number', 'type' => 'string'],
+                    'status' => ['label' => 'Status', 'sql' => 'so.status', 'type' => 'string'],
+                    'line_count' => ['label' => 'Lines', 'sql' => '(SELECT COUNT(*) FROM sales_order_items soi WHERE soi.sales_order_id = so.sales_order_id)', 'type' => 'number'],
+                    'total_amount' => ['label' => 'Total Amount', 'sql' => 'so.total_amount', 'type' => 'number'],
+                    'created_by' => ['label' => 'Created By', 'sql' => 'u.name', 'type' => 'string']
+                ]
+            ],
+            'invoices' => [
+                'label' => 'Invoices',
+                'from' => "invoices inv
+                    LEFT JOIN users u ON inv.generated_by = u.user_id",
+                'fields' => [
+                    'invoice_number' => ['label' => 'Invoice Number', 'sql' => 'inv.invoice_number', 'type' => 'string'],
+                    'invoice_date' => ['label' => 'Invoice Date', 'sql' => 'inv.generated_at', 'type' => 'date'],
+                    'invoice_month' => ['label' => 'Month', 'sql' => $month('inv.generated_at'), 'type' => 'string'],
+                    'due_date' => ['label' => 'Due Date', 'sql' => 'inv.due_date', 'type' => 'date'],
+                    'sales_order' => ['label' => 'Sales Order', 'sql' => $soNumber('inv.sales_order_id'), 'type' => 'string'],
+                    'customer' => ['label' => 'Customer', 'sql' => 'inv.customer_name', 'type' => 'string'],
+                    'payment_status' => ['label' => 'Payment Status', 'sql' => 'inv.payment_status', 'type' => 'string'],
+                    'subtotal' => ['label' => 'Subtotal', 'sql' => 'inv.subtotal', 'type' => 'number'],
+                    'discount_amount' => ['label' => 'Discount', 'sql' => 'inv.discount_amount', 'type' => 'number'],
+                    'tax_amount' => ['label' => 'Tax', 'sql' => 'inv.tax_amount', 'type' => 'number'],
+                    'total_amount' => ['label' => 'Total Amount', 'sql' => 'inv.total_amount', 'type' => 'number'],
+                    'days_overdue' => ['label' => 'Days Overdue', 'sql' => "CASE WHEN inv.payment_status <> 'paid' AND inv.due_date < CURDATE() THEN DATEDIFF(CURDATE(), inv.due_date) ELSE 0 END", 'type' => 'number'],
+                    'generated_by' => ['label' => 'Generated By', 'sql' => 'u.name', 'type' => 'string']
+                ]
+            ],
+            'purchase_requisitions' => [
+                'label' => 'Purchase Requisitions',
+                'from' => "purchase_requisitions pr
+                    LEFT JOIN items i ON pr.item_id = i.item_id
+                    LEFT JOIN categories c ON i.category_id = c.category_id
+                    LEFT JOIN users u ON pr.requested_by = u.user_id",
+                'fields' => [
+                    'pr_number' => ['label' => 'PR Number', 'sql' => 'pr.pr_number', 'type' => 'string'],
+                    'created_at' => ['label' => 'Requested', 'sql' => 'pr.created_at', 'type' => 'date'],
+                    'pr_month' => ['label' => 'Month', 'sql' => $month('pr.created_at'), 'type' => 'string'],
+                    'status' => ['label' => 'Status', 'sql' => 'pr.status', 'type' => 'string'],
+                    'urgency' => ['label' => 'Urgency', 'sql' => 'pr.urgency', 'type' => 'string']
+                ] + $itemFields + [
+                    'required_quantity' => ['label' => 'Required Qty', 'sql' => 'pr.required_quantity', 'type' => 'number'],
+                    'sales_order' => ['label' => 'Sales Order', 'sql' => $soNumber('pr.sales_order_id'), 'type' => 'string'],
+                    'requested_by' => ['label' => 'Requested By', 'sql' => 'u.name', 'type' => 'string'],
+                    'approved_at' => ['label' => 'Approved', 'sql' => 'pr.approved_at', 'type' => 'date'],
+                    'converted_po' => ['label' => 'Converted to PO', 'sql' => $poNumber('pr.converted_to_po_id'), 'type' => 'string']
+                ]
+            ]
+        ];
+    }
+
+    /**
+     * Sources, fields, operators and aggregates for the builder UI
+     */
+    public function getCatalog(): array
+    {
+        $sources = [];
+
+        foreach ($this->sources() as $key => $source) {
+            $fields = [];
+            foreach ($source['fields'] as $fieldKey => $field) {
+                $fields[] = ['key' => $fieldKey, 'label' => $field['label'], 'type' => $field['type']];
+            }
+            $sources[] = ['key' => $key, 'label' => $source['label'], 'fields' => $fields];
+        }
+
+        $operators = [];
+        foreach (self::OPERATORS as $key => $operator) {
+            $operators[] = ['key' => $key] + $operator;
+        }
+
+        $aggregates = [];
+        foreach (self::AGGREGATES as $key => $label) {
+            $aggregates[] = ['key' => $key, 'label' => $label];
+        }
+
+        return [
+            'sources' => $sources,
+            'operators' => $operators,
+            'aggregates' => $aggregates,
+            'max_rows' => self::MAX_ROWS
+        ];
+    }
+
+    // ========================================================================
+    // SAVED REPORTS
+    // ========================================================================
+
+    public function getReports(object $user): array
+    {
+        return $this->reportRepo->getVisible($this->seesAll($user) ? null : (int)$user->user_id);
+    }
+
+    public function getReport(int $reportId, object $user): ?array
+    {
+        $report = $this->reportRepo->findById($reportId);
+
+        if (!$report || !$this->canView($report, $user)) {
+            return null;
+        }
+
+        return $report;
+    }
+
+    /**
+     * Create, or update when $reportId is given (creator or superadmin only)
+     *
+     * @param array $data {name, description, source, definition, is_shared}
+     */
+    public function saveReport(array $data, object $user, ?int $reportId = null): array
+    {
+        $name = trim((string)($data['name'] ?? ''));
+        if ($name === '') {
+            throw new Exception('Give the report a name');
+        }
+
+        $source = (string)($data['source'] ?? '');
+        $report = [
+            'name' => mb_substr($name, 0, 100),
+            'description' => mb_substr(trim((string)($data['description'] ?? '')), 0, 255) ?: null,
+            'source' => $source,
+            'definition' => $this->normalize($source, $data['definition'] ?? []),
+            'is_shared' => !empty($data['is_shared'])
+        ];
+
+        $userId = (int)$user->user_id;
+
+        if ($reportId === null) {
+            $reportId = $this->reportRepo->create($report, $userId);
+            $this->audit($userId, "Custom report #$reportId '{$report['name']}' created" . ($report['is_shared'] ? ' (shared)' : ''), 'create');
+
+            return ['report_id' => $reportId, 'message' => 'Report saved'];
+        }
+
+        $this->getOwnReport($reportId, $user);
+        $this->reportRepo->update($reportId, $report);
+        $this->audit($userId, "Custom report #$reportId '{$report['name']}' updated" . ($report['is_shared'] ? ' (shared)' : ''), 'update');
+
+        return ['report_id' => $reportId, 'message' => 'Report updated'];
+    }
+
+    public function deleteReport(int $reportId, object $user): array
+    {
+        $report = $this->getOwnReport($reportId, $user);
+
+        $this->reportRepo->delete($reportId);
+        $this->audit((int)$user->user_id, "Custom report #$reportId '{$report['name']}' deleted", 'delete');
+
+        return ['message' => 'Report deleted'];
+    }
+
+    public function runSaved(int $reportId, object $user): ?array
+    {
+        $report = $this->getReport($reportId, $user);
+        if (!$report) {
+            return null;
+        }
+
+        $result = $this->run($report['source'], $report['definition'], $report['name']);
+        $this->reportRepo->touchLastRun($reportId);
+
+        return $result + ['report_id' => $reportId];
+    }
+
+    // ========================================================================
+    // RUNNING
+    // ========================================================================
+
+    /**
+     * Run a definition (saved or not)
+     *
+     * @return array ReportService::buildReport shape, plus keys (output keys)
+     */
+    public function run(string $source, array $definition, string $title = 'Custom Report'): array
+    {
+        $definition = $this->normalize($source, $definition);
+        [$sql, $params, $outputs] = $this->compile($source, $definition);
+
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute($params);
+
+        $rows = [];
+        while ($row = $stmt->fetch(PDO::FETCH_NUM)) {
+            foreach ($outputs as $i => $output) {
+                if ($output['type'] === 'number' && $row[$i] !== null) {
+                    $row[$i] = str_contains((string)$row[$i], '.') ? round((float)$row[$i], 2) : (int)$row[$i];
+                }
+            }
+            $rows[] = $row;
+        }
+
+        return [
+            'type' => 'custom',
+            'title' => $title,
+            'source' => $source,
+            'location' => null,
+            'date_from' => null,
+            'date_to' => null,
+            'generated_at' => date('Y-m-d H:i:s'),
+            'columns' => array_column($outputs, 'label'),
+            'keys' => array_column($outputs, 'key'),
+            'rows' => $rows,
+            'summary' => [
+                'Source' => $this->sources()[$source]['label'],
+                'Rows' => count($rows)
+            ],
+            'truncated' => count($rows) >= $definition['limit']
+        ];
+    }
+
+    /**
+     * Validate a definition against the catalog and fill in defaults
+     */
+    private function normalize(string $source, array $definition): array
+    {
+        $fields = $this->sources()[$source]['fields'] ?? null;
+        if ($fields === null) {
+            throw new Exception('Choose a data source: ' . implode(', ', array_keys($this->sources())));
+        }
+
+        $known = function ($keys, string $what) use ($fields): array {
+            $keys = array_values(array_unique(array_filter(is_array($keys) ? $keys : [], 'is_string')));
+            $unknown = array_diff($keys, array_keys($fields));
+            if ($unknown) {
+                throw new Exception("Unknown $what field(s): " . implode(', ', $unknown));
+            }
+            return $keys;
+        };
+
+        $columns = $known($definition['columns'] ?? [], 'column');
+        $groupBy = $known($definition['group_by'] ?? [], 'group');
+
+        $aggregates = [];
+        foreach (($definition['aggregates'] ?? []) as $aggregate) {
+            $fn = $aggregate['fn'] ?? '';
+            $field = $aggregate['field'] ?? null ?: null;
+
+            if (!isset(self::AGGREGATES[$fn])) {
+                throw new Exception("Unknown aggregate: $fn");
+            }
+            if ($field === null && $fn !== 'count') {
+                throw new Exception(self::AGGREGATES[$fn] . ' needs a field');
+            }
+            if ($field !== null && !isset($fields[$field])) {
+                throw new Exception("Unknown aggregate field: $field");
+            }
+            if (in_array($fn, ['sum', 'avg'], true) && $fields[$field]['type'] !== 'number') {
+                throw new Exception(self::AGGREGATES[$fn] . " needs a number field, {$fields[$field]['label']} is not");
+            }
+
+            $aggregates[] = ['fn' => $fn, 'field' => $field];
+        }
+
+        if (!$groupBy && !$aggregates && !$columns) {
+            throw new Exception('Pick at least one column');
+        }
+
+        $filters = [];
+        foreach (($definition['filters'] ?? []) as $filter) {
+            $filters[] = $this->normalizeFilter($filter, $fields);
+        }
+
+        $grouped = $groupBy || $aggregates;
+        $outputKeys = $grouped
+            ? array_merge($groupBy, array_map(fn($a) => $a['fn'] . ':' . ($a['field'] ?? '*'), $aggregates))
+            : $columns;
+
+        $sort = [];
+        foreach (($definition['sort'] ?? []) as $order) {
+            $key = $order['key'] ?? '';
+            if (!in_array($key, $outputKeys, true)) {
+                throw new Exception("Sort on a column of the report: $key is not one");
+            }
+            $sort[] = ['key' => $key, 'dir' => strtolower($order['dir'] ?? 'asc') === 'desc' ? 'desc' : 'asc'];
+        }
+
+        $limit = (int)($definition['limit'] ?? self::DEFAULT_ROWS);
+
+        return [
+            'columns' => $grouped ? [] : $columns,
+            'filters' => $filters,
+            'group_by' => $groupBy,
+            'aggregates' => $aggregates,
+            'sort' => $sort,
+            'limit' => max(1, min(self::MAX_ROWS, $limit ?: self::DEFAULT_ROWS))
+        ];
+    }
+
+    private function normalizeFilter($filter, array $fields): array
+    {
+        $field = $filter['field'] ?? '';
+        $op = $filter['op'] ?? '';
+
+        if (!isset($fields[$field])) {
+            throw new Exception("Unknown filter field: $field");
+        }
+
+        $type = $fields[$field]['type'];
+        $label = $fields[$field]['label'];
+
+        if (!isset(self::OPERATORS[$op]) || !in_array($type, self::OPERATORS[$op]['types'], true)) {
+            throw new Exception("$label cannot be filtered with '$op'");
+        }
+
+        if (in_array($op, ['empty', 'not_empty'], true)) {
+            return ['field' => $field, 'op' => $op];
+        }
+
+        $check = function ($value) use ($type, $op, $label) {
+            if ($op === 'last_days') {
+                if (!ctype_digit((string)$value) || (int)$value < 1) {
+                    throw new Exception("$label: enter a number of days");
+                }
+                return (int)$value;
+            }
+            if ($type === 'number') {
+                if (!is_numeric($value)) {
+                    throw new Exception("$label: enter a number");
+                }
+                return $value + 0;
+            }
+            if ($type === 'date') {
+                if (!is_string($value) || !strtotime($value)) {
+                    throw new Exception("$label: enter a date");
+                }
+                return date('Y-m-d', strtotime($value));
+            }
+            if (!is_scalar($value) || trim((string)$value) === '') {
+                throw new Exception("$label: enter a value");
+            }
+            return trim((string)$value);
+        };
+
+        $normalized = ['field' => $field, 'op' => $op, 'value' => $check($filter['value'] ?? null)];
+
+        if ($op === 'between') {
+            $normalized['value2'] = $check($filter['value2'] ?? null);
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * @return array [sql, params, outputs [{key, label, type}, ...]]
+     */
+    private function compile(string $source, array $definition): array
+    {
+        $fields = $this->sources()[$source]['fields'];
+        $select = [];
+        $outputs = [];
+
+        $grouped = $definition['group_by'] || $definition['aggregates'];
+
+        foreach ($grouped ? $definition['group_by'] : $definition['columns'] as $key) {
+            $select[] = "{$fields[$key]['sql']} AS c" . count($outputs);
+            $outputs[] = ['key' => $key, 'label' => $fields[$key]['label'], 'type' => $fields[$key]['type']];
+        }
+
+        foreach ($definition['aggregates'] as $aggregate) {
+            $field = $aggregate['field'] !== null ? $fields[$aggregate['field']] : null;
+            $expression = $field === null
+                ? 'COUNT(*)'
+                : strtoupper($aggregate['fn']) . "({$field['sql']})";
+
+            $select[] = "$expression AS c" . count($outputs);
+            $outputs[] = [
+                'key' => $aggregate['fn'] . ':' . ($aggregate['field'] ?? '*'),
+                'label' => self::AGGREGATES[$aggregate['fn']] . ($field ? " of {$field['label']}" : ''),
+                // count is a number whatever it counts; min / max keep the field type
+                'type' => in_array($aggregate['fn'], ['min', 'max'], true) ? $field['type'] : 'number'
+            ];
+        }
+
+        $where = [];
+        $params = [];
+
+        foreach ($definition['filters'] as $filter) {
+            $field = $fields[$filter['field']];
+            $expression = $field['type'] === 'date' ? "DATE({$field['sql']})" : $field['sql'];
+
+            switch ($filter['op']) {
+                case 'eq':
+                    $where[] = "$expression = ?";
+                    $params[] = $filter['value'];
+                    break;
+                case 'neq':
+                    $where[] = "($expression IS NULL OR $expression <> ?)";
+                    $params[] = $filter['value'];
+                    break;
+                case 'contains':
+                    $where[] = "$expression LIKE ?";
+                    $params[] = '%' . addcslashes($filter['value'], '%_\\') . '%';
+                    break;
+                case 'gt':
+                case 'gte':
+                case 'lt':
+                case 'lte':
+                    $operator = ['gt' => '>', 'gte' => '>=', 'lt' => '<', 'lte' => '<='][$filter['op']];
+                    $where[] = "$expression $operator ?";
+                    $params[] = $filter['value'];
+                    break;
+                case 'between':
+                    $where[] = "$expression BETWEEN ? AND ?";
+                    array_push($params, $filter['value'], $filter['value2']);
+                    break;
+                case 'last_days':
+                    $where[] = "$expression >= CURDATE() - INTERVAL ? DAY";
+                    $params[] = $filter['value'] - 1;
+                    break;
+                case 'empty':
+                    $where[] = $field['type'] === 'string' ? "($expression IS NULL OR $expression = '')" : "$expression IS NULL";
+                    break;
+                case 'not_empty':
+                    $where[] = $field['type'] === 'string' ? "($expression IS NOT NULL AND $expression <> '')" : "$expression IS NOT NULL";
+                    break;
+            }
+        }
+
+        $sql = "SELECT " . implode(', ', $select) . " FROM {$this->sources()[$source]['from']}";
+
+        if ($where) {
+            $sql .= " WHERE " . implode(' AND ', $where);
+        }
+
+        if ($definition['group_by']) {
+            $sql .= " GROUP BY " . implode(', ', array_map(fn($key) => $fields[$key]['sql'], $definition['group_by']));
+        }
+
+        $positions = array_flip(array_column($outputs, 'key'));
+        $order = array_map(fn($s) => 'c' . $positions[$s['key']] . ' ' . strtoupper($s['dir']), $definition['sort']);
+        if ($order) {
+            $sql .= " ORDER BY " . implode(', ', $order);
+        }
+
+        $sql .= " LIMIT ?";
+        $params[] = $definition['limit'];
+
+        return [$sql, $params, $outputs];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    private function canView(array $report, object $user): bool
+    {
+        return $report['is_shared'] || $this->seesAll($user) || (int)$report['created_by'] === (int)$user->user_id;
+    }
+
+    /**
+     * Reports only their creator (or a superadmin) may change
+     */
+    private function getOwnReport(int $reportId, object $user): array
+    {
+        $report = $this->reportRepo->findById($reportId);
+
+        if (!$report || !$this->canView($report, $user)) {
+            throw new Exception('Custom report not found');
+        }
+        if (!$this->seesAll($user) && (int)$report['created_by'] !== (int)$user->user_id) {
+            throw new Exception('Only the creator can change a shared report - save a copy instead');
+        }
+
+        return $report;
+    }
+
+    private function seesAll(object $user): bool
+    {
+        return in_array(strtolower($user->role ?? ''), self::ALL_REPORTS_ROLES, true);
+    }
+
+    private function audit(int $userId, string $description, string $actionType): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'reports', ?, ?)
+        ");
+        $stmt->execute([$userId, $description, $actionType, $_SERVER['REMOTE_ADDR'] ?? 'system']);
+    }
+}
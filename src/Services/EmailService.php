@@ -61,13 +61,16 @@ class EmailService
 
     /**
      * Send email (generic method)
+     *
+     * @param array $attachments [{name, content, type}, ...] - file contents, not paths
      */
     public function send(
         string $to,
         string $subject,
         string $body,
         string $type = 'general',
-        ?int $referenceId = null
+        ?int $referenceId = null,
+        array $attachments = []
     ): bool {
         if (!$this->enabled) {
             error_log("EmailService: Disabled");
@@ -81,7 +84,7 @@ class EmailService
 
         // Try SMTP first
         if ($this->hasSMTPConfig()) {
-            $sent = $this->sendViaSMTP($to, $subject, $body);
+            $sent = $this->sendViaSMTP($to, $subject, $body, $attachments);
             if ($sent) {
                 $this->logEmail($to, $subject, $type, 'sent', null, $referenceId);
                 return true;
@@ -89,7 +92,7 @@ class EmailService
         }
 
         // Fallback to PHP mail()
-        $sent = $this->sendViaPHPMail($to, $subject, $body);
+        $sent = $this->sendViaPHPMail($to, $subject, $body, $attachments);
         $this->logEmail($to, $subject, $type, $sent ? 'sent' : 'failed', null, $referenceId);
 
         return $sent;
@@ -185,10 +188,22 @@ class EmailService
         return $sentCount > 0;
     }
 
+    /**
+     * Send a generated report (ReportService::buildReport) with its file attached;
+     * used by report schedules and by "email this report" on the reports page
+     */
+    public function sendReport(array $report, array $attachment, string $recipientEmail, ?int $scheduleId = null): bool
+    {
+        $subject = "📊 {$report['title']} - " . date('M d, Y', strtotime($report['generated_at']));
+        $body = $this->buildReportTemplate($report, $attachment['name']);
+
+        return $this->send($recipientEmail, $subject, $body, $scheduleId ? 'scheduled_report' : 'report', $scheduleId, [$attachment]);
+    }
+
     /**
      * Send via SMTP (PHPMailer)
      */
-    private function sendViaSMTP(string $to, string $subject, string $body): bool
+    private function sendViaSMTP(string $to, string $subject, string $body, array $attachments = []): bool
     {
         try {
             if (!class_exists('PHPMailer\PHPMailer\PHPMailer')) {
@@ -228,6 +243,10 @@ class EmailService
             $mail->Body = $body;
             $mail->AltBody = strip_tags($body);
 
+            foreach ($attachments as $attachment) {
+                $mail->addStringAttachment($attachment['content'], $attachment['name'], PHPMailer::ENCODING_BASE64, $attachment['type']);
+            }
+
             return $mail->send();
         } catch (PHPMailerException $e) {
             error_log("SMTP error: " . $e->getMessage());
@@ -238,16 +257,39 @@ class EmailService
     /**
      * Send via PHP mail() fallback
      */
-    private function sendViaPHPMail(string $to, string $subject, string $body): bool
+    private function sendViaPHPMail(string $to, string $subject, string $body, array $attachments = []): bool
     {
         try {
             $headers = [
                 'MIME-Version: 1.0',
-                'Content-Type: text/html; charset=UTF-8',
                 'From: ' . $this->config['from_name'] . ' <' . $this->config['from_email'] . '>'
             ];
 
-            return mail($to, $subject, $body, implode("\r\n", $headers));
+            if (!$attachments) {
+                $headers[] = 'Content-Type: text/html; charset=UTF-8';
+                return mail($to, $subject, $body, implode("\r\n", $headers));
+            }
+
+            // multipart/mixed: the HTML body, then each file base64-encoded
+            $boundary = 'janstro_' . bin2hex(random_bytes(8));
+            $headers[] = "Content-Type: multipart/mixed; boundary=\"{$boundary}\"";
+
+            $message = "--{$boundary}\r\n"
+                . "Content-Type: text/html; charset=UTF-8\r\n"
+                . "Content-Transfer-Encoding: 8bit\r\n\r\n"
+                . $body . "\r\n";
+
+            foreach ($attachments as $attachment) {
+                $message .= "--{$boundary}\r\n"
+                    . "Content-Type: {$attachment['type']}; name=\"{$attachment['name']}\"\r\n"
+                    . "Content-Transfer-Encoding: base64\r\n"
+                    . "Content-Disposition: attachment; filename=\"{$attachment['name']}\"\r\n\r\n"
+                    . chunk_split(base64_encode($attachment['content'])) . "\r\n";
+            }
+
+            $message .= "--{$boundary}--";
+
+            return mail($to, $subject, $message, implode("\r\n", $headers));
         } catch (\Exception $e) {
             error_log("PHP mail() error: " . $e->getMessage());
             return false;
@@ -357,4 +399,20 @@ class EmailService
 
         return "<!DOCTYPE html><html><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:#42a5f5;padding:20px;text-align:center;color:white;'><h1>📦 Purchase Order</h1></div><div style='padding:20px;'><p><strong>PO Number:</strong> {$poNumber}<br><strong>Supplier:</strong> {$supplier['supplier_name']}<br><strong>Amount:</strong> ₱" . number_format($po['total_amount'], 2) . "</p></div></body></html>";
     }
+
+    private function buildReportTemplate(array $report, string $fileName): string
+    {
+        $rows = '';
+        foreach ($report['summary'] as $label => $value) {
+            $shown = is_float($value) ? number_format($value, 2) : $value;
+            $rows .= "<tr><td style='padding:8px;border-bottom:1px solid #ddd;'>{$label}</td><td style='padding:8px;border-bottom:1px solid #ddd;text-align:right;'><strong>{$shown}</strong></td></tr>";
+        }
+
+        $period = $report['date_from']
+            ? date('M d, Y', strtotime($report['date_from'])) . ' - ' . date('M d, Y', strtotime($report['date_to']))
+            : 'As of ' . date('M d, Y g:i A', strtotime($report['generated_at']));
+        $location = htmlspecialchars($report['location'] ?? 'All locations');
+
+        return "<!DOCTYPE html><html><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:#264653;padding:20px;text-align:center;color:white;'><h1>📊 {$report['title']}</h1></div><div style='padding:20px;'><p><strong>Period:</strong> {$period}<br><strong>Location:</strong> {$location}</p><table style='width:100%;border-collapse:collapse;'>{$rows}</table><p>The full report is attached as <strong>{$fileName}</strong>.</p><p style='color:#888;font-size:12px;'>Generated by Janstro IMS.</p></div></body></html>";
+    }
 }
@@ -0,0 +1,317 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\ExportJobRepository;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * EXPORT JOB SERVICE v1.0
+ * ============================================================================
+ * Report exports too big to build in the browser (year-end movements and
+ * the like). A request queues a job; the file is streamed to
+ * storage/exports/ right after the response is sent (PHP-FPM), or by
+ * public/cron/process-report-exports.php on servers without
+ * fastcgi_finish_request. The reports page polls the job for progress and
+ * downloads the file when it is done.
+ *
+ * Files are kept KEEP_DAYS days, then deleted by the cron job.
+ * ============================================================================
+ */
+class ExportJobService
+{
+    /* Roles that see and download everyone's exports */
+    private const ALL_EXPORTS_ROLES = ['superadmin'];
+    private const KEEP_DAYS = 3;
+    private const LIST_DAYS = 7;
+
+    /* A running job with no result after this long is treated as dead */
+    private const STALE_MINUTES = 60;
+
+    private PDO $db;
+    private ExportJobRepository $exportRepo;
+    private ReportService $reportService;
+    private ReportExportService $exportService;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+        $this->exportRepo = new ExportJobRepository();
+        $this->reportService = new ReportService();
+        $this->exportService = new ReportExportService();
+    }
+
+    // ========================================================================
+    // JOBS
+    // ========================================================================
+
+    public function getExports(object $user): array
+    {
+        return array_map(
+            [$this, 'present'],
+            $this->exportRepo->getRecent($this->seesAll($user) ? null : (int)$user->user_id, self::LIST_DAYS)
+        );
+    }
+
+    public function getExport(int $exportId, object $user): ?array
+    {
+        $export = $this->exportRepo->findById($exportId);
+
+        return $export && $this->canSee($export, $user) ? $this->present($export) : null;
+    }
+
+    /**
+     * @param array $data {report_type, format, location_id, date_from, date_to,
+     *                     compare, compare_from, compare_to}
+     */
+    public function queueExport(array $data, int $userId): array
+    {
+        $reportType = $data['report_type'] ?? '';
+        if (!isset(ReportService::REPORT_TYPES[$reportType])) {
+            throw new Exception('Choose a report type: ' . implode(', ', array_keys(ReportService::REPORT_TYPES)));
+        }
+
+        $format = $data['format'] ?? '';
+        if (!isset(ReportExportService::FORMATS[$format])) {
+            throw new Exception('Format must be csv, xlsx or pdf');
+        }
+
+        $filters = ['location_id' => !empty($data['location_id']) ? (int)$data['location_id'] : null];
+        if ($filters['location_id'] !== null) {
+            // Throws for unknown locations
+            (new LocationService())->filterLocation($filters['location_id']);
+        }
+
+        foreach (['date_from', 'date_to'] as $key) {
+            if (!empty($data[$key])) {
+                if (!strtotime($data[$key])) {
+                    throw new Exception('Invalid report date');
+                }
+                $filters[$key] = date('Y-m-d', strtotime($data[$key]));
+            }
+        }
+
+        if (isset($filters['date_from'], $filters['date_to']) && $filters['date_from'] > $filters['date_to']) {
+            throw new Exception('Start date is after end date');
+        }
+
+        // Period comparison sheet / section (ReportService::COMPARE_MODES)
+        if (!empty($data['compare'])) {
+            $filters['compare'] = (string)$data['compare'];
+            $filters['compare_from'] = $data['compare_from'] ?? null;
+            $filters['compare_to'] = $data['compare_to'] ?? null;
+
+            // Throws for unknown modes and bad ranges
+            $this->reportService->comparePeriod(
+                $filters['date_from'] ?? date('Y-m-d', strtotime('-29 days')),
+                $filters['date_to'] ?? date('Y-m-d'),
+                $filters['compare'],
+                $filters['compare_from'],
+                $filters['compare_to']
+            );
+        }
+
+        $exportId = $this->exportRepo->create($reportType, $format, $filters, $userId);
+
+        $period = isset($filters['date_from']) ? " {$filters['date_from']} to " . ($filters['date_to'] ?? 'today') : '';
+        $compared = isset($filters['compare']) ? ", compared with {$filters['compare']}" : '';
+        $this->audit($userId, "Queued {$reportType} export ({$format}){$period}{$compared}", 'export');
+
+        return [
+            'export' => $this->present($this->exportRepo->findById($exportId)),
+            'message' => 'Export started'
+        ];
+    }
+
+    /**
+     * Run the job once the response has gone out (PHP-FPM only; elsewhere
+     * it waits for the cron worker)
+     */
+    public function processAfterResponse(int $exportId): void
+    {
+        if (!function_exists('fastcgi_finish_request')) {
+            return;
+        }
+
+        register_shutdown_function(function () use ($exportId) {
+            fastcgi_finish_request();
+            ignore_user_abort(true);
+            set_time_limit(0);
+
+            $this->processExport($exportId);
+        });
+    }
+
+    /**
+     * Write the export file; a job already claimed by another worker is skipped
+     *
+     * @return array {export_id, status, rows, error}
+     */
+    public function processExport(int $exportId): array
+    {
+        if (!$this->exportRepo->claim($exportId)) {
+            return ['export_id' => $exportId, 'status' => 'skipped', 'rows' => 0, 'error' => null];
+        }
+
+        $export = $this->exportRepo->findById($exportId);
+        $path = null;
+
+        try {
+            $report = $this->reportService->streamReport($export['report_type'], $export['filters']);
+            $this->exportRepo->updateProgress($exportId, 0, $report['total']);
+
+            $fileName = $this->exportService->fileName($report, $export['format']);
+            $relativePath = $exportId . '_' . $fileName;
+            $path = $this->exportDir() . $relativePath;
+
+            $rows = $this->exportService->writeFile(
+                $report,
+                $export['format'],
+                $path,
+                fn(int $written) => $this->exportRepo->updateProgress($exportId, $written)
+            );
+
+            $this->exportRepo->complete(
+                $exportId,
+                $fileName,
+                $relativePath,
+                (int)filesize($path),
+                $rows,
+                date('Y-m-d H:i:s', strtotime('+' . self::KEEP_DAYS . ' days'))
+            );
+
+            return ['export_id' => $exportId, 'status' => 'completed', 'rows' => $rows, 'error' => null];
+        } catch (\Throwable $e) {
+            error_log("ExportJobService::processExport - export #$exportId: " . $e->getMessage());
+
+            if ($path && file_exists($path)) {
+                @unlink($path);
+            }
+            $this->exportRepo->fail($exportId, $e->getMessage());
+
+            return ['export_id' => $exportId, 'status' => 'failed', 'rows' => 0, 'error' => $e->getMessage()];
+        }
+    }
+
+    /**
+     * Cron: run queued jobs, give up on dead ones, delete expired files
+     *
+     * @return array {success, stale, expired, processed: [...]}
+     */
+    public function processQueued(int $limit = 5): array
+    {
+        try {
+            $stale = $this->exportRepo->failStale(self::STALE_MINUTES);
+
+            $expired = 0;
+            foreach ($this->exportRepo->getExpired() as $export) {
+                $path = $this->exportDir() . $export['file_path'];
+                if ($export['file_path'] && file_exists($path)) {
+                    @unlink($path);
+                }
+                $this->exportRepo->markExpired((int)$export['export_id']);
+                $expired++;
+            }
+
+            $processed = array_map([$this, 'processExport'], $this->exportRepo->getQueued($limit));
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        return [
+            'success' => true,
+            'stale' => $stale,
+            'expired' => $expired,
+            'processed' => $processed
+        ];
+    }
+
+    /**
+     * @return array|null {path, name, type}; null when the export isn't the user's
+     */
+    public function getDownload(int $exportId, object $user): ?array
+    {
+        $export = $this->exportRepo->findById($exportId);
+
+        if (!$export || !$this->canSee($export, $user)) {
+            return null;
+        }
+
+        if ($export['status'] !== 'completed') {
+            throw new Exception($export['status'] === 'expired'
+                ? 'This export has expired - please export again'
+                : 'This export is not ready yet');
+        }
+
+        $path = $this->exportDir() . $export['file_path'];
+        if (!file_exists($path)) {
+            throw new Exception('Export file is missing - please export again');
+        }
+
+        return [
+            'path' => $path,
+            'name' => $export['file_name'],
+            'type' => ReportExportService::FORMATS[$export['format']]
+        ];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * API shape: no server paths, plus a progress percentage
+     */
+    private function present(array $export): array
+    {
+        $total = $export['rows_total'] !== null ? (int)$export['rows_total'] : null;
+        $done = (int)$export['rows_done'];
+
+        $export['export_id'] = (int)$export['export_id'];
+        $export['rows_total'] = $total;
+        $export['rows_done'] = $done;
+        $export['file_size'] = $export['file_size'] !== null ? (int)$export['file_size'] : null;
+        $export['title'] = ReportService::REPORT_TYPES[$export['report_type']] ?? $export['report_type'];
+        $export['progress'] = match ($export['status']) {
+            'completed' => 100,
+            'running' => $total ? min(99, (int)floor($done * 100 / $total)) : 0,
+            default => 0
+        };
+        unset($export['file_path']);
+
+        return $export;
+    }
+
+    private function exportDir(): string
+    {
+        $dir = __DIR__ . '/../../storage/exports/';
+
+        if (!is_dir($dir) && !mkdir($dir, 0755, true)) {
+            throw new Exception("Cannot create directory: {$dir}");
+        }
+
+        return $dir;
+    }
+
+    private function canSee(array $export, object $user): bool
+    {
+        return $this->seesAll($user) || (int)$export['requested_by'] === (int)$user->user_id;
+    }
+
+    private function seesAll(object $user): bool
+    {
+        return in_array(strtolower($user->role ?? ''), self::ALL_EXPORTS_ROLES, true);
+    }
+
+    private function audit(int $userId, string $description, string $actionType): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'reports', ?, ?)
+        ");
+        $stmt->execute([$userId, $description, $actionType, $_SERVER['REMOTE_ADDR'] ?? 'system']);
+    }
+}
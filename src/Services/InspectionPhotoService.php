@@ -0,0 +1,118 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Exception;
+
+/**
+ * ============================================================================
+ * INSPECTION PHOTO SERVICE v1.0
+ * ============================================================================
+ * Stores photos taken at goods receipt inspection (damaged panels, broken
+ * packaging). Photos arrive as base64 data URLs in the receipt payload, the
+ * same way profile pictures are uploaded.
+ * ============================================================================
+ */
+class InspectionPhotoService
+{
+    private const MAX_PHOTOS_PER_LINE = 4;
+    private const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+    private const EXTENSIONS = [
+        'image/jpeg' => 'jpg',
+        'image/png' => 'png',
+        'image/webp' => 'webp'
+    ];
+
+    private string $uploadPath;
+    private string $publicPath;
+
+    public function __construct()
+    {
+        $this->uploadPath = PUBLIC_PATH . '/assets/uploads/inspection_photos';
+        $this->publicPath = '/janstro-inventory/public/assets/uploads/inspection_photos';
+    }
+
+    /**
+     * Check photos before anything is written
+     *
+     * @param array $photos Base64 data URLs
+     * @return array Decoded [binary, extension] pairs
+     */
+    public function decode(array $photos): array
+    {
+        if (count($photos) > self::MAX_PHOTOS_PER_LINE) {
+            throw new Exception('At most ' . self::MAX_PHOTOS_PER_LINE . ' photos per line');
+        }
+
+        $decoded = [];
+        foreach ($photos as $photo) {
+            if (preg_match('/^data:image\/\w+;base64,/', (string)$photo)) {
+                $photo = substr($photo, strpos($photo, ',') + 1);
+            }
+
+            $data = base64_decode((string)$photo, true);
+            if ($data === false || $data === '') {
+                throw new Exception('Invalid photo data');
+            }
+
+            if (strlen($data) > self::MAX_FILE_SIZE) {
+                throw new Exception('Photo too large. Max ' . (self::MAX_FILE_SIZE / 1024 / 1024) . 'MB');
+            }
+
+            $finfo = finfo_open(FILEINFO_MIME_TYPE);
+            $mimeType = finfo_buffer($finfo, $data);
+            finfo_close($finfo);
+
+            if (!isset(self::EXTENSIONS[$mimeType])) {
+                throw new Exception("Unsupported photo format: {$mimeType}");
+            }
+
+            $decoded[] = [$data, self::EXTENSIONS[$mimeType]];
+        }
+
+        return $decoded;
+    }
+
+    /**
+     * Write decoded photos to disk
+     *
+     * @return array Public paths
+     */
+    public function store(array $decoded, string $prefix): array
+    {
+        if (!$decoded) {
+            return [];
+        }
+
+        if (!is_dir($this->uploadPath) && !mkdir($this->uploadPath, 0755, true)) {
+            throw new Exception("Cannot create upload directory: {$this->uploadPath}");
+        }
+
+        $paths = [];
+        foreach ($decoded as [$data, $extension]) {
+            $filename = $prefix . '_' . time() . '_' . bin2hex(random_bytes(4)) . '.' . $extension;
+
+            if (file_put_contents($this->uploadPath . '/' . $filename, $data) === false) {
+                $this->remove($paths);
+                throw new Exception('Failed to save inspection photo');
+            }
+
+            $paths[] = $this->publicPath . '/' . $filename;
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Delete stored photos, e.g. when the receipt rolls back
+     */
+    public function remove(array $publicPaths): void
+    {
+        foreach ($publicPaths as $path) {
+            $file = $this->uploadPath . '/' . basename($path);
+            if (is_file($file)) {
+                @unlink($file);
+            }
+        }
+    }
+}
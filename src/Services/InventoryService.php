@@ -3,7 +3,10 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Repositories\InventoryRepository;
+use Janstro\InventorySystem\Repositories\LocationRepository;
+use Janstro\InventorySystem\Repositories\TrackingRepository;
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Utils\Pagination;
 
 /**
  * ============================================================================
@@ -13,30 +16,158 @@ use Janstro\InventorySystem\Config\Database;
  * ✅ Removed deprecated updateStock() method
  * ✅ All stock changes via transactions only
  * ✅ Enhanced validation and error handling
+ * ✅ Location filter (location_id) on item lists and stock movements
+ * ✅ Lot / serial tracking flag (tracking_type) and the units on each movement
  * ============================================================================
  */
 class InventoryService
 {
     private InventoryRepository $inventoryRepo;
+    private LocationRepository $locationRepo;
+    private LocationService $locationService;
+    private RealtimeService $realtimeService;
+    private TrackingService $trackingService;
+    private TrackingRepository $trackingRepo;
     private \PDO $db;
 
     public function __construct()
     {
         $this->inventoryRepo = new InventoryRepository();
+        $this->locationRepo = new LocationRepository();
+        $this->locationService = new LocationService();
+        $this->realtimeService = new RealtimeService();
+        $this->trackingService = new TrackingService();
+        $this->trackingRepo = new TrackingRepository();
         $this->db = Database::connect();
     }
 
-    public function getAllItems(): array
+    /**
+     * All items; with a location, quantities are what is held there
+     */
+    public function getAllItems($locationId = null): array
     {
-        $items = $this->inventoryRepo->getAll();
-        return array_map(function ($item) {
+        $items = $this->inventoryRepo->getAll($this->locationService->filterLocation($locationId));
+        $usage = $this->averageUsageByItem(array_map(fn($item) => $item->item_id, $items));
+
+        return array_map(function ($item) use ($usage) {
             $data = $item->toArray();
             $data['stock_status'] = $this->getStockStatus($item->quantity, $item->reorder_level);
-            $data['days_until_stockout'] = $this->estimateDaysUntilStockout($item->item_id);
+            $data['days_until_stockout'] = $this->estimateDaysUntilStockout($item->quantity, $usage[$item->item_id] ?? 0);
             return $data;
         }, $items);
     }
 
+    /**
+     * Paginated inventory list, with whole-inventory totals for summary cards
+     */
+    public function getItemsPage(array $filters = []): array
+    {
+        $params = Pagination::fromRequest([
+            'item_name' => 'item_name',
+            'sku' => 'sku',
+            'category_name' => 'category_name',
+            'quantity' => 'current_quantity',
+            'unit_price' => 'unit_price',
+            'stock_value' => 'current_quantity * unit_price',
+            'updated_at' => 'updated_at'
+        ], 'item_name', 'ASC');
+
+        $filters['location'] = $this->locationService->filterLocation($filters['location_id'] ?? null);
+        $page = $this->inventoryRepo->getPage($params, $filters);
+        $usage = $this->averageUsageByItem(array_map(fn($item) => $item->item_id, $page['items']));
+
+        $items = array_map(function ($item) use ($usage) {
+            $data = $item->toArray();
+            $data['stock_status'] = $this->getStockStatus($item->quantity, $item->reorder_level);
+            $data['stock_value'] = $item->getTotalValue();
+            $data['days_until_stockout'] = $this->estimateDaysUntilStockout($item->quantity, $usage[$item->item_id] ?? 0);
+            return $data;
+        }, $page['items']);
+
+        return Pagination::result($items, $page['total'], $params, [
+            'summary' => $this->inventoryRepo->getStockTotals($filters['location'])
+        ]);
+    }
+
+    /**
+     * Paginated stock movements (MB51) with type, item, location, search and
+     * date filters. Rows carry the location they were posted at.
+     */
+    public function getStockMovementsPage(array $filters = []): array
+    {
+        $params = Pagination::fromRequest([
+            'movement_date' => 'movement_date',
+            'item_name' => 'item_name',
+            'transaction_type' => 'transaction_type',
+            'quantity' => 'quantity',
+            'reference_number' => 'reference_number'
+        ], 'movement_date');
+
+        $where = [];
+        $bindings = [];
+
+        if (!empty($filters['type']) && in_array($filters['type'], ['IN', 'OUT'], true)) {
+            $where[] = "transaction_type = ?";
+            $bindings[] = $filters['type'];
+        }
+
+        if (!empty($filters['item_id'])) {
+            $where[] = "item_id = ?";
+            $bindings[] = (int)$filters['item_id'];
+        }
+
+        $location = $this->locationService->filterLocation($filters['location_id'] ?? null);
+        if ($location) {
+            [$condition, $locationBindings] = $this->locationRepo->transactionFilter($location);
+            $where[] = "transaction_id IN (SELECT t.transaction_id FROM transactions t WHERE $condition)";
+            $bindings = array_merge($bindings, $locationBindings);
+        }
+
+        Pagination::applySearch($params, ['item_name', 'sku', 'reference_number'], $where, $bindings);
+        Pagination::applyDateRange($params, 'movement_date', $where, $bindings);
+
+        $whereSQL = Pagination::whereClause($where);
+
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM v_stock_movements {$whereSQL}");
+        $stmt->execute($bindings);
+        $total = (int)$stmt->fetchColumn();
+
+        $stmt = $this->db->prepare("
+            SELECT * FROM v_stock_movements
+            {$whereSQL}
+            " . Pagination::orderAndLimit($params));
+        $stmt->execute($bindings);
+        $movements = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+
+        $locations = $this->locationRepo->getTransactionLocations(array_column($movements, 'transaction_id'));
+        $tracking = $this->trackingService->getTransactionLabels(array_column($movements, 'transaction_id'));
+        foreach ($movements as &$movement) {
+            $movement['location_code'] = $locations[$movement['transaction_id']]['location_code'] ?? null;
+            $movement['tracking'] = $tracking[$movement['transaction_id']] ?? null;
+        }
+        unset($movement);
+
+        return Pagination::result($movements, $total, $params);
+    }
+
+    /**
+     * Latest movements posted at a location and everything inside it
+     */
+    public function getStockMovements(int $limit, $locationId): array
+    {
+        $location = $this->locationService->filterLocation($locationId);
+        [$condition, $bindings] = $this->locationRepo->transactionFilter($location);
+
+        $stmt = $this->db->prepare("
+            SELECT * FROM v_stock_movements
+            WHERE transaction_id IN (SELECT t.transaction_id FROM transactions t WHERE $condition)
+            LIMIT ?
+        ");
+        $stmt->execute(array_merge($bindings, [$limit]));
+
+        return $stmt->fetchAll(\PDO::FETCH_ASSOC);
+    }
+
     public function getItemById(int $itemId): ?array
     {
         $item = $this->inventoryRepo->findById($itemId);
@@ -45,13 +176,21 @@ class InventoryService
         $data = $item->toArray();
         $data['movement_history'] = $this->getRecentMovements($itemId, 10);
         $data['average_monthly_usage'] = $this->calculateAverageUsage($itemId);
+        $data['locations'] = $this->locationService->getItemLocations($itemId);
+        $data['tracking_type'] = $this->trackingRepo->getTrackingType($itemId);
 
         return $data;
     }
 
-    public function getLowStockItems(): array
+    public function getItemBySku(string $sku): ?array
+    {
+        $item = $this->inventoryRepo->findBySku($sku);
+        return $item ? $item->toArray() : null;
+    }
+
+    public function getLowStockItems($locationId = null): array
     {
-        $items = $this->inventoryRepo->getLowStock();
+        $items = $this->inventoryRepo->getLowStock($this->locationService->filterLocation($locationId));
         return array_map(function ($item) {
             $data = $item->toArray();
             $shortage = $item->reorder_level - $item->quantity;
@@ -168,6 +307,14 @@ class InventoryService
                 $data['quantity'],
                 'Initial stock'
             );
+
+            $this->realtimeService->publish('stock:changed', [
+                'item_id' => $itemId,
+                'item_name' => $data['item_name'] ?? null,
+                'quantity' => (int)$data['quantity'],
+                'change' => (int)$data['quantity'],
+                'source' => 'item_created'
+            ]);
         }
 
         return [
@@ -184,6 +331,10 @@ class InventoryService
             throw new \Exception('Item not found');
         }
 
+        if (isset($data['tracking_type']) && !in_array($data['tracking_type'], TrackingRepository::TYPES, true)) {
+            throw new \Exception('Tracking type must be one of: ' . implode(', ', TrackingRepository::TYPES));
+        }
+
         if (isset($data['sku']) && $data['sku'] !== $item->sku) {
             if ($this->skuExists($data['sku'])) {
                 throw new \Exception('SKU already exists: ' . $data['sku']);
@@ -192,7 +343,19 @@ class InventoryService
 
         unset($data['item_id']);
 
-        return $this->inventoryRepo->update($itemId, $data);
+        $updated = $this->inventoryRepo->update($itemId, $data);
+
+        if ($updated && isset($data['quantity']) && (int)$data['quantity'] !== (int)$item->quantity) {
+            $this->realtimeService->publish('stock:changed', [
+                'item_id' => $itemId,
+                'item_name' => $item->item_name,
+                'quantity' => (int)$data['quantity'],
+                'change' => (int)$data['quantity'] - (int)$item->quantity,
+                'source' => 'item_updated'
+            ]);
+        }
+
+        return $updated;
     }
 
     public function deleteItem(int $itemId): bool
@@ -233,6 +396,14 @@ class InventoryService
 
             $this->inventoryRepo->logTransaction($itemId, $userId, 'IN', $quantity, $notes);
 
+            $this->realtimeService->publish('stock:changed', [
+                'item_id' => $itemId,
+                'item_name' => $item->item_name,
+                'quantity' => $item->quantity + $quantity,
+                'change' => $quantity,
+                'source' => 'stock_in'
+            ]);
+
             $this->db->commit();
 
             $updatedItem = $this->inventoryRepo->findById($itemId);
@@ -270,6 +441,14 @@ class InventoryService
 
             $this->inventoryRepo->logTransaction($itemId, $userId, 'OUT', $quantity, $notes);
 
+            $this->realtimeService->publish('stock:changed', [
+                'item_id' => $itemId,
+                'item_name' => $item->item_name,
+                'quantity' => $item->quantity - $quantity,
+                'change' => -$quantity,
+                'source' => 'stock_out'
+            ]);
+
             $this->db->commit();
 
             $updatedItem = $this->inventoryRepo->findById($itemId);
@@ -356,6 +535,10 @@ class InventoryService
             throw new \Exception('Unit too long (max 20 characters)');
         }
 
+        if (isset($data['tracking_type']) && !in_array($data['tracking_type'], TrackingRepository::TYPES, true)) {
+            throw new \Exception('Tracking type must be one of: ' . implode(', ', TrackingRepository::TYPES));
+        }
+
         if (isset($data['sku']) && !empty($data['sku'])) {
             if (!preg_match('/^[A-Z0-9\-]+$/', $data['sku'])) {
                 throw new \Exception('SKU must contain only uppercase letters, numbers, and hyphens');
@@ -378,19 +561,36 @@ class InventoryService
         return 'healthy';
     }
 
-    private function estimateDaysUntilStockout(int $itemId): ?int
+    private function estimateDaysUntilStockout(int $quantity, float $avgUsage): ?int
     {
-        try {
-            $avgUsage = $this->calculateAverageUsage($itemId);
-            $item = $this->inventoryRepo->findById($itemId);
+        return $avgUsage > 0 ? (int)ceil($quantity / $avgUsage) : null;
+    }
 
-            if ($avgUsage > 0 && $item) {
-                return (int)ceil($item->quantity / $avgUsage);
-            }
+    /**
+     * calculateAverageUsage for a list of items in one query
+     *
+     * @return array [item_id => avg_usage]; items without recent issues are absent
+     */
+    private function averageUsageByItem(array $itemIds): array
+    {
+        if (empty($itemIds)) {
+            return [];
+        }
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT item_id, AVG(quantity) as avg_usage
+                FROM transactions
+                WHERE item_id IN (" . implode(',', array_fill(0, count($itemIds), '?')) . ")
+                AND transaction_type = 'OUT'
+                AND movement_date >= DATE_SUB(NOW(), INTERVAL 3 MONTH)
+                GROUP BY item_id
+            ");
+            $stmt->execute(array_values($itemIds));
+            return array_map('floatval', array_column($stmt->fetchAll(\PDO::FETCH_ASSOC), 'avg_usage', 'item_id'));
         } catch (\Exception $e) {
-            // Silent fail
+            return [];
         }
-        return null;
     }
 
     private function calculateAverageUsage(int $itemId): float
@@ -11,6 +11,9 @@ use Exception;
  * INVOICE SERVICE v3.0 - PRODUCTION READY
  * ============================================================================
  * Full invoice lifecycle: generation, payments, status tracking, PDF
+ *
+ * Lot / serial items are issued from the units picked in $data['picks']:
+ *   [item_id => {serials: [...], lots: [{lot_id, quantity}, ...]}, ...]
  * ============================================================================
  */
 class InvoiceService
@@ -19,6 +22,9 @@ class InvoiceService
     private PdfService $pdfService;
     private EmailService $emailService;
     private NotificationService $notificationService;
+    private RealtimeService $realtimeService;
+    private LocationService $locationService;
+    private TrackingService $trackingService;
 
     public function __construct()
     {
@@ -26,6 +32,9 @@ class InvoiceService
         $this->pdfService = new PdfService();
         $this->emailService = new EmailService();
         $this->notificationService = new NotificationService();
+        $this->realtimeService = new RealtimeService();
+        $this->locationService = new LocationService();
+        $this->trackingService = new TrackingService();
     }
 
     // ========================================================================
@@ -162,6 +171,7 @@ class InvoiceService
                 FROM sales_orders so
                 LEFT JOIN customers c ON so.customer_id = c.customer_id
                 WHERE so.sales_order_id = ?
+                FOR UPDATE
             ");
             $stmt->execute([$salesOrderId]);
             $so = $stmt->fetch(PDO::FETCH_ASSOC);
@@ -174,6 +184,9 @@ class InvoiceService
                 throw new Exception('Sales order already invoiced');
             }
 
+            // Goods leave from one location, the default warehouse unless given
+            $location = $this->locationService->resolveLocation($data['location_id'] ?? null);
+
             // Generate invoice number
             $stmt = $this->db->query("
                 SELECT MAX(CAST(SUBSTRING(invoice_number, 10) AS UNSIGNED)) as max_num 
@@ -185,7 +198,7 @@ class InvoiceService
 
             // Get line items
             $stmt = $this->db->prepare("
-                SELECT soi.*, i.item_name, i.sku, i.unit
+                SELECT soi.*, i.item_name, i.sku, i.unit, i.quantity AS stock_on_hand, i.tracking_type
                 FROM sales_order_items soi
                 JOIN items i ON soi.item_id = i.item_id
                 WHERE soi.sales_order_id = ?
@@ -197,11 +210,41 @@ class InvoiceService
                 throw new Exception('No line items found');
             }
 
-            // Calculate totals
-            $taxRate = $data['tax_rate'] ?? 12.00;
-            $subtotal = array_sum(array_column($lineItems, 'line_total'));
-            $taxAmount = $subtotal * ($taxRate / 100);
-            $totalAmount = $subtotal + $taxAmount;
+            // Every line must be coverable from the location before anything is issued
+            $shortages = [];
+            foreach ($lineItems as $item) {
+                $available = $this->locationService->getQuantityAt((int)$item['item_id'], $location);
+
+                if ($available < (int)$item['quantity']) {
+                    $shortages[] = "{$item['item_name']} (available: $available, required: {$item['quantity']})";
+                }
+            }
+
+            if ($shortages) {
+                throw new Exception("Insufficient stock at {$location['code']}: " . implode('; ', $shortages));
+            }
+
+            // Lots / serials leaving, picked per item and shared out over its lines
+            $picks = is_array($data['picks'] ?? null) ? $data['picks'] : [];
+            $units = [];
+            foreach ($lineItems as $item) {
+                $itemId = (int)$item['item_id'];
+                if (!isset($units[$itemId])) {
+                    $quantity = array_sum(array_map(
+                        fn($line) => (int)$line['item_id'] === $itemId ? (int)$line['quantity'] : 0,
+                        $lineItems
+                    ));
+                    $units[$itemId] = $this->trackingService->pick($item, $location, $quantity, (array)($picks[$itemId] ?? []));
+                }
+            }
+
+            // Calculate totals: order discount first, then tax on the remainder.
+            // The SO's tax rate applies unless the invoice overrides it.
+            $taxRate = (float)($data['tax_rate'] ?? $so['tax_rate'] ?? 12.00);
+            $subtotal = round(array_sum(array_column($lineItems, 'line_total')), 2);
+            $discountAmount = min((float)($so['discount_amount'] ?? 0), $subtotal);
+            $taxAmount = round(($subtotal - $discountAmount) * ($taxRate / 100), 2);
+            $totalAmount = $subtotal - $discountAmount + $taxAmount;
 
             // Calculate due date
             $paymentTerms = $data['payment_terms'] ?? 'Net 30';
@@ -215,15 +258,16 @@ class InvoiceService
             $stmt = $this->db->prepare("
                 INSERT INTO invoices (
                     invoice_number, sales_order_id, customer_name, 
-                    subtotal, tax_rate, tax_amount, total_amount,
+                    subtotal, discount_amount, tax_rate, tax_amount, total_amount,
                     payment_terms, due_date, payment_status, generated_by
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'unpaid', ?)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'unpaid', ?)
             ");
             $stmt->execute([
                 $invoiceNumber,
                 $salesOrderId,
                 $so['customer_name'],
                 $subtotal,
+                $discountAmount,
                 $taxRate,
                 $taxAmount,
                 $totalAmount,
@@ -272,6 +316,11 @@ class InvoiceService
             ");
             $stmt->execute([$userId, $salesOrderId]);
 
+            $stmt = $this->db->prepare("
+                UPDATE stock_requirements SET status = 'fulfilled' WHERE sales_order_id = ?
+            ");
+            $stmt->execute([$salesOrderId]);
+
             // Deduct stock
             $stmt = $this->db->prepare("
                 UPDATE items i
@@ -282,6 +331,7 @@ class InvoiceService
             $stmt->execute([$salesOrderId]);
 
             // Log transactions
+            $issuedLog = [];
             foreach ($lineItems as $item) {
                 $stmt = $this->db->prepare("SELECT quantity FROM items WHERE item_id = ?");
                 $stmt->execute([$item['item_id']]);
@@ -289,25 +339,42 @@ class InvoiceService
 
                 $stmt = $this->db->prepare("
                     INSERT INTO transactions (
-                        item_id, user_id, transaction_type, quantity, unit_price, 
+                        item_id, user_id, transaction_type, quantity, unit_price, location_id,
                         reference_type, reference_number, previous_quantity, new_quantity
-                    ) VALUES (?, ?, 'OUT', ?, ?, 'INVOICE', ?, ?, ?)
+                    ) VALUES (?, ?, 'OUT', ?, ?, ?, 'INVOICE', ?, ?, ?)
                 ");
                 $stmt->execute([
                     $item['item_id'],
                     $userId,
                     $item['quantity'],
                     $item['unit_price'],
+                    $location['location_id'],
                     $invoiceNumber,
                     $currentQty + $item['quantity'],
                     $currentQty
                 ]);
+
+                $issued = $this->trackingService->take($units[(int)$item['item_id']], (int)$item['quantity']);
+                $this->trackingService->link($issued, (int)$this->db->lastInsertId(), (int)$item['item_id']);
+                $this->trackingService->markIssued($issued);
+                $issuedLog = array_merge($issuedLog, array_column($issued, 'label'));
+
+                $this->realtimeService->publish('stock:changed', [
+                    'item_id' => (int)$item['item_id'],
+                    'item_name' => $item['item_name'],
+                    'quantity' => (int)$currentQty,
+                    'change' => -(int)$item['quantity'],
+                    'source' => 'invoice',
+                    'reference' => $invoiceNumber
+                ]);
             }
 
             // Audit log
             $this->createAuditLog(
                 $userId,
-                "Generated invoice {$invoiceNumber} for SO #{$salesOrderId} | Customer: {$so['customer_name']} | Amount: PHP " . number_format($totalAmount, 2),
+                "Generated invoice {$invoiceNumber} for SO #{$salesOrderId} | Issued from {$location['code']}"
+                    . ($issuedLog ? " | " . implode(', ', $issuedLog) : "")
+                    . " | Customer: {$so['customer_name']} | Amount: PHP " . number_format($totalAmount, 2),
                 'invoices',
                 'generate'
             );
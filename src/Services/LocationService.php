@@ -0,0 +1,458 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\LocationRepository;
+use Janstro\InventorySystem\Repositories\StockTransferRepository;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * LOCATION SERVICE v1.0 - WAREHOUSES, ZONES, BINS AND TRANSFERS
+ * ============================================================================
+ * warehouse -> zone -> bin. Bins may also sit directly in a warehouse.
+ *
+ * Stock at a location is what was posted to exactly that location; filters
+ * on a warehouse or zone include everything inside it. Transfers (LT01)
+ * post an OUT at the source and an IN at the destination, so the item
+ * total never changes. Lots and serials picked for a transfer are linked to
+ * both legs and serials move to the destination.
+ *
+ *   transactions.reference_type 'TRANSFER', reference_number = TRF number
+ * ============================================================================
+ */
+class LocationService
+{
+    // Allowed parent type for each location type (null = top level)
+    private const PARENT_TYPES = [
+        'warehouse' => [null],
+        'zone' => ['warehouse'],
+        'bin' => ['warehouse', 'zone']
+    ];
+
+    private PDO $db;
+    private LocationRepository $locationRepo;
+    private StockTransferRepository $transferRepo;
+    private RealtimeService $realtimeService;
+    private TrackingService $trackingService;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+        $this->locationRepo = new LocationRepository();
+        $this->transferRepo = new StockTransferRepository();
+        $this->realtimeService = new RealtimeService();
+        $this->trackingService = new TrackingService();
+    }
+
+    // ========================================================================
+    // LOCATIONS
+    // ========================================================================
+
+    public function getLocations(bool $activeOnly = false): array
+    {
+        return $this->locationRepo->getAll($activeOnly);
+    }
+
+    /**
+     * Location a movement is posted to: the given one, or the default
+     * warehouse when none is given. It must be active.
+     */
+    public function resolveLocation($locationId): array
+    {
+        $location = !empty($locationId)
+            ? $this->locationRepo->findById((int)$locationId)
+            : $this->locationRepo->findDefault();
+
+        if (!$location) {
+            throw new Exception(!empty($locationId) ? "Location #$locationId not found" : 'No default warehouse is set up');
+        }
+
+        if ($location['status'] !== 'active') {
+            throw new Exception("Location {$location['code']} is inactive");
+        }
+
+        return $location;
+    }
+
+    /**
+     * Location for a report or list filter; null when no filter was given
+     */
+    public function filterLocation($locationId): ?array
+    {
+        if (empty($locationId)) {
+            return null;
+        }
+
+        $location = $this->locationRepo->findById((int)$locationId);
+        if (!$location) {
+            throw new Exception("Location #$locationId not found");
+        }
+
+        return $location;
+    }
+
+    public function createLocation(array $data, int $userId): array
+    {
+        $type = $data['location_type'] ?? '';
+        $code = strtoupper(trim((string)($data['code'] ?? '')));
+        $name = trim((string)($data['name'] ?? ''));
+
+        if (!in_array($type, LocationRepository::TYPES, true)) {
+            throw new Exception("Invalid location type: $type");
+        }
+
+        if ($code === '' || $name === '') {
+            throw new Exception('Code and name are required');
+        }
+
+        if (!preg_match('/^[A-Z0-9][A-Z0-9._-]{0,29}$/', $code)) {
+            throw new Exception('Code may only use letters, digits, dot, dash and underscore (max 30)');
+        }
+
+        if ($this->locationRepo->codeExists($code)) {
+            throw new Exception("Location code $code already exists");
+        }
+
+        $parent = !empty($data['parent_id']) ? $this->locationRepo->findById((int)$data['parent_id']) : null;
+
+        if (!empty($data['parent_id']) && !$parent) {
+            throw new Exception("Parent location #{$data['parent_id']} not found");
+        }
+
+        if (!in_array($parent['location_type'] ?? null, self::PARENT_TYPES[$type], true)) {
+            throw new Exception(ucfirst($type) . ($parent ? " cannot be placed in a {$parent['location_type']}" : " needs a parent location"));
+        }
+
+        if ($parent && $parent['status'] !== 'active') {
+            throw new Exception("Location {$parent['code']} is inactive");
+        }
+
+        try {
+            $this->db->beginTransaction();
+
+            $locationId = $this->locationRepo->create([
+                'location_type' => $type,
+                'code' => $code,
+                'name' => $name
+            ], $parent);
+
+            $this->audit($userId, "Location $code ($type) created" . ($parent ? " in {$parent['code']}" : ''), 'create');
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        $this->realtimeService->publish('location:changed', ['id' => $locationId, 'code' => $code]);
+
+        return $this->locationRepo->findById($locationId);
+    }
+
+    /**
+     * Rename or (de)activate; locations holding stock or active children
+     * stay active
+     */
+    public function updateLocation(int $locationId, array $data, int $userId): array
+    {
+        $location = $this->locationRepo->findById($locationId);
+        if (!$location) {
+            throw new Exception("Location #$locationId not found");
+        }
+
+        $changes = array_intersect_key($data, array_flip(['code', 'name', 'status']));
+
+        if (isset($changes['code'])) {
+            $changes['code'] = strtoupper(trim((string)$changes['code']));
+
+            if (!preg_match('/^[A-Z0-9][A-Z0-9._-]{0,29}$/', $changes['code'])) {
+                throw new Exception('Code may only use letters, digits, dot, dash and underscore (max 30)');
+            }
+
+            if ($this->locationRepo->codeExists($changes['code'], $locationId)) {
+                throw new Exception("Location code {$changes['code']} already exists");
+            }
+        }
+
+        if (isset($changes['name']) && trim((string)$changes['name']) === '') {
+            throw new Exception('Name is required');
+        }
+
+        if (isset($changes['status']) && !in_array($changes['status'], ['active', 'inactive'], true)) {
+            throw new Exception("Invalid status: {$changes['status']}");
+        }
+
+        if (($changes['status'] ?? null) === 'inactive' && $location['status'] === 'active') {
+            if ($location['is_default']) {
+                throw new Exception("{$location['code']} is the default warehouse");
+            }
+
+            if ($this->locationRepo->countActiveChildren($locationId) > 0) {
+                throw new Exception("Deactivate the locations inside {$location['code']} first");
+            }
+
+            $held = array_filter(
+                $this->locationRepo->getStock($location['path']),
+                fn($row) => (int)$row['location_id'] === $locationId
+            );
+
+            if ($held) {
+                throw new Exception("{$location['code']} still holds " . count($held) . " item(s); transfer them out first");
+            }
+        }
+
+        if (!$changes) {
+            throw new Exception('Nothing to update');
+        }
+
+        $this->locationRepo->update($locationId, $changes);
+        $this->audit($userId, "Location {$location['code']} updated: " . json_encode($changes), 'update');
+
+        $this->realtimeService->publish('location:changed', ['id' => $locationId, 'code' => $changes['code'] ?? $location['code']]);
+
+        return $this->locationRepo->findById($locationId);
+    }
+
+    // ========================================================================
+    // STOCK BY LOCATION
+    // ========================================================================
+
+    /**
+     * Item x location rows at a location and everything inside it;
+     * every location without one
+     */
+    public function getStock(array $filters = []): array
+    {
+        $location = $this->filterLocation($filters['location_id'] ?? null);
+        $search = trim((string)($filters['search'] ?? '')) ?: null;
+
+        return $this->locationRepo->getStock($location['path'] ?? '/', $search);
+    }
+
+    public function getItemLocations(int $itemId): array
+    {
+        return $this->locationRepo->getItemLocations($itemId);
+    }
+
+    public function getQuantityAt(int $itemId, array $location): int
+    {
+        return $this->locationRepo->getQuantityAt($itemId, (int)$location['location_id']);
+    }
+
+    /**
+     * Throw unless the location holds enough of the item
+     */
+    public function assertAvailable(int $itemId, string $itemName, array $location, int $quantity): void
+    {
+        $available = $this->getQuantityAt($itemId, $location);
+
+        if ($available < $quantity) {
+            throw new Exception("Insufficient stock of $itemName at {$location['code']} (available: $available, required: $quantity)");
+        }
+    }
+
+    // ========================================================================
+    // TRANSFERS (LT01)
+    // ========================================================================
+
+    public function getTransfers(array $filters = []): array
+    {
+        $location = $this->filterLocation($filters['location_id'] ?? null);
+
+        return $this->transferRepo->getAll([
+            'location_path' => $location['path'] ?? null,
+            'item_id' => $filters['item_id'] ?? null
+        ]);
+    }
+
+    public function getTransfer(int $transferId): ?array
+    {
+        return $this->transferRepo->findById($transferId);
+    }
+
+    /**
+     * Move stock between locations
+     *
+     * $data = {from_location_id, to_location_id, notes, lines: [{item_id, quantity}, ...]}
+     */
+    public function createTransfer(array $data, int $userId): array
+    {
+        if (empty($data['from_location_id']) || empty($data['to_location_id'])) {
+            throw new Exception('Choose where the stock moves from and to');
+        }
+
+        $from = $this->resolveLocation($data['from_location_id']);
+        $to = $this->resolveLocation($data['to_location_id']);
+
+        if ((int)$from['location_id'] === (int)$to['location_id']) {
+            throw new Exception('Source and destination must differ');
+        }
+
+        $lines = [];
+        foreach (($data['lines'] ?? []) as $entry) {
+            $itemId = (int)($entry['item_id'] ?? 0);
+            $quantity = (int)($entry['quantity'] ?? 0);
+
+            if (!$itemId || $quantity <= 0) {
+                throw new Exception('Every line needs an item and a quantity greater than 0');
+            }
+
+            if (isset($lines[$itemId])) {
+                throw new Exception("Item #$itemId is listed twice");
+            }
+
+            $lines[$itemId] = [
+                'item_id' => $itemId,
+                'quantity' => $quantity,
+                'tracking' => [
+                    'serials' => $entry['serials'] ?? [],
+                    'lots' => is_array($entry['lots'] ?? null) ? $entry['lots'] : []
+                ]
+            ];
+        }
+
+        if (!$lines) {
+            throw new Exception('Add at least one line');
+        }
+
+        $notes = trim((string)($data['notes'] ?? '')) ?: null;
+
+        try {
+            $this->db->beginTransaction();
+
+            // Serialise stock checks per item against concurrent postings
+            $placeholders = implode(',', array_fill(0, count($lines), '?'));
+            $stmt = $this->db->prepare("
+                SELECT item_id, item_name, tracking_type FROM items WHERE item_id IN ($placeholders) FOR UPDATE
+            ");
+            $stmt->execute(array_keys($lines));
+            $items = array_column($stmt->fetchAll(PDO::FETCH_ASSOC), null, 'item_id');
+            $names = array_column($items, 'item_name', 'item_id');
+
+            foreach ($lines as $itemId => $line) {
+                if (!isset($items[$itemId])) {
+                    throw new Exception("Item #$itemId not found");
+                }
+
+                $this->assertAvailable($itemId, $names[$itemId], $from, $line['quantity']);
+                $lines[$itemId]['units'] = $this->trackingService->pick($items[$itemId], $from, $line['quantity'], $line['tracking']);
+            }
+
+            [$transferId, $transferNumber] = $this->transferRepo->create(
+                (int)$from['location_id'],
+                (int)$to['location_id'],
+                $userId,
+                $notes,
+                array_values($lines)
+            );
+
+            $note = "Transfer {$from['code']} → {$to['code']} ($transferNumber)";
+
+            foreach ($lines as $itemId => $line) {
+                $outId = $this->postMovement($itemId, $from, 'OUT', $line['quantity'], $transferNumber, $note, $userId);
+                $inId = $this->postMovement($itemId, $to, 'IN', $line['quantity'], $transferNumber, $note, $userId);
+
+                $this->trackingService->link($line['units'], $outId, $itemId);
+                $this->trackingService->link($line['units'], $inId, $itemId);
+                $this->trackingService->markMoved($line['units'], $to);
+            }
+
+            $this->audit(
+                $userId,
+                "Stock transfer $transferNumber: {$from['code']} → {$to['code']} | " . implode(', ', array_map(
+                    fn($line) => "{$names[$line['item_id']]} x {$line['quantity']}"
+                        . ($line['units'] ? " [" . $this->trackingService->labels($line['units']) . "]" : ""),
+                    $lines
+                )),
+                'transfer'
+            );
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        foreach ($lines as $itemId => $line) {
+            $this->realtimeService->publish('stock:changed', [
+                'item_id' => $itemId,
+                'item_name' => $names[$itemId],
+                'change' => 0,
+                'source' => 'transfer',
+                'reference' => $transferNumber
+            ]);
+        }
+
+        $this->realtimeService->publish('transfer:created', [
+            'id' => $transferId,
+            'transfer_number' => $transferNumber,
+            'from' => $from['code'],
+            'to' => $to['code']
+        ]);
+
+        return [
+            'transfer_id' => $transferId,
+            'transfer_number' => $transferNumber,
+            'message' => "Transfer $transferNumber posted: " . count($lines) . " line(s) from {$from['code']} to {$to['code']}"
+        ];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Post one leg of a transfer. previous/new quantities are item totals,
+     * as on every other movement.
+     *
+     * @return int Transaction ID
+     */
+    private function postMovement(int $itemId, array $location, string $type, int $quantity, string $transferNumber, string $notes, int $userId): int
+    {
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(SUM(CASE WHEN transaction_type = 'IN' THEN quantity ELSE -quantity END), 0)
+            FROM transactions
+            WHERE item_id = ?
+        ");
+        $stmt->execute([$itemId]);
+        $previousStock = (int)$stmt->fetchColumn();
+        $newStock = $type === 'IN' ? $previousStock + $quantity : $previousStock - $quantity;
+
+        $stmt = $this->db->prepare("
+            INSERT INTO transactions (
+                item_id, user_id, transaction_type, quantity, location_id,
+                reference_type, reference_number, notes,
+                previous_quantity, new_quantity, movement_date
+            ) VALUES (?, ?, ?, ?, ?, 'TRANSFER', ?, ?, ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $itemId,
+            $userId,
+            $type,
+            $quantity,
+            $location['location_id'],
+            $transferNumber,
+            $notes,
+            $previousStock,
+            $newStock
+        ]);
+
+        return (int)$this->db->lastInsertId();
+    }
+
+    private function audit(int $userId, string $description, string $actionType): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'inventory', ?, ?)
+        ");
+        $stmt->execute([$userId, $description, $actionType, $_SERVER['REMOTE_ADDR'] ?? 'system']);
+    }
+}
@@ -19,11 +19,13 @@ class LowStockAlertService
 {
     private PDO $db;
     private NotificationService $notificationService;
+    private RealtimeService $realtimeService;
 
     public function __construct()
     {
         $this->db = Database::connect();
         $this->notificationService = new NotificationService();
+        $this->realtimeService = new RealtimeService();
     }
 
     /**
@@ -98,6 +100,14 @@ class LowStockAlertService
 
                 $prId = (int)$this->db->lastInsertId();
 
+                $this->realtimeService->publish('pr:created', [
+                    'id' => $prId,
+                    'pr_number' => $prNumber,
+                    'item_name' => $item['item_name'],
+                    'urgency' => $urgency,
+                    'sales_order_id' => null
+                ]);
+
                 $created[] = [
                     'pr_id' => $prId,
                     'pr_number' => $prNumber,
@@ -220,6 +230,14 @@ class LowStockAlertService
                     "Auto-generated: Stock shortage for SO #{$shortage['sales_order_id']} - {$shortage['customer_name']}"
                 ]);
 
+                $this->realtimeService->publish('pr:created', [
+                    'id' => (int)$this->db->lastInsertId(),
+                    'pr_number' => $prNumber,
+                    'item_name' => $shortage['item_name'] ?? null,
+                    'urgency' => $urgency,
+                    'sales_order_id' => (int)$shortage['sales_order_id']
+                ]);
+
                 $created[] = [
                     'pr_number' => $prNumber,
                     'sales_order_id' => $shortage['sales_order_id'],
@@ -13,18 +13,29 @@ use PDO;
  * ✅ Uses EmailService for all email sending
  * ✅ Fixed nullable parameter deprecation
  * ✅ Enhanced error handling
+ * ✅ Per-user notification center (navbar bell) with deep links
+ *
+ * Table: in_app_notifications (link and index: database/migrations/010_add_link_to_in_app_notifications.sql)
+ *   notification_id INT AUTO_INCREMENT PRIMARY KEY, user_id INT,
+ *   type VARCHAR(50), title VARCHAR(255), message TEXT,
+ *   priority VARCHAR(20) (low, medium, high, critical),
+ *   link VARCHAR(255) NULL (frontend page, e.g. "purchase-orders.html?po=12"),
+ *   is_read TINYINT(1) DEFAULT 0, read_at DATETIME NULL, created_at DATETIME,
+ *   INDEX (user_id, is_read, created_at)
  * ============================================================================
  */
 class NotificationService
 {
     private PDO $db;
     private EmailService $emailService;
+    private RealtimeService $realtimeService;
     private array $config;
 
     public function __construct()
     {
         $this->db = Database::connect();
         $this->emailService = new EmailService();
+        $this->realtimeService = new RealtimeService();
         $this->loadConfig();
     }
 
@@ -66,7 +77,8 @@ class NotificationService
                 'purchase_requisition',
                 'New PR Created',
                 "PR {$prData['pr_number']}: {$prData['item_name']} ({$prData['quantity']} units) - Urgency: {$prData['urgency']}",
-                $prData['urgency'] === 'critical' ? 'critical' : 'high'
+                $prData['urgency'] === 'critical' ? 'critical' : 'high',
+                "purchase-requisitions.html?pr={$prId}"
             );
 
             $this->logNotification([
@@ -100,7 +112,8 @@ class NotificationService
                 'inventory',
                 'Shortage Resolved',
                 "Stock now available for {$data['customer_name']}: {$data['item_name']} (Stock: {$data['new_stock']})",
-                'medium'
+                'medium',
+                "stock-requirements.html?so={$salesOrderId}"
             );
         } catch (\Exception $e) {
             error_log("Shortage notification error: " . $e->getMessage());
@@ -109,6 +122,70 @@ class NotificationService
         return $results;
     }
 
+    /**
+     * Tell the requester their PR was approved or rejected
+     */
+    public function notifyPRDecision(int $prId, array $prData, string $decision, ?string $reason = null): bool
+    {
+        if (empty($prData['requested_by'])) {
+            return false;
+        }
+
+        $rejected = $decision === 'rejected';
+        $message = "PR {$prData['pr_number']} ({$prData['item_name']}) was {$decision}"
+            . ($rejected && $reason ? ": {$reason}" : '');
+
+        return $this->createInAppNotification(
+            (int)$prData['requested_by'],
+            'purchase_requisition',
+            $rejected ? 'PR Rejected' : 'PR Approved',
+            $message,
+            $rejected ? 'high' : 'medium',
+            "purchase-requisitions.html?pr={$prId}"
+        );
+    }
+
+    /**
+     * Escalation from the stock requirements page ("Send Alert")
+     */
+    public function notifyCriticalShortage(array $data): array
+    {
+        $results = [];
+
+        try {
+            $admins = $this->getAdminEmails();
+            $subject = "🚨 Critical Shortage - SO #{$data['sales_order_id']}: {$data['item_name']}";
+            $body = $this->buildCriticalShortageEmail($data);
+
+            foreach ($admins as $email) {
+                $results[$email] = $this->emailService->send($email, $subject, $body, 'critical_shortage');
+            }
+
+            $installText = $data['installation_date']
+                ? ' - install ' . date('M j, Y', strtotime($data['installation_date']))
+                : '';
+
+            $this->broadcastInAppNotification(
+                ['admin', 'superadmin'],
+                'stock_shortage',
+                'Critical Shortage Alert',
+                "SO #{$data['sales_order_id']} ({$data['customer_name']}{$installText}): short {$data['shortage_quantity']} x {$data['item_name']}. Raised by {$data['alerted_by']}",
+                'critical',
+                "stock-requirements.html?so={$data['sales_order_id']}"
+            );
+
+            $this->logNotification([
+                'type' => 'critical_shortage',
+                'requirement_id' => $data['requirement_id'],
+                'success' => in_array(true, $results)
+            ]);
+        } catch (\Exception $e) {
+            error_log("Critical shortage notification error: " . $e->getMessage());
+        }
+
+        return $results;
+    }
+
     // ========================================================================
     // INVENTORY NOTIFICATIONS
     // ========================================================================
@@ -135,7 +212,8 @@ class NotificationService
                 'inventory',
                 'Low Stock Alert',
                 count($items) . ' items below reorder level',
-                'warning'
+                'high',
+                'inventory.html?status=low_stock'
             );
 
             $this->logNotification([
@@ -207,8 +285,10 @@ class NotificationService
                 ['admin', 'superadmin'],
                 'purchase_order',
                 'PO Delivered',
-                "PO #{$poId}: {$poData['item_name']} x {$poData['quantity']} received. Stock updated to {$poData['new_stock']}",
-                'medium'
+                "PO #{$poId}: {$poData['item_name']} x {$poData['quantity']} received."
+                    . (isset($poData['new_stock']) ? " Stock updated to {$poData['new_stock']}" : ''),
+                'medium',
+                "purchase-orders.html?po={$poId}"
             );
 
             $this->logNotification([
@@ -223,29 +303,48 @@ class NotificationService
         return $results;
     }
 
+    // ========================================================================
+    // ACCOUNT NOTIFICATIONS
+    // ========================================================================
+
+    public function notifyDeletionRequested(string $requester): int
+    {
+        return $this->broadcastInAppNotification(
+            ['superadmin'],
+            'deletion_request',
+            'Account Deletion Request',
+            "{$requester} asked for their account to be deleted",
+            'high',
+            'deletion-approvals.html'
+        );
+    }
+
     // ========================================================================
     // IN-APP NOTIFICATIONS
     // ========================================================================
 
+    /**
+     * Notify one user. $link is a frontend page the drawer opens on click.
+     */
     public function createInAppNotification(
         int $userId,
         string $type,
         string $title,
         string $message,
-        string $priority = 'medium'
+        string $priority = 'medium',
+        ?string $link = null
     ): bool {
-        try {
-            $stmt = $this->db->prepare("
-                INSERT INTO in_app_notifications 
-                (user_id, type, title, message, priority, created_at)
-                VALUES (?, ?, ?, ?, ?, NOW())
-            ");
-
-            return $stmt->execute([$userId, $type, $title, $message, $priority]);
-        } catch (\Exception $e) {
-            error_log("In-app notification error: " . $e->getMessage());
+        if (!$this->insertInAppNotification($userId, $type, $title, $message, $priority, $link)) {
             return false;
         }
+
+        $this->realtimeService->publish('notification:created', [
+            'user_id' => $userId,
+            'type' => $type,
+            'priority' => $priority
+        ]);
+
+        return true;
     }
 
     public function broadcastInAppNotification(
@@ -253,7 +352,8 @@ class NotificationService
         string $type,
         string $title,
         string $message,
-        string $priority = 'medium'
+        string $priority = 'medium',
+        ?string $link = null
     ): int {
         try {
             $placeholders = str_repeat('?,', count($roles) - 1) . '?';
@@ -268,11 +368,19 @@ class NotificationService
 
             $count = 0;
             foreach ($users as $userId) {
-                if ($this->createInAppNotification($userId, $type, $title, $message, $priority)) {
+                if ($this->insertInAppNotification((int)$userId, $type, $title, $message, $priority, $link)) {
                     $count++;
                 }
             }
 
+            // One event for the whole audience instead of one per user
+            if ($count > 0) {
+                $this->realtimeService->publish('notification:created', [
+                    'type' => $type,
+                    'priority' => $priority
+                ], $roles);
+            }
+
             return $count;
         } catch (\Exception $e) {
             error_log("Broadcast notification error: " . $e->getMessage());
@@ -281,15 +389,25 @@ class NotificationService
     }
 
     public function getUnreadNotifications(int $userId, int $limit = 50): array
+    {
+        return $this->getNotifications($userId, $limit, true);
+    }
+
+    /**
+     * Newest first, read and unread, for the notification drawer
+     */
+    public function getNotifications(int $userId, int $limit = 30, bool $unreadOnly = false): array
     {
         try {
             $stmt = $this->db->prepare("
-                SELECT * FROM in_app_notifications
-                WHERE user_id = ? AND is_read = 0
-                ORDER BY created_at DESC
-                LIMIT ?
-            ");
-            $stmt->execute([$userId, $limit]);
+                SELECT notification_id, type, title, message, priority, link,
+                       is_read, read_at, created_at
+                FROM in_app_notifications
+                WHERE user_id = ?" . ($unreadOnly ? " AND is_read = 0" : "") . "
+                ORDER BY created_at DESC, notification_id DESC
+                LIMIT " . max(1, min($limit, 100))
+            );
+            $stmt->execute([$userId]);
             return $stmt->fetchAll(PDO::FETCH_ASSOC);
         } catch (\Exception $e) {
             error_log("Get notifications error: " . $e->getMessage());
@@ -297,21 +415,86 @@ class NotificationService
         }
     }
 
+    public function getUnreadCount(int $userId): int
+    {
+        try {
+            $stmt = $this->db->prepare("
+                SELECT COUNT(*) FROM in_app_notifications
+                WHERE user_id = ? AND is_read = 0
+            ");
+            $stmt->execute([$userId]);
+            return (int)$stmt->fetchColumn();
+        } catch (\Exception $e) {
+            error_log("Unread count error: " . $e->getMessage());
+            return 0;
+        }
+    }
+
+    /**
+     * @return bool false when the notification doesn't belong to the user
+     */
     public function markAsRead(int $notificationId, int $userId): bool
     {
         try {
             $stmt = $this->db->prepare("
                 UPDATE in_app_notifications
-                SET is_read = 1, read_at = NOW()
+                SET is_read = 1, read_at = COALESCE(read_at, NOW())
+                WHERE notification_id = ? AND user_id = ?
+            ");
+            $stmt->execute([$notificationId, $userId]);
+
+            if ($stmt->rowCount() > 0) return true;
+
+            $stmt = $this->db->prepare("
+                SELECT 1 FROM in_app_notifications
                 WHERE notification_id = ? AND user_id = ?
             ");
-            return $stmt->execute([$notificationId, $userId]);
+            $stmt->execute([$notificationId, $userId]);
+            return (bool)$stmt->fetchColumn();
         } catch (\Exception $e) {
             error_log("Mark as read error: " . $e->getMessage());
             return false;
         }
     }
 
+    public function markAllAsRead(int $userId): int
+    {
+        try {
+            $stmt = $this->db->prepare("
+                UPDATE in_app_notifications
+                SET is_read = 1, read_at = NOW()
+                WHERE user_id = ? AND is_read = 0
+            ");
+            $stmt->execute([$userId]);
+            return $stmt->rowCount();
+        } catch (\Exception $e) {
+            error_log("Mark all as read error: " . $e->getMessage());
+            return 0;
+        }
+    }
+
+    private function insertInAppNotification(
+        int $userId,
+        string $type,
+        string $title,
+        string $message,
+        string $priority,
+        ?string $link
+    ): bool {
+        try {
+            $stmt = $this->db->prepare("
+                INSERT INTO in_app_notifications 
+                (user_id, type, title, message, priority, link, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, NOW())
+            ");
+
+            return $stmt->execute([$userId, $type, $title, $message, $priority, $link]);
+        } catch (\Exception $e) {
+            error_log("In-app notification error: " . $e->getMessage());
+            return false;
+        }
+    }
+
     // ========================================================================
     // EMAIL TEMPLATES
     // ========================================================================
@@ -324,6 +507,15 @@ class NotificationService
         return "<!DOCTYPE html><html><head><meta charset='UTF-8'></head><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:linear-gradient(135deg,{$urgencyColor},#d32f2f);padding:20px;text-align:center;'><h1 style='color:white;margin:0;'>⚠️ Purchase Requisition</h1></div><div style='padding:20px;background:#f5f5f5;'><table style='width:100%;border-collapse:collapse;'><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>PR Number:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$prData['pr_number']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Item:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$prData['item_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Quantity:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$prData['quantity']} units</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Urgency:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'><span style='color:{$urgencyColor};font-weight:bold;'>{$prData['urgency']}</span></td></tr></table><div style='margin-top:20px;padding:15px;background:#fff;border-radius:8px;'><p><strong>Action Required:</strong> Review and approve this requisition.</p><p><a href='{$appUrl}/purchase-requisitions.html' style='display:inline-block;padding:10px 20px;background:#667eea;color:white;text-decoration:none;border-radius:5px;'>View in System</a></p></div></div></body></html>";
     }
 
+    private function buildCriticalShortageEmail(array $data): string
+    {
+        $appUrl = $_ENV['APP_URL'] ?? 'http://localhost:8080/janstro-inventory/frontend';
+        $installDate = $data['installation_date'] ? date('M j, Y', strtotime($data['installation_date'])) : 'Not scheduled';
+        $note = !empty($data['note']) ? "<p><strong>Note:</strong> " . htmlspecialchars($data['note']) . "</p>" : '';
+
+        return "<!DOCTYPE html><html><head><meta charset='UTF-8'></head><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:linear-gradient(135deg,#dc3545,#b02a37);padding:20px;text-align:center;'><h1 style='color:white;margin:0;'>🚨 Critical Stock Shortage</h1></div><div style='padding:20px;background:#f5f5f5;'><table style='width:100%;border-collapse:collapse;'><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Sales Order:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>SO #{$data['sales_order_id']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Customer:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['customer_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Installation Date:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$installDate}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Item:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['item_name']} ({$data['sku']})</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Required / Available:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['required_quantity']} / {$data['available_quantity']} {$data['unit']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Shortage:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'><strong style='color:#dc3545;'>{$data['shortage_quantity']} {$data['unit']}</strong></td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Raised By:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['alerted_by']}</td></tr></table><div style='margin-top:20px;padding:15px;background:#fff;border-radius:8px;'>{$note}<p><a href='{$appUrl}/stock-requirements.html?so={$data['sales_order_id']}' style='display:inline-block;padding:10px 20px;background:#dc3545;color:white;text-decoration:none;border-radius:5px;'>View Requirement</a></p></div></div></body></html>";
+    }
+
     private function buildShortageResolvedEmail(array $data): string
     {
         return "<!DOCTYPE html><html><head><meta charset='UTF-8'></head><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:linear-gradient(135deg,#4caf50,#2e7d32);padding:20px;text-align:center;'><h1 style='color:white;margin:0;'>✅ Stock Shortage Resolved</h1></div><div style='padding:20px;background:#f5f5f5;'><p><strong>Stock is now available for:</strong></p><table style='width:100%;border-collapse:collapse;'><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Customer:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['customer_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Item:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$data['item_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>New Stock:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'><strong style='color:#4caf50;'>{$data['new_stock']} units</strong></td></tr></table></div></body></html>";
@@ -345,7 +537,11 @@ class NotificationService
             ? "<div style='margin-top:20px;padding:15px;background:#d1f2eb;border-left:4px solid #4caf50;border-radius:4px;'><p><strong>✅ {$poData['resolved_requirements']} stock requirement(s)</strong> updated.</p></div>"
             : '';
 
-        return "<!DOCTYPE html><html><head><meta charset='UTF-8'></head><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:linear-gradient(135deg,#4caf50,#2e7d32);padding:20px;text-align:center;'><h1 style='color:white;margin:0;'>✅ Purchase Order Delivered</h1></div><div style='padding:20px;background:#f5f5f5;'><table style='width:100%;border-collapse:collapse;'><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>PO Number:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>PO-{$poId}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Item:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$poData['item_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Quantity:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$poData['quantity']} {$poData['unit']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>New Stock:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'><strong style='color:#4caf50;'>{$poData['new_stock']} {$poData['unit']}</strong></td></tr></table>{$resolvedText}</div></body></html>";
+        $stockRow = isset($poData['new_stock'])
+            ? "<tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>New Stock:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'><strong style='color:#4caf50;'>{$poData['new_stock']} {$poData['unit']}</strong></td></tr>"
+            : '';
+
+        return "<!DOCTYPE html><html><head><meta charset='UTF-8'></head><body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;'><div style='background:linear-gradient(135deg,#4caf50,#2e7d32);padding:20px;text-align:center;'><h1 style='color:white;margin:0;'>✅ Purchase Order Delivered</h1></div><div style='padding:20px;background:#f5f5f5;'><table style='width:100%;border-collapse:collapse;'><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>PO Number:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>PO-{$poId}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Item:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$poData['item_name']}</td></tr><tr><td style='padding:10px;border-bottom:1px solid #ddd;'><strong>Quantity:</strong></td><td style='padding:10px;border-bottom:1px solid #ddd;'>{$poData['quantity']} {$poData['unit']}</td></tr>{$stockRow}</table>{$resolvedText}</div></body></html>";
     }
 
     private function buildOrderNotificationEmail(string $orderType, int $orderId, array $orderData): string
@@ -3,6 +3,10 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\GoodsReceiptRepository;
+use Janstro\InventorySystem\Repositories\PurchaseOrderRepository;
+use Janstro\InventorySystem\Repositories\SupplierReturnRepository;
+use Janstro\InventorySystem\Utils\Pagination;
 use PDO;
 use Exception;
 
@@ -15,15 +19,49 @@ use Exception;
  */
 class OrderService
 {
+    // Per-PO line totals; legacy single-item POs have no rows yet
+    private const PO_LINE_SUMMARY = "
+        LEFT JOIN (
+            SELECT po_id, COUNT(*) AS line_count,
+                   SUM(quantity) AS total_quantity,
+                   SUM(received_quantity) AS received_quantity
+            FROM purchase_order_items
+            GROUP BY po_id
+        ) pl ON pl.po_id = po.po_id
+    ";
+
+    private const PO_LINE_COLUMNS = "
+        COALESCE(pl.line_count, 1) AS line_count,
+        COALESCE(pl.total_quantity, po.quantity) AS total_quantity,
+        COALESCE(pl.received_quantity, 0) AS received_quantity
+    ";
+
+    // Backorder ageing buckets: label => max days overdue (null = open-ended)
+    private const AGEING_BUCKETS = [
+        'not_due' => 0,
+        '1-7' => 7,
+        '8-30' => 30,
+        '31-60' => 60,
+        '60+' => null
+    ];
+
     private PDO $db;
+    private PurchaseOrderRepository $poRepo;
+    private GoodsReceiptRepository $grRepo;
+    private SupplierReturnRepository $returnRepo;
     private CompleteInventoryService $inventoryService;
     private NotificationService $notificationService;
+    private RealtimeService $realtimeService;
 
     public function __construct()
     {
         $this->db = Database::connect();
+        $this->poRepo = new PurchaseOrderRepository();
+        $this->grRepo = new GoodsReceiptRepository();
+        $this->returnRepo = new SupplierReturnRepository();
         $this->inventoryService = new CompleteInventoryService();
         $this->notificationService = new NotificationService();
+        $this->realtimeService = new RealtimeService();
     }
 
     // ========================================================================
@@ -43,12 +81,13 @@ class OrderService
                     po.quantity, po.unit_price, po.total_amount,
                     po.expected_delivery_date, po.status, po.notes,
                     po.po_date, po.delivered_date,
-                    po.created_by, u.name as created_by_name
+                    po.created_by, u.name as created_by_name,
+                    " . self::PO_LINE_COLUMNS . "
                 FROM purchase_orders po
                 LEFT JOIN suppliers s ON po.supplier_id = s.supplier_id
                 LEFT JOIN items i ON po.item_id = i.item_id
                 LEFT JOIN users u ON po.created_by = u.user_id
-            ";
+                " . self::PO_LINE_SUMMARY;
 
             if ($status) {
                 $sql .= " WHERE po.status = ?";
@@ -65,6 +104,69 @@ class OrderService
         }
     }
 
+    /**
+     * Get one page of purchase orders (search, date range on po_date, sorting)
+     */
+    public function getPurchaseOrdersPage(?string $status = null): array
+    {
+        try {
+            $params = Pagination::fromRequest([
+                'po_id' => 'po.po_id',
+                'po_date' => 'po.po_date',
+                'supplier_name' => 's.supplier_name',
+                'item_name' => 'i.item_name',
+                'total_amount' => 'po.total_amount',
+                'expected_delivery_date' => 'po.expected_delivery_date',
+                'status' => 'po.status'
+            ], 'po_date');
+
+            $where = [];
+            $bindings = [];
+
+            if ($status) {
+                $where[] = "po.status = ?";
+                $bindings[] = $status;
+            }
+
+            // Match any line's item, not just the header's first one
+            $lineItems = "(SELECT GROUP_CONCAT(li.item_name, ' ', COALESCE(li.sku, ''))
+                FROM purchase_order_items pli JOIN items li ON pli.item_id = li.item_id
+                WHERE pli.po_id = po.po_id)";
+
+            Pagination::applySearch($params, ['s.supplier_name', 'i.item_name', 'i.sku', $lineItems, 'CAST(po.po_id AS CHAR)'], $where, $bindings);
+            Pagination::applyDateRange($params, 'po.po_date', $where, $bindings);
+
+            $from = "
+                FROM purchase_orders po
+                LEFT JOIN suppliers s ON po.supplier_id = s.supplier_id
+                LEFT JOIN items i ON po.item_id = i.item_id
+                LEFT JOIN users u ON po.created_by = u.user_id
+                " . self::PO_LINE_SUMMARY . Pagination::whereClause($where);
+
+            $stmt = $this->db->prepare("SELECT COUNT(*) {$from}");
+            $stmt->execute($bindings);
+            $total = (int)$stmt->fetchColumn();
+
+            $stmt = $this->db->prepare("
+                SELECT
+                    po.po_id, po.supplier_id, s.supplier_name,
+                    po.item_id, i.item_name, i.sku, i.unit,
+                    po.quantity, po.unit_price, po.total_amount,
+                    po.expected_delivery_date, po.status, po.notes,
+                    po.po_date, po.delivered_date,
+                    po.created_by, u.name as created_by_name,
+                    " . self::PO_LINE_COLUMNS . "
+                {$from}
+                " . Pagination::orderAndLimit($params, 'po.po_id'));
+            $stmt->execute($bindings);
+
+            return Pagination::result($stmt->fetchAll(PDO::FETCH_ASSOC), $total, $params);
+        } catch (Exception $e) {
+            error_log("OrderService::getPurchaseOrdersPage - " . $e->getMessage());
+            throw new Exception('Failed to retrieve purchase orders');
+        }
+    }
+
     /**
      * Get purchase order by ID
      */
@@ -86,7 +188,16 @@ class OrderService
             $stmt->execute([$poId]);
 
             $po = $stmt->fetch(PDO::FETCH_ASSOC);
-            return $po ?: null;
+            if (!$po) {
+                return null;
+            }
+
+            $po['lines'] = $this->poRepo->getLines($poId);
+            $po['line_count'] = count($po['lines']);
+            $po['total_quantity'] = array_sum(array_column($po['lines'], 'quantity'));
+            $po['received_quantity'] = array_sum(array_column($po['lines'], 'received_quantity'));
+
+            return $po;
         } catch (Exception $e) {
             error_log("OrderService::getPurchaseOrderById - " . $e->getMessage());
             throw new Exception('Failed to retrieve purchase order');
@@ -94,112 +205,16 @@ class OrderService
     }
 
     /**
-     * Create purchase order
+     * Create purchase order - delegates to CompleteInventoryService
+     * (single item or lines[])
      */
     public function createPurchaseOrder(array $data, int $userId): array
     {
-        $required = ['supplier_id', 'item_id', 'quantity'];
-        foreach ($required as $field) {
-            if (empty($data[$field])) {
-                throw new Exception("Missing required field: {$field}");
-            }
-        }
-
-        if ($data['quantity'] <= 0) {
-            throw new Exception('Quantity must be greater than 0');
-        }
-
         try {
-            $this->db->beginTransaction();
-
-            // Validate supplier
-            $stmt = $this->db->prepare("
-                SELECT supplier_id, supplier_name, status 
-                FROM suppliers 
-                WHERE supplier_id = ?
-            ");
-            $stmt->execute([$data['supplier_id']]);
-            $supplier = $stmt->fetch(PDO::FETCH_ASSOC);
-
-            if (!$supplier) {
-                throw new Exception('Supplier not found');
-            }
-
-            if ($supplier['status'] !== 'active') {
-                throw new Exception('Supplier is not active');
-            }
-
-            // Validate item
-            $stmt = $this->db->prepare("
-                SELECT item_id, item_name, unit_price, status 
-                FROM items 
-                WHERE item_id = ?
-            ");
-            $stmt->execute([$data['item_id']]);
-            $item = $stmt->fetch(PDO::FETCH_ASSOC);
-
-            if (!$item) {
-                throw new Exception('Item not found');
-            }
-
-            if ($item['status'] !== 'active') {
-                throw new Exception('Item is not active');
-            }
-
-            // Calculate total
-            $unitPrice = $data['unit_price'] ?? $item['unit_price'];
-            $totalAmount = $data['quantity'] * $unitPrice;
-
-            // Insert PO
-            $stmt = $this->db->prepare("
-                INSERT INTO purchase_orders (
-                    supplier_id, item_id, quantity, unit_price, total_amount,
-                    expected_delivery_date, status, notes, created_by
-                ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
-            ");
-
-            $stmt->execute([
-                $data['supplier_id'],
-                $data['item_id'],
-                $data['quantity'],
-                $unitPrice,
-                $totalAmount,
-                $data['expected_delivery_date'] ?? date('Y-m-d', strtotime('+7 days')),
-                $data['notes'] ?? null,
-                $userId
-            ]);
-
-            $poId = (int)$this->db->lastInsertId();
-
-            // Audit log
-            $this->createAuditLog(
-                $userId,
-                "Created PO #{$poId}: {$item['item_name']} x {$data['quantity']} from {$supplier['supplier_name']}",
-                'purchase_orders',
-                'create'
-            );
-
-            $this->db->commit();
-
-            // Send notification
-            $this->notificationService->notifyNewOrder('purchase_order', $poId, [
-                'item_name' => $item['item_name'],
-                'quantity' => $data['quantity'],
-                'supplier' => $supplier['supplier_name'],
-                'total_amount' => $totalAmount
-            ]);
+            $data['created_by'] = $userId;
 
-            return [
-                'success' => true,
-                'po_id' => $poId,
-                'status' => 'pending',
-                'total_amount' => $totalAmount,
-                'message' => "Purchase order #{$poId} created successfully"
-            ];
+            return $this->inventoryService->createPurchaseOrder($data);
         } catch (Exception $e) {
-            if ($this->db->inTransaction()) {
-                $this->db->rollBack();
-            }
             error_log("OrderService::createPurchaseOrder - " . $e->getMessage());
             throw $e;
         }
@@ -215,7 +230,7 @@ class OrderService
 
             // Check PO exists and is pending
             $stmt = $this->db->prepare("
-                SELECT po_id, status, item_name
+                SELECT po_id, status, item_name, expected_delivery_date
                 FROM purchase_orders po
                 LEFT JOIN items i ON po.item_id = i.item_id
                 WHERE po.po_id = ?
@@ -238,9 +253,6 @@ class OrderService
 
             $allowedFields = [
                 'supplier_id',
-                'item_id',
-                'quantity',
-                'unit_price',
                 'expected_delivery_date',
                 'notes'
             ];
@@ -253,22 +265,45 @@ class OrderService
                 }
             }
 
-            if (empty($updates)) {
-                throw new Exception('No fields to update');
-            }
-
-            // Recalculate total if needed
-            if (isset($data['quantity']) || isset($data['unit_price'])) {
-                $stmt = $this->db->prepare("SELECT quantity, unit_price FROM purchase_orders WHERE po_id = ?");
-                $stmt->execute([$poId]);
-                $current = $stmt->fetch(PDO::FETCH_ASSOC);
+            // Item, quantity and price live on the lines; the single-item
+            // fields still work for single-line orders
+            if (isset($data['lines']) || isset($data['item_id']) || isset($data['quantity']) || isset($data['unit_price'])) {
+                $lines = $data['lines'] ?? null;
+
+                if ($lines === null) {
+                    $current = $this->poRepo->getLines($poId, true);
+                    if (count($current) > 1) {
+                        throw new Exception('Order has several lines; send lines[] to change items');
+                    }
+
+                    $lines = [[
+                        'item_id' => $data['item_id'] ?? $current[0]['item_id'],
+                        'quantity' => $data['quantity'] ?? $current[0]['quantity'],
+                        'unit_price' => $data['unit_price'] ?? $current[0]['unit_price'],
+                        'tax_rate' => $current[0]['tax_rate'],
+                        'expected_date' => $current[0]['expected_date']
+                    ]];
+                }
 
-                $newQty = $data['quantity'] ?? $current['quantity'];
-                $newPrice = $data['unit_price'] ?? $current['unit_price'];
-                $newTotal = $newQty * $newPrice;
+                $priced = $this->inventoryService->pricePurchaseOrderLines(
+                    $lines,
+                    $data['expected_delivery_date'] ?? $po['expected_delivery_date']
+                );
+                $this->poRepo->replaceLines($poId, $priced);
+
+                array_push($updates, "item_id = ?", "quantity = ?", "unit_price = ?", "total_amount = ?");
+                array_push(
+                    $values,
+                    $priced[0]['item_id'],
+                    $priced[0]['quantity'],
+                    $priced[0]['unit_price'],
+                    round(array_sum(array_column($priced, 'line_total')), 2)
+                );
+                $changes[] = 'lines';
+            }
 
-                $updates[] = "total_amount = ?";
-                $values[] = $newTotal;
+            if (empty($updates)) {
+                throw new Exception('No fields to update');
             }
 
             $values[] = $poId;
@@ -336,6 +371,12 @@ class OrderService
                 'approve'
             );
 
+            $this->realtimeService->publish('po:approved', [
+                'id' => $poId,
+                'item_name' => $po['item_name'],
+                'quantity' => (int)$po['quantity']
+            ]);
+
             $this->db->commit();
 
             return [
@@ -367,6 +408,135 @@ class OrderService
         }
     }
 
+    /**
+     * GR documents posted against a PO
+     */
+    public function getGoodsReceipts(int $poId): array
+    {
+        try {
+            return $this->grRepo->findByPo($poId);
+        } catch (Exception $e) {
+            error_log("OrderService::getGoodsReceipts - " . $e->getMessage());
+            throw new Exception('Failed to retrieve goods receipts');
+        }
+    }
+
+    /**
+     * Accept or reject goods held at inspection
+     */
+    public function releaseOnHold(int $grId, array $data, int $userId): array
+    {
+        try {
+            $data['user_id'] = $userId;
+            return $this->inventoryService->releaseOnHold($grId, $data);
+        } catch (Exception $e) {
+            error_log("OrderService::releaseOnHold - " . $e->getMessage());
+            throw $e;
+        }
+    }
+
+    /**
+     * Return-to-supplier documents, filtered by supplier_id / po_id / gr_id / status
+     */
+    public function getSupplierReturns(array $filters = []): array
+    {
+        try {
+            return $this->returnRepo->getAll($filters);
+        } catch (Exception $e) {
+            error_log("OrderService::getSupplierReturns - " . $e->getMessage());
+            throw new Exception('Failed to retrieve supplier returns');
+        }
+    }
+
+    public function getSupplierReturn(int $returnId): ?array
+    {
+        try {
+            return $this->returnRepo->findById($returnId);
+        } catch (Exception $e) {
+            error_log("OrderService::getSupplierReturn - " . $e->getMessage());
+            throw new Exception('Failed to retrieve supplier return');
+        }
+    }
+
+    /**
+     * Move a return along open -> shipped -> closed
+     */
+    public function updateSupplierReturnStatus(int $returnId, string $status, int $userId): array
+    {
+        $return = $this->returnRepo->findById($returnId);
+        if (!$return) {
+            throw new Exception("Supplier return #$returnId not found");
+        }
+
+        $current = array_search($return['status'], SupplierReturnRepository::STATUSES, true);
+        $next = array_search($status, SupplierReturnRepository::STATUSES, true);
+
+        if ($next === false) {
+            throw new Exception("Invalid return status: $status");
+        }
+
+        if ($next !== $current + 1) {
+            throw new Exception("Cannot move {$return['rts_number']} from {$return['status']} to $status");
+        }
+
+        $this->returnRepo->updateStatus($returnId, $status);
+
+        $this->createAuditLog(
+            $userId,
+            "Supplier return {$return['rts_number']} marked $status",
+            'purchase_orders',
+            'update'
+        );
+
+        $this->realtimeService->publish('po:updated', [
+            'id' => (int)$return['po_id'],
+            'rts_number' => $return['rts_number'],
+            'return_status' => $status
+        ]);
+
+        return $this->returnRepo->findById($returnId);
+    }
+
+    /**
+     * Open PO balances with ageing by days past the expected date
+     */
+    public function getBackorders(?int $supplierId = null): array
+    {
+        try {
+            $lines = $this->poRepo->getOpenLines($supplierId);
+
+            $ageing = [];
+            foreach (array_keys(self::AGEING_BUCKETS) as $bucket) {
+                $ageing[$bucket] = ['lines' => 0, 'open_quantity' => 0, 'open_value' => 0.0];
+            }
+
+            foreach ($lines as &$line) {
+                $daysOverdue = $line['days_overdue'] === null ? 0 : (int)$line['days_overdue'];
+                $line['ageing_bucket'] = $this->ageingBucket($daysOverdue);
+
+                $ageing[$line['ageing_bucket']]['lines']++;
+                $ageing[$line['ageing_bucket']]['open_quantity'] += (int)$line['open_quantity'];
+                $ageing[$line['ageing_bucket']]['open_value'] += (float)$line['open_value'];
+            }
+            unset($line);
+
+            return [
+                'backorders' => $lines,
+                'ageing' => $ageing,
+                'summary' => [
+                    'purchase_orders' => count(array_unique(array_column($lines, 'po_id'))),
+                    'lines' => count($lines),
+                    'open_quantity' => array_sum(array_column($lines, 'open_quantity')),
+                    'open_value' => round(array_sum(array_column($lines, 'open_value')), 2),
+                    'overdue_lines' => count(array_filter($lines, fn($line) => (int)$line['days_overdue'] > 0))
+                ]
+            ];
+        } catch (Exception $e) {
+            error_log("OrderService::getBackorders - " . $e->getMessage());
+            throw new Exception('Failed to retrieve backorders');
+        }
+    }
+
     /**
      * Cancel purchase order
      */
@@ -483,6 +653,7 @@ class OrderService
                     COUNT(*) as total_orders,
                     SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_count,
                     SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved_count,
+                    SUM(CASE WHEN status = 'partially_received' THEN 1 ELSE 0 END) as partially_received_count,
                     SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
                     SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
                     COALESCE(SUM(CASE WHEN status = 'delivered' THEN total_amount ELSE 0 END), 0) as total_procurement_value
@@ -544,6 +715,17 @@ class OrderService
         }
     }
 
+    private function ageingBucket(int $daysOverdue): string
+    {
+        foreach (self::AGEING_BUCKETS as $bucket => $maxDays) {
+            if ($maxDays === null || $daysOverdue <= $maxDays) {
+                return $bucket;
+            }
+        }
+
+        return array_key_last(self::AGEING_BUCKETS);
+    }
+
     /**
      * Validate purchase order status transition
      */
@@ -551,7 +733,8 @@ class OrderService
     {
         $allowedTransitions = [
             'pending' => ['approved', 'cancelled'],
-            'approved' => ['delivered', 'cancelled'],
+            'approved' => ['partially_received', 'delivered', 'cancelled'],
+            'partially_received' => ['delivered', 'cancelled'],
             'delivered' => [],
             'cancelled' => []
         ];
@@ -68,26 +68,72 @@ class PdfService
     // PURCHASE ORDER PDF GENERATION
     // ========================================================================
 
-    public function generatePurchaseOrderPDF(array $po, array $supplier, array $item): string
+    /**
+     * @param array $lines purchase_order_items rows joined with items
+     *                     (PurchaseOrderRepository::getLines)
+     */
+    public function generatePurchaseOrderPDF(array $po, array $supplier, array $lines): string
     {
         $pdf = $this->createPDF('Purchase Order', 'PO-' . str_pad($po['po_id'], 6, '0', STR_PAD_LEFT));
 
         $this->renderPOHeader($pdf, $po);
         $this->renderPOSupplier($pdf, $supplier);
-        $this->renderPOLineItems($pdf, $po, $item);
+        $this->renderPOLineItems($pdf, $po, $lines);
         $this->renderPOFooter($pdf, $po);
 
         $filename = "purchase_order_{$po['po_id']}.pdf";
         return $this->savePDF($pdf, $filename, 'purchase_orders');
     }
 
+    // ========================================================================
+    // REPORT PDF GENERATION
+    // ========================================================================
+
+    /**
+     * Tabular report (ReportService::buildReport) as landscape PDF
+     *
+     * @return string PDF content, for attachments and downloads
+     */
+    public function generateReportPDF(array $report): string
+    {
+        return $this->buildReportPDF($report)->Output('', 'S');
+    }
+
+    /**
+     * Same as generateReportPDF, written to $path (export jobs; rows may be streamed)
+     */
+    public function saveReportPDF(array $report, string $path): void
+    {
+        $this->buildReportPDF($report)->Output($path, 'F');
+    }
+
+    private function buildReportPDF(array $report): TCPDF
+    {
+        $pdf = $this->createPDF('Report', $report['title'], 'L');
+
+        $this->renderReportHeader($pdf, $report);
+
+        if (!empty($report['comparison'])) {
+            $pdf->SetFont('helvetica', 'B', 10);
+            $pdf->SetTextColor($this->brandPrimary[0], $this->brandPrimary[1], $this->brandPrimary[2]);
+            $pdf->Cell(0, 7, $report['comparison']['title'], 0, 1, 'L');
+
+            $this->renderReportTable($pdf, $report['comparison']['columns'], $report['comparison']['rows']);
+            $pdf->Ln(8);
+        }
+
+        $this->renderReportTable($pdf, $report['columns'], $report['rows']);
+
+        return $pdf;
+    }
+
     // ========================================================================
     // PDF INITIALIZATION
     // ========================================================================
 
-    private function createPDF(string $docType, string $docNumber): TCPDF
+    private function createPDF(string $docType, string $docNumber, string $orientation = 'P'): TCPDF
     {
-        $pdf = new TCPDF('P', 'mm', 'A4', true, 'UTF-8', false);
+        $pdf = new TCPDF($orientation, 'mm', 'A4', true, 'UTF-8', false);
 
         $pdf->SetCreator('Janstro IMS v3.0');
         $pdf->SetAuthor($this->companyName);
@@ -568,31 +614,53 @@ class PdfService
         $pdf->Ln(10);
     }
 
-    private function renderPOLineItems(TCPDF $pdf, array $po, array $item): void
+    private function renderPOLineItems(TCPDF $pdf, array $po, array $lines): void
     {
         $pdf->SetFillColor($this->brandSecondary[0], $this->brandSecondary[1], $this->brandSecondary[2]);
         $pdf->SetTextColor(255, 255, 255);
-        $pdf->SetFont('helvetica', 'B', 9);
-
-        $pdf->Cell(80, 9, 'DESCRIPTION', 1, 0, 'L', true);
-        $pdf->Cell(30, 9, 'SKU', 1, 0, 'C', true);
-        $pdf->Cell(25, 9, 'QUANTITY', 1, 0, 'C', true);
-        $pdf->Cell(30, 9, 'UNIT PRICE', 1, 0, 'R', true);
+        $pdf->SetFont('helvetica', 'B', 8);
+
+        $pdf->Cell(55, 9, 'DESCRIPTION', 1, 0, 'L', true);
+        $pdf->Cell(25, 9, 'SKU', 1, 0, 'C', true);
+        $pdf->Cell(20, 9, 'QUANTITY', 1, 0, 'C', true);
+        $pdf->Cell(25, 9, 'UNIT PRICE', 1, 0, 'R', true);
+        $pdf->Cell(20, 9, 'TAX', 1, 0, 'R', true);
+        $pdf->Cell(20, 9, 'DELIVERY', 1, 0, 'C', true);
         $pdf->Cell(25, 9, 'TOTAL', 1, 1, 'R', true);
 
         $pdf->SetTextColor(40, 40, 40);
-        $pdf->SetFont('helvetica', '', 10);
-        $pdf->SetFillColor(252, 252, 252);
+        $pdf->SetFont('helvetica', '', 9);
 
-        $pdf->Cell(80, 9, $item['item_name'], 1, 0, 'L', true);
-        $pdf->Cell(30, 9, $item['sku'] ?? 'N/A', 1, 0, 'C', true);
-        $pdf->Cell(25, 9, $po['quantity'] . ' ' . ($item['unit'] ?? 'pcs'), 1, 0, 'C', true);
-        $pdf->Cell(30, 9, '₱ ' . number_format($po['unit_price'], 2), 1, 0, 'R', true);
-        $pdf->SetFont('helvetica', 'B', 10);
-        $pdf->Cell(25, 9, '₱ ' . number_format($po['total_amount'], 2), 1, 1, 'R', true);
+        $subtotal = 0;
+        $taxTotal = 0;
+
+        foreach ($lines as $i => $line) {
+            $fill = ($i % 2 == 0);
+            $pdf->SetFillColor(252, 252, 252);
+
+            $pdf->Cell(55, 8, $line['item_name'], 1, 0, 'L', $fill);
+            $pdf->Cell(25, 8, $line['sku'] ?? 'N/A', 1, 0, 'C', $fill);
+            $pdf->Cell(20, 8, $line['quantity'] . ' ' . ($line['unit'] ?? 'pcs'), 1, 0, 'C', $fill);
+            $pdf->Cell(25, 8, '₱ ' . number_format($line['unit_price'], 2), 1, 0, 'R', $fill);
+            $pdf->Cell(20, 8, (float)$line['tax_rate'] > 0 ? rtrim(rtrim(number_format($line['tax_rate'], 2), '0'), '.') . '%' : '-', 1, 0, 'R', $fill);
+            $pdf->Cell(20, 8, !empty($line['expected_date']) ? date('M d', strtotime($line['expected_date'])) : '-', 1, 0, 'C', $fill);
+            $pdf->SetFont('helvetica', 'B', 9);
+            $pdf->Cell(25, 8, '₱ ' . number_format($line['line_total'], 2), 1, 1, 'R', $fill);
+            $pdf->SetFont('helvetica', '', 9);
+
+            $subtotal += $line['line_total'] - $line['tax_amount'];
+            $taxTotal += $line['tax_amount'];
+        }
 
         $pdf->Ln(3);
 
+        // Subtotal and tax
+        $pdf->SetFont('helvetica', '', 10);
+        $pdf->Cell(165, 7, 'Subtotal:', 0, 0, 'R');
+        $pdf->Cell(25, 7, '₱ ' . number_format($subtotal, 2), 0, 1, 'R');
+        $pdf->Cell(165, 7, 'Tax:', 0, 0, 'R');
+        $pdf->Cell(25, 7, '₱ ' . number_format($taxTotal, 2), 0, 1, 'R');
+
         // Total
         $pdf->SetFillColor($this->brandSecondary[0], $this->brandSecondary[1], $this->brandSecondary[2]);
         $pdf->SetTextColor(255, 255, 255);
@@ -646,6 +714,96 @@ class PdfService
     // UTILITIES
     // ========================================================================
 
+    // ========================================================================
+    // REPORT TEMPLATE COMPONENTS
+    // ========================================================================
+
+    private function renderReportHeader(TCPDF $pdf, array $report): void
+    {
+        $pageWidth = $pdf->getPageWidth();
+
+        $pdf->SetFillColor($this->brandPrimary[0], $this->brandPrimary[1], $this->brandPrimary[2]);
+        $pdf->Rect(0, 0, $pageWidth, 30, 'F');
+
+        $pdf->SetTextColor(255, 255, 255);
+        $pdf->SetFont('helvetica', 'B', 18);
+        $pdf->SetXY(15, 8);
+        $pdf->Cell(0, 8, 'JANSTRO IMS - ' . strtoupper($report['title']), 0, 1, 'L');
+
+        $details = ['Generated ' . date('F d, Y g:i A', strtotime($report['generated_at']))];
+        if (!empty($report['date_from'])) {
+            $details[] = 'Period ' . date('M d, Y', strtotime($report['date_from'])) . ' - ' . date('M d, Y', strtotime($report['date_to']));
+        }
+        $details[] = 'Location: ' . ($report['location'] ?? 'All locations');
+
+        $pdf->SetFont('helvetica', '', 9);
+        $pdf->SetX(15);
+        $pdf->Cell(0, 5, implode('  |  ', $details), 0, 1, 'L');
+
+        // Summary figures
+        $pdf->SetY(36);
+        $pdf->SetTextColor(0, 0, 0);
+
+        foreach ($report['summary'] as $label => $value) {
+            $pdf->SetFont('helvetica', '', 9);
+            $pdf->Cell(35, 6, $label . ':', 0, 0, 'L');
+            $pdf->SetFont('helvetica', 'B', 9);
+            $pdf->Cell(40, 6, is_float($value) ? number_format($value, 2) : (string)$value, 0, 0, 'L');
+        }
+
+        $pdf->Ln(10);
+    }
+
+    private function renderReportTable(TCPDF $pdf, array $columns, iterable $rows): void
+    {
+        $width = ($pdf->getPageWidth() - 30) / max(1, count($columns));
+        $maxChars = max(4, (int)floor($width / 1.7));
+
+        $renderHead = function () use ($pdf, $columns, $width) {
+            $pdf->SetFillColor($this->brandSecondary[0], $this->brandSecondary[1], $this->brandSecondary[2]);
+            $pdf->SetTextColor(255, 255, 255);
+            $pdf->SetFont('helvetica', 'B', 8);
+
+            foreach ($columns as $i => $column) {
+                $pdf->Cell($width, 8, strtoupper($column), 1, $i === count($columns) - 1 ? 1 : 0, 'C', true);
+            }
+
+            $pdf->SetTextColor(40, 40, 40);
+            $pdf->SetFont('helvetica', '', 8);
+        };
+
+        $renderHead();
+
+        $r = 0;
+        foreach ($rows as $row) {
+            if ($pdf->GetY() > $pdf->getPageHeight() - 25) {
+                $pdf->AddPage();
+                $renderHead();
+            }
+
+            $pdf->SetFillColor(245, 247, 248);
+
+            foreach (array_values($row) as $i => $value) {
+                $text = is_float($value) ? number_format($value, 2) : (string)$value;
+                $pdf->Cell(
+                    $width,
+                    7,
+                    mb_strimwidth($text, 0, $maxChars, '…'),
+                    1,
+                    $i === count($columns) - 1 ? 1 : 0,
+                    is_int($value) || is_float($value) ? 'R' : 'L',
+                    $r % 2 === 1
+                );
+            }
+
+            $r++;
+        }
+
+        if ($r === 0) {
+            $pdf->Cell(0, 10, 'No data for this report', 1, 1, 'C');
+        }
+    }
+
     private function addWatermark(TCPDF $pdf, string $text): void
     {
         $pdf->SetAlpha(0.1);
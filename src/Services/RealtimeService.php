@@ -0,0 +1,147 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * REALTIME SERVICE v1.0 - EVENT LOG FOR LIVE UPDATES
+ * ============================================================================
+ * Services publish domain events here; the SSE stream and long-poll
+ * endpoints (RealtimeController) read them back in id order, so a client
+ * that reconnects with Last-Event-ID resumes exactly where it left off.
+ *
+ * Events are written inside the caller's transaction, so a slow transaction
+ * can commit an event after higher ids were already read. Readers resume
+ * from a cursor that stops below a missing id until it shows up or is
+ * LATE_COMMIT_SECONDS old (rolled back); events above it are read again
+ * and clients skip the event ids they have already handled.
+ *
+ * Event names match the frontend Store bus: stock:changed, pr:created,
+ * po:approved, deletion:requested, notification:created.
+ *
+ * Table: realtime_events (database/migrations/009_create_realtime_events.sql)
+ *   event_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+ *   event_type VARCHAR(50), payload TEXT (JSON),
+ *   roles VARCHAR(100) NULL (comma-separated; NULL = every role),
+ *   created_at DATETIME, INDEX (created_at)
+ * ============================================================================
+ */
+class RealtimeService
+{
+    private const RETENTION_HOURS = 24;
+
+    /* How long a missing event id may still be an open transaction */
+    private const LATE_COMMIT_SECONDS = 60;
+
+    private PDO $db;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+    }
+
+    /**
+     * Record an event for connected clients. Called inside the caller's
+     * transaction where there is one, so rolled-back work is never announced.
+     *
+     * @param string $type Event name, e.g. "stock:changed"
+     * @param array $payload JSON-serializable detail
+     * @param array|null $roles Restrict delivery to these roles
+     * @return bool Success status (publishing never breaks the caller)
+     */
+    public function publish(string $type, array $payload = [], ?array $roles = null): bool
+    {
+        try {
+            $stmt = $this->db->prepare("
+                INSERT INTO realtime_events (event_type, payload, roles, created_at)
+                VALUES (?, ?, ?, NOW())
+            ");
+
+            return $stmt->execute([
+                $type,
+                json_encode($payload),
+                $roles ? strtolower(implode(',', $roles)) : null
+            ]);
+        } catch (Exception $e) {
+            error_log("Realtime publish failed ({$type}): " . $e->getMessage());
+            return false;
+        }
+    }
+
+    /**
+     * Events after the cursor $lastId that the given role may see
+     *
+     * @return array {events: [{id, type, data, created_at, cursor}, ...],
+     *                cursor: where the next read resumes}; each event's
+     *                cursor is the resume point once it has been handled
+     */
+    public function since(int $lastId, string $role, int $limit = 100): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT event_id, event_type, payload, roles, created_at,
+                   created_at < DATE_SUB(NOW(), INTERVAL " . self::LATE_COMMIT_SECONDS . " SECOND) AS settled
+            FROM realtime_events
+            WHERE event_id > ?
+            ORDER BY event_id ASC
+            LIMIT " . (int)$limit
+        );
+        $stmt->execute([$lastId]);
+
+        $role = strtolower($role);
+        $cursor = $lastId;
+        $contiguous = true;
+        $events = [];
+
+        // Every role's events count for the cursor, so rows are filtered here
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $eventId = (int)$row['event_id'];
+
+            // Ids are handed out in insert order: a gap below a settled row
+            // is a rollback, a gap below a fresh one may still commit
+            $contiguous = $contiguous && ($eventId === $cursor + 1 || $row['settled']);
+            if ($contiguous) {
+                $cursor = $eventId;
+            }
+
+            if ($row['roles'] !== null && !in_array($role, explode(',', $row['roles']), true)) {
+                continue;
+            }
+
+            $events[] = [
+                'id' => $eventId,
+                'type' => $row['event_type'],
+                'data' => json_decode($row['payload'], true) ?? [],
+                'created_at' => $row['created_at'],
+                'cursor' => $cursor
+            ];
+        }
+
+        return ['events' => $events, 'cursor' => $cursor];
+    }
+
+    /**
+     * Id of the newest event; fresh connections start here
+     */
+    public function latestId(): int
+    {
+        return (int)$this->db->query("SELECT COALESCE(MAX(event_id), 0) FROM realtime_events")->fetchColumn();
+    }
+
+    /**
+     * Drop events no client can still be waiting for
+     */
+    public function prune(): int
+    {
+        $stmt = $this->db->prepare("
+            DELETE FROM realtime_events
+            WHERE created_at < DATE_SUB(NOW(), INTERVAL " . self::RETENTION_HOURS . " HOUR)
+        ");
+        $stmt->execute();
+
+        return $stmt->rowCount();
+    }
+}
@@ -0,0 +1,304 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Exception;
+use ZipArchive;
+
+/**
+ * ============================================================================
+ * REPORT EXPORT SERVICE v1.0
+ * ============================================================================
+ * Turns a report from ReportService::buildReport into a CSV, XLSX or PDF
+ * file. XLSX is written as a bare Office Open XML package (ZipArchive), so
+ * no spreadsheet library is needed on the server.
+ *
+ * writeFile() takes streamed reports (ReportService::streamReport) and
+ * writes them row by row, so big exports never sit in memory as a string.
+ * ============================================================================
+ */
+class ReportExportService
+{
+    public const FORMATS = [
+        'csv' => 'text/csv',
+        'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'pdf' => 'application/pdf'
+    ];
+
+    /* Rows between progress callbacks in writeFile() */
+    private const PROGRESS_EVERY = 500;
+
+    private PdfService $pdfService;
+
+    public function __construct()
+    {
+        $this->pdfService = new PdfService();
+    }
+
+    /**
+     * @return array {name, content, type} - ready for EmailService attachments
+     */
+    public function render(array $report, string $format): array
+    {
+        if (!isset(self::FORMATS[$format])) {
+            throw new Exception("Unsupported export format: $format");
+        }
+
+        $content = match ($format) {
+            'csv' => $this->toCsv($report),
+            'xlsx' => $this->toXlsx($report),
+            'pdf' => $this->pdfService->generateReportPDF($report)
+        };
+
+        return [
+            'name' => $this->fileName($report, $format),
+            'content' => $content,
+            'type' => self::FORMATS[$format]
+        ];
+    }
+
+    /**
+     * Write a report straight to $path
+     *
+     * @param callable|null $onProgress fn(int $rowsWritten), every PROGRESS_EVERY rows
+     * @return int Rows written
+     */
+    public function writeFile(array $report, string $format, string $path, ?callable $onProgress = null): int
+    {
+        if (!isset(self::FORMATS[$format])) {
+            throw new Exception("Unsupported export format: $format");
+        }
+
+        $rows = $this->withProgress($report['rows'], $onProgress);
+        $report['rows'] = $rows;
+
+        switch ($format) {
+            case 'csv':
+                $output = fopen($path, 'w');
+                if (!$output) {
+                    throw new Exception('Cannot create export file');
+                }
+                $this->writeCsv($output, $report);
+                fclose($output);
+                break;
+            case 'xlsx':
+                $this->writeXlsx($report, $path);
+                break;
+            case 'pdf':
+                $this->pdfService->saveReportPDF($report, $path);
+                break;
+        }
+
+        return $rows->getReturn();
+    }
+
+    public function fileName(array $report, string $format): string
+    {
+        return 'Janstro_' . $report['type'] . '_' . date('Y-m-d', strtotime($report['generated_at'])) . '.' . $format;
+    }
+
+    private function withProgress(iterable $rows, ?callable $onProgress): \Generator
+    {
+        $written = 0;
+
+        foreach ($rows as $row) {
+            yield $row;
+
+            if (++$written % self::PROGRESS_EVERY === 0 && $onProgress) {
+                $onProgress($written);
+            }
+        }
+
+        return $written;
+    }
+
+    private function toCsv(array $report): string
+    {
+        $output = fopen('php://temp', 'r+');
+        $this->writeCsv($output, $report);
+
+        rewind($output);
+        $csv = stream_get_contents($output);
+        fclose($output);
+
+        return $csv;
+    }
+
+    /**
+     * @param resource $output
+     */
+    private function writeCsv($output, array $report): void
+    {
+        // BOM so Excel opens peso signs and accents as UTF-8
+        fwrite($output, "\xEF\xBB\xBF");
+
+        fputcsv($output, $report['columns']);
+        foreach ($report['rows'] as $row) {
+            fputcsv($output, $row);
+        }
+
+        if (!empty($report['comparison'])) {
+            fputcsv($output, []);
+            fputcsv($output, [$report['comparison']['title']]);
+            fputcsv($output, $report['comparison']['columns']);
+            foreach ($report['comparison']['rows'] as $row) {
+                fputcsv($output, $row);
+            }
+        }
+    }
+
+    // ========================================================================
+    // XLSX (minimal SpreadsheetML package)
+    // ========================================================================
+
+    private function toXlsx(array $report): string
+    {
+        $path = tempnam(sys_get_temp_dir(), 'xlsx');
+        $this->writeXlsx($report, $path);
+
+        $content = file_get_contents($path);
+        @unlink($path);
+
+        return $content;
+    }
+
+    private function writeXlsx(array $report, string $path): void
+    {
+        if (!class_exists(ZipArchive::class)) {
+            throw new Exception('XLSX export needs the PHP zip extension');
+        }
+
+        $zip = new ZipArchive();
+
+        if ($zip->open($path, ZipArchive::CREATE | ZipArchive::OVERWRITE) !== true) {
+            throw new Exception('Cannot create XLSX file');
+        }
+
+        // The report, plus the period comparison on its own sheet
+        $sheets = [$report];
+        if (!empty($report['comparison'])) {
+            $sheets[] = ['title' => 'Comparison'] + $report['comparison'];
+        }
+
+        $overrides = '';
+        $entries = '';
+        $relations = '';
+
+        foreach ($sheets as $i => $sheet) {
+            $n = $i + 1;
+            // Sheet names can't hold \ / ? * : [ ]
+            $name = htmlspecialchars(mb_substr(str_replace(['\\', '/', '?', '*', ':', '[', ']'], '', $sheet['title']), 0, 31), ENT_XML1);
+
+            $overrides .= '<Override PartName="/xl/worksheets/sheet' . $n . '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+            $entries .= '<sheet name="' . $name . '" sheetId="' . $n . '" r:id="rId' . $n . '"/>';
+            $relations .= '<Relationship Id="rId' . $n . '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' . $n . '.xml"/>';
+        }
+
+        $zip->addFromString('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . $overrides
+            . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            . '</Types>');
+
+        $zip->addFromString('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>');
+
+        $zip->addFromString('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets>' . $entries . '</sheets>'
+            . '</workbook>');
+
+        $zip->addFromString('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . $relations
+            . '<Relationship Id="rId' . (count($sheets) + 1) . '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            . '</Relationships>');
+
+        // Style 1 = bold header, style 2 = two decimals
+        $zip->addFromString('xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            . '<fills count="1"><fill><patternFill patternType="none"/></fill></fills>'
+            . '<borders count="1"><border/></borders>'
+            . '<cellStyleXfs count="1"><xf/></cellStyleXfs>'
+            . '<cellXfs count="3"><xf/><xf fontId="1" applyFont="1"/><xf numFmtId="4" applyNumberFormat="1"/></cellXfs>'
+            . '</styleSheet>');
+
+        // Sheets go through temp files; the zip reads them on close()
+        $sheetPaths = [];
+        foreach ($sheets as $i => $sheet) {
+            $sheetPaths[$i] = tempnam(sys_get_temp_dir(), 'sheet');
+            $this->writeSheet($sheet, $sheetPaths[$i]);
+            $zip->addFile($sheetPaths[$i], 'xl/worksheets/sheet' . ($i + 1) . '.xml');
+        }
+        $zip->close();
+
+        array_map('unlink', $sheetPaths);
+    }
+
+    /**
+     * @param array $sheet {columns, rows}
+     */
+    private function writeSheet(array $sheet, string $path): void
+    {
+        $output = fopen($path, 'w');
+
+        fwrite($output, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<cols>');
+
+        // Widths fit the data when the rows are at hand; streamed rows only have the header to go on
+        $sample = is_array($sheet['rows']) ? $sheet['rows'] : [];
+
+        foreach ($sheet['columns'] as $i => $column) {
+            $width = $sample
+                ? max(mb_strlen($column), ...array_map(fn($row) => mb_strlen((string)($row[$i] ?? '')), $sample))
+                : max(mb_strlen($column), 10);
+            fwrite($output, '<col min="' . ($i + 1) . '" max="' . ($i + 1) . '" width="' . min(50, $width + 2) . '" customWidth="1"/>');
+        }
+
+        fwrite($output, '</cols><sheetData>' . $this->buildRow(1, $sheet['columns'], true));
+
+        $r = 2;
+        foreach ($sheet['rows'] as $row) {
+            fwrite($output, $this->buildRow($r++, array_values($row), false));
+        }
+
+        fwrite($output, '</sheetData></worksheet>');
+        fclose($output);
+    }
+
+    private function buildRow(int $rowNumber, array $values, bool $header): string
+    {
+        $xml = '<row r="' . $rowNumber . '">';
+
+        foreach ($values as $i => $value) {
+            $ref = $this->columnLetter($i) . $rowNumber;
+
+            if (!$header && (is_int($value) || is_float($value))) {
+                $xml .= '<c r="' . $ref . '"' . (is_float($value) ? ' s="2"' : '') . '><v>' . $value . '</v></c>';
+            } else {
+                $xml .= '<c r="' . $ref . '" t="inlineStr"' . ($header ? ' s="1"' : '') . '><is><t>'
+                    . htmlspecialchars((string)$value, ENT_XML1) . '</t></is></c>';
+            }
+        }
+
+        return $xml . '</row>';
+    }
+
+    private function columnLetter(int $index): string
+    {
+        $letter = '';
+
+        for ($n = $index + 1; $n > 0; $n = intdiv($n - 1, 26)) {
+            $letter = chr(65 + ($n - 1) % 26) . $letter;
+        }
+
+        return $letter;
+    }
+}
@@ -0,0 +1,390 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\ReportScheduleRepository;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * REPORT SCHEDULE SERVICE v1.0
+ * ============================================================================
+ * Reports built on the server and emailed as CSV / XLSX / PDF, either on a
+ * schedule (sent by public/cron/process-report-schedules.php) or once from
+ * the reports page.
+ *
+ * Movement-based reports cover the last period_days days up to the run
+ * date. A run that was missed (cron down) is sent once on the next pass;
+ * the following run is then planned from that moment, not caught up.
+ * ============================================================================
+ */
+class ReportScheduleService
+{
+    /* Roles that see and manage everyone's schedules */
+    private const ALL_SCHEDULES_ROLES = ['superadmin'];
+    private const MAX_RECIPIENTS = 20;
+
+    private PDO $db;
+    private ReportScheduleRepository $scheduleRepo;
+    private ReportService $reportService;
+    private ReportExportService $exportService;
+    private EmailService $emailService;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+        $this->scheduleRepo = new ReportScheduleRepository();
+        $this->reportService = new ReportService();
+        $this->exportService = new ReportExportService();
+        $this->emailService = new EmailService();
+    }
+
+    // ========================================================================
+    // SCHEDULES
+    // ========================================================================
+
+    /**
+     * Schedules the user manages; superadmins see everyone's
+     */
+    public function getSchedules(object $user): array
+    {
+        return $this->scheduleRepo->getAll($this->seesAll($user) ? null : (int)$user->user_id);
+    }
+
+    /**
+     * @param array $data {name, report_type, format, recipients, frequency,
+     *                     run_time, run_day, location_id, period_days}
+     */
+    public function createSchedule(array $data, int $userId): array
+    {
+        $schedule = $this->validateReportRequest($data);
+
+        $frequency = $data['frequency'] ?? '';
+        if (!in_array($frequency, ReportScheduleRepository::FREQUENCIES, true)) {
+            throw new Exception('Frequency must be daily, weekly or monthly');
+        }
+
+        $runTime = trim((string)($data['run_time'] ?? '07:00'));
+        if (!preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', substr($runTime, 0, 5))) {
+            throw new Exception('Run time must be HH:MM');
+        }
+
+        $runDay = null;
+        if ($frequency === 'weekly') {
+            $runDay = (int)($data['run_day'] ?? 1);
+            if ($runDay < 1 || $runDay > 7) {
+                throw new Exception('Pick a weekday for a weekly schedule');
+            }
+        } elseif ($frequency === 'monthly') {
+            $runDay = (int)($data['run_day'] ?? 1);
+            if ($runDay < 1 || $runDay > 28) {
+                throw new Exception('Monthly schedules run on day 1 to 28');
+            }
+        }
+
+        $name = trim((string)($data['name'] ?? ''));
+        $schedule += [
+            'name' => mb_substr($name !== '' ? $name : ucfirst($frequency) . ' ' . ReportService::REPORT_TYPES[$schedule['report_type']], 0, 100),
+            'frequency' => $frequency,
+            'run_time' => substr($runTime, 0, 5) . ':00',
+            'run_day' => $runDay
+        ];
+        $schedule['next_run_at'] = $this->nextRunAt($schedule);
+
+        $scheduleId = $this->scheduleRepo->create($schedule, $userId);
+
+        $this->audit($userId, "Report schedule #$scheduleId '{$schedule['name']}' created ({$frequency}, {$schedule['format']}, to " . implode(', ', $schedule['recipients']) . ")", 'create');
+
+        return [
+            'schedule_id' => $scheduleId,
+            'next_run_at' => $schedule['next_run_at'],
+            'message' => "Schedule created - first report goes out " . date('M d, Y g:i A', strtotime($schedule['next_run_at']))
+        ];
+    }
+
+    public function pauseSchedule(int $scheduleId, object $user): array
+    {
+        $schedule = $this->getOwnSchedule($scheduleId, $user);
+
+        $this->scheduleRepo->setStatus($scheduleId, 'paused', null);
+        $this->audit((int)$user->user_id, "Report schedule #$scheduleId '{$schedule['name']}' paused", 'update');
+
+        return ['message' => 'Schedule paused'];
+    }
+
+    public function resumeSchedule(int $scheduleId, object $user): array
+    {
+        $schedule = $this->getOwnSchedule($scheduleId, $user);
+        $nextRunAt = $this->nextRunAt($schedule);
+
+        $this->scheduleRepo->setStatus($scheduleId, 'active', $nextRunAt);
+        $this->audit((int)$user->user_id, "Report schedule #$scheduleId '{$schedule['name']}' resumed", 'update');
+
+        return [
+            'next_run_at' => $nextRunAt,
+            'message' => 'Schedule resumed - next report ' . date('M d, Y g:i A', strtotime($nextRunAt))
+        ];
+    }
+
+    public function deleteSchedule(int $scheduleId, object $user): array
+    {
+        $schedule = $this->getOwnSchedule($scheduleId, $user);
+
+        $this->scheduleRepo->delete($scheduleId);
+        $this->audit((int)$user->user_id, "Report schedule #$scheduleId '{$schedule['name']}' deleted", 'delete');
+
+        return ['message' => 'Schedule deleted'];
+    }
+
+    // ========================================================================
+    // SENDING
+    // ========================================================================
+
+    /**
+     * Build a report now and email it, without saving a schedule
+     *
+     * @param array $data {report_type, format, recipients, location_id, date_from, date_to}
+     */
+    public function sendNow(array $data, int $userId): array
+    {
+        $request = $this->validateReportRequest($data);
+
+        $filters = $request['filters'];
+        foreach (['date_from', 'date_to'] as $key) {
+            if (!empty($data[$key])) {
+                if (!strtotime($data[$key])) {
+                    throw new Exception('Invalid report date');
+                }
+                $filters[$key] = date('Y-m-d', strtotime($data[$key]));
+            }
+        }
+
+        if (isset($filters['date_from'], $filters['date_to']) && $filters['date_from'] > $filters['date_to']) {
+            throw new Exception('Start date is after end date');
+        }
+
+        $sent = $this->deliver($request['report_type'], $filters, $request['format'], $request['recipients']);
+
+        if ($sent === 0) {
+            throw new Exception('The report could not be emailed - check the email settings');
+        }
+
+        $this->audit($userId, "Emailed {$request['report_type']} report ({$request['format']}) to " . implode(', ', $request['recipients']), 'export');
+
+        return [
+            'sent' => $sent,
+            'message' => "Report emailed to $sent of " . count($request['recipients']) . " recipient(s)"
+        ];
+    }
+
+    /**
+     * Send every schedule that is due (cron)
+     *
+     * @return array {success, processed, sent, failed, details: [...]}
+     */
+    public function processDueSchedules(): array
+    {
+        $details = [];
+
+        try {
+            $due = $this->scheduleRepo->getDue(date('Y-m-d H:i:s'));
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        foreach ($due as $schedule) {
+            $error = null;
+            $sent = 0;
+
+            try {
+                $filters = ['location_id' => $schedule['filters']['location_id'] ?? null];
+                $days = (int)($schedule['filters']['period_days'] ?? 0);
+
+                if ($days > 0) {
+                    $filters['date_from'] = date('Y-m-d', strtotime('-' . ($days - 1) . ' days'));
+                    $filters['date_to'] = date('Y-m-d');
+                }
+
+                $sent = $this->deliver(
+                    $schedule['report_type'],
+                    $filters,
+                    $schedule['format'],
+                    $schedule['recipients'],
+                    (int)$schedule['schedule_id']
+                );
+
+                if ($sent === 0) {
+                    $error = 'No recipient could be emailed';
+                }
+            } catch (\Exception $e) {
+                $error = $e->getMessage();
+                error_log("ReportScheduleService::processDueSchedules - schedule #{$schedule['schedule_id']}: $error");
+            }
+
+            $nextRunAt = $this->nextRunAt($schedule);
+            $this->scheduleRepo->recordRun((int)$schedule['schedule_id'], $error ? 'failed' : 'sent', $error, $nextRunAt);
+
+            $details[] = [
+                'schedule_id' => (int)$schedule['schedule_id'],
+                'name' => $schedule['name'],
+                'sent' => $sent,
+                'error' => $error,
+                'next_run_at' => $nextRunAt
+            ];
+        }
+
+        return [
+            'success' => true,
+            'processed' => count($details),
+            'sent' => count(array_filter($details, fn($d) => !$d['error'])),
+            'failed' => count(array_filter($details, fn($d) => $d['error'])),
+            'details' => $details
+        ];
+    }
+
+    /**
+     * Next run strictly after $after (default now)
+     */
+    public function nextRunAt(array $schedule, ?\DateTimeImmutable $after = null): string
+    {
+        $after = $after ?? new \DateTimeImmutable();
+        [$hour, $minute] = array_map('intval', explode(':', $schedule['run_time']));
+        $next = $after->setTime($hour, $minute);
+
+        switch ($schedule['frequency']) {
+            case 'weekly':
+                // run_day: 1 = Monday .. 7 = Sunday, same as date('N')
+                $offset = ((int)$schedule['run_day'] - (int)$next->format('N') + 7) % 7;
+                $next = $next->modify("+$offset days");
+                $step = '+1 week';
+                break;
+            case 'monthly':
+                $next = $next->setDate((int)$next->format('Y'), (int)$next->format('n'), (int)$schedule['run_day']);
+                $step = '+1 month';
+                break;
+            default:
+                $step = '+1 day';
+        }
+
+        while ($next <= $after) {
+            $next = $next->modify($step);
+        }
+
+        return $next->format('Y-m-d H:i:s');
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Build, render and email one report; returns how many recipients got it
+     */
+    private function deliver(string $reportType, array $filters, string $format, array $recipients, ?int $scheduleId = null): int
+    {
+        $report = $this->reportService->buildReport($reportType, $filters);
+        $attachment = $this->exportService->render($report, $format);
+
+        $sent = 0;
+        foreach ($recipients as $recipient) {
+            if ($this->emailService->sendReport($report, $attachment, $recipient, $scheduleId)) {
+                $sent++;
+            }
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Checks shared by schedules and one-off sends
+     *
+     * @return array {report_type, format, recipients, filters: {location_id, period_days}}
+     */
+    private function validateReportRequest(array $data): array
+    {
+        $reportType = $data['report_type'] ?? '';
+        if (!isset(ReportService::REPORT_TYPES[$reportType])) {
+            throw new Exception('Choose a report type: ' . implode(', ', array_keys(ReportService::REPORT_TYPES)));
+        }
+
+        $format = $data['format'] ?? 'pdf';
+        if (!isset(ReportExportService::FORMATS[$format])) {
+            throw new Exception('Format must be csv, xlsx or pdf');
+        }
+
+        $recipients = is_array($data['recipients'] ?? null)
+            ? $data['recipients']
+            : preg_split('/[\s,;]+/', (string)($data['recipients'] ?? ''));
+        $recipients = array_values(array_unique(array_filter(array_map('trim', $recipients))));
+
+        if (!$recipients) {
+            throw new Exception('Enter at least one recipient email');
+        }
+        if (count($recipients) > self::MAX_RECIPIENTS) {
+            throw new Exception('At most ' . self::MAX_RECIPIENTS . ' recipients per report');
+        }
+
+        $invalid = array_filter($recipients, fn($email) => !filter_var($email, FILTER_VALIDATE_EMAIL));
+        if ($invalid) {
+            throw new Exception('Invalid email: ' . implode(', ', $invalid));
+        }
+
+        $locationId = !empty($data['location_id']) ? (int)$data['location_id'] : null;
+        if ($locationId !== null) {
+            // Throws for unknown locations
+            (new LocationService())->filterLocation($locationId);
+        }
+
+        $periodDays = (int)($data['period_days'] ?? 0);
+        if ($periodDays < 0 || $periodDays > 366) {
+            throw new Exception('Report period must be 1 to 366 days');
+        }
+
+        return [
+            'report_type' => $reportType,
+            'format' => $format,
+            'recipients' => $recipients,
+            'filters' => [
+                'location_id' => $locationId,
+                'period_days' => $periodDays ?: $this->defaultPeriod($data['frequency'] ?? null)
+            ]
+        ];
+    }
+
+    /* Days a movement report covers when none is given: one cadence */
+    private function defaultPeriod(?string $frequency): int
+    {
+        return match ($frequency) {
+            'daily' => 1,
+            'weekly' => 7,
+            default => 30
+        };
+    }
+
+    private function getOwnSchedule(int $scheduleId, object $user): array
+    {
+        $schedule = $this->scheduleRepo->findById($scheduleId);
+
+        if (!$schedule || (!$this->seesAll($user) && (int)$schedule['created_by'] !== (int)$user->user_id)) {
+            throw new Exception('Report schedule not found');
+        }
+
+        return $schedule;
+    }
+
+    private function seesAll(object $user): bool
+    {
+        return in_array(strtolower($user->role ?? ''), self::ALL_SCHEDULES_ROLES, true);
+    }
+
+    private function audit(int $userId, string $description, string $actionType): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'reports', ?, ?)
+        ");
+        $stmt->execute([$userId, $description, $actionType, $_SERVER['REMOTE_ADDR'] ?? 'system']);
+    }
+}
@@ -3,6 +3,7 @@
 namespace Janstro\InventorySystem\Services;
 
 use Janstro\InventorySystem\Repositories\InventoryRepository;
+use Janstro\InventorySystem\Repositories\LocationRepository;
 use Janstro\InventorySystem\Repositories\PurchaseOrderRepository;
 use Janstro\InventorySystem\Repositories\SupplierRepository;
 use Janstro\InventorySystem\Repositories\UserRepository;
@@ -10,10 +11,31 @@ use Janstro\InventorySystem\Config\Database;
 
 class ReportService
 {
+    /* Reports the server can build on its own (scheduled, emailed and exported) */
+    public const REPORT_TYPES = [
+        'inventory' => 'Inventory Summary',
+        'low_stock' => 'Low Stock',
+        'financial' => 'Financial Overview',
+        'movements' => 'Stock Movements',
+        'supplier' => 'Supplier Performance'
+    ];
+
+    /* Rows per query when streaming the movements report */
+    private const MOVEMENT_PAGE_SIZE = 1000;
+
+    /* Period comparison: what the second range is */
+    public const COMPARE_MODES = [
+        'previous' => 'Previous period',
+        'prior_year' => 'Same period last year',
+        'custom' => 'Custom range'
+    ];
+
     private InventoryRepository $inventoryRepo;
     private PurchaseOrderRepository $orderRepo;
     private SupplierRepository $supplierRepo;
     private UserRepository $userRepo;
+    private LocationRepository $locationRepo;
+    private LocationService $locationService;
     private \PDO $db;
 
     public function __construct()
@@ -22,12 +44,16 @@ class ReportService
         $this->orderRepo = new PurchaseOrderRepository();
         $this->supplierRepo = new SupplierRepository();
         $this->userRepo = new UserRepository();
+        $this->locationRepo = new LocationRepository();
+        $this->locationService = new LocationService();
         $this->db = Database::connect();
     }
 
-    /*Get dashboard statistics (SAFE VERSION) */
-    public function getDashboardStats(): array
+    /*Get dashboard statistics (SAFE VERSION); stock figures for one location when given */
+    public function getDashboardStats($locationId = null): array
     {
+        [$source, $bindings] = $this->locationRepo->inventorySource($this->locationService->filterLocation($locationId));
+
         try {
             // Total items with null safety
             $stmt = $this->db->query("
@@ -38,11 +64,12 @@ class ReportService
             $totalItems = (int)($stmt->fetch()['total'] ?? 0);
 
             // Low stock items
-            $stmt = $this->db->query("
+            $stmt = $this->db->prepare("
                 SELECT COALESCE(COUNT(*), 0) as total 
-                FROM items 
-                WHERE quantity <= reorder_level AND quantity >= 0
+                FROM {$source}
+                WHERE item_status = 'active' AND current_quantity <= reorder_level AND current_quantity >= 0
             ");
+            $stmt->execute($bindings);
             $lowStockItems = (int)($stmt->fetch()['total'] ?? 0);
 
             // Pending POs
@@ -59,10 +86,11 @@ class ReportService
             }
 
             // Total inventory value
-            $stmt = $this->db->query("
-                SELECT COALESCE(SUM(quantity * unit_price), 0) as total 
-                FROM items
+            $stmt = $this->db->prepare("
+                SELECT COALESCE(SUM(current_quantity * unit_price), 0) as total 
+                FROM {$source}
             ");
+            $stmt->execute($bindings);
             $totalValue = (float)($stmt->fetch()['total'] ?? 0);
 
             return [
@@ -278,6 +306,509 @@ class ReportService
         return $stmt->fetchAll();
     }
 
+    // ========================================================================
+    // SERVER-SIDE REPORTS (scheduled / emailed)
+    // ========================================================================
+
+    /**
+     * Build one of REPORT_TYPES as a flat table
+     *
+     * @param array $filters {location_id, date_from, date_to}
+     * @return array {type, title, location, date_from, date_to, generated_at,
+     *                columns: [label, ...], rows: [[value, ...], ...], summary: {label: value}}
+     */
+    public function buildReport(string $type, array $filters = []): array
+    {
+        [$meta, $location, $dateFrom, $dateTo] = $this->reportContext($type, $filters);
+
+        $report = match ($type) {
+            'inventory' => $this->buildInventoryReport($location, false),
+            'low_stock' => $this->buildInventoryReport($location, true),
+            'financial' => $this->buildFinancialReport($location, $dateFrom, $dateTo),
+            'movements' => $this->buildMovementsReport($location, $dateFrom, $dateTo),
+            'supplier' => $this->buildSupplierReport($dateFrom, $dateTo)
+        };
+
+        return $meta + $report;
+    }
+
+    /**
+     * buildReport for large exports: rows is an iterator that reads the
+     * database a page at a time, total is the row count up front
+     *
+     * @return array buildReport shape, rows: iterable, plus total
+     */
+    public function streamReport(string $type, array $filters = []): array
+    {
+        // Only movements grow with history; the rest are a row per item, category or supplier
+        if ($type !== 'movements') {
+            $report = $this->buildReport($type, $filters);
+            $report['total'] = count($report['rows']);
+
+            return $report;
+        }
+
+        [$meta, $location, $dateFrom, $dateTo] = $this->reportContext($type, $filters);
+
+        return $meta + $this->streamMovementsReport($location, $dateFrom, $dateTo);
+    }
+
+    /**
+     * @return array [meta, location, dateFrom, dateTo]
+     */
+    private function reportContext(string $type, array $filters): array
+    {
+        if (!isset(self::REPORT_TYPES[$type])) {
+            throw new \Exception("Unknown report type: $type");
+        }
+
+        $location = $this->locationService->filterLocation($filters['location_id'] ?? null);
+        $dateFrom = $filters['date_from'] ?? date('Y-m-d', strtotime('-29 days'));
+        $dateTo = $filters['date_to'] ?? date('Y-m-d');
+
+        // Stock snapshots are as of now; only movement-based reports cover a period
+        $dated = !in_array($type, ['inventory', 'low_stock'], true);
+
+        $meta = [
+            'type' => $type,
+            'title' => self::REPORT_TYPES[$type],
+            'location' => $location ? "{$location['code']} - {$location['name']}" : null,
+            'date_from' => $dated ? $dateFrom : null,
+            'date_to' => $dated ? $dateTo : null,
+            'generated_at' => date('Y-m-d H:i:s')
+        ];
+
+        if (!empty($filters['compare'])) {
+            $meta['comparison'] = $this->comparisonTable(
+                $this->comparePeriods($location, $dateFrom, $dateTo, $filters)
+            );
+        }
+
+        return [$meta, $location, $dateFrom, $dateTo];
+    }
+
+    // ========================================================================
+    // PERIOD COMPARISON
+    // ========================================================================
+
+    /**
+     * The same metrics for two date ranges, side by side
+     *
+     * @param array $filters {location_id, date_from, date_to, compare, compare_from, compare_to}
+     * @return array {mode, current: {date_from, date_to}, previous: {...}, metrics: [...]}
+     */
+    public function getPeriodComparison(array $filters): array
+    {
+        $location = $this->locationService->filterLocation($filters['location_id'] ?? null);
+        $dateFrom = $filters['date_from'] ?? date('Y-m-d', strtotime('-29 days'));
+        $dateTo = $filters['date_to'] ?? date('Y-m-d');
+
+        return $this->comparePeriods($location, $dateFrom, $dateTo, $filters);
+    }
+
+    /**
+     * Second range for a comparison mode; throws on bad input
+     *
+     * @return array [dateFrom, dateTo]
+     */
+    public function comparePeriod(string $dateFrom, string $dateTo, string $mode, ?string $compareFrom = null, ?string $compareTo = null): array
+    {
+        if ($dateFrom > $dateTo) {
+            throw new \Exception('Start date is after end date');
+        }
+
+        switch ($mode) {
+            case 'previous':
+                // Same number of days, ending the day before the period starts
+                $days = (int)(new \DateTime($dateFrom))->diff(new \DateTime($dateTo))->days;
+                $to = date('Y-m-d', strtotime("$dateFrom -1 day"));
+                return [date('Y-m-d', strtotime("$to -$days days")), $to];
+            case 'prior_year':
+                return [date('Y-m-d', strtotime("$dateFrom -1 year")), date('Y-m-d', strtotime("$dateTo -1 year"))];
+            case 'custom':
+                if (!$compareFrom || !$compareTo || !strtotime($compareFrom) || !strtotime($compareTo)) {
+                    throw new \Exception('Enter both dates of the comparison range');
+                }
+                $compareFrom = date('Y-m-d', strtotime($compareFrom));
+                $compareTo = date('Y-m-d', strtotime($compareTo));
+                if ($compareFrom > $compareTo) {
+                    throw new \Exception('Comparison start date is after its end date');
+                }
+                return [$compareFrom, $compareTo];
+            default:
+                throw new \Exception('Compare with: ' . implode(', ', array_keys(self::COMPARE_MODES)));
+        }
+    }
+
+    private function comparePeriods(?array $location, string $dateFrom, string $dateTo, array $filters): array
+    {
+        $mode = $filters['compare'] ?? 'previous';
+        [$compareFrom, $compareTo] = $this->comparePeriod($dateFrom, $dateTo, $mode, $filters['compare_from'] ?? null, $filters['compare_to'] ?? null);
+
+        $current = $this->getPeriodMetrics($location, $dateFrom, $dateTo);
+        $previous = $this->getPeriodMetrics($location, $compareFrom, $compareTo);
+
+        $labels = [
+            'opening_value' => ['Stock Value (start of period)', 'currency'],
+            'closing_value' => ['Stock Value (end of period)', 'currency'],
+            'quantity_in' => ['Quantity In', 'number'],
+            'quantity_out' => ['Quantity Out', 'number'],
+            'sales' => ['Sales', 'currency'],
+            'purchases' => ['Purchases', 'currency'],
+            'cogs' => ['Cost of Goods Issued', 'currency'],
+            'turnover' => ['Turnover (COGS / avg. stock value)', 'ratio']
+        ];
+
+        $metrics = [];
+        foreach ($labels as $key => [$label, $format]) {
+            $change = is_int($current[$key])
+                ? $current[$key] - $previous[$key]
+                : round($current[$key] - $previous[$key], 2);
+
+            $metrics[] = [
+                'key' => $key,
+                'label' => $label,
+                'format' => $format,
+                'current' => $current[$key],
+                'previous' => $previous[$key],
+                'change' => $change,
+                'change_pct' => $previous[$key] != 0 ? round($change * 100 / abs($previous[$key]), 1) : null
+            ];
+        }
+
+        return [
+            'mode' => $mode,
+            'mode_label' => self::COMPARE_MODES[$mode],
+            'location' => $location ? "{$location['code']} - {$location['name']}" : null,
+            'current' => ['date_from' => $dateFrom, 'date_to' => $dateTo],
+            'previous' => ['date_from' => $compareFrom, 'date_to' => $compareTo],
+            'metrics' => $metrics
+        ];
+    }
+
+    /**
+     * Stock value at both ends of the range (current item prices), movement
+     * quantities, sales, purchases and turnover for one date range.
+     * Movement quantities and COGS leave out transfers and count adjustments;
+     * returns to supplier come off quantity in rather than counting as
+     * issues, as AnalyticsService does.
+     */
+    private function getPeriodMetrics(?array $location, string $dateFrom, string $dateTo): array
+    {
+        [$condition, $bindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+        $dayBefore = date('Y-m-d', strtotime("$dateFrom -1 day"));
+
+        $internal = "'" . implode("', '", AnalyticsService::INTERNAL_MOVEMENTS) . "'";
+        $notConsumed = "'" . implode("', '", AnalyticsService::NON_CONSUMPTION_MOVEMENTS) . "'";
+        $returned = "'" . implode("', '", AnalyticsService::SUPPLIER_RETURNS) . "'";
+        $received = "t.transaction_type = 'IN' AND COALESCE(t.reference_type, '') NOT IN ($internal)";
+        $returnedOut = "t.transaction_type = 'OUT' AND t.reference_type IN ($returned)";
+        $issued = "t.transaction_type = 'OUT' AND COALESCE(t.reference_type, '') NOT IN ($notConsumed)";
+
+        $stmt = $this->db->prepare("
+            SELECT
+                COALESCE(SUM(CASE WHEN DATE(t.movement_date) <= ?
+                    THEN (CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) * i.unit_price END), 0) AS opening_value,
+                COALESCE(SUM((CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE -t.quantity END) * i.unit_price), 0) AS closing_value,
+                COALESCE(SUM(CASE WHEN DATE(t.movement_date) >= ? AND $received THEN t.quantity
+                                  WHEN DATE(t.movement_date) >= ? AND $returnedOut THEN -t.quantity END), 0) AS quantity_in,
+                COALESCE(SUM(CASE WHEN DATE(t.movement_date) >= ? AND $issued THEN t.quantity END), 0) AS quantity_out,
+                COALESCE(SUM(CASE WHEN DATE(t.movement_date) >= ? AND $issued THEN t.quantity * i.unit_price END), 0) AS cogs
+            FROM transactions t
+            JOIN items i ON t.item_id = i.item_id
+            WHERE $condition AND DATE(t.movement_date) <= ?
+        ");
+        $stmt->execute(array_merge([$dayBefore, $dateFrom, $dateFrom, $dateFrom, $dateFrom], $bindings, [$dateTo]));
+        $stock = $stmt->fetch(\PDO::FETCH_ASSOC);
+
+        // Orders aren't tied to a location, so these are company-wide
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(SUM(total_amount), 0) FROM sales_orders
+            WHERE DATE(order_date) BETWEEN ? AND ? AND status <> 'cancelled'
+        ");
+        $stmt->execute([$dateFrom, $dateTo]);
+        $sales = (float)$stmt->fetchColumn();
+
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(SUM(total_amount), 0) FROM purchase_orders
+            WHERE DATE(po_date) BETWEEN ? AND ? AND status <> 'cancelled'
+        ");
+        $stmt->execute([$dateFrom, $dateTo]);
+        $purchases = (float)$stmt->fetchColumn();
+
+        $opening = (float)$stock['opening_value'];
+        $closing = (float)$stock['closing_value'];
+        $cogs = (float)$stock['cogs'];
+        $averageValue = ($opening + $closing) / 2;
+
+        return [
+            'opening_value' => round($opening, 2),
+            'closing_value' => round($closing, 2),
+            'quantity_in' => (int)$stock['quantity_in'],
+            'quantity_out' => (int)$stock['quantity_out'],
+            'sales' => round($sales, 2),
+            'purchases' => round($purchases, 2),
+            'cogs' => round($cogs, 2),
+            'turnover' => $averageValue > 0 ? round($cogs / $averageValue, 2) : 0.0
+        ];
+    }
+
+    /**
+     * A comparison as a flat table for the exporters
+     *
+     * @return array {title, columns, rows}
+     */
+    private function comparisonTable(array $comparison): array
+    {
+        $range = fn($period) => "{$period['date_from']} to {$period['date_to']}";
+
+        return [
+            'title' => 'Period Comparison - ' . $comparison['mode_label'],
+            'columns' => ['Metric', 'Current (' . $range($comparison['current']) . ')', 'Compared (' . $range($comparison['previous']) . ')', 'Change', 'Change %'],
+            'rows' => array_map(fn($metric) => [
+                $metric['label'],
+                $metric['current'],
+                $metric['previous'],
+                $metric['change'],
+                $metric['change_pct'] === null ? '-' : (float)$metric['change_pct']
+            ], $comparison['metrics'])
+        ];
+    }
+
+    private function buildInventoryReport(?array $location, bool $lowStockOnly): array
+    {
+        [$source, $bindings] = $this->locationRepo->inventorySource($location);
+
+        $stmt = $this->db->prepare("
+            SELECT sku, item_name, COALESCE(category_name, 'Uncategorized') AS category_name,
+                   current_quantity, unit, unit_price, reorder_level
+            FROM {$source}
+            WHERE item_status = 'active'
+            " . ($lowStockOnly ? "AND current_quantity <= reorder_level" : "") . "
+            ORDER BY " . ($lowStockOnly ? "(reorder_level - current_quantity) DESC" : "category_name, item_name") . "
+        ");
+        $stmt->execute($bindings);
+
+        $rows = [];
+        $totalValue = 0;
+        $lowCount = 0;
+
+        foreach ($stmt->fetchAll(\PDO::FETCH_ASSOC) as $item) {
+            $quantity = (int)$item['current_quantity'];
+            $value = round($quantity * (float)$item['unit_price'], 2);
+            $isLow = $quantity <= (int)$item['reorder_level'];
+
+            $totalValue += $value;
+            $lowCount += $isLow ? 1 : 0;
+
+            $rows[] = [
+                $item['sku'] ?: 'N/A',
+                $item['item_name'],
+                $item['category_name'],
+                $quantity,
+                $item['unit'],
+                round((float)$item['unit_price'], 2),
+                $value,
+                (int)$item['reorder_level'],
+                $lowStockOnly ? max(0, (int)$item['reorder_level'] - $quantity) : ($isLow ? 'LOW STOCK' : 'OK')
+            ];
+        }
+
+        return [
+            'columns' => ['SKU', 'Item Name', 'Category', 'Quantity', 'Unit', 'Unit Price', 'Total Value', 'Reorder Level', $lowStockOnly ? 'Shortage' : 'Status'],
+            'rows' => $rows,
+            'summary' => [
+                'Items' => count($rows),
+                'Total Value' => round($totalValue, 2),
+                'Low Stock Items' => $lowCount
+            ]
+        ];
+    }
+
+    private function buildFinancialReport(?array $location, string $dateFrom, string $dateTo): array
+    {
+        [$source, $bindings] = $this->locationRepo->inventorySource($location);
+        [$condition, $txBindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+
+        $stmt = $this->db->prepare("
+            SELECT COALESCE(category_name, 'Uncategorized') AS category_name,
+                   COUNT(*) AS item_count,
+                   COALESCE(SUM(current_quantity * unit_price), 0) AS stock_value,
+                   COALESCE(SUM(m.in_value), 0) AS in_value,
+                   COALESCE(SUM(m.out_value), 0) AS out_value
+            FROM {$source}
+            LEFT JOIN (
+                SELECT t.item_id,
+                       SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity * COALESCE(t.unit_price, i.unit_price, 0) ELSE 0 END) AS in_value,
+                       SUM(CASE WHEN t.transaction_type = 'OUT' THEN t.quantity * COALESCE(t.unit_price, i.unit_price, 0) ELSE 0 END) AS out_value
+                FROM transactions t
+                JOIN items i ON t.item_id = i.item_id
+                WHERE $condition AND DATE(t.movement_date) BETWEEN ? AND ?
+                GROUP BY t.item_id
+            ) m USING (item_id)
+            WHERE item_status = 'active'
+            GROUP BY category_id, category_name
+            ORDER BY stock_value DESC
+        ");
+        $stmt->execute(array_merge($bindings, $txBindings, [$dateFrom, $dateTo]));
+
+        $rows = [];
+        $totals = ['stock' => 0, 'in' => 0, 'out' => 0];
+
+        foreach ($stmt->fetchAll(\PDO::FETCH_ASSOC) as $category) {
+            $totals['stock'] += (float)$category['stock_value'];
+            $totals['in'] += (float)$category['in_value'];
+            $totals['out'] += (float)$category['out_value'];
+
+            $rows[] = [
+                $category['category_name'],
+                (int)$category['item_count'],
+                round((float)$category['stock_value'], 2),
+                round((float)$category['in_value'], 2),
+                round((float)$category['out_value'], 2)
+            ];
+        }
+
+        return [
+            'columns' => ['Category', 'Items', 'Stock Value', 'Received Value', 'Issued Value'],
+            'rows' => $rows,
+            'summary' => [
+                'Stock Value' => round($totals['stock'], 2),
+                'Received Value' => round($totals['in'], 2),
+                'Issued Value' => round($totals['out'], 2)
+            ]
+        ];
+    }
+
+    private function buildMovementsReport(?array $location, string $dateFrom, string $dateTo): array
+    {
+        $report = $this->streamMovementsReport($location, $dateFrom, $dateTo);
+        $report['rows'] = iterator_to_array($report['rows'], false);
+        unset($report['total']);
+
+        return $report;
+    }
+
+    private function streamMovementsReport(?array $location, string $dateFrom, string $dateTo): array
+    {
+        [$condition, $bindings] = $location ? $this->locationRepo->transactionFilter($location) : ['1=1', []];
+        $where = "$condition AND DATE(t.movement_date) BETWEEN ? AND ?";
+        $bindings = array_merge($bindings, [$dateFrom, $dateTo]);
+
+        $stmt = $this->db->prepare("
+            SELECT COUNT(*) AS movements,
+                   COALESCE(SUM(CASE WHEN t.transaction_type = 'IN' THEN t.quantity ELSE 0 END), 0) AS quantity_in,
+                   COALESCE(SUM(CASE WHEN t.transaction_type = 'OUT' THEN t.quantity ELSE 0 END), 0) AS quantity_out
+            FROM transactions t
+            WHERE $where
+        ");
+        $stmt->execute($bindings);
+        $totals = $stmt->fetch(\PDO::FETCH_ASSOC);
+
+        return [
+            'columns' => ['Date', 'Type', 'SKU', 'Item', 'Quantity', 'Unit Price', 'Total', 'Reference', 'User'],
+            'rows' => $this->movementRows($where, $bindings),
+            'total' => (int)$totals['movements'],
+            'summary' => [
+                'Movements' => (int)$totals['movements'],
+                'Quantity In' => (int)$totals['quantity_in'],
+                'Quantity Out' => (int)$totals['quantity_out']
+            ]
+        ];
+    }
+
+    /**
+     * Newest first, a page at a time (keyset on date + id, so deep pages stay fast)
+     */
+    private function movementRows(string $where, array $bindings): \Generator
+    {
+        $after = null;
+
+        do {
+            $stmt = $this->db->prepare("
+                SELECT t.transaction_id, t.movement_date, t.transaction_type, i.sku, i.item_name, t.quantity,
+                       COALESCE(t.unit_price, i.unit_price, 0) AS unit_price,
+                       t.reference_number, u.name AS user_name
+                FROM transactions t
+                LEFT JOIN items i ON t.item_id = i.item_id
+                LEFT JOIN users u ON t.user_id = u.user_id
+                WHERE $where
+                " . ($after ? "AND (t.movement_date < ? OR (t.movement_date = ? AND t.transaction_id < ?))" : "") . "
+                ORDER BY t.movement_date DESC, t.transaction_id DESC
+                LIMIT " . self::MOVEMENT_PAGE_SIZE . "
+            ");
+            $stmt->execute($after ? array_merge($bindings, [$after[0], $after[0], $after[1]]) : $bindings);
+            $page = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+
+            foreach ($page as $movement) {
+                $quantity = (int)$movement['quantity'];
+
+                yield [
+                    $movement['movement_date'],
+                    $movement['transaction_type'],
+                    $movement['sku'] ?: 'N/A',
+                    $movement['item_name'],
+                    $quantity,
+                    round((float)$movement['unit_price'], 2),
+                    round($quantity * (float)$movement['unit_price'], 2),
+                    $movement['reference_number'] ?: '-',
+                    $movement['user_name'] ?: 'System'
+                ];
+            }
+
+            $last = end($page);
+            $after = $last ? [$last['movement_date'], $last['transaction_id']] : null;
+        } while (count($page) === self::MOVEMENT_PAGE_SIZE);
+    }
+
+    private function buildSupplierReport(string $dateFrom, string $dateTo): array
+    {
+        $stmt = $this->db->prepare("
+            SELECT s.supplier_name,
+                   COUNT(po.po_id) AS total_orders,
+                   SUM(CASE WHEN po.status = 'delivered' THEN 1 ELSE 0 END) AS delivered_orders,
+                   SUM(CASE WHEN po.status = 'pending' THEN 1 ELSE 0 END) AS pending_orders,
+                   SUM(CASE WHEN po.status = 'cancelled' THEN 1 ELSE 0 END) AS cancelled_orders,
+                   COALESCE(SUM(po.total_amount), 0) AS total_amount
+            FROM suppliers s
+            LEFT JOIN purchase_orders po ON s.supplier_id = po.supplier_id
+                AND DATE(po.po_date) BETWEEN ? AND ?
+            GROUP BY s.supplier_id, s.supplier_name
+            ORDER BY total_amount DESC, s.supplier_name
+        ");
+        $stmt->execute([$dateFrom, $dateTo]);
+
+        $rows = [];
+        $totalAmount = 0;
+        $totalOrders = 0;
+
+        foreach ($stmt->fetchAll(\PDO::FETCH_ASSOC) as $supplier) {
+            $orders = (int)$supplier['total_orders'];
+            $totalOrders += $orders;
+            $totalAmount += (float)$supplier['total_amount'];
+
+            $rows[] = [
+                $supplier['supplier_name'],
+                $orders,
+                (int)$supplier['delivered_orders'],
+                (int)$supplier['pending_orders'],
+                (int)$supplier['cancelled_orders'],
+                round((float)$supplier['total_amount'], 2),
+                $orders > 0 ? round((float)$supplier['total_amount'] / $orders, 2) : 0
+            ];
+        }
+
+        return [
+            'columns' => ['Supplier', 'Orders', 'Delivered', 'Pending', 'Cancelled', 'Total Amount', 'Average Order'],
+            'rows' => $rows,
+            'summary' => [
+                'Suppliers' => count($rows),
+                'Purchase Orders' => $totalOrders,
+                'Total Amount' => round($totalAmount, 2)
+            ]
+        ];
+    }
+
     /* Export report to CSV */
     public function exportReport(string $reportType, string $format = 'csv'): string
     {
@@ -0,0 +1,571 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Config\Database;
+use Janstro\InventorySystem\Repositories\StockCountRepository;
+use PDO;
+use Exception;
+
+/**
+ * ============================================================================
+ * STOCK COUNT SERVICE v1.0 - CYCLE COUNTING / PHYSICAL INVENTORY
+ * ============================================================================
+ * open -> counting -> submitted -> approved, with recount (submitted ->
+ * counting) and cancel along the way.
+ *
+ * Each session counts one location (default warehouse unless chosen): the
+ * snapshot is what is held there and adjustments are posted there.
+ *
+ * The snapshot taken at creation is only a reference: nothing stops goods
+ * moving while the count runs, so the variance shown for review and posted
+ * at approval is counted - what the location holds now, and the location
+ * ends up holding what was counted. For lot / serial items a write-off
+ * picks the units that are gone and found stock is captured like a receipt,
+ * so tracked balances stay right.
+ *
+ * Table: transactions (adds reason_code VARCHAR(30) NULL, one of REASON_CODES;
+ *   database/migrations/018_create_stock_counts.sql)
+ *   reference_type 'STOCK_COUNT', reference_number = count number
+ * ============================================================================
+ */
+class StockCountService
+{
+    public const REASON_CODES = [
+        'DAMAGED' => 'Damaged / scrapped',
+        'THEFT_LOSS' => 'Theft or loss',
+        'UNRECORDED_ISSUE' => 'Issued without a document',
+        'UNRECORDED_RECEIPT' => 'Received without a document',
+        'FOUND' => 'Found stock',
+        'COUNT_CORRECTION' => 'Earlier count or data entry error'
+    ];
+
+    private const ADMIN_ROLES = ['admin', 'superadmin'];
+
+    private PDO $db;
+    private StockCountRepository $countRepo;
+    private CompleteInventoryService $inventoryService;
+    private LocationService $locationService;
+    private TrackingService $trackingService;
+    private RealtimeService $realtimeService;
+
+    public function __construct()
+    {
+        $this->db = Database::connect();
+        $this->countRepo = new StockCountRepository();
+        $this->inventoryService = new CompleteInventoryService();
+        $this->locationService = new LocationService();
+        $this->trackingService = new TrackingService();
+        $this->realtimeService = new RealtimeService();
+    }
+
+    // ========================================================================
+    // READ OPERATIONS
+    // ========================================================================
+
+    /**
+     * Sessions visible to the user; staff only see their own
+     */
+    public function getCounts(object $user, array $filters = []): array
+    {
+        if (!$this->isAdmin($user)) {
+            $filters['assigned_to'] = $user->user_id;
+        }
+
+        return $this->countRepo->getAll($filters);
+    }
+
+    /**
+     * One session with its lines. Blind sessions hide system quantities
+     * from counters until the count is approved.
+     */
+    public function getCount(int $countId, object $user): ?array
+    {
+        $count = $this->countRepo->findById($countId);
+        if (!$count) {
+            return null;
+        }
+
+        $this->assertCanView($count, $user);
+
+        $hideSystem = $count['blind'] && !$this->isAdmin($user) && $count['status'] !== 'approved';
+
+        // Open sessions compare against stock now; approved ones show what was posted
+        $current = in_array($count['status'], ['open', 'counting', 'submitted'], true)
+            ? $this->countRepo->getCurrentQuantities($countId)
+            : [];
+
+        $count['lines'] = array_values(array_map(function ($line) use ($hideSystem, $current) {
+            $counted = $line['counted_quantity'] === null ? null : (int)$line['counted_quantity'];
+            $line['current_quantity'] = $current[$line['item_id']] ?? null;
+
+            if ($line['adjustment_quantity'] !== null) {
+                $variance = (int)$line['adjustment_quantity'];
+            } else {
+                $variance = $counted === null ? null : $counted - ($line['current_quantity'] ?? (int)$line['system_quantity']);
+            }
+
+            $line['variance'] = $variance;
+            $line['variance_value'] = $variance === null ? null : round($variance * (float)$line['unit_price'], 2);
+
+            if ($hideSystem) {
+                $line['system_quantity'] = null;
+                $line['current_quantity'] = null;
+                $line['variance'] = null;
+                $line['variance_value'] = null;
+            }
+
+            return $line;
+        }, $this->countRepo->getItems($countId)));
+
+        $count['system_hidden'] = $hideSystem;
+
+        return $count;
+    }
+
+    public function getReasonCodes(): array
+    {
+        return array_map(
+            fn($code, $label) => ['code' => $code, 'label' => $label],
+            array_keys(self::REASON_CODES),
+            self::REASON_CODES
+        );
+    }
+
+    /**
+     * Active users a session can be assigned to
+     */
+    public function getCounters(): array
+    {
+        $stmt = $this->db->query("
+            SELECT u.user_id, u.name, r.role_name AS role
+            FROM users u
+            JOIN roles r ON u.role_id = r.role_id
+            WHERE u.status = 'active'
+            ORDER BY u.name
+        ");
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    // ========================================================================
+    // WRITE OPERATIONS
+    // ========================================================================
+
+    /**
+     * Create a session for all items or one category at a location
+     */
+    public function createCount(array $data, int $userId): array
+    {
+        $scopeType = $data['scope_type'] ?? 'all';
+        $categoryId = !empty($data['category_id']) ? (int)$data['category_id'] : null;
+        $assignedTo = (int)($data['assigned_to'] ?? 0);
+
+        if (!in_array($scopeType, ['all', 'category'], true)) {
+            throw new Exception("Invalid count scope: $scopeType");
+        }
+
+        if ($scopeType === 'category' && !$categoryId) {
+            throw new Exception('Choose the category to count');
+        }
+
+        if (!$assignedTo) {
+            throw new Exception('Assign the count to a user');
+        }
+
+        $location = $this->locationService->resolveLocation($data['location_id'] ?? null);
+
+        try {
+            $this->db->beginTransaction();
+
+            [$countId, $countNumber, $itemCount] = $this->countRepo->create([
+                'scope_type' => $scopeType,
+                'category_id' => $scopeType === 'category' ? $categoryId : null,
+                'location_id' => (int)$location['location_id'],
+                'assigned_to' => $assignedTo,
+                'blind' => (bool)($data['blind'] ?? true),
+                'notes' => trim((string)($data['notes'] ?? '')) ?: null
+            ], $userId);
+
+            if ($itemCount === 0) {
+                throw new Exception('No active items in this scope');
+            }
+
+            $this->audit($userId, "Stock count $countNumber created at {$location['code']} ($itemCount items)", 'create');
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        $this->realtimeService->publish('count:created', [
+            'id' => $countId,
+            'count_number' => $countNumber,
+            'assigned_to' => $assignedTo
+        ]);
+
+        return [
+            'count_id' => $countId,
+            'count_number' => $countNumber,
+            'item_count' => $itemCount,
+            'message' => "Stock count $countNumber created with $itemCount items"
+        ];
+    }
+
+    /**
+     * Save counted quantities; can be called repeatedly while counting
+     *
+     * $data['lines'] = [{item_id, counted_quantity}, ...]
+     */
+    public function saveCounts(int $countId, array $data, object $user): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $count = $this->lockCount($countId, ['open', 'counting']);
+            $this->assertCanView($count, $user);
+
+            $items = $this->countRepo->getItems($countId, true);
+            $saved = 0;
+
+            foreach (($data['lines'] ?? []) as $entry) {
+                $itemId = (int)($entry['item_id'] ?? 0);
+
+                if (!isset($items[$itemId])) {
+                    throw new Exception("Item #$itemId is not part of {$count['count_number']}");
+                }
+
+                if (!isset($entry['counted_quantity']) || !is_numeric($entry['counted_quantity'])) {
+                    throw new Exception("Enter a counted quantity for {$items[$itemId]['item_name']}");
+                }
+
+                $quantity = (int)$entry['counted_quantity'];
+                if ($quantity < 0) {
+                    throw new Exception("Counted quantity for {$items[$itemId]['item_name']} cannot be negative");
+                }
+
+                $this->countRepo->saveCount($countId, $itemId, $quantity, $user->user_id);
+                $saved++;
+            }
+
+            if ($saved === 0) {
+                throw new Exception('Nothing to save');
+            }
+
+            if ($count['status'] === 'open') {
+                $this->countRepo->updateStatus($countId, 'counting');
+            }
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        return [
+            'count_id' => $countId,
+            'saved' => $saved,
+            'message' => "$saved count(s) saved"
+        ];
+    }
+
+    /**
+     * Hand the finished count to an admin; every line must be counted
+     */
+    public function submitCount(int $countId, object $user): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $count = $this->lockCount($countId, ['counting']);
+            $this->assertCanView($count, $user);
+
+            $uncounted = array_filter(
+                $this->countRepo->getItems($countId),
+                fn($line) => $line['counted_quantity'] === null
+            );
+
+            if ($uncounted) {
+                throw new Exception(count($uncounted) . ' item(s) not counted yet');
+            }
+
+            $this->countRepo->updateStatus($countId, 'submitted');
+            $this->audit($user->user_id, "Stock count {$count['count_number']} submitted", 'update');
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        $this->realtimeService->publish('count:submitted', [
+            'id' => $countId,
+            'count_number' => $count['count_number']
+        ], self::ADMIN_ROLES);
+
+        return [
+            'count_id' => $countId,
+            'status' => 'submitted',
+            'message' => "{$count['count_number']} submitted for approval"
+        ];
+    }
+
+    /**
+     * Approve a submitted count and post its variances
+     *
+     * $data['lines'] = [{item_id, reason_code, serials|lots|lot_number}, ...]
+     * - a reason is required for every line with a variance; lot / serial
+     * items also need the units written off ({serials} or {lots}) or the
+     * units found ({serials} or {lot_number})
+     */
+    public function approveCount(int $countId, array $data, int $userId): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $count = $this->lockCount($countId, ['submitted']);
+            $location = $this->locationService->resolveLocation($count['location_id']);
+            $items = $this->countRepo->getItems($countId, true);
+            $current = $this->countRepo->getCurrentQuantities($countId);
+            $entries = array_column($data['lines'] ?? [], null, 'item_id');
+
+            $posted = [];
+
+            foreach ($items as $itemId => $line) {
+                // Against stock now, not the snapshot: goods may have moved
+                // while the count ran
+                $variance = (int)$line['counted_quantity'] - ($current[$itemId] ?? 0);
+
+                if ($variance === 0) {
+                    $this->countRepo->saveAdjustment($countId, $itemId, 0, null);
+                    continue;
+                }
+
+                $entry = $entries[$itemId] ?? [];
+                $reasonCode = $entry['reason_code'] ?? null;
+                if (!isset(self::REASON_CODES[$reasonCode])) {
+                    throw new Exception("Choose a reason code for {$line['item_name']} (variance $variance)");
+                }
+
+                [$newStock, $tracked] = $this->postAdjustment($line, $location, $variance, $reasonCode, $entry, $count['count_number'], $userId);
+                $this->countRepo->saveAdjustment($countId, $itemId, $variance, $reasonCode);
+
+                $posted[] = [
+                    'item_id' => $itemId,
+                    'item_name' => $line['item_name'],
+                    'previous_quantity' => $current[$itemId] ?? 0,
+                    'counted_quantity' => (int)$line['counted_quantity'],
+                    'variance' => $variance,
+                    'reason_code' => $reasonCode,
+                    'new_stock' => $newStock,
+                    'tracking' => $tracked
+                ];
+            }
+
+            $this->countRepo->updateStatus($countId, 'approved', $userId);
+
+            $this->audit(
+                $userId,
+                "Stock count {$count['count_number']} approved | " . (
+                    $posted
+                        ? implode('; ', array_map(
+                            fn($p) => "{$p['item_name']} {$p['variance']} ({$p['reason_code']})"
+                                . ($p['tracking'] ? " [" . implode(', ', $p['tracking']) . "]" : ""),
+                            $posted
+                        ))
+                        : 'no variances'
+                ),
+                'approve'
+            );
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        $this->realtimeService->publish('count:approved', [
+            'id' => $countId,
+            'count_number' => $count['count_number'],
+            'adjustments' => count($posted)
+        ]);
+
+        return [
+            'count_id' => $countId,
+            'count_number' => $count['count_number'],
+            'status' => 'approved',
+            'adjustments' => $posted,
+            'message' => "{$count['count_number']} approved; " . count($posted) . " adjustment(s) posted"
+        ];
+    }
+
+    /**
+     * Send a submitted count back to the counter
+     */
+    public function recount(int $countId, int $userId, ?string $reason = null): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $count = $this->lockCount($countId, ['submitted']);
+            $this->countRepo->updateStatus($countId, 'counting');
+            $this->audit($userId, "Stock count {$count['count_number']} sent back for recount" . ($reason ? ": $reason" : ''), 'update');
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        $this->realtimeService->publish('count:recount', [
+            'id' => $countId,
+            'count_number' => $count['count_number'],
+            'assigned_to' => (int)$count['assigned_to']
+        ]);
+
+        return [
+            'count_id' => $countId,
+            'status' => 'counting',
+            'message' => "{$count['count_number']} sent back for recount"
+        ];
+    }
+
+    public function cancelCount(int $countId, int $userId): array
+    {
+        try {
+            $this->db->beginTransaction();
+
+            $count = $this->lockCount($countId, ['open', 'counting', 'submitted']);
+            $this->countRepo->updateStatus($countId, 'cancelled');
+            $this->audit($userId, "Stock count {$count['count_number']} cancelled", 'delete');
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            if ($this->db->inTransaction()) {
+                $this->db->rollBack();
+            }
+            throw $e;
+        }
+
+        return [
+            'count_id' => $countId,
+            'status' => 'cancelled',
+            'message' => "{$count['count_number']} cancelled"
+        ];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    private function lockCount(int $countId, array $allowedStatuses): array
+    {
+        $count = $this->countRepo->findById($countId, true);
+
+        if (!$count) {
+            throw new Exception("Stock count #$countId not found");
+        }
+
+        if (!in_array($count['status'], $allowedStatuses, true)) {
+            throw new Exception("{$count['count_number']} is {$count['status']}");
+        }
+
+        return $count;
+    }
+
+    /**
+     * Post one variance as an IN/OUT transaction at the counted location,
+     * with the lots / serials it wrote off or found
+     *
+     * @return array [stock after the adjustment (all locations), lot / serial labels]
+     */
+    private function postAdjustment(array $line, array $location, int $variance, string $reasonCode, array $entry, string $countNumber, int $userId): array
+    {
+        $itemId = (int)$line['item_id'];
+
+        // Checked before anything is posted, like a receipt or an issue
+        if ($variance < 0) {
+            $units = $this->trackingService->pick($line, $location, -$variance, [
+                'serials' => $entry['serials'] ?? [],
+                'lots' => is_array($entry['lots'] ?? null) ? $entry['lots'] : []
+            ]);
+        } else {
+            $capture = $this->trackingService->prepareReceipt($line, $variance, $entry);
+        }
+
+        $previousStock = $this->inventoryService->getCurrentStock((int)$line['item_id']);
+        $newStock = $previousStock + $variance;
+
+        $stmt = $this->db->prepare("
+            INSERT INTO transactions (
+                item_id, user_id, transaction_type, quantity, location_id,
+                reference_type, reference_number, reason_code, notes,
+                previous_quantity, new_quantity, movement_date
+            ) VALUES (?, ?, ?, ?, ?, 'STOCK_COUNT', ?, ?, ?, ?, ?, NOW())
+        ");
+        $stmt->execute([
+            $line['item_id'],
+            $userId,
+            $variance > 0 ? 'IN' : 'OUT',
+            abs($variance),
+            $location['location_id'],
+            $countNumber,
+            $reasonCode,
+            "Count adjustment: " . self::REASON_CODES[$reasonCode] . " ($countNumber)",
+            $previousStock,
+            $newStock
+        ]);
+        $transactionId = (int)$this->db->lastInsertId();
+
+        if ($variance < 0) {
+            $this->trackingService->link($units, $transactionId, $itemId);
+            $this->trackingService->markIssued($units);
+            $tracked = array_column($units, 'label');
+        } else {
+            $tracked = $this->trackingService->receive($line, $capture, $transactionId, $location, null);
+        }
+
+        $this->realtimeService->publish('stock:changed', [
+            'item_id' => (int)$line['item_id'],
+            'item_name' => $line['item_name'],
+            'quantity' => $newStock,
+            'change' => $variance,
+            'source' => 'stock_count',
+            'reference' => $countNumber
+        ]);
+
+        return [$newStock, $tracked];
+    }
+
+    private function isAdmin(object $user): bool
+    {
+        return in_array(strtolower($user->role ?? ''), self::ADMIN_ROLES, true);
+    }
+
+    private function assertCanView(array $count, object $user): void
+    {
+        if (!$this->isAdmin($user) && (int)$count['assigned_to'] !== (int)$user->user_id) {
+            throw new Exception('This count is assigned to someone else');
+        }
+    }
+
+    private function audit(int $userId, string $description, string $actionType): void
+    {
+        $stmt = $this->db->prepare("
+            INSERT INTO audit_logs (user_id, action_description, module, action_type, ip_address)
+            VALUES (?, ?, 'inventory', ?, ?)
+        ");
+        $stmt->execute([$userId, $description, $actionType, $_SERVER['REMOTE_ADDR'] ?? 'system']);
+    }
+}
@@ -0,0 +1,367 @@
+<?php
+
+namespace Janstro\InventorySystem\Services;
+
+use Janstro\InventorySystem\Repositories\LocationRepository;
+use Janstro\InventorySystem\Repositories\TrackingRepository;
+use Exception;
+
+/**
+ * ============================================================================
+ * TRACKING SERVICE v1.0
+ * ============================================================================
+ * Lot and serial numbers for items flagged tracking_type 'lot' / 'serial'.
+ *
+ * - Goods receipts, and stock found by a count, must say which serials (one
+ *   per unit) or which lot came in.
+ * - Goods issues, transfers and count write-offs pick the serials / lot
+ *   quantities that leave.
+ * - Stock posted before the item was flagged stays untracked and can go out
+ *   without a pick.
+ *
+ * Callers own the database transaction; every posting here runs inside it.
+ * ============================================================================
+ */
+class TrackingService
+{
+    private TrackingRepository $trackingRepo;
+    private LocationRepository $locationRepo;
+
+    public function __construct()
+    {
+        $this->trackingRepo = new TrackingRepository();
+        $this->locationRepo = new LocationRepository();
+    }
+
+    public function getTrackingType(array $item): string
+    {
+        return $item['tracking_type'] ?? $this->trackingRepo->getTrackingType((int)$item['item_id']);
+    }
+
+    // ========================================================================
+    // RECEIVING
+    // ========================================================================
+
+    /**
+     * Check the serials / lot given for an incoming quantity before anything
+     * is posted
+     *
+     * @param array $entry {serials: [...]} or {lot_number}
+     * @return array Capture for receive(); empty for untracked items
+     */
+    public function prepareReceipt(array $item, int $quantity, array $entry): array
+    {
+        $type = $this->getTrackingType($item);
+
+        if ($type === 'none' || $quantity <= 0) {
+            return [];
+        }
+
+        if ($type === 'lot') {
+            $lotNumber = trim((string)($entry['lot_number'] ?? ''));
+
+            if ($lotNumber === '') {
+                throw new Exception("Enter the lot number for {$item['item_name']}");
+            }
+            if (strlen($lotNumber) > 50) {
+                throw new Exception("Lot number for {$item['item_name']} is too long (max 50 characters)");
+            }
+
+            return ['type' => 'lot', 'lot_number' => $lotNumber, 'quantity' => $quantity];
+        }
+
+        $serials = $this->cleanSerials($entry['serials'] ?? []);
+
+        if (count($serials) !== $quantity) {
+            throw new Exception("{$item['item_name']} is serialized: enter $quantity serial number(s), got " . count($serials));
+        }
+
+        foreach ($serials as $serial) {
+            if (strlen($serial) > 100) {
+                throw new Exception("Serial number $serial is too long (max 100 characters)");
+            }
+        }
+
+        $existing = $this->trackingRepo->findExistingSerials((int)$item['item_id'], $serials);
+        if ($existing) {
+            throw new Exception("{$item['item_name']} serial(s) already on record: " . implode(', ', $existing));
+        }
+
+        return ['type' => 'serial', 'serials' => $serials];
+    }
+
+    /**
+     * Record the lot / serials of an incoming transaction
+     *
+     * @return array Labels of what came in
+     */
+    public function receive(array $item, array $capture, int $transactionId, array $location, ?int $grId): array
+    {
+        if (!$capture) {
+            return [];
+        }
+
+        $itemId = (int)$item['item_id'];
+
+        if ($capture['type'] === 'lot') {
+            $lotId = $this->trackingRepo->findOrCreateLot($itemId, $capture['lot_number'], $grId);
+            $this->trackingRepo->addMovement($transactionId, $itemId, $lotId, null, $capture['quantity']);
+            return ["Lot {$capture['lot_number']} x {$capture['quantity']}"];
+        }
+
+        foreach ($capture['serials'] as $serial) {
+            $serialId = $this->trackingRepo->createSerial($itemId, $serial, (int)$location['location_id'], $grId);
+            $this->trackingRepo->addMovement($transactionId, $itemId, null, $serialId, 1);
+        }
+
+        return array_map(fn($serial) => "S/N $serial", $capture['serials']);
+    }
+
+    // ========================================================================
+    // PICKING
+    // ========================================================================
+
+    /**
+     * Resolve the serials / lot quantities leaving a location. Whatever is
+     * not picked must be covered by untracked stock there.
+     *
+     * @param array $entry {serials: [...]} or {lots: [{lot_id, quantity}, ...]}
+     * @return array Units [{lot_id, serial_id, quantity, label}, ...]
+     */
+    public function pick(array $item, array $location, int $quantity, array $entry): array
+    {
+        $type = $this->getTrackingType($item);
+
+        if ($type === 'none' || $quantity <= 0) {
+            return [];
+        }
+
+        $itemId = (int)$item['item_id'];
+        $locationId = (int)$location['location_id'];
+        $units = [];
+
+        if ($type === 'serial') {
+            $available = array_column($this->trackingRepo->getAvailableSerials($itemId, $locationId, true), null, 'serial_number');
+
+            foreach ($this->cleanSerials($entry['serials'] ?? []) as $serial) {
+                if (!isset($available[$serial])) {
+                    throw new Exception("{$item['item_name']} S/N $serial is not in stock at {$location['code']}");
+                }
+                $units[] = [
+                    'lot_id' => null,
+                    'serial_id' => (int)$available[$serial]['serial_id'],
+                    'quantity' => 1,
+                    'label' => "S/N $serial"
+                ];
+            }
+        } else {
+            $balances = array_column($this->trackingRepo->getLotBalances($itemId, $locationId), null, 'lot_id');
+
+            foreach (($entry['lots'] ?? []) as $pick) {
+                $lotId = (int)($pick['lot_id'] ?? 0);
+                $pickQty = (int)($pick['quantity'] ?? 0);
+
+                if ($pickQty <= 0) {
+                    continue;
+                }
+                if (!isset($balances[$lotId])) {
+                    throw new Exception("Lot #$lotId of {$item['item_name']} has no stock at {$location['code']}");
+                }
+                if ($pickQty > (int)$balances[$lotId]['quantity']) {
+                    throw new Exception("Only {$balances[$lotId]['quantity']} of {$item['item_name']} lot {$balances[$lotId]['lot_number']} at {$location['code']}");
+                }
+
+                $balances[$lotId]['quantity'] -= $pickQty;
+                $units[] = [
+                    'lot_id' => $lotId,
+                    'serial_id' => null,
+                    'quantity' => $pickQty,
+                    'label' => "Lot {$balances[$lotId]['lot_number']} x $pickQty"
+                ];
+            }
+        }
+
+        $picked = array_sum(array_column($units, 'quantity'));
+
+        if ($picked > $quantity) {
+            throw new Exception("Picked $picked of {$item['item_name']} but only $quantity leave");
+        }
+
+        if ($picked < $quantity) {
+            $untracked = $this->getUntrackedQuantityAt($itemId, $location);
+
+            if ($quantity - $picked > $untracked) {
+                $what = $type === 'serial' ? 'serial numbers' : 'lots';
+                throw new Exception("Pick the $what for {$item['item_name']}: $picked of $quantity picked at {$location['code']}");
+            }
+        }
+
+        return $units;
+    }
+
+    /**
+     * Split the first $quantity off a picked pool, for documents with
+     * several lines of one item
+     */
+    public function take(array &$units, int $quantity): array
+    {
+        $taken = [];
+
+        while ($quantity > 0 && $units) {
+            $unit = array_shift($units);
+
+            if ($unit['quantity'] > $quantity) {
+                $rest = $unit;
+                $rest['quantity'] -= $quantity;
+                array_unshift($units, $rest);
+                $unit['quantity'] = $quantity;
+            }
+
+            $quantity -= $unit['quantity'];
+            $taken[] = $unit;
+        }
+
+        return $taken;
+    }
+
+    /**
+     * Record picked units against a transaction (the OUT of an issue or a
+     * count write-off, or either side of a transfer)
+     */
+    public function link(array $units, int $transactionId, int $itemId): void
+    {
+        foreach ($units as $unit) {
+            $this->trackingRepo->addMovement($transactionId, $itemId, $unit['lot_id'], $unit['serial_id'], $unit['quantity']);
+        }
+    }
+
+    /* Serials that left stock: issued to a customer or written off by a count */
+    public function markIssued(array $units): void
+    {
+        $this->trackingRepo->updateSerials(array_filter(array_column($units, 'serial_id')), 'issued', null);
+    }
+
+    public function markMoved(array $units, array $location): void
+    {
+        $this->trackingRepo->updateSerials(array_filter(array_column($units, 'serial_id')), 'in_stock', (int)$location['location_id']);
+    }
+
+    public function labels(array $units): string
+    {
+        return implode(', ', array_column($units, 'label'));
+    }
+
+    /**
+     * What can be picked for an item at a location
+     */
+    public function getAvailable(int $itemId, array $location): array
+    {
+        $type = $this->trackingRepo->getTrackingType($itemId);
+        $locationId = (int)$location['location_id'];
+
+        return [
+            'item_id' => $itemId,
+            'tracking_type' => $type,
+            'location_id' => $locationId,
+            'location_code' => $location['code'],
+            'available_quantity' => $this->locationRepo->getQuantityAt($itemId, $locationId),
+            'untracked_quantity' => $type === 'none' ? null : max(0, $this->getUntrackedQuantityAt($itemId, $location)),
+            'serials' => $type === 'serial' ? $this->trackingRepo->getAvailableSerials($itemId, $locationId) : [],
+            'lots' => $type === 'lot' ? $this->trackingRepo->getLotBalances($itemId, $locationId) : []
+        ];
+    }
+
+    /**
+     * Lot / serial lines of a sales order with what can be picked for each
+     * at the issuing location
+     */
+    public function getOrderPicks(int $salesOrderId, array $location): array
+    {
+        return array_map(
+            fn($item) => $item + $this->getAvailable((int)$item['item_id'], $location),
+            $this->trackingRepo->getTrackedOrderItems($salesOrderId)
+        );
+    }
+
+    private function getUntrackedQuantityAt(int $itemId, array $location): int
+    {
+        $locationId = (int)$location['location_id'];
+        return $this->locationRepo->getQuantityAt($itemId, $locationId) - $this->trackingRepo->getTrackedQuantityAt($itemId, $locationId);
+    }
+
+    // ========================================================================
+    // TRACEABILITY
+    // ========================================================================
+
+    /**
+     * Lot / serial labels per transaction, for movement lists
+     */
+    public function getTransactionLabels(array $transactionIds): array
+    {
+        $labels = [];
+
+        foreach ($this->trackingRepo->getTransactionUnits($transactionIds) as $transactionId => $units) {
+            $labels[$transactionId] = implode(', ', array_map(
+                fn($unit) => $unit['serial_number'] !== null
+                    ? $unit['serial_number']
+                    : "{$unit['lot_number']} x {$unit['quantity']}",
+                $units
+            ));
+        }
+
+        return $labels;
+    }
+
+    public function search(string $term): array
+    {
+        $term = trim($term);
+
+        if (strlen($term) < 2) {
+            throw new Exception('Enter at least 2 characters of the serial or lot number');
+        }
+
+        return $this->trackingRepo->search($term);
+    }
+
+    /**
+     * One serial or lot from supplier PO to customer installation
+     *
+     * @param string $unitType 'serial' | 'lot'
+     */
+    public function getTrace(string $unitType, int $unitId): ?array
+    {
+        if (!in_array($unitType, ['serial', 'lot'], true)) {
+            throw new Exception('Unknown tracking type');
+        }
+
+        $unit = $this->trackingRepo->findUnit($unitType, $unitId);
+        if (!$unit) {
+            return null;
+        }
+
+        $unit['history'] = $this->trackingRepo->getHistory($unitType, $unitId);
+        $unit['locations'] = $unitType === 'lot' ? $this->trackingRepo->getLotLocations($unitId) : [];
+
+        // Where it went: every invoice that took some of it
+        $unit['customers'] = array_values(array_filter(
+            $unit['history'],
+            fn($movement) => $movement['transaction_type'] === 'OUT' && $movement['sales_order_id']
+        ));
+
+        return $unit;
+    }
+
+    private function cleanSerials($serials): array
+    {
+        if (is_string($serials)) {
+            $serials = preg_split('/[\r\n,]+/', $serials);
+        }
+
+        $clean = array_values(array_unique(array_filter(
+            array_map(fn($serial) => trim((string)$serial), is_array($serials) ? $serials : []),
+            fn($serial) => $serial !== ''
+        )));
+
+        return $clean;
+    }
+}
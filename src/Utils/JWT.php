@@ -24,15 +24,18 @@ class JWT
 
     /**
      * Blacklist a token (logout/revoke)
+     *
+     * @param int|null $until Unix time the entry is kept until; defaults to one
+     *                        token lifetime (refresh passes the end of its grace window)
      */
-    public static function blacklist(string $token): void
+    public static function blacklist(string $token, ?int $until = null): void
     {
         $key = self::getBlacklistKey($token);
-        $expiry = time() + (int)($_ENV['JWT_EXPIRATION'] ?? 3600);
+        $expiry = $until ?? time() + (int)($_ENV['JWT_EXPIRATION'] ?? 3600);
 
         // Priority 1: APCu (in-memory cache)
         if (function_exists('apcu_store')) {
-            apcu_store($key, true, $expiry);
+            apcu_store($key, true, max(1, $expiry - time()));
             return;
         }
 
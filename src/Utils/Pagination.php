@@ -0,0 +1,145 @@
+<?php
+
+namespace Janstro\InventorySystem\Utils;
+
+/**
+ * ============================================================================
+ * PAGINATION HELPER v1.0
+ * ============================================================================
+ * Shared parsing of list query parameters:
+ *   ?page=1&per_page=25&sort=po_date&order=desc&search=abc
+ *   &date_from=2025-01-01&date_to=2025-01-31
+ *
+ * Sort keys are whitelisted per endpoint (API key => SQL column), so the raw
+ * `sort` value never reaches SQL. Paginated responses share one shape:
+ *   { items: [...], total, page, per_page, total_pages }
+ * ============================================================================
+ */
+class Pagination
+{
+    public const DEFAULT_PER_PAGE = 25;
+    public const MAX_PER_PAGE = 100;
+
+    /**
+     * Endpoints keep returning the full list unless a page is asked for
+     */
+    public static function isRequested(): bool
+    {
+        return isset($_GET['page']) || isset($_GET['per_page']);
+    }
+
+    /**
+     * Read paging, sorting, search and date-range params from the query string
+     *
+     * @param array  $sortable     Allowed sort keys mapped to SQL columns
+     * @param string $defaultSort  Key used when `sort` is missing or unknown
+     */
+    public static function fromRequest(array $sortable, string $defaultSort, string $defaultOrder = 'DESC'): array
+    {
+        $page = max(1, (int)($_GET['page'] ?? 1));
+        $perPage = min(self::MAX_PER_PAGE, max(1, (int)($_GET['per_page'] ?? self::DEFAULT_PER_PAGE)));
+
+        $sort = self::stringParam('sort') ?? $defaultSort;
+        if (!isset($sortable[$sort])) {
+            $sort = $defaultSort;
+        }
+
+        $order = strtoupper(self::stringParam('order') ?? $defaultOrder) === 'ASC' ? 'ASC' : 'DESC';
+
+        return [
+            'page' => $page,
+            'per_page' => $perPage,
+            'offset' => ($page - 1) * $perPage,
+            'sort' => $sort,
+            'sort_column' => $sortable[$sort],
+            'order' => $order,
+            'search' => trim(self::stringParam('search') ?? ''),
+            'date_from' => self::parseDate(self::stringParam('date_from')),
+            'date_to' => self::parseDate(self::stringParam('date_to'))
+        ];
+    }
+
+    /**
+     * ORDER BY / LIMIT clause built from parsed params (values are already sanitized)
+     */
+    public static function orderAndLimit(array $params, string $tieBreaker = ''): string
+    {
+        $orderBy = "{$params['sort_column']} {$params['order']}";
+        if ($tieBreaker !== '' && $tieBreaker !== $params['sort_column']) {
+            $orderBy .= ", {$tieBreaker} {$params['order']}";
+        }
+
+        return "ORDER BY {$orderBy} LIMIT {$params['per_page']} OFFSET {$params['offset']}";
+    }
+
+    /**
+     * Append LIKE conditions for the search term across the given columns.
+     * %, _ and \ in the term match literally.
+     */
+    public static function applySearch(array $params, array $columns, array &$where, array &$bindings): void
+    {
+        if ($params['search'] === '' || empty($columns)) {
+            return;
+        }
+
+        $like = '%' . addcslashes($params['search'], '\\%_') . '%';
+        $where[] = '(' . implode(' OR ', array_map(fn($col) => "{$col} LIKE ? ESCAPE '\\\\'", $columns)) . ')';
+        foreach ($columns as $_) {
+            $bindings[] = $like;
+        }
+    }
+
+    /**
+     * Append an inclusive date range on the given column
+     */
+    public static function applyDateRange(array $params, string $column, array &$where, array &$bindings): void
+    {
+        if ($params['date_from']) {
+            $where[] = "{$column} >= ?";
+            $bindings[] = $params['date_from'];
+        }
+
+        if ($params['date_to']) {
+            $where[] = "{$column} < DATE_ADD(?, INTERVAL 1 DAY)";
+            $bindings[] = $params['date_to'];
+        }
+    }
+
+    public static function whereClause(array $where): string
+    {
+        return !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
+    }
+
+    /**
+     * Standard paginated payload
+     */
+    public static function result(array $items, int $total, array $params, array $extra = []): array
+    {
+        return array_merge([
+            'items' => $items,
+            'total' => $total,
+            'page' => $params['page'],
+            'per_page' => $params['per_page'],
+            'total_pages' => (int)ceil($total / $params['per_page']),
+            'sort' => $params['sort'],
+            'order' => strtolower($params['order'])
+        ], $extra);
+    }
+
+    /**
+     * A query param as a string; null when missing or not a string
+     * (e.g. ?sort[]=x), so callers fall back to their default
+     */
+    private static function stringParam(string $key): ?string
+    {
+        return isset($_GET[$key]) && is_string($_GET[$key]) ? $_GET[$key] : null;
+    }
+
+    private static function parseDate(?string $value): ?string
+    {
+        if (!$value) return null;
+
+        $date = \DateTime::createFromFormat('Y-m-d', substr($value, 0, 10));
+        return $date ? $date->format('Y-m-d') : null;
+    }
+}
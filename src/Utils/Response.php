@@ -20,7 +20,7 @@ class Response
         }
 
         header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
-        header('Access-Control-Allow-Headers: Content-Type, Authorization, X-Requested-With');
+        header('Access-Control-Allow-Headers: Content-Type, Authorization, X-Requested-With, Idempotency-Key');
         header('Access-Control-Allow-Credentials: true');
         header('Access-Control-Max-Age: 86400');
     }
@@ -0,0 +1,759 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * API CLIENT GENERATOR v1.0
+ * ============================================================================
+ * Reads Janstro_API.postman_collection.json and:
+ *   1. Emits client methods for collection requests that the hand-written
+ *      client does not cover yet, into the GENERATED ENDPOINTS block of
+ *      frontend/assets/js/api-client.js
+ *   2. Writes TypeScript declarations for the whole client to
+ *      frontend/assets/js/api-client.d.ts (request bodies are typed from the
+ *      collection examples)
+ *   3. Reports drift between the collection, the router in public/index.php
+ *      and the client
+ *
+ * Usage:
+ *   node tools/generate-api-client.js           # regenerate + report
+ *   node tools/generate-api-client.js --check   # report only; exit 1 if the
+ *                                               # generated files are stale
+ *
+ * No dependencies - plain Node 16+.
+ * ============================================================================
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const COLLECTION_FILE = path.join(ROOT, "Janstro_API.postman_collection.json");
+const ROUTER_FILE = path.join(ROOT, "public", "index.php");
+const CLIENT_FILE = path.join(ROOT, "frontend", "assets", "js", "api-client.js");
+const TYPES_FILE = path.join(ROOT, "frontend", "assets", "js", "api-client.d.ts");
+
+const BLOCK_START = "    // @generated-start";
+const BLOCK_END = "    // @generated-end";
+
+// ============================================================================
+// PATH HELPERS
+// ============================================================================
+
+/**
+ * Normalize a request path: numeric segments and placeholders become {id}
+ */
+function normalizePath(rawPath) {
+  return rawPath
+    .split("?")[0]
+    .split("/")
+    .filter(Boolean)
+    .map((seg) =>
+      /^\d+$/.test(seg) || /^:\w+$/.test(seg) || /^\{\{?\w+\}?\}$/.test(seg)
+        ? "{id}"
+        : seg
+    )
+    .join("/");
+}
+
+function routeKey(method, routePath) {
+  return `${method} ${routePath}`;
+}
+
+// ============================================================================
+// POSTMAN COLLECTION
+// ============================================================================
+
+function readCollection() {
+  const collection = JSON.parse(fs.readFileSync(COLLECTION_FILE, "utf8"));
+  const requests = [];
+
+  (function walk(items, folder) {
+    items.forEach((item) => {
+      if (Array.isArray(item.item)) {
+        walk(item.item, item.name);
+        return;
+      }
+
+      const req = item.request;
+      const url = typeof req.url === "string" ? { raw: req.url } : req.url;
+      const rawPath = url.path
+        ? url.path.join("/")
+        : url.raw.replace(/^\{\{\w+\}\}\/?/, "");
+
+      let body = null;
+      if (req.body && req.body.mode === "raw" && req.body.raw) {
+        try {
+          body = JSON.parse(req.body.raw);
+        } catch (e) {
+          body = null;
+        }
+      }
+
+      requests.push({
+        name: item.name,
+        folder: folder || "",
+        description: req.description || "",
+        method: req.method.toUpperCase(),
+        path: normalizePath(rawPath),
+        query: (url.query || []).map((q) => q.key),
+        body,
+      });
+    });
+  })(collection.item, null);
+
+  return requests;
+}
+
+/**
+ * "Get Item by ID (Admin)" -> "getItemByID"
+ */
+function methodNameFor(requestName) {
+  const words = requestName
+    .replace(/\(.*?\)/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  return words
+    .map((word, i) => {
+      if (i === 0) return word.toLowerCase();
+      if (word.length <= 3 && word === word.toUpperCase()) return word;
+      return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    })
+    .join("");
+}
+
+// ============================================================================
+// ROUTER (public/index.php)
+// ============================================================================
+
+/**
+ * Pull the route constraints out of one `if (...)` condition
+ */
+function parseCondition(condition) {
+  const constraints = {};
+  let match;
+
+  if ((match = condition.match(/\$method\s*===\s*'(\w+)'/))) {
+    constraints.method = match[1];
+  }
+  if ((match = condition.match(/\$resource\s*===\s*'([\w-]+)'/))) {
+    constraints.resource = match[1];
+  }
+  if ((match = condition.match(/\$path\s*===\s*'([\w/-]+)'/))) {
+    constraints.resource = match[1];
+  }
+
+  ["action", "sub"].forEach((segment) => {
+    const literal = condition.match(
+      new RegExp(`\\$${segment}\\s*===\\s*'([\\w-]*)'`)
+    );
+    if (literal) constraints[segment] = literal[1];
+    if (new RegExp(`is_numeric\\(\\$${segment}\\)`).test(condition)) {
+      constraints[segment] = "{id}";
+    }
+  });
+
+  return constraints;
+}
+
+/**
+ * Strip PHP string literals and comments so braces inside them don't count
+ */
+function stripPhpStrings(line) {
+  return line
+    .replace(/'(?:[^'\\]|\\.)*'/g, "''")
+    .replace(/"(?:[^"\\]|\\.)*"/g, '""')
+    .replace(/\/\/.*$/, "");
+}
+
+/**
+ * Walk the router's nested if-blocks. A route is an innermost block whose
+ * merged conditions name a resource; unconstrained action/sub mean "empty".
+ */
+function readRouter() {
+  const lines = fs.readFileSync(ROUTER_FILE, "utf8").split("\n");
+  const routes = [];
+  const stack = [];
+  let depth = 0;
+
+  lines.forEach((line, index) => {
+    const code = stripPhpStrings(line);
+    const ifMatch = code.match(/^\s*(?:\}\s*else\s*)?if\s*\((.*)\)\s*\{\s*$/);
+    let frame = null;
+
+    if (ifMatch && !/^\s*!/.test(ifMatch[1])) {
+      const constraints = parseCondition(line.match(/if\s*\((.*)\)\s*\{/)[1]);
+      if (Object.keys(constraints).length > 0) {
+        frame = { openDepth: depth, constraints, line: index + 1, hasChild: false };
+        stack.forEach((parent) => (parent.hasChild = true));
+      }
+    }
+
+    depth += (code.match(/\{/g) || []).length;
+    depth -= (code.match(/\}/g) || []).length;
+
+    if (frame) stack.push(frame);
+
+    while (stack.length && depth <= stack[stack.length - 1].openDepth) {
+      const closed = stack.pop();
+      if (closed.hasChild) continue;
+
+      const merged = Object.assign(
+        {},
+        ...stack.map((f) => f.constraints),
+        closed.constraints
+      );
+      if (!merged.resource) continue;
+
+      const segments = [merged.resource, merged.action, merged.sub].filter(
+        (seg) => seg !== undefined && seg !== ""
+      );
+      routes.push({
+        method: merged.method || "*",
+        path: segments.join("/"),
+        line: closed.line,
+      });
+    }
+  });
+
+  return routes;
+}
+
+function findRoute(routes, method, requestPath) {
+  return routes.find(
+    (route) =>
+      (route.method === method || route.method === "*") &&
+      route.path === requestPath
+  );
+}
+
+// ============================================================================
+// HAND-WRITTEN CLIENT (frontend/assets/js/api-client.js)
+// ============================================================================
+
+/**
+ * Read a JS string/template literal starting at `start`; returns the raw
+ * content with ${...} expressions kept, and the index after the literal
+ */
+function readLiteral(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  let content = "";
+
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === "\\") {
+      content += source[i] + source[i + 1];
+      i += 2;
+      continue;
+    }
+    if (quote === "`" && source[i] === "$" && source[i + 1] === "{") {
+      let braces = 1;
+      let j = i + 2;
+      while (j < source.length && braces > 0) {
+        if (source[j] === "{") braces++;
+        if (source[j] === "}") braces--;
+        j++;
+      }
+      content += source.slice(i, j);
+      i = j;
+      continue;
+    }
+    content += source[i];
+    i++;
+  }
+
+  return { content, end: i + 1 };
+}
+
+/**
+ * Turn a literal endpoint into a normalized path. Simple interpolations
+ * (`${poId}`) are ids; anything else (`${params ? "?" + params : ""}`) is a
+ * query-string builder and is dropped.
+ */
+function endpointFromLiteral(content) {
+  const replaced = content.replace(/\$\{([^}]*)\}/g, (_, expr) =>
+    /^[\w.]+$/.test(expr.trim()) ? "{id}" : ""
+  );
+  return normalizePath(replaced);
+}
+
+/**
+ * Index just past the parenthesis that closes the call opened at `openIndex`
+ */
+function findCallEnd(source, openIndex) {
+  let parens = 0;
+  for (let i = openIndex; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = readLiteral(source, i).end - 1;
+      continue;
+    }
+    if (ch === "(") parens++;
+    if (ch === ")" && --parens === 0) return i + 1;
+  }
+  return source.length;
+}
+
+function readClient() {
+  const source = fs.readFileSync(CLIENT_FILE, "utf8");
+  const blockStart = source.indexOf(BLOCK_START);
+  const blockEnd = source.indexOf(BLOCK_END);
+
+  const methodPattern = /^ {4}(async\s+)?(\w+)\(([^)]*)\)\s*\{\s*$/gm;
+  const methods = [];
+  let match;
+
+  while ((match = methodPattern.exec(source))) {
+    const bodyEnd = source.indexOf("\n    },", match.index);
+    const generated =
+      blockStart !== -1 && match.index > blockStart && match.index < blockEnd;
+
+    methods.push({
+      name: match[2],
+      isAsync: Boolean(match[1]),
+      params: match[3]
+        .split(",")
+        .map((p) => p.trim())
+        .filter(Boolean),
+      body: source.slice(match.index, bodyEnd === -1 ? undefined : bodyEnd),
+      generated,
+      calls: [],
+    });
+  }
+
+  const callPattern = /this\.(request|cachedRequest|requestPage)\(\s*/g;
+
+  methods.forEach((method) => {
+    let call;
+    callPattern.lastIndex = 0;
+
+    while ((call = callPattern.exec(method.body))) {
+      let argStart = call.index + call[0].length;
+
+      // cachedRequest(resource, endpoint) - endpoint is the second argument
+      if (call[1] === "cachedRequest") {
+        if (!/["'`]/.test(method.body[argStart])) continue;
+        argStart = readLiteral(method.body, argStart).end;
+        argStart = method.body.indexOf(",", argStart) + 1;
+        while (/\s/.test(method.body[argStart])) argStart++;
+      }
+
+      if (!/["'`]/.test(method.body[argStart])) continue; // dynamic endpoint
+
+      const literal = readLiteral(method.body, argStart);
+      if (literal.content.startsWith("${")) continue; // `${endpoint}?...`
+      const callEnd = findCallEnd(method.body, call.index + call[0].indexOf("("));
+      const options = method.body.slice(literal.end, callEnd);
+      const httpMethod = options.match(/method:\s*["'](\w+)["']/);
+      const bodyParam = options.match(/body:\s*(\w+)\s*[,}\n]/);
+
+      method.calls.push({
+        bodyParam: bodyParam ? bodyParam[1] : null,
+        method:
+          call[1] === "request" && httpMethod
+            ? httpMethod[1].toUpperCase()
+            : "GET",
+        path: endpointFromLiteral(literal.content),
+      });
+    }
+  });
+
+  return { source, methods };
+}
+
+// ============================================================================
+// TYPE INFERENCE (from collection example bodies)
+// ============================================================================
+
+function pascalCase(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function inferType(value, indent) {
+  if (value === null) return "any";
+  if (Array.isArray(value)) {
+    return value.length ? `Array<${inferType(value[0], indent)}>` : "any[]";
+  }
+  if (typeof value === "object") {
+    const pad = "  ".repeat(indent + 1);
+    const fields = Object.entries(value).map(
+      ([key, v]) => `${pad}${key}?: ${inferType(v, indent + 1)};`
+    );
+    return `{\n${fields.join("\n")}\n${"  ".repeat(indent)}}`;
+  }
+  return typeof value === "number" ? "number" : typeof value;
+}
+
+function toTsParam(param) {
+  const [name, defaultValue] = param.split("=").map((p) => p.trim());
+  const optional = defaultValue !== undefined;
+  return `${name.replace(/^\.\.\./, "...")}${optional ? "?" : ""}: ${
+    name.startsWith("...") ? "any[]" : "any"
+  }`;
+}
+
+// ============================================================================
+// CODE GENERATION
+// ============================================================================
+
+function buildGeneratedMethod(request, name) {
+  const segments = request.path.split("/");
+  const idParams = [];
+  const pathTemplate = segments
+    .map((seg, i) => {
+      if (seg !== "{id}") return seg;
+      const param = idParams.length === 0 ? "id" : `id${idParams.length + 1}`;
+      idParams.push(param);
+      return "${" + param + "}";
+    })
+    .join("/");
+
+  const params = [...idParams];
+  const doc = [`    /**`, `     * ${request.name}`];
+  if (request.description) doc.push(`     * ${request.description}`);
+  doc.push(`     * ${request.method} ${request.path}`);
+  idParams.forEach((p) => doc.push(`     * @param {number|string} ${p}`));
+
+  if (request.body) {
+    params.push("data");
+    doc.push(`     * @param {${bodyTypeName(request)}} data`);
+  }
+  if (request.query.length) {
+    params.push("query = {}");
+    doc.push(
+      `     * @param {{${request.query
+        .map((q) => `${q}?: string|number`)
+        .join(", ")}}} [query]`
+    );
+  }
+  doc.push(`     * @returns {Promise<ApiResponse>}`, `     */`);
+
+  const endpoint = idParams.length ? `\`${pathTemplate}` : `"${pathTemplate}`;
+  const lines = [...doc, `    async ${name}(${params.join(", ")}) {`];
+
+  let target = idParams.length ? `${endpoint}\`` : `${endpoint}"`;
+  if (request.query.length) {
+    lines.push(`      const params = new URLSearchParams(query).toString();`);
+    target = `\`${pathTemplate}\${params ? "?" + params : ""}\``;
+  }
+
+  const options = [];
+  if (request.method !== "GET") options.push(`method: "${request.method}"`);
+  if (request.body) options.push("body: data");
+
+  if (options.length) {
+    lines.push(`      return this.request(${target}, {`);
+    options.forEach((opt) => lines.push(`        ${opt},`));
+    lines.push(`      });`);
+  } else {
+    lines.push(`      return this.request(${target});`);
+  }
+  lines.push(`    },`);
+
+  return { name, code: lines.join("\n") };
+}
+
+function bodyTypeName(request) {
+  return `${pascalCase(methodNameFor(request.name))}Request`;
+}
+
+function buildTypes(collection, clientMethods, generatedMethods) {
+  const out = [
+    "// ============================================================================",
+    "// JANSTRO API CLIENT - TYPE DECLARATIONS",
+    "// ============================================================================",
+    "// Generated by tools/generate-api-client.js from",
+    "// Janstro_API.postman_collection.json - do not edit by hand.",
+    "// ============================================================================",
+    "",
+    "export {};",
+    "",
+    "declare global {",
+    "  interface ApiResponse<T = any> {",
+    "    success: boolean;",
+    "    message?: string;",
+    "    data: T;",
+    "    errors?: Record<string, string>;",
+    "    /** Set when the request was stored in the offline queue */",
+    "    queued?: boolean;",
+    "  }",
+    "",
+    "  interface PageResult<T = any> {",
+    "    items: T[];",
+    "    total: number;",
+    "    page: number;",
+    "    perPage: number;",
+    "    totalPages: number;",
+    "    sort?: string;",
+    "    order?: string;",
+    "    summary: Record<string, any> | null;",
+    "  }",
+    "",
+    "  interface PageParams {",
+    "    page?: number;",
+    "    per_page?: number;",
+    "    sort?: string;",
+    "    order?: \"asc\" | \"desc\";",
+    "    search?: string;",
+    "    date_from?: string;",
+    "    date_to?: string;",
+    "    [filter: string]: string | number | undefined;",
+    "  }",
+    "",
+  ];
+
+  // Request body interfaces (only for requests the router serves). Example
+  // bodies of PUTs are partial updates, so their fields stay optional.
+  const bodyTypes = new Map();
+  collection.forEach((request) => {
+    if (!request.routed || !request.body || typeof request.body !== "object") return;
+    const typeName = bodyTypeName(request);
+    if (bodyTypes.has(typeName)) return;
+    bodyTypes.set(typeName, request);
+
+    const shape = inferType(request.body, 1);
+    out.push(`  /** Body for ${request.method} ${request.path} */`);
+    out.push(
+      `  interface ${typeName} ${request.method === "PUT" ? shape : shape.replace(/\?:/g, ":")}`
+    );
+    out.push("");
+  });
+
+  // Hand-written methods that send a collection request's body get its type
+  const typedParams = (method) => {
+    const types = {};
+    method.calls.forEach((call) => {
+      const request = collection.find(
+        (c) => c.routed && c.body && c.method === call.method && c.path === call.path
+      );
+      if (request && call.bodyParam) types[call.bodyParam] = bodyTypeName(request);
+    });
+    return types;
+  };
+
+  out.push("  interface JanstroAPI {");
+  clientMethods.forEach((method) => {
+    const generated = generatedMethods.find((g) => g.name === method.name);
+    const endpoints = method.calls.map((c) => `${c.method} ${c.path}`);
+
+    if (endpoints.length) {
+      out.push(`    /** ${endpoints.join(", ")} */`);
+    }
+
+    if (generated) {
+      const req = generated.request;
+      const params = [];
+      req.path
+        .split("/")
+        .filter((s) => s === "{id}")
+        .forEach((_, i) => params.push(`${i === 0 ? "id" : `id${i + 1}`}: number | string`));
+      if (req.body) {
+        params.push(`data: ${bodyTypeName(req)}`);
+      }
+      if (req.query.length) {
+        params.push(
+          `query?: { ${req.query.map((q) => `${q}?: string | number`).join("; ")} }`
+        );
+      }
+      out.push(`    ${method.name}(${params.join(", ")}): Promise<ApiResponse>;`);
+      return;
+    }
+
+    const isPage = method.body.includes("this.requestPage(");
+    const returnType = isPage
+      ? "Promise<PageResult>"
+      : method.isAsync
+        ? "Promise<any>"
+        : "any";
+    const bodyParamTypes = typedParams(method);
+    const params = method.params.map((p) => {
+      const name = p.split("=")[0].trim();
+      if (isPage && name === "params") return "params?: PageParams";
+      if (bodyParamTypes[name]) {
+        return `${name}${p.includes("=") ? "?" : ""}: ${bodyParamTypes[name]}`;
+      }
+      return toTsParam(p);
+    });
+    out.push(`    ${method.name}(${params.join(", ")}): ${returnType};`);
+  });
+  out.push("  }");
+  out.push("");
+  out.push("  interface Window {");
+  out.push("    API: JanstroAPI;");
+  out.push("  }");
+  out.push("");
+  out.push("  const API: JanstroAPI;");
+  out.push("}");
+  out.push("");
+
+  return out.join("\n");
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+  const checkOnly = process.argv.includes("--check");
+
+  const routes = readRouter();
+  const collection = readCollection().map((request) => ({
+    ...request,
+    routed: Boolean(findRoute(routes, request.method, request.path)),
+  }));
+  const client = readClient();
+
+  const handWritten = client.methods.filter((m) => !m.generated);
+  const handWrittenCalls = handWritten.flatMap((m) =>
+    m.calls.map((c) => ({ ...c, methodName: m.name }))
+  );
+  const isCovered = (request) =>
+    handWrittenCalls.some(
+      (c) => c.method === request.method && c.path === request.path
+    );
+
+  // Generated methods: collection requests that the router serves and the
+  // hand-written client does not call yet
+  const generatedMethods = [];
+  const nameClashes = [];
+  collection.forEach((request) => {
+    if (!findRoute(routes, request.method, request.path)) return;
+    if (isCovered(request)) return;
+
+    // Never shadow a hand-written method that calls a different endpoint
+    const name = methodNameFor(request.name);
+    if (handWritten.some((m) => m.name === name)) {
+      nameClashes.push(request);
+      return;
+    }
+    if (generatedMethods.some((g) => g.name === name)) return;
+
+    generatedMethods.push({ ...buildGeneratedMethod(request, name), request });
+  });
+
+  const block = [
+    BLOCK_START,
+    ...generatedMethods.map((g) => "\n" + g.code),
+    "",
+    BLOCK_END,
+  ].join("\n");
+
+  let nextSource = client.source;
+  const startIndex = client.source.indexOf(BLOCK_START);
+  const endIndex = client.source.indexOf(BLOCK_END);
+  if (startIndex === -1 || endIndex === -1) {
+    console.error(
+      `❌ ${path.relative(ROOT, CLIENT_FILE)} has no ${BLOCK_START.trim()} / ${BLOCK_END.trim()} markers`
+    );
+    process.exit(1);
+  }
+  nextSource =
+    client.source.slice(0, startIndex) +
+    block +
+    client.source.slice(endIndex + BLOCK_END.length);
+
+  const allMethods = [
+    ...handWritten,
+    ...generatedMethods.map((g) => ({
+      name: g.name,
+      isAsync: true,
+      params: [],
+      body: "",
+      calls: [{ method: g.request.method, path: g.request.path }],
+    })),
+  ];
+  const types = buildTypes(collection, allMethods, generatedMethods);
+
+  // ------------------------------------------------------------------------
+  // Drift report
+  // ------------------------------------------------------------------------
+  const allCalls = [
+    ...handWrittenCalls,
+    ...generatedMethods.map((g) => ({
+      method: g.request.method,
+      path: g.request.path,
+      methodName: g.name,
+    })),
+  ];
+
+  const sections = [
+    {
+      title: "Routes missing from the Postman collection",
+      items: routes
+        .filter(
+          (r) =>
+            !collection.some(
+              (c) =>
+                (r.method === c.method || r.method === "*") && r.path === c.path
+            )
+        )
+        .map((r) => `${routeKey(r.method, r.path)}  (index.php:${r.line})`),
+    },
+    {
+      title: "Collection requests with no matching route",
+      items: collection
+        .filter((c) => !findRoute(routes, c.method, c.path))
+        .map((c) => `${routeKey(c.method, c.path)}  ("${c.folder} / ${c.name}")`),
+    },
+    {
+      title: "Routes the client never calls",
+      items: routes
+        .filter(
+          (r) =>
+            r.method !== "*" &&
+            !allCalls.some((c) => c.method === r.method && c.path === r.path)
+        )
+        .map((r) => `${routeKey(r.method, r.path)}  (index.php:${r.line})`),
+    },
+    {
+      title: "Collection requests skipped (name used by a hand-written method)",
+      items: nameClashes.map(
+        (c) => `${routeKey(c.method, c.path)}  (API.${methodNameFor(c.name)})`
+      ),
+    },
+    {
+      title: "Client calls with no matching route",
+      items: allCalls
+        .filter((c) => !findRoute(routes, c.method, c.path))
+        .map((c) => `${routeKey(c.method, c.path)}  (API.${c.methodName})`),
+    },
+  ];
+
+  console.log("🔍 API drift report");
+  console.log(
+    `   ${routes.length} routes, ${collection.length} collection requests, ${allCalls.length} client calls\n`
+  );
+  sections.forEach((section) => {
+    console.log(`${section.items.length ? "⚠️ " : "✅"} ${section.title}: ${section.items.length}`);
+    section.items.forEach((item) => console.log(`     ${item}`));
+    console.log("");
+  });
+
+  // ------------------------------------------------------------------------
+  // Write / check outputs
+  // ------------------------------------------------------------------------
+  const currentTypes = fs.existsSync(TYPES_FILE)
+    ? fs.readFileSync(TYPES_FILE, "utf8")
+    : "";
+  const stale = nextSource !== client.source || types !== currentTypes;
+
+  if (checkOnly) {
+    if (stale) {
+      console.error("❌ Generated client is out of date - run node tools/generate-api-client.js");
+      process.exit(1);
+    }
+    console.log("✅ Generated client is up to date");
+    return;
+  }
+
+  fs.writeFileSync(CLIENT_FILE, nextSource);
+  fs.writeFileSync(TYPES_FILE, types);
+  console.log(
+    `✅ Generated ${generatedMethods.length} client methods: ${
+      generatedMethods.map((g) => g.name).join(", ") || "none"
+    }`
+  );
+  console.log(`✅ Wrote ${path.relative(ROOT, TYPES_FILE)}`);
+}
+
+main();